@@ -1,34 +1,25 @@
-const fs = require('fs');
-const path = require('path');
-const { getCaseHTML } = require('./src/download');
+const library = require('./src/library');
+const { fetchCaseDocument } = require('./src/download');
+const { TEXT_VERSION } = require('./src/judgment_text');
 
 async function generateTxtFiles() {
-    const dir = 'downloads';
-    const pdfs = fs.readdirSync(dir).filter(f => f.endsWith('.pdf'));
+    const cases = library.listCases({ withPdf: true });
 
-    console.log(`Generating .txt files for ${pdfs.length} PDFs...\n`);
+    console.log(`Generating text for ${cases.length} downloaded cases...\n`);
 
-    for (const file of pdfs) {
-        const txtPath = path.join(dir, file.replace('.pdf', '.txt'));
-        if (fs.existsSync(txtPath)) {
-            console.log(`  ⏭️  ${file} (already has .txt)`);
-            continue;
-        }
-
-        const match = file.match(/Case_(\d+)_/);
-        if (!match) {
-            console.log(`  ⚠️  ${file}: no case ID in filename`);
+    for (const record of cases) {
+        const label = record.metadata?.title || record.id;
+        if (record.textFile && record.textVersion === TEXT_VERSION && library.readText(record.id)) {
+            console.log(`  ⏭️  ${label} (already has text)`);
             continue;
         }
 
         try {
-            const doc = await getCaseHTML(match[1]);
-            const text = doc.htmlContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-            fs.writeFileSync(txtPath, text);
-            console.log(`  ✅ ${file} → ${text.length} chars`);
-            await new Promise(r => setTimeout(r, 1000));
+            // Re-renders from stored HTML when we have it, otherwise fetches from Centax
+            const doc = await fetchCaseDocument(record.id, { priority: 'bulk' });
+            console.log(`  ✅ ${label} → ${doc.text.length} chars`);
         } catch (e) {
-            console.error(`  ❌ ${file}: ${e.message}`);
+            console.error(`  ❌ ${label}: ${e.message}`);
         }
     }
     console.log('\nDone!');
@@ -4,9 +4,24 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
-const { searchCases } = require('./src/search');
-const { getCaseHTML, downloadCase, downloadMultipleCases, DOWNLOADS_DIR } = require('./src/download');
+const { searchCases, searchAll, normalizeQuery, describeQuery } = require('./src/search');
+const { fetchCaseDocument, downloadCase, downloadMultipleCases, runDownloadJob } = require('./src/download');
+const { createJob, getJob, listJobs, summarizeJob, assertRunnable, requestStop } = require('./src/jobs');
+const library = require('./src/library');
+const { searchLibrary } = require('./src/local_search');
+const { getCaseCitations, mostCited } = require('./src/citations');
+const { getPoolStats, logout } = require('./src/auth');
+const { getSchedulerStats, schedulerEvents } = require('./src/scheduler');
+const { startSessionMonitor, ensureSession, getSessionStates, sessionEvents } = require('./src/session_monitor');
+const { WorkflowError, toTypedError } = require('./src/errors');
+const { getFilterCatalog, mapFiltersToApi, FACETS } = require('./src/filters');
 const { summarizeAll, rankByRelevance, scoreRelevancy, generateKeywords, chat, getFilterSuggestions } = require('./src/analyzer');
+const { listProviders, resolveTask } = require('./src/llm');
+const { parseJudgment } = require('./src/judgment_text');
+const { buildMemo, buildMatterMemo, renderMemo } = require('./src/memo');
+const { buildBundle, topCaseIds, DEFAULT_TOP } = require('./src/bundle');
+const { createMatter, getMatter, listMatters, updateMatter, deleteMatter, addCases, removeCase, updateCase, addNote, summaryStore, forgetSummaries, recordAnalysis, matterSummaries } = require('./src/matters');
+const { listSummaries, summaryStats, clearSummaries, narrativeFingerprint, PROMPT_VERSIONS } = require('./src/summaries');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,23 +30,68 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+/**
+ * Answer with the HTTP status and machine-readable code of a typed error.
+ * Untyped errors become a 500 with code INTERNAL_ERROR.
+ */
+function sendError(res, err) {
+    const typed = toTypedError(err);
+    if (typed instanceof WorkflowError) {
+        if (typed.retryAfterMs) res.setHeader('Retry-After', Math.ceil(typed.retryAfterMs / 1000));
+        return res.status(typed.httpStatus).json(typed.toJSON());
+    }
+    res.status(500).json({ error: err.message, code: 'INTERNAL_ERROR' });
+}
+
 // In-memory state
 let cachedSummaries = null;
 let chatHistory = [];
+// LLM provider the last analysis ran on; follow-up chat stays on it
+let chatProvider = undefined;
 let analyzedCases = [];
+// Last analysis outside a matter, for /api/export and /api/bundle
+let lastAnalysis = null;
+// Per-matter chat state: matter ID -> { summaries, history, provider }
+const matterChats = new Map();
+
+/**
+ * Chat state for a matter: from its last analysis in this process, or rebuilt
+ * from the summaries stored with the matter
+ */
+function getMatterChat(matterId) {
+    const matter = getMatter(matterId);
+    if (!matterChats.has(matter.id)) {
+        const history = matter.lastAnalysis
+            ? [{ role: 'user', content: matter.lastAnalysis.context }, { role: 'assistant', content: `Recommendation: ${matter.lastAnalysis.recommendation}` }]
+            : [];
+        matterChats.set(matter.id, { summaries: matterSummaries(matter.id), history, provider: matter.provider || undefined });
+    }
+    return matterChats.get(matter.id);
+}
 
 // ──────────────────────── Search API ────────────────────────
 
+/**
+ * POST /api/search
+ * Body: { query: string, advanced?: { exact, anyOf, exclude, party, judge, appealNo, from, to, exclusiveOnly },
+ *         page?, pageSize?, sortby?, filter?, max? }
+ * `query` may be omitted when `advanced` carries the search criteria.
+ * With `max`, returns the top `max` unique results across pages instead of one page.
+ */
 app.post('/api/search', async (req, res) => {
     try {
-        const { query, page = 1, pageSize = 20, sortby = 'relevance', filter = {} } = req.body;
-        if (!query) return res.status(400).json({ error: 'Search query is required' });
+        const { query = '', advanced = {}, page = 1, pageSize = 20, sortby = 'relevance', filter = {}, max } = req.body;
+
+        if (max) {
+            const all = await searchAll({ ...advanced, text: query }, { max: parseInt(max), sortby, filter, priority: 'interactive' });
+            return res.json(all);
+        }
 
-        const results = await searchCases(query, { page, pageSize, sortby, filter });
+        const results = await searchCases({ ...advanced, text: query }, { page, pageSize, sortby, filter });
         res.json(results);
     } catch (err) {
         console.error('Search error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
@@ -39,150 +99,293 @@ app.post('/api/search', async (req, res) => {
 
 app.get('/api/case/:id/preview', async (req, res) => {
     try {
-        const doc = await getCaseHTML(req.params.id);
+        const doc = await fetchCaseDocument(req.params.id);
         res.json({
             id: req.params.id,
+            metadata: doc.metadata,
             html: doc.htmlContent,
-            textLength: doc.htmlContent.replace(/<[^>]*>/g, '').length
+            text: doc.text,
+            textLength: doc.text.length,
+            structure: parseJudgment(doc.htmlContent)
         });
     } catch (err) {
         console.error('Preview error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
+    }
+});
+
+/**
+ * GET /api/case/:id/citations
+ * Authorities the judgment cites ({ cites }, resolved to case IDs where the
+ * library has them) and the local cases that cite it ({ citedBy }), with the
+ * paragraphs each citation appears in. Fetches the case if it isn't stored yet.
+ */
+app.get('/api/case/:id/citations', async (req, res) => {
+    try {
+        await fetchCaseDocument(req.params.id);
+        res.json(getCaseCitations(req.params.id));
+    } catch (err) {
+        console.error('Citations error:', err.message);
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /api/citations/most-cited
+ * Body: { caseIds?: string[], matterId?, limit? }
+ * The authorities cited by the most of the given cases (e.g. a result set),
+ * a matter's cases, or else the whole library.
+ */
+app.post('/api/citations/most-cited', (req, res) => {
+    try {
+        const { caseIds, matterId, limit = 20 } = req.body;
+        const citing = matterId ? Object.keys(getMatter(matterId).cases) : Array.isArray(caseIds) && caseIds.length ? caseIds : null;
+        res.json(mostCited(citing, { limit: Math.min(parseInt(limit) || 20, 100) }));
+    } catch (err) {
+        sendError(res, err);
     }
 });
 
 // ──────────────────────── Download ────────────────────────
 
+/**
+ * POST /api/download
+ * Body: { caseId, title?, highlight?, backend?: 'local' | 'remote' }
+ *
+ * The result names the `backend` that produced the PDF, with `fallback: true`
+ * when the remote service failed and it was rendered locally.
+ */
 app.post('/api/download', async (req, res) => {
     try {
-        const { caseId, title } = req.body;
+        const { caseId, title, highlight, backend } = req.body;
         if (!caseId) return res.status(400).json({ error: 'caseId is required' });
 
-        const result = await downloadCase(caseId, title || caseId);
+        const result = await downloadCase(caseId, title || caseId, { highlight, backend });
+        if (!result.success) {
+            if (result.retryAfterMs) res.setHeader('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+            return res.status(result.httpStatus).json(result);
+        }
         res.json(result);
     } catch (err) {
         console.error('Download error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
+// ──────────────────────── Batch download jobs ────────────────────────
+
+/**
+ * Run a download job in the background; its progress is in the manifest
+ */
+function startJob(jobId, mode) {
+    runDownloadJob(jobId, { mode }).catch(err => console.error(`Download job ${jobId} failed:`, err.message));
+}
+
+/**
+ * GET /api/jobs
+ * { jobs, unreadable }: batch download jobs, newest first, with per-status case
+ * counts, and the names of job files that could not be read.
+ */
+app.get('/api/jobs', (req, res) => {
+    res.json(listJobs());
+});
+
+/**
+ * GET /api/jobs/:id
+ * A job's manifest: every case with its status, attempts, error and output path.
+ */
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        res.json(getJob(req.params.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /api/jobs
+ * Body: { cases: Array<{ id, heading?, metadata? }> | caseIds: string[], label?, backend?, highlight? }
+ * Starts a batch download and answers 202 with the job; poll GET /api/jobs/:id for progress.
+ */
+app.post('/api/jobs', (req, res) => {
+    try {
+        const { cases, caseIds, label, backend, highlight } = req.body;
+        const job = createJob(cases || caseIds, { label, backend, highlight });
+        startJob(job.id, 'resume');
+        res.status(202).json(summarizeJob(getJob(job.id)));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /api/jobs/:id/resume         Download every case not yet downloaded
+ * POST /api/jobs/:id/retry-failed   Download only the cases that failed
+ * Answers 202 with the job; 400 if it is already running or has nothing to do.
+ */
+for (const mode of ['resume', 'retry-failed']) {
+    app.post(`/api/jobs/:id/${mode}`, (req, res) => {
+        try {
+            const job = assertRunnable(req.params.id, mode);
+            startJob(job.id, mode);
+            res.status(202).json(summarizeJob(getJob(job.id)));
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+}
+
+/**
+ * POST /api/jobs/:id/stop
+ * Stops a job started by this server after the case in progress.
+ */
+app.post('/api/jobs/:id/stop', (req, res) => {
+    try {
+        res.json(summarizeJob(requestStop(req.params.id)));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── LLM providers ────────────────────────
+
+/**
+ * GET /api/llm/providers
+ * Providers the analyzer can use, their default models and whether they are configured.
+ */
+app.get('/api/llm/providers', (req, res) => {
+    res.json(listProviders());
+});
+
 // ──────────────────────── Keyword Generation ────────────────────────
 
 /**
  * POST /api/keywords
- * Body: { narrative: string }
+ * Body: { narrative: string, provider?: string }
  * Returns AI-generated search keywords from a research narrative.
  */
 app.post('/api/keywords', async (req, res) => {
     try {
-        const { narrative } = req.body;
+        const { narrative, provider } = req.body;
         if (!narrative) return res.status(400).json({ error: 'narrative is required' });
 
         console.log(`🔑 Generating keywords for narrative (${narrative.length} chars)...`);
-        const result = await generateKeywords(narrative);
+        const result = await generateKeywords(narrative, { provider });
         console.log(`✅ Keywords: ${result.keywords}`);
         res.json(result);
     } catch (err) {
         console.error('Keywords error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── FILTERS: Centax filter catalog ────────────────────────
+
+/**
+ * GET /api/filters?refresh=1
+ * Returns every filter facet with its labels and Centax IDs. `fallback` is true when
+ * Centax could not be reached and a stale cache or the bundled snapshot is served.
+ */
+app.get('/api/filters', async (req, res) => {
+    try {
+        const catalog = await getFilterCatalog({ refresh: req.query.refresh === '1' || req.query.refresh === 'true' });
+        res.json({
+            source: catalog.source,
+            fetchedAt: catalog.fetchedAt,
+            fallback: Boolean(catalog.fallback),
+            facets: Object.fromEntries(Object.entries(FACETS).map(([facet, { label }]) => [facet, {
+                label,
+                options: catalog.facets[facet] || []
+            }]))
+        });
+    } catch (err) {
+        console.error('Filters error:', err.message);
+        sendError(res, err);
     }
 });
 
 // ──────────────────────── REFINE: Generate smart filter questions ────────────────────────
 
+/**
+ * POST /api/refine
+ * Body: { keywords, context, provider? }
+ */
 app.post('/api/refine', async (req, res) => {
     try {
-        const { keywords, context } = req.body;
+        const { keywords, context, provider } = req.body;
         if (!keywords) return res.status(400).json({ error: 'keywords is required' });
         if (!context) return res.status(400).json({ error: 'context is required' });
 
         console.log(`🧠 Generating filter suggestions for: "${keywords}"`);
-        const suggested = await getFilterSuggestions(keywords, context);
+        const suggested = await getFilterSuggestions(keywords, context, { provider });
         console.log(`✅ Generated suggestions:`, suggested);
         res.json({ suggested });
     } catch (err) {
         console.error('Refine error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
 // ──────────────────────── ANALYZE: Search → Fetch Text → Summarize → Rank ────────────────────────
 
+/**
+ * POST /api/analyze
+ * Body: { keywords, context, count?, filters?, advanced?, customPrompt?, matterId?, scope?, provider? }
+ *
+ * With `matterId`, runs within a research matter: keywords, context and filters default
+ * to the matter's, analyzed cases are attached to it, and summaries and scores are
+ * stored with it. `scope: 'matter'` analyzes the matter's attached cases instead of searching.
+ * `provider` picks the LLM provider (default: the matter's, then LLM_PROVIDER).
+ *
+ * Streams newline-delimited JSON progress messages. While ranking, each
+ * `rank_progress` message carries the merged ranking so far in `data.rankings`,
+ * and cases whose score stayed invalid (with the error) in `data.unscored`;
+ * `done` carries the final result with the recommendation.
+ */
 app.post('/api/analyze', async (req, res) => {
     try {
-        const { keywords, context, count = 100, filters = {}, customPrompt = null } = req.body;
-        if (!keywords) return res.status(400).json({ error: 'keywords is required' });
-        if (!context) return res.status(400).json({ error: 'context is required' });
-
-        // Map user-selected filters to Centax API filter format
-        // Centax uses internal numeric IDs for module/docType filters
-        const MODULE_IDS = {
-            'GST': '111050000000018400',
-            'Customs': '111050000000018392',
-            'Excise & Service Tax': '111050000000018393',
-            'Foreign Trade Policy': '111050000000018795'
-        };
-        const DOCTYPE_IDS = {
-            'Case Laws': '111050000000000060',
-            'Notifications': '111050000000000110',
-            'Acts': '111050000000000064',
-            'Rules': '111050000000000026'
-        };
-
-        const COURT_IDS = {
-            'Supreme Court': '111270000000000084',
-            'High Court': '111270000000000083',
-            'Tribunal': '111270000000000082',
-            'Advance Ruling': '111270000000000085'
-        };
-        const ACT_IDS = {
-            'Central Goods And Services Tax Act, 2017': '102010000000005574',
-            'Integrated Goods and Services Tax Act, 2017': '102010000000005575',
-            'Customs Act, 1962': '102010000000000032',
-            'Central Excise Act, 1944': '102010000000000019',
-            'Finance Act, 1994': '102010000000000037',
-            'Uttar Pradesh Goods And Services Tax Act, 2017': '102010000000005638'
-        };
-
-        const apiFilter = {};
-
-        if (filters.module && Array.isArray(filters.module) && filters.module.length > 0) {
-            const mapped = filters.module.map(m => m === 'all' ? null : MODULE_IDS[m]).filter(Boolean);
-            if (mapped.length > 0) apiFilter.categoryList = mapped;
-        } else if (typeof filters.module === 'string' && filters.module !== 'all' && MODULE_IDS[filters.module]) {
-            apiFilter.categoryList = [MODULE_IDS[filters.module]];
-        }
-
-        if (filters.docType && Array.isArray(filters.docType) && filters.docType.length > 0) {
-            const mapped = filters.docType.map(d => d === 'all' ? null : DOCTYPE_IDS[d]).filter(Boolean);
-            if (mapped.length > 0) apiFilter.groupList = mapped;
-        } else if (typeof filters.docType === 'string' && filters.docType !== 'all' && DOCTYPE_IDS[filters.docType]) {
-            apiFilter.groupList = [DOCTYPE_IDS[filters.docType]];
-        }
-
-        if (filters.court && Array.isArray(filters.court) && filters.court.length > 0) {
-            const mapped = filters.court.map(c => c === 'all' ? null : COURT_IDS[c]).filter(Boolean);
-            if (mapped.length > 0) apiFilter.courtList = mapped;
-        } else if (typeof filters.court === 'string' && filters.court !== 'all' && COURT_IDS[filters.court]) {
-            apiFilter.courtList = [COURT_IDS[filters.court]];
+        const { count = 100, advanced = {}, customPrompt = null, matterId = null, scope = 'search' } = req.body;
+
+        let matter = null;
+        if (matterId) {
+            try {
+                matter = getMatter(matterId);
+            } catch (err) {
+                return sendError(res, err);
+            }
         }
+        const keywords = req.body.keywords || matter?.keywords || '';
+        const context = req.body.context || matter?.narrative || '';
+        const filters = req.body.filters && Object.keys(req.body.filters).length > 0 ? req.body.filters : (matter?.filters || {});
+        const fromMatter = Boolean(matter) && scope === 'matter';
+        const llm = { provider: req.body.provider || matter?.provider || undefined };
+
+        if (fromMatter && Object.keys(matter.cases).length === 0) return res.status(400).json({ error: `Matter "${matter.id}" has no cases attached` });
+        if (!fromMatter && !keywords && !advanced.exact && !advanced.anyOf) return res.status(400).json({ error: 'keywords is required' });
+        if (!context) return res.status(400).json({ error: 'context is required' });
 
-        if (filters.act && Array.isArray(filters.act) && filters.act.length > 0) {
-            const mapped = filters.act.map(a => (a === 'all' || a === 'not_sure') ? null : ACT_IDS[a]).filter(Boolean);
-            if (mapped.length > 0) apiFilter.actList = mapped;
-        } else if (typeof filters.act === 'string' && filters.act !== 'all' && filters.act !== 'not_sure' && ACT_IDS[filters.act]) {
-            apiFilter.actList = [ACT_IDS[filters.act]];
+        // Validate the advanced query and provider before starting the stream so bad input gets a plain 400
+        let searchQuery;
+        try {
+            if (!fromMatter) searchQuery = normalizeQuery({ ...advanced, text: keywords });
+            resolveTask('summarize', llm);
+        } catch (err) {
+            return sendError(res, err);
         }
 
-        // yearList comes as array of year strings like ["2025", "2024"]
-        if (filters.yearList && Array.isArray(filters.yearList) && filters.yearList.length > 0) {
-            apiFilter.yearList = filters.yearList;
+        // Map user-selected filter labels to Centax's internal IDs via the filter catalog
+        const catalog = await getFilterCatalog();
+        const { apiFilter, unknown } = mapFiltersToApi(filters, catalog);
+        if (unknown.length > 0) {
+            console.log('⚠️  Ignoring unknown filter values:', unknown.map(u => `${u.facet}=${u.value}`).join(', '));
         }
 
         const sortby = filters.sort || 'relevance';
 
-        console.log('🔍 Filters received:', JSON.stringify(filters));
-        console.log('🔍 API filter mapped:', JSON.stringify(apiFilter));
+        if (!fromMatter) {
+            console.log('🔍 Filters received:', JSON.stringify(filters));
+            console.log('🔍 API filter mapped:', JSON.stringify(apiFilter));
+        }
 
         // Stream updates via SSE-like newline-delimited JSON
         res.setHeader('Content-Type', 'application/x-ndjson');
@@ -190,135 +393,87 @@ app.post('/api/analyze', async (req, res) => {
 
         const send = (data) => res.write(JSON.stringify(data) + '\n');
 
-        // Step 1: Search (Centax API caps at 20/page, so paginate)
-        const hasFilters = Object.keys(apiFilter).length > 0;
-        const appliedFilters = hasFilters ? ` with ${Object.keys(apiFilter).length} filters` : '';
-        send({ step: 'search', message: `Searching for "${keywords}"${appliedFilters}...` });
-        const PAGE_SIZE = 20;
-        let cases = [];
-        let totalCount = 0;
-
-        // Helper to run paginated search
-        async function doSearch(filterObj) {
-            const searchCases_ = [];
-            const totalPgs = Math.ceil(count / PAGE_SIZE);
-            let tc = 0;
-            for (let p = 1; p <= totalPgs; p++) {
-                const searchResult = await searchCases(keywords, {
-                    page: p,
-                    pageSize: PAGE_SIZE,
-                    sortby,
-                    filter: filterObj
-                });
-                tc = searchResult.totalCount;
-                searchCases_.push(...searchResult.results);
-                send({ step: 'search', message: `Searching... page ${p}/${totalPgs} (${searchCases_.length} cases so far)` });
-                if (searchCases_.length >= count || searchCases_.length >= tc) break;
-                await new Promise(r => setTimeout(r, 300));
-            }
-            return { results: searchCases_, totalCount: tc };
-        }
-
-        // Run filtered search
-        let searchData = await doSearch(apiFilter);
-        cases = searchData.results;
-        totalCount = searchData.totalCount;
-
-        // If filtered search returns 0 results, auto-retry without filters
-        if (cases.length === 0 && hasFilters) {
-            send({ step: 'search', message: '⚠️ Filters too restrictive — retrying without filters...' });
-            searchData = await doSearch({});
-            cases = searchData.results;
-            totalCount = searchData.totalCount;
-        }
+        // Validate the Centax session up front rather than discovering a dead token mid-batch
+        await ensureSession();
+
+        // Step 1: Search (searchAll pages past Centax's 20-per-page cap and dedups),
+        // or take the cases already attached to the matter
+        let cases;
+        let totalCount;
+        if (fromMatter) {
+            cases = Object.values(matter.cases).map(c => ({ id: c.id, heading: c.title || c.id, metadata: library.getCase(c.id)?.metadata }));
+            totalCount = cases.length;
+            send({ step: 'search_done', message: `Analyzing the ${cases.length} cases in matter "${matter.name}".`, total: cases.length, totalCount });
+        } else {
+            const hasFilters = Object.keys(apiFilter).length > 0;
+            const appliedFilters = hasFilters ? ` with ${Object.keys(apiFilter).length} filters` : '';
+            send({ step: 'search', message: `Searching for ${describeQuery(searchQuery)}${appliedFilters}...` });
+
+            const doSearch = (filterObj) => searchAll(searchQuery, {
+                max: count,
+                filter: filterObj,
+                sortby,
+                priority: 'bulk',
+                onPage: ({ page, totalPages, fetched }) => {
+                    send({ step: 'search', message: `Searching... page ${page}/${totalPages} (${fetched} cases so far)` });
+                }
+            });
 
-        cases = cases.slice(0, count);
+            // Run filtered search
+            ({ results: cases, totalCount } = await doSearch(apiFilter));
 
-        // Deduplicate cases by ID (API can return duplicates across pages)
-        const seenIds = new Set();
-        const uniqueCases = [];
-        for (const c of cases) {
-            if (!seenIds.has(c.id)) {
-                seenIds.add(c.id);
-                uniqueCases.push(c);
+            // If filtered search returns 0 results, auto-retry without filters
+            if (cases.length === 0 && hasFilters) {
+                send({ step: 'search', message: '⚠️ Filters too restrictive — retrying without filters...' });
+                ({ results: cases, totalCount } = await doSearch({}));
             }
-        }
-        if (uniqueCases.length < cases.length) {
-            console.log(`⚠️ Removed ${cases.length - uniqueCases.length} duplicate case(s)`);
-        }
-        cases = uniqueCases;
 
-        send({ step: 'search_done', message: `Found ${totalCount} total results. Analyzing top ${cases.length}.`, total: cases.length, totalCount: totalCount });
+            send({ step: 'search_done', message: `Found ${totalCount} total results. Analyzing top ${cases.length}.`, total: cases.length, totalCount: totalCount });
+        }
 
         if (cases.length === 0) {
             send({ step: 'error', message: 'No results found. Try different keywords.' });
             return res.end();
         }
 
-        // Step 2: Fetch case texts (directly via API — no PDF needed)
+        // Step 2: Fetch case texts (directly via API — no PDF needed).
+        // Requests are queued on the shared scheduler, which paces them and backs off on rate limits.
         send({ step: 'fetch', message: `Reading case texts (0/${cases.length})...` });
-        const caseTexts = [];
-        let consecutiveFails = 0;
+        let readCount = 0;
 
-        for (let i = 0; i < cases.length; i++) {
-            let success = false;
-            let retries = 0;
-            const MAX_RETRIES = 3;
+        const onBackoff = ({ delayMs }) => {
+            send({ step: 'fetch_progress', message: `Rate limited — pausing ${(delayMs / 1000).toFixed(0)}s, then continuing... (${readCount}/${cases.length} read)`, progress: readCount });
+        };
+        schedulerEvents.on('backoff', onBackoff);
 
-            while (!success && retries < MAX_RETRIES) {
+        let fetched;
+        try {
+            fetched = await Promise.all(cases.map(async (c) => {
                 try {
-                    const doc = await getCaseHTML(cases[i].id);
-                    const plainText = doc.htmlContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-                    caseTexts.push({
-                        id: cases[i].id,
-                        filename: cases[i].heading || cases[i].id,
-                        heading: cases[i].heading,
-                        court: cases[i].court,
-                        date: cases[i].date,
-                        text: plainText,
-                    });
-                    success = true;
-                    consecutiveFails = 0;
-                } catch (err) {
-                    retries++;
-                    const isRateLimit = err.message?.includes('409') || err.message?.includes('limit');
-                    if (isRateLimit && retries < MAX_RETRIES) {
-                        const backoff = Math.min(5000 * Math.pow(2, retries), 30000);
-                        console.log(`  ⏳ Rate limited on case ${cases[i].id}, waiting ${backoff / 1000}s (retry ${retries}/${MAX_RETRIES})...`);
-                        send({ step: 'fetch_progress', message: `Rate limited — pausing ${backoff / 1000}s, then retrying... (${caseTexts.length}/${cases.length} read)`, progress: caseTexts.length });
-                        await new Promise(r => setTimeout(r, backoff));
-                    } else {
-                        console.error(`  Skip case ${cases[i].id}: ${err.message}`);
-                        consecutiveFails++;
-                        break;
+                    const doc = await fetchCaseDocument(c.id, { metadata: c.metadata, priority: 'bulk' });
+                    readCount++;
+                    if (readCount % 5 === 0 || readCount === cases.length) {
+                        send({ step: 'fetch_progress', message: `Reading case texts (${readCount}/${cases.length})...`, progress: readCount });
                     }
+                    const metadata = doc.metadata;
+                    return {
+                        id: c.id,
+                        filename: c.heading || c.id,
+                        heading: metadata.title || c.heading,
+                        court: metadata.court,
+                        date: metadata.decisionDate,
+                        metadata,
+                        text: doc.text,
+                    };
+                } catch (err) {
+                    console.error(`  Skip case ${c.id}: ${err.message}`);
+                    return null;
                 }
-            }
-
-            if ((caseTexts.length) % 5 === 0 || i === cases.length - 1) {
-                send({ step: 'fetch_progress', message: `Reading case texts (${caseTexts.length}/${cases.length})...`, progress: caseTexts.length });
-            }
-
-            // If too many consecutive fails, the API is probably fully rate-limited — take a long break
-            if (consecutiveFails >= 5) {
-                console.log('  ⏳ Too many failures, pausing 30s to let rate limit reset...');
-                send({ step: 'fetch_progress', message: `API rate limit hit — cooling down 30s... (${caseTexts.length} read so far)`, progress: caseTexts.length });
-                await new Promise(r => setTimeout(r, 30000));
-                consecutiveFails = 0;
-            }
-
-            // Base delay between requests (800ms to stay under rate limit)
-            if (i < cases.length - 1) {
-                await new Promise(r => setTimeout(r, 800));
-            }
-
-            // Extra cooldown pause every 30 cases
-            if ((i + 1) % 30 === 0 && i < cases.length - 1) {
-                console.log(`  ⏳ Cooldown pause after ${i + 1} cases (15s)...`);
-                send({ step: 'fetch_progress', message: `Cooldown pause after ${i + 1} cases (15s)...`, progress: caseTexts.length });
-                await new Promise(r => setTimeout(r, 15000));
-            }
+            }));
+        } finally {
+            schedulerEvents.off('backoff', onBackoff);
         }
+        const caseTexts = fetched.filter(Boolean);
 
         const skippedCount = cases.length - caseTexts.length;
         if (skippedCount > 0) {
@@ -328,52 +483,94 @@ app.post('/api/analyze', async (req, res) => {
             send({ step: 'fetch_done', message: `Read ${caseTexts.length} case texts. Summarizing...` });
         }
 
-        // Step 3: Summarize all cases via OpenAI (with caching)
+        // Within a matter, analyzed cases join it so their summaries and scores are kept there
+        if (matter && !fromMatter) {
+            const { added } = addCases(matter.id, caseTexts.map(c => ({ id: c.id, heading: c.heading, metadata: c.metadata })));
+            if (added.length > 0) send({ step: 'fetch_done', message: `Added ${added.length} case(s) to matter "${matter.name}".` });
+        }
+
+        // Step 3: Summarize all cases via the LLM provider (with caching)
         send({ step: 'summarize', message: `Summarizing ${caseTexts.length} cases via AI (cached summaries skip instantly)...` });
-        const allSummaries = await summarizeAll(caseTexts, keywords, context);
+        const allSummaries = await summarizeAll(caseTexts, keywords, context, { ...(matter && { store: summaryStore(matter.id) }), ...llm });
 
         // Filter to only include summaries for THIS search's cases
         const currentIds = new Set(caseTexts.map(c => c.id));
+        const matterCases = matter ? getMatter(matter.id).cases : {};
         const currentSummaries = {};
         for (const [id, val] of Object.entries(allSummaries)) {
             if (currentIds.has(id)) {
-                currentSummaries[id] = val;
+                currentSummaries[id] = {
+                    ...val,
+                    metadata: caseTexts.find(c => c.id === id).metadata,
+                    ...(matterCases[id] && { tags: matterCases[id].tags, notes: matterCases[id].notes.map(n => n.text) })
+                };
             }
         }
-        cachedSummaries = currentSummaries;
         const totalAnalyzed = Object.keys(currentSummaries).length;
         send({ step: 'summarize_done', message: `All ${totalAnalyzed} cases summarized.` });
 
-        // Step 4: Rank by relevance
+        // Step 4: Rank by relevance, streaming the ranking as batches are scored
+        const enrich = r => {
+            const caseData = caseTexts.find(c => c.id === r.id) || cases.find(c => c.id === r.id);
+            const summaryData = currentSummaries[r.id];
+            return {
+                ...r,
+                heading: caseData?.heading || r.filename,
+                court: caseData?.court || '',
+                date: caseData?.date || '',
+                citation: caseData?.metadata?.citation || caseData?.citation || '',
+                bench: caseData?.metadata?.bench || caseData?.bench || '',
+                inFavourOf: caseData?.metadata?.inFavourOf || '',
+                metadata: caseData?.metadata || null,
+                summary: summaryData?.summary || '',
+                coverage: summaryData?.coverage || null,
+                relevanceNote: summaryData?.relevanceNote || null,
+            };
+        };
         send({ step: 'rank', message: `Ranking ${totalAnalyzed} cases by relevance to your situation...` });
-        const rankResult = await rankByRelevance(currentSummaries, context, customPrompt || null);
-
-        // Enrich rankings with case metadata
-        if (rankResult.rankings) {
-            rankResult.rankings = rankResult.rankings.map(r => {
-                const caseData = caseTexts.find(c => c.id === r.id) || cases.find(c => c.id === r.id);
-                const summaryData = currentSummaries[r.id];
-                return {
-                    ...r,
-                    heading: caseData?.heading || r.filename,
-                    court: caseData?.court || '',
-                    date: caseData?.date || '',
-                    summary: summaryData?.summary || '',
-                };
-            });
-        }
+        const rankResult = await rankByRelevance(currentSummaries, context, customPrompt || null, {
+            ...llm,
+            onProgress: ({ scored, unscored, total, rankings }) => {
+                const done = scored + unscored.length;
+                send({
+                    step: 'rank_progress',
+                    message: `Scored ${scored}/${total} cases${unscored.length ? ` (${unscored.length} could not be scored)` : ''}...`,
+                    progress: done,
+                    data: { rankings: rankings.map(enrich), unscored }
+                });
+                if (done === total && scored > 0) send({ step: 'recommend', message: 'All cases scored. Writing the recommendation...' });
+            }
+        });
+        rankResult.rankings = rankResult.rankings.map(enrich);
 
         // Store for follow-up chat
-        chatHistory = [];
-        chatHistory.push({ role: 'user', content: context });
-        chatHistory.push({ role: 'assistant', content: JSON.stringify(rankResult) });
-        analyzedCases = caseTexts;
+        const history = [
+            { role: 'user', content: context },
+            { role: 'assistant', content: JSON.stringify(rankResult) }
+        ];
+        if (matter) {
+            recordAnalysis(matter.id, { keywords, context, result: rankResult });
+            matterChats.set(matter.id, { summaries: currentSummaries, history, provider: llm.provider });
+        } else {
+            cachedSummaries = currentSummaries;
+            chatHistory = history;
+            chatProvider = llm.provider;
+            analyzedCases = caseTexts;
+            lastAnalysis = { keywords, context, filters, result: rankResult };
+        }
 
         send({ step: 'done', message: 'Analysis complete!', data: rankResult, totalAnalyzed });
         res.end();
     } catch (err) {
         console.error('Analyze error:', err.message);
-        res.write(JSON.stringify({ step: 'error', message: err.message }) + '\n');
+        const typed = toTypedError(err);
+        res.write(JSON.stringify({
+            step: 'error',
+            message: typed.message,
+            code: typed.code || 'INTERNAL_ERROR',
+            hint: typed.hint || undefined,
+            retryAfter: typed.retryAfterMs ? Math.ceil(typed.retryAfterMs / 1000) : undefined
+        }) + '\n');
         res.end();
     }
 });
@@ -382,7 +579,7 @@ app.post('/api/analyze', async (req, res) => {
 
 /**
  * POST /api/score
- * Body: { narrative: string, caseId?: string, caseSummary?: string }
+ * Body: { narrative: string, caseId?: string, caseSummary?: string, provider?: string }
  *
  * Evaluates how strongly a single case aligns with the research narrative.
  * If caseId is provided, looks up the summary from the last analysis run.
@@ -390,7 +587,7 @@ app.post('/api/analyze', async (req, res) => {
  */
 app.post('/api/score', async (req, res) => {
     try {
-        const { narrative, caseId, caseSummary } = req.body;
+        const { narrative, caseId, caseSummary, provider } = req.body;
         if (!narrative) return res.status(400).json({ error: 'narrative is required' });
 
         let summary = caseSummary;
@@ -408,29 +605,325 @@ app.post('/api/score', async (req, res) => {
         }
 
         console.log(`⚖️  Scoring relevancy for case: ${caseId || '(inline summary)'}`);
-        const result = await scoreRelevancy(narrative, summary, caseId || '');
+        const result = await scoreRelevancy(narrative, summary, caseId || '', { provider });
         res.json(result);
     } catch (err) {
         console.error('Score error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
 // ──────────────────────── AI Chat Follow-up ────────────────────────
 
+/**
+ * POST /api/chat/message
+ * Body: { message: string, matterId?: string, provider?: string }
+ * Follow-up questions about the last analysis, or about a matter's summarized cases.
+ * Without `provider`, answers come from the provider the analysis ran on.
+ */
 app.post('/api/chat/message', async (req, res) => {
     try {
-        const { message } = req.body;
+        const { message, matterId, provider } = req.body;
         if (!message) return res.status(400).json({ error: 'message is required' });
-        if (!cachedSummaries) return res.status(400).json({ error: 'Run analysis first' });
 
-        const response = await chat(cachedSummaries, chatHistory, message);
-        chatHistory.push({ role: 'user', content: message });
-        chatHistory.push({ role: 'assistant', content: response });
+        const session = matterId ? getMatterChat(matterId) : { summaries: cachedSummaries, history: chatHistory, provider: chatProvider };
+        if (!session.summaries || Object.keys(session.summaries).length === 0) {
+            return res.status(400).json({ error: matterId ? 'No summarized cases in this matter — analyze it first' : 'Run analysis first' });
+        }
+
+        const response = await chat(session.summaries, session.history, message, { provider: provider || session.provider });
+        session.history.push({ role: 'user', content: message });
+        session.history.push({ role: 'assistant', content: response });
         res.json({ type: 'chat', data: response });
     } catch (err) {
         console.error('Chat error:', err.message);
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── Summary store ────────────────────────
+
+/**
+ * GET /api/summaries
+ * Counts of stored case summaries and relevance notes, by kind and model.
+ */
+app.get('/api/summaries', (req, res) => {
+    res.json({ ...summaryStats(), promptVersions: PROMPT_VERSIONS });
+});
+
+/**
+ * GET /api/summaries/:caseId
+ * A case's stored summaries and relevance notes with their provenance.
+ */
+app.get('/api/summaries/:caseId', (req, res) => {
+    res.json({ caseId: req.params.caseId, entries: listSummaries(req.params.caseId) });
+});
+
+/**
+ * POST /api/summaries/clear
+ * Body: { caseIds?: string | string[], matterId?, kind?: 'generic'|'relevance', provider?, model?, stale?, all? }
+ *
+ * Removes stored entries so they are written again. Filters combine; with `matterId`,
+ * the matter's cases (and, with kind 'relevance', only notes for its current narrative),
+ * and the summaries kept with the matter are dropped too.
+ */
+app.post('/api/summaries/clear', (req, res) => {
+    try {
+        const { caseIds, matterId, kind, provider, model, stale = false, all = false } = req.body || {};
+        const matter = matterId ? getMatter(matterId) : null;
+        // A matter without cases selects nothing (not every stored case)
+        if (matter && Object.keys(matter.cases).length === 0) return res.json({ cases: 0, removed: 0 });
+        const result = clearSummaries({
+            caseIds: matter ? Object.keys(matter.cases) : caseIds,
+            kind,
+            provider,
+            model,
+            fingerprint: matter && kind === 'relevance' ? narrativeFingerprint(matter.keywords, matter.narrative) : undefined,
+            stale: Boolean(stale),
+            all: Boolean(all)
+        });
+        if (matter) {
+            forgetSummaries(matter.id, null, kind);
+            matterChats.delete(matter.id);
+        }
+        res.json(result);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── Research matters ────────────────────────
+
+/**
+ * GET /api/matters
+ * All matters with case counts per tag.
+ */
+app.get('/api/matters', (req, res) => {
+    res.json(listMatters());
+});
+
+/**
+ * POST /api/matters
+ * Body: { name, narrative?, keywords?, filters? }
+ */
+app.post('/api/matters', (req, res) => {
+    try {
+        res.status(201).json(createMatter(req.body || {}));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * GET /api/matters/:id
+ * The matter with its cases, tags, notes, summaries and last analysis.
+ */
+app.get('/api/matters/:id', (req, res) => {
+    try {
+        res.json(getMatter(req.params.id));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * PATCH /api/matters/:id
+ * Body: { name?, narrative?, keywords?, filters? }
+ * Changing the narrative or keywords clears the matter's stored summaries.
+ */
+app.patch('/api/matters/:id', (req, res) => {
+    try {
+        const matter = updateMatter(req.params.id, req.body || {});
+        matterChats.delete(matter.id);
+        res.json(matter);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.delete('/api/matters/:id', (req, res) => {
+    try {
+        const result = deleteMatter(req.params.id);
+        matterChats.delete(result.id);
+        res.json(result);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /api/matters/:id/notes
+ * Body: { text }
+ */
+app.post('/api/matters/:id/notes', (req, res) => {
+    try {
+        res.status(201).json(addNote(req.params.id, req.body?.text));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /api/matters/:id/cases
+ * Body: { caseIds: string[], tags?: string[], note?: string }
+ * Tags are 'supports', 'adverse' and 'to-read'.
+ */
+app.post('/api/matters/:id/cases', (req, res) => {
+    try {
+        const { caseIds = [], tags = [], note = '' } = req.body || {};
+        if (!Array.isArray(caseIds) || caseIds.length === 0) return res.status(400).json({ error: 'caseIds is required' });
+        const { matter, added } = addCases(req.params.id, caseIds, { tags, note });
+        matterChats.delete(matter.id);
+        res.json({ added, matter });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * PATCH /api/matters/:id/cases/:caseId
+ * Body: { tags?: string[], addTags?: string[], removeTags?: string[], note?: string }
+ */
+app.patch('/api/matters/:id/cases/:caseId', (req, res) => {
+    try {
+        const matter = updateCase(req.params.id, req.params.caseId, req.body || {});
+        matterChats.delete(matter.id);
+        res.json(matter.cases[req.params.caseId]);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+app.delete('/api/matters/:id/cases/:caseId', (req, res) => {
+    try {
+        const matter = removeCase(req.params.id, req.params.caseId);
+        matterChats.delete(matter.id);
+        res.json({ removed: req.params.caseId, caseCount: Object.keys(matter.cases).length });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── Export ────────────────────────
+
+/**
+ * POST /api/export
+ * Body: { format?: 'docx' | 'md' | 'html', matterId?, analysis?: { keywords, context, filters, result }, title? }
+ *
+ * Renders a research memo (cover page, ranked authorities, case summaries,
+ * recommendation) as a file download. Exports the matter's last analysis
+ * with `matterId`, the given `analysis` (e.g. the `data` of /api/analyze's
+ * done event), or else the last analysis run outside a matter.
+ */
+app.post('/api/export', async (req, res) => {
+    try {
+        const { format = 'docx', matterId, analysis, title } = req.body;
+        const catalog = await getFilterCatalog();
+        let memo;
+        if (matterId) {
+            memo = buildMatterMemo(getMatter(matterId), { title, catalog });
+        } else {
+            // A bare analyze result ({rankings, recommendation}) is accepted too
+            const source = analysis?.rankings ? { result: analysis } : analysis || lastAnalysis;
+            memo = buildMemo(source || {}, { title, catalog });
+        }
+
+        const file = renderMemo(memo, format);
+        console.log(`📝 Exported memo (${file.format}, ${memo.authorities.length} case(s))`);
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.content);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /api/bundle
+ * Body: { caseIds?: string[], matterId?, analysis?, top?, title?, dividers? }
+ *
+ * Compiles judgments into one PDF (cover, linked index, bookmarks,
+ * continuous page numbers) as a file download. Bundles `caseIds` in the
+ * given order, or else the `top` cases of the matter's last analysis, of
+ * `analysis`, or of the last analysis run outside a matter.
+ * Cases that could not be added are listed in the X-Bundle-Failed header.
+ */
+app.post('/api/bundle', async (req, res) => {
+    try {
+        const { caseIds, matterId, analysis, top = DEFAULT_TOP, title, dividers = false } = req.body;
+        const matter = matterId ? getMatter(matterId) : null;
+        let ids = Array.isArray(caseIds) ? caseIds : [];
+        if (ids.length === 0) ids = topCaseIds(matter ? matter.lastAnalysis : analysis || lastAnalysis, top);
+
+        const bundle = await buildBundle(ids, { title, subtitle: matter?.name, dividers });
+        const filename = `bundle-${matter?.id || `${bundle.entries.length}-cases`}-${new Date().toISOString().slice(0, 10)}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (bundle.failed.length) res.setHeader('X-Bundle-Failed', bundle.failed.map(f => f.id).join(','));
+        res.send(bundle.buffer);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── Centax account pool ────────────────────────
+
+/**
+ * GET /api/accounts
+ * Returns per-account usage and cooldown state for the Centax session pool.
+ */
+app.get('/api/accounts', (req, res) => {
+    res.json(getPoolStats());
+});
+
+/**
+ * GET /api/scheduler
+ * Returns queue depth, current rate and counters for the shared Centax request scheduler.
+ */
+app.get('/api/scheduler', (req, res) => {
+    res.json(getSchedulerStats());
+});
+
+// ──────────────────────── Session state ────────────────────────
+
+/**
+ * GET /api/session
+ * Latest keepalive state for each Centax account.
+ */
+app.get('/api/session', (req, res) => {
+    res.json(getSessionStates());
+});
+
+/**
+ * GET /api/session/events
+ * Server-sent events: the current states, then every state change
+ * (active, expiring, reauthenticating, locked_out).
+ */
+app.get('/api/session/events', (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const push = (entry) => res.write(`event: state\ndata: ${JSON.stringify(entry)}\n\n`);
+    getSessionStates().forEach(push);
+    sessionEvents.on('state', push);
+    req.on('close', () => sessionEvents.off('state', push));
+});
+
+/**
+ * POST /api/logout
+ * Body: { all?: boolean }
+ * Wipes cached Centax sessions. With `all`, destroys the vault and stored credentials too.
+ */
+app.post('/api/logout', async (req, res) => {
+    try {
+        const result = await logout({ all: Boolean(req.body?.all) });
+        console.log(`🔒 Logged out (${result.sessionsCleared} session(s) cleared${result.vaultDestroyed ? ', vault destroyed' : ''})`);
+        res.json(result);
+    } catch (err) {
+        console.error('Logout error:', err.message);
+        sendError(res, err);
     }
 });
 
@@ -438,16 +931,39 @@ app.post('/api/chat/message', async (req, res) => {
 
 app.get('/api/files', (req, res) => {
     try {
-        const files = fs.readdirSync(DOWNLOADS_DIR)
-            .filter(f => f.endsWith('.pdf'))
-            .map(f => {
-                const stats = fs.statSync(path.join(DOWNLOADS_DIR, f));
-                const idMatch = f.match(/Case_(\d+)_/);
-                return { filename: f, id: idMatch?.[1], size: stats.size };
-            });
+        const files = library.listCases({ withPdf: true }).map(r => {
+            const pdfPath = library.findPdf(r.id);
+            return {
+                filename: path.basename(pdfPath),
+                id: r.id,
+                size: fs.statSync(pdfPath).size,
+                title: r.metadata?.title || '',
+                citation: r.metadata?.citation || '',
+                fetchedAt: r.fetchedAt,
+                pdfSavedAt: r.pdfSavedAt
+            };
+        });
         res.json(files);
-    } catch {
-        res.json([]);
+    } catch (err) {
+        console.error('Files error:', err.message);
+        sendError(res, err);
+    }
+});
+
+// ──────────────────────── Local library search ────────────────────────
+
+/**
+ * GET /api/library/search?q=...&limit=20
+ * Full-text (BM25) search over cases already held locally. `q` supports
+ * "quoted phrases" and -excluded words; snippets highlight matches with <mark>.
+ */
+app.get('/api/library/search', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json(searchLibrary(req.query.q || '', { limit, highlight: 'html' }));
+    } catch (err) {
+        console.error('Library search error:', err.message);
+        sendError(res, err);
     }
 });
 
@@ -459,4 +975,5 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
     console.log(`\n🚀 WorkflowIQ Casebot running at http://localhost:${PORT}\n`);
+    startSessionMonitor();
 });
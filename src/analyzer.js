@@ -1,37 +1,300 @@
-const OpenAI = require('openai');
-const fs = require('fs');
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-const SUMMARIES_FILE = path.join(__dirname, '..', 'downloads', 'summaries.json');
+const { complete, resolveTask } = require('./llm');
+const { SUMMARY_CHUNK_CHARS, LLM_REPAIR_ATTEMPTS, RANK_BATCH_SIZE, RANK_CONCURRENCY, RANK_ANCHORS } = require('./config');
+const { LlmOutputError } = require('./errors');
+const { validateSchema, parseJsonReply } = require('./json_schema');
+const { getFilterCatalog, describeCatalogForPrompt, sanitizeSuggestions, FACETS } = require('./filters');
+const { describeMetadata } = require('./case_metadata');
+const { getSummary, putSummary, narrativeFingerprint, textHash } = require('./summaries');
+
+// Parts of a long judgment extracted at once, per case
+const CHUNK_CONCURRENCY = 3;
+
+const CATEGORIES = ['Direct', 'Strong', 'Moderate', 'Weak', 'Not Relevant', 'Adverse'];
+
+const SCORE = { type: 'integer', minimum: 0, maximum: 100 };
+
+// What the model writes about each case it scores, and the prompt's description of each field
+const ANALYSIS_FIELDS = {
+    issue_alignment: 'assessment of legal issue overlap',
+    factual_alignment: 'assessment of factual similarity',
+    statutory_alignment: 'assessment of statutory similarity',
+    distinguishing_factors: 'key factors that distinguish or limit the case',
+    support_rationale: 'why this case supports, partially supports, or does not support the narrative'
+};
+
+// JSON replies, checked by completeJson. Every field is required; strictSchema()
+// drops the range and length limits for the providers but they are checked here.
+const ANALYSIS = {
+    type: 'object',
+    properties: Object.fromEntries(Object.keys(ANALYSIS_FIELDS).map(field => [field, { type: 'string', minLength: 1 }])),
+    required: Object.keys(ANALYSIS_FIELDS)
+};
+
+const SCORE_SCHEMA = {
+    name: 'relevancy_score',
+    schema: {
+        type: 'object',
+        properties: {
+            score: SCORE,
+            category: { type: 'string', enum: CATEGORIES },
+            analysis: ANALYSIS
+        },
+        required: ['score', 'category', 'analysis']
+    }
+};
+
+// One batch of cases scored by rankByRelevance
+const BATCH_SCORES_SCHEMA = {
+    name: 'case_scores',
+    schema: {
+        type: 'object',
+        properties: {
+            scores: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        score: SCORE,
+                        category: { type: 'string', enum: CATEGORIES },
+                        analysis: ANALYSIS
+                    },
+                    required: ['id', 'score', 'category', 'analysis']
+                }
+            }
+        },
+        required: ['scores']
+    }
+};
+
+const KEYWORDS_SCHEMA = {
+    name: 'search_keywords',
+    schema: {
+        type: 'object',
+        properties: {
+            keywordList: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 8 }
+        },
+        required: ['keywordList']
+    }
+};
+
+// Facets may be left out here; strict providers are sent them all and fill in []
+const FILTERS_SCHEMA = {
+    name: 'filter_suggestions',
+    schema: {
+        type: 'object',
+        properties: {
+            suggested_filters: {
+                type: 'object',
+                properties: Object.fromEntries(Object.keys(FACETS).map(facet => [facet, { type: 'array', items: { type: 'string' } }]))
+            }
+        },
+        required: ['suggested_filters']
+    }
+};
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+/**
+ * Run a completion whose reply must be JSON matching `format.schema`
+ *
+ * A reply that does not parse, breaks the schema or fails `format.check` is
+ * sent back to the model with the problems listed, up to LLM_REPAIR_ATTEMPTS
+ * times.
+ *
+ * @param {string} task - LLM task (see llm.js)
+ * @param {Array<{role, content}>} messages
+ * @param {object} format
+ * @param {{name: string, schema: object}} format.schema
+ * @param {function(*): string[]} format.check - Further problems with a schema-valid reply
+ * @param {object} options - Passed to complete() (provider)
+ * @returns {Promise<*>} The parsed reply
+ * @throws {LlmOutputError} If no valid reply came back
+ */
+async function completeJson(task, messages, { schema, check }, options = {}) {
+    let conversation = messages;
+    let errors = [];
+    let content = '';
+    for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+        ({ content } = await complete(task, conversation, { ...options, schema }));
+        const parsed = parseJsonReply(content);
+        errors = parsed.error ? [parsed.error] : validateSchema(schema.schema, parsed.value);
+        if (errors.length === 0 && check) errors = check(parsed.value);
+        if (errors.length === 0) return parsed.value;
+
+        if (attempt < LLM_REPAIR_ATTEMPTS) {
+            console.log(`⚠️  ${task} reply broke its format (${errors.length} problem${errors.length === 1 ? '' : 's'}), asking for a correction`);
+            conversation = [
+                ...messages,
+                { role: 'assistant', content },
+                {
+                    role: 'user',
+                    content: `Your reply did not match the required format:\n${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\n\nReply again with the complete corrected JSON object only.`
+                }
+            ];
+        }
+    }
+    throw new LlmOutputError(`The ${task} reply was not valid after ${LLM_REPAIR_ATTEMPTS + 1} attempt(s): ${errors[0]}`, {
+        task,
+        details: { errors, reply: content.slice(0, 2000) }
+    });
+}
+
+// Changing the summary or relevance prompt? Bump PROMPT_VERSIONS in summaries.js
+const SUMMARY_SYSTEM_PROMPT = `You are a senior Indian legal analyst specializing in tax and commercial litigation. You must remain neutral, objective, and precise. Do not assume facts not present in the judgment. Do not exaggerate the ratio. Focus strictly on the legal substance.`;
 
 /**
- * Summarize a single case using OpenAI
+ * Split a judgment into parts of at most `size` characters on block (paragraph)
+ * boundaries, starting a new part at a section heading once the current one is
+ * half full. A single block longer than `size` is split between sentences.
+ *
+ * @param {string} text - Judgment text, blocks separated by blank lines (judgmentToText)
+ * @param {number} size
+ * @returns {Array<{text: string, start: number, end: number, paras: number[]}>}
+ *          Character range in `text` and the paragraph numbers each part starts
  */
-async function summarizeCase(text, filename, keywords = '', context = '') {
-    // Truncate very long texts to avoid token limits (keep first ~12K chars)
-    const truncated = text.length > 12000 ? text.substring(0, 12000) + '\n...[truncated]' : text;
-
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-            {
-                role: 'system',
-                content: `You are a senior Indian legal analyst specializing in tax and commercial litigation. You must remain neutral, objective, and precise. Do not assume facts not present in the judgment. Do not exaggerate the ratio. Focus strictly on the legal substance.`
-            },
-            {
-                role: 'user',
-                content: `Input Provided:
-- Keywords: ${keywords}
-- Research Narrative / Context: ${context}
-- Case Text: ${truncated}
+function splitJudgment(text, size = SUMMARY_CHUNK_CHARS) {
+    const separator = /\n\s*\n/.test(text) ? /\n\s*\n/g : /\n/g;
+    const blocks = [];
+    let from = 0;
+    for (const match of [...text.matchAll(separator), { index: text.length, 0: '' }]) {
+        if (match.index > from) blocks.push({ start: from, end: match.index });
+        from = match.index + match[0].length;
+    }
+
+    // Oversized blocks: cut at the last sentence end before the limit
+    const pieces = [];
+    for (const block of blocks) {
+        let start = block.start;
+        while (block.end - start > size) {
+            const window = text.slice(start, start + size);
+            const cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'));
+            const end = start + (cut > size / 2 ? cut + 1 : size);
+            pieces.push({ start, end, continued: start > block.start });
+            start = end;
+        }
+        pieces.push({ start, end: block.end, continued: start > block.start });
+    }
+
+    const isHeading = piece => {
+        const line = text.slice(piece.start, piece.end).trim();
+        return line.length < 80 && /[A-Z]/.test(line) && line === line.toUpperCase();
+    };
+    const parts = [];
+    let current = null;
+    let lastPara = null;
+    for (const piece of pieces) {
+        const full = current && piece.end - current.start > size;
+        const sectionBreak = current && isHeading(piece) && current.end - current.start > size / 2;
+        if (!current || full || sectionBreak) {
+            // A part starting mid-paragraph is labelled with that paragraph
+            current = { start: piece.start, end: piece.end, paras: piece.continued && lastPara ? [lastPara] : [] };
+            parts.push(current);
+        }
+        current.end = piece.end;
+        const para = text.slice(piece.start, piece.start + 8).match(/^\s*(\d+)\.\s/);
+        if (para) {
+            lastPara = Number(para[1]);
+            if (current.paras[current.paras.length - 1] !== lastPara) current.paras.push(lastPara);
+        }
+    }
+    return parts.map(p => ({ ...p, text: text.slice(p.start, p.end) }));
+}
+
+function describeParas(paras) {
+    if (paras.length === 0) return '';
+    return paras.length === 1 ? `, para ${paras[0]}` : `, paras ${paras[0]}–${paras[paras.length - 1]}`;
+}
+
+/**
+ * Notes from one part of a long judgment (the "map" step)
+ */
+async function extractPart(part, index, count, filename, options) {
+    const { content } = await complete('extract', [
+        {
+            role: 'system',
+            content: `${SUMMARY_SYSTEM_PROMPT}
+
+You are reading one part of a longer judgment. Take extraction notes from this part only; another step combines the notes of all parts into the summary.`
+        },
+        {
+            role: 'user',
+            content: `Judgment: ${filename}
+Part ${index + 1} of ${count}${describeParas(part.paras)}
+
+From this part, note briefly under these headings:
+- Case Name, Citation, Court and Date (only if stated here)
+- Legal Issue(s) framed
+- Facts
+- Arguments of the parties
+- Findings, Decision / Held and Orders
+- Legal Principles laid down
+
+Cite paragraph numbers as "(para 12)". Write "None in this part" under a heading with nothing. Do not exceed 250 words.
+
+Part Text:
+${part.text}`
+        }
+    ], options);
+    return content;
+}
+
+/**
+ * Summarize a single case, independently of any research narrative
+ *
+ * A judgment that fits in one part is summarized in one call. A longer one is
+ * split on paragraph and section boundaries, each part is reduced to notes, and
+ * the notes are combined into the summary, so the decision at the end of a long
+ * judgment is not lost. If some parts fail, the summary is written from the rest
+ * and the coverage says so.
+ *
+ * @param {object} options
+ * @param {string} options.provider - LLM provider (default: from config)
+ * @returns {Promise<{summary: string, coverage: {method: string, parts: number, failedParts: number[],
+ *          chars: number, coveredChars: number, ratio: number}}>}
+ */
+async function summarizeCase(text, filename, options = {}) {
+    const parts = splitJudgment(text);
+    let body = text;
+    let label = 'Case Text';
+    const failedParts = [];
+
+    if (parts.length > 1) {
+        const notes = new Array(parts.length).fill(null);
+        let firstError = null;
+        for (let i = 0; i < parts.length; i += CHUNK_CONCURRENCY) {
+            const batch = parts.slice(i, i + CHUNK_CONCURRENCY);
+            const results = await Promise.allSettled(batch.map((part, j) => extractPart(part, i + j, parts.length, filename, options)));
+            results.forEach((result, j) => {
+                if (result.status === 'fulfilled') notes[i + j] = result.value;
+                else {
+                    failedParts.push(i + j + 1);
+                    firstError = firstError || result.reason;
+                }
+            });
+        }
+        if (failedParts.length === parts.length) throw firstError;
+
+        body = notes
+            .map((note, i) => `[Part ${i + 1} of ${parts.length}${describeParas(parts[i].paras)}]\n${note ?? '(this part could not be read)'}`)
+            .join('\n\n');
+        label = `Case Notes (taken in order from all ${parts.length} parts of the judgment; the decision is usually in the last parts)`;
+    }
+
+    const { content } = await complete('summarize', [
+        {
+            role: 'system',
+            content: SUMMARY_SYSTEM_PROMPT
+        },
+        {
+            role: 'user',
+            content: `Input Provided:
+- ${label}: ${body}
 
 Task:
 - Carefully read the full judgment text.
-- Identify whether the case meaningfully relates to the keywords and research narrative.
-- If relevant, summarize the case in EXACTLY 150–200 words in the following format:
+- Summarize the case in EXACTLY 150–200 words in the following format:
 
 Required Output Format:
 - Case Name and Citation
@@ -41,120 +304,189 @@ Required Output Format:
 - Decision / Held
 - Key Legal Principle Established
 
-Be precise and factual. Focus on ratio decidendi, not obiter. Avoid commentary or personal opinions. If the case is not materially relevant, state:
-"After review, this judgment is not materially relevant to the provided research narrative."`
-            }
-        ],
-        temperature: 0.2,
-        max_tokens: 500
-    });
+Paragraphs in the case text are numbered ("12. ..."). When stating the decision or principle, cite the paragraph it comes from as "(para 12)".
 
-    return response.choices[0].message.content;
+Be precise and factual. Focus on ratio decidendi, not obiter. Avoid commentary or personal opinions.`
+        }
+    ], options);
+
+    const coveredChars = parts
+        .filter((part, i) => !failedParts.includes(i + 1))
+        .reduce((sum, part) => sum + part.end - part.start, 0);
+    const chars = parts.reduce((sum, part) => sum + part.end - part.start, 0);
+    return {
+        summary: content,
+        coverage: {
+            method: parts.length > 1 ? 'map-reduce' : 'single',
+            parts: parts.length,
+            failedParts,
+            chars,
+            coveredChars,
+            ratio: chars ? Math.round((coveredChars / chars) * 1000) / 1000 : 1
+        }
+    };
 }
 
 /**
- * Load cached summaries from disk
+ * How a case bears on a research narrative, from its generic summary
+ *
+ * @returns {Promise<string>}
  */
-function loadSummaries() {
-    try {
-        if (fs.existsSync(SUMMARIES_FILE)) {
-            return JSON.parse(fs.readFileSync(SUMMARIES_FILE, 'utf-8'));
+async function writeRelevanceNote(summary, keywords = '', context = '', options = {}) {
+    const { content } = await complete('relevance', [
+        {
+            role: 'system',
+            content: SUMMARY_SYSTEM_PROMPT
+        },
+        {
+            role: 'user',
+            content: `Input Provided:
+- Keywords: ${keywords}
+- Research Narrative / Context: ${context}
+- Case Summary: ${summary}
+
+Task:
+Write the relevance note: in 40–80 words, state whether this judgment meaningfully relates to the keywords and research narrative, which of its issues or principles overlap, and any facts that distinguish it. Cite paragraphs as "(para 12)" where the summary gives them.
+
+If the case is not materially relevant, state:
+"After review, this judgment is not materially relevant to the provided research narrative."`
         }
-    } catch { /* ignore */ }
-    return {};
+    ], options);
+    return content;
 }
 
-/**
- * Save summaries cache to disk
- */
-function saveSummaries(summaries) {
-    fs.writeFileSync(SUMMARIES_FILE, JSON.stringify(summaries, null, 2));
+function provenance(entry) {
+    return entry && { provider: entry.provider, model: entry.model, promptVersion: entry.promptVersion, createdAt: entry.createdAt };
 }
 
 /**
- * Summarize all cases, using cache where available
+ * Summarize all cases, reusing stored summaries where they still match
+ *
+ * Each case gets a generic summary, shared by every matter, and, when keywords or
+ * a context are given, a relevance note for that narrative. Both are kept in the
+ * summary store (summaries.js) and reused only for the same prompt version,
+ * model, case text and (notes) narrative.
  *
  * @param {Array<{filename, id, text}>} cases - Extracted PDF texts
  * @param {string} keywords - Search keywords for relevance filtering
  * @param {string} context - User's research narrative/context
- * @returns {Object} Map of id -> {filename, summary}
+ * @param {object} options
+ * @param {{save: Function}} options.store - Also hand the results to this store
+ *        (matters.summaryStore(id) keeps a matter's summaries with the matter)
+ * @param {string} options.provider - LLM provider (default: from config)
+ * @returns {Object} Map of id -> {filename, summary, coverage, relevanceNote, provenance: {summary, relevanceNote}}
+ *          for the cases that could be summarized
  */
-async function summarizeAll(cases, keywords = '', context = '') {
-    const cached = loadSummaries();
+async function summarizeAll(cases, keywords = '', context = '', options = {}) {
+    const llm = { provider: options.provider };
+    const summaryModel = resolveTask('summarize', llm);
+    const noteModel = resolveTask('relevance', llm);
+    const fingerprint = narrativeFingerprint(keywords, context);
     const BATCH_SIZE = 5;
 
-    // Filter out already-cached cases
-    const uncached = cases.filter(c => {
-        if (cached[c.id]) {
+    const results = {};
+    const toResult = (c, generic, note) => ({
+        filename: c.filename,
+        summary: generic.text,
+        coverage: generic.coverage,
+        relevanceNote: note?.text || null,
+        provenance: { summary: provenance(generic), relevanceNote: provenance(note) }
+    });
+
+    // Look up what is already stored
+    const pending = [];
+    for (const c of cases) {
+        const hashOfText = textHash(c.text);
+        const generic = getSummary(c.id, { kind: 'generic', provider: summaryModel.provider, model: summaryModel.model, textHash: hashOfText });
+        const note = fingerprint
+            ? getSummary(c.id, { kind: 'relevance', provider: noteModel.provider, model: noteModel.model, fingerprint, textHash: hashOfText })
+            : null;
+        if (generic && (!fingerprint || note)) {
+            results[c.id] = toResult(c, generic, note);
             console.log(`  ⏭️  ${c.filename} (cached)`);
-            return false;
+        } else {
+            pending.push({ c, hashOfText, generic });
         }
-        return true;
-    });
+    }
 
-    if (uncached.length === 0) {
+    if (pending.length === 0) {
         console.log('\n✅ All summaries cached, nothing new to generate.\n');
-        return cached;
+        options.store?.save(results);
+        return results;
     }
 
-    console.log(`🧠 Summarizing ${uncached.length} cases via OpenAI (${BATCH_SIZE} in parallel)...\n`);
+    const reused = pending.filter(p => p.generic).length;
+    console.log(`🧠 Summarizing ${pending.length} cases via ${summaryModel.provider} (${summaryModel.model}, ${BATCH_SIZE} in parallel)${reused ? `, ${reused} only need a relevance note` : ''}...\n`);
     let completed = 0;
 
     // Process in batches of BATCH_SIZE
-    for (let i = 0; i < uncached.length; i += BATCH_SIZE) {
-        const batch = uncached.slice(i, i + BATCH_SIZE);
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
         const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-        const totalBatches = Math.ceil(uncached.length / BATCH_SIZE);
+        const totalBatches = Math.ceil(pending.length / BATCH_SIZE);
         console.log(`  📦 Batch ${batchNum}/${totalBatches} (${batch.length} cases)...`);
 
-        const results = await Promise.allSettled(
-            batch.map(c => summarizeCase(c.text, c.filename, keywords, context))
-        );
+        const settled = await Promise.allSettled(batch.map(async ({ c, hashOfText, generic }) => {
+            if (!generic) {
+                const { summary, coverage } = await summarizeCase(c.text, c.filename, llm);
+                generic = putSummary(c.id, { kind: 'generic', provider: summaryModel.provider, model: summaryModel.model, textHash: hashOfText, text: summary, coverage });
+            }
+            const note = fingerprint
+                ? putSummary(c.id, {
+                    kind: 'relevance',
+                    provider: noteModel.provider,
+                    model: noteModel.model,
+                    fingerprint,
+                    textHash: hashOfText,
+                    text: await writeRelevanceNote(generic.text, keywords, context, llm)
+                })
+                : null;
+            return toResult(c, generic, note);
+        }));
 
         // Process results
-        results.forEach((result, j) => {
-            const c = batch[j];
+        settled.forEach((result, j) => {
+            const { c } = batch[j];
             if (result.status === 'fulfilled') {
-                cached[c.id] = { filename: c.filename, summary: result.value };
+                results[c.id] = result.value;
                 completed++;
-                console.log(`    ✅ ${c.filename}`);
+                const { coverage } = result.value;
+                const parts = coverage?.parts > 1 ? ` (${coverage.parts} parts, ${Math.round(coverage.ratio * 100)}% read)` : '';
+                console.log(`    ✅ ${c.filename}${parts}`);
             } else {
                 console.log(`    ❌ ${c.filename}: ${result.reason?.message || 'Unknown error'}`);
             }
         });
 
-        // Save cache after each batch
-        saveSummaries(cached);
+        options.store?.save(results);
 
         // Brief pause between batches to be respectful to rate limits
-        if (i + BATCH_SIZE < uncached.length) {
+        if (i + BATCH_SIZE < pending.length) {
             await new Promise(r => setTimeout(r, 200));
         }
     }
 
-    console.log(`\n✅ Summaries ready: ${Object.keys(cached).length} total (${completed} new)\n`);
-    return cached;
+    console.log(`\n✅ Summaries ready: ${Object.keys(results).length} total (${completed} new)\n`);
+    return results;
 }
 
 /**
- * Rank cases by relevance to user's described situation
- *
- * @param {Object} summaries - Map of id -> {filename, summary}
- * @param {string} userContext - User's case description
- * @returns {Array<{id, filename, score, reason}>} Ranked results
+ * The relevance note for the current narrative, and the researcher's own tags and
+ * notes on a case (matters only), as prompt lines
  */
-async function rankByRelevance(summaries, userContext, customSystemPrompt = null) {
-    const ids = Object.keys(summaries);
-
-    // Build the summaries block
-    const summaryBlock = ids.map((id, i) => {
-        const s = summaries[id];
-        return `[Case ${i + 1}] ID: ${id}\nFile: ${s.filename}\n${s.summary}`;
-    }).join('\n\n---\n\n');
+function describeAnnotations(s) {
+    let out = '';
+    if (s.relevanceNote) out += `\nRelevance to the narrative: ${s.relevanceNote}`;
+    if (s.tags?.length) out += `\nResearcher tags: ${s.tags.join(', ')}`;
+    if (s.notes?.length) out += `\nResearcher notes: ${s.notes.join(' / ')}`;
+    return out;
+}
 
-    const DEFAULT_SYSTEM_PROMPT = `You are acting as an impartial constitutional court evaluating whether a precedent meaningfully supports a legal argument. You must be neutral, analytical, and independent. Do not favour the narrative. Assess legal alignment objectively.
+// The judicial evaluation behind both scoreRelevancy and rankByRelevance; a custom
+// ranking prompt replaces it, and the reply format is always added after it
+const SCORING_PROMPT = `You are acting as an impartial constitutional court evaluating whether a precedent meaningfully supports a legal argument. You must be neutral, analytical, and independent. Do not favour the narrative. Assess legal alignment objectively.
 
-You will receive a Research Narrative and multiple Case Summaries. For EACH case, perform the following analysis:
+You will receive a Research Narrative and one or more Case Summaries. For EACH case, perform the following analysis:
 - Compare the legal issues in the case summary with the research narrative.
 - Identify:
   - Legal issue overlap
@@ -173,50 +505,306 @@ You will receive a Research Narrative and multiple Case Summaries. For EACH case
   - 30–49: Weak support
   - 0–29: Not relevant or adverse
 
-Respond in this exact JSON format (no markdown, just raw JSON):
+Be analytical. If adverse, clearly explain why. Do not inflate scores.`;
+
+// Score range each category stands for
+const CATEGORY_BANDS = {
+    Direct: [90, 100],
+    Strong: [70, 89],
+    Moderate: [50, 69],
+    Weak: [30, 49],
+    'Not Relevant': [0, 29],
+    Adverse: [0, 29]
+};
+
+// Cases (besides any adverse ones) the recommendation is written from
+const RECOMMEND_TOP = 10;
+
+// Most a batch's scale may be stretched or squeezed to match the reference batch
+const MAX_CALIBRATION_SLOPE = 2;
+
+/**
+ * The "analysis" object of a reply format, indented to sit `indent` spaces in
+ */
+function analysisFormat(indent) {
+    const pad = ' '.repeat(indent);
+    const fields = Object.entries(ANALYSIS_FIELDS).map(([field, description]) => `${pad}  "${field}": "<${description}>"`);
+    return `{\n${fields.join(',\n')}\n${pad}}`;
+}
+
+/**
+ * Clamp a score into the band of the category the model gave it
+ *
+ * This settles a score that disagrees with its own category (e.g. 95 but
+ * "Moderate" becomes 69) before the batch's scores are calibrated.
+ */
+function clampToCategory(score, category) {
+    const [low, high] = CATEGORY_BANDS[category];
+    return Math.min(high, Math.max(low, score));
+}
+
+/**
+ * The calibration anchors: the highest- and lowest-scored cases of the
+ * reference batch, and for more than two, cases evenly spaced between them
+ *
+ * @param {Array<{id, case_number, score}>} scored - The reference batch's rankings
+ * @param {number} count
+ * @returns {Array<{id, number, score}>}
+ */
+function pickAnchors(scored, count) {
+    const byScore = [...scored].sort(compareRankings);
+    if (count === 0 || byScore.length === 0) return [];
+    const last = byScore.length - 1;
+    const picks = count === 1 ? [0] : Array.from({ length: count }, (_, i) => Math.round(i * last / (count - 1)));
+    return [...new Set(picks)].map(i => ({ id: byScore[i].id, number: byScore[i].case_number, score: byScore[i].score }));
+}
+
+/**
+ * Map scores from one batch onto the reference batch's scale, from the scores
+ * that batch gave the anchors: a least-squares line through the
+ * (batch score, reference score) pairs, or a plain shift when the batch gave
+ * every anchor the same score. Without anchors scores are kept as they are.
+ *
+ * @param {Array<{batch: number, reference: number}>} pairs
+ * @returns {function(number): number}
+ */
+function calibration(pairs) {
+    if (pairs.length === 0) return score => score;
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const batchMean = mean(pairs.map(p => p.batch));
+    const referenceMean = mean(pairs.map(p => p.reference));
+    const spread = pairs.reduce((sum, p) => sum + (p.batch - batchMean) ** 2, 0);
+    const covariance = pairs.reduce((sum, p) => sum + (p.batch - batchMean) * (p.reference - referenceMean), 0);
+    const slope = spread
+        ? Math.min(MAX_CALIBRATION_SLOPE, Math.max(1 / MAX_CALIBRATION_SLOPE, covariance / spread))
+        : 1;
+    return score => Math.round(Math.min(100, Math.max(0, referenceMean + slope * (score - batchMean))));
+}
+
+// Highest score first; then by category (Not Relevant above Adverse), then input order
+function compareRankings(a, b) {
+    return b.score - a.score
+        || CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category)
+        || a.case_number - b.case_number;
+}
+
+/**
+ * Score one batch of cases against the narrative
+ *
+ * @param {Array<{id, number}>} batch - Case IDs and their 1-based position in the full set
+ * @param {Object} summaries - Map of id -> {filename, summary, metadata?, tags?, notes?, relevanceNote?}
+ * @param {string} userContext
+ * @param {string} instructions - Scoring prompt (SCORING_PROMPT or a custom one)
+ * @param {object} options - Passed to complete() (provider)
+ * @returns {Promise<Array<{id, score, category, analysis}>>} One entry per case in the batch
+ */
+async function scoreBatch(batch, summaries, userContext, instructions, options) {
+    const ids = batch.map(c => c.id);
+    const summaryBlock = batch.map(({ id, number }) => {
+        const s = summaries[id];
+        const details = s.metadata ? `\nDetails: ${describeMetadata(s.metadata)}` : '';
+        return `[Case ${number}] ID: ${id}\nFile: ${s.filename}${details}${describeAnnotations(s)}\n${s.summary}`;
+    }).join('\n\n---\n\n');
+
+    const format = `Respond ONLY in the following JSON format (raw JSON, no markdown):
 {
-  "rankings": [
+  "scores": [
     {
-      "case_number": 1,
-      "id": "case_id",
-      "filename": "filename.pdf",
-      "score": 85,
-      "category": "Direct / Strong / Moderate / Weak / Not Relevant / Adverse",
-      "reason": "Brief judicial analysis: issue alignment, factual alignment, statutory alignment, distinguishing factors, and why it supports or does not support the narrative"
+      "id": "<case ID exactly as given>",
+      "score": <whole number 0-100>,
+      "category": "<${CATEGORIES.join(' | ')}>",
+      "analysis": ${analysisFormat(6)}
     }
-  ],
-  "recommendation": "Brief overall recommendation for the user's case"
+  ]
 }
 
-Sort rankings by score descending (most relevant first). Return ALL cases. Do not inflate scores.`;
-
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-            {
-                role: 'system',
-                content: customSystemPrompt || DEFAULT_SYSTEM_PROMPT
-            },
-            {
-                role: 'user',
-                content: `## Research Narrative\n${userContext}\n\n## Case Summaries\n${summaryBlock}`
+Return one entry for each of the ${ids.length} case(s), each once. Score every case on its own against the scale above, not relative to the other cases given with it.`;
+
+    // Every case scored exactly once, and nothing that wasn't asked about
+    const checkCoverage = ({ scores }) => {
+        const seen = new Map();
+        for (const r of scores) seen.set(String(r.id), (seen.get(String(r.id)) || 0) + 1);
+        const errors = [];
+        for (const id of ids) {
+            if (!seen.has(id)) errors.push(`scores: case ${id} is missing`);
+            else if (seen.get(id) > 1) errors.push(`scores: case ${id} appears ${seen.get(id)} times`);
+        }
+        for (const id of seen.keys()) {
+            if (!ids.includes(id)) errors.push(`scores: unknown case ID "${id}" (use the IDs exactly as given)`);
+        }
+        return errors;
+    };
+
+    const { scores } = await completeJson('rank', [
+        {
+            role: 'system',
+            content: `${instructions}\n\n${format}`
+        },
+        {
+            role: 'user',
+            content: `## Research Narrative\n${userContext}\n\n## Case Summaries\n${summaryBlock}`
+        }
+    ], { schema: BATCH_SCORES_SCHEMA, check: checkCoverage }, options);
+    return scores;
+}
+
+/**
+ * Overall recommendation from a finished ranking, written from the strongest
+ * cases and any adverse ones
+ *
+ * @param {Array} rankings - rankByRelevance rankings, highest first
+ * @param {string} userContext
+ * @param {object} options - Passed to complete() (provider)
+ * @returns {Promise<string>}
+ */
+async function writeRecommendation(rankings, userContext, options = {}) {
+    const shown = rankings.filter((r, i) => i < RECOMMEND_TOP || r.category === 'Adverse');
+    const caseBlock = shown.map(r => `[Case ${r.case_number}] ${r.filename} — ${r.score}/100, ${r.category}\n${r.reason}`).join('\n\n');
+    const omitted = rankings.length - shown.length;
+
+    const { content } = await complete('recommend', [
+        {
+            role: 'system',
+            content: `You are a senior Indian tax litigation counsel. The cases below have already been scored for how far they support the user's research narrative.
+Write a brief overall recommendation for the user's case (one paragraph, at most 150 words): which cases to lead with and why, how far they take the argument, and any adverse authority that must be met.
+Rely only on the scores and reasons given. Refer to cases by name. Plain text, no markdown.`
+        },
+        {
+            role: 'user',
+            content: `## Research Narrative\n${userContext}\n\n## Ranked Cases (strongest first${omitted ? `; ${omitted} lower-scored case(s) not shown` : ''})\n${caseBlock}`
+        }
+    ], options);
+    return content.trim();
+}
+
+/**
+ * Rank cases by relevance to user's described situation
+ *
+ * Cases are scored in batches of RANK_BATCH_SIZE, up to RANK_CONCURRENCY at
+ * once, so no single reply has to cover the whole set. A batch whose reply
+ * stays invalid is scored again one case at a time, and a case that still
+ * can't be scored is reported in `unscored` rather than failing the ranking.
+ *
+ * Separate calls don't score on quite the same scale, so the first batch is
+ * scored on its own as the reference, and RANK_ANCHORS of its cases (highest
+ * and lowest scored) are scored again with every later batch. Each call's
+ * scores are then mapped onto the reference scale from what it gave the
+ * anchors (see calibration) before everything is merged into one ordering.
+ * A separate call then writes the overall recommendation.
+ *
+ * @param {Object} summaries - Map of id -> {filename, summary}
+ * @param {string} userContext - User's case description
+ * @param {string} customSystemPrompt - Replaces the default scoring instructions (SCORING_PROMPT)
+ * @param {object} options
+ * @param {string} options.provider - LLM provider (default: from config)
+ * @param {function({scored, unscored, total, rankings})} options.onProgress - Called with the merged ranking so far after each batch
+ * @returns {{rankings: Array<{case_number, id, filename, score, modelScore, category, reason, analysis}>,
+ *            unscored: Array<{case_number, id, filename, error: {message, code, details}}>, recommendation: string}}
+ *          Scored cases highest first (score is calibrated; modelScore is what the model gave and category
+ *          is the model's own), and the cases whose score stayed invalid
+ */
+async function rankByRelevance(summaries, userContext, customSystemPrompt = null, options = {}) {
+    const { onProgress, ...llm } = options;
+    const cases = Object.keys(summaries).map((id, i) => ({ id, number: i + 1 }));
+    const batches = [];
+    for (let i = 0; i < cases.length; i += RANK_BATCH_SIZE) batches.push(cases.slice(i, i + RANK_BATCH_SIZE));
+    const instructions = customSystemPrompt || SCORING_PROMPT;
+
+    const { provider, model } = resolveTask('rank', llm);
+    console.log(`📊 Scoring ${cases.length} cases via ${provider} (${model}, ${RANK_BATCH_SIZE} per call, ${RANK_CONCURRENCY} calls at once)...`);
+
+    const rankings = [];
+    const unscored = [];
+    // Reference-batch cases scored again in every later call ({ id, number, score })
+    let anchors = [];
+    let next = 1;
+    let failed = false;
+
+    // Score cases together with the anchors, mapped onto the reference scale
+    const scoreCalibrated = async batch => {
+        const scores = await scoreBatch([...batch, ...anchors], summaries, userContext, instructions, llm);
+        const settled = new Map(scores.map(s => [String(s.id), { ...s, settled: clampToCategory(s.score, s.category) }]));
+        const toReference = calibration(anchors.map(a => ({ batch: settled.get(a.id).settled, reference: a.score })));
+        return batch.map(({ id }) => {
+            const s = settled.get(id);
+            return { ...s, modelScore: s.score, score: toReference(s.settled) };
+        });
+    };
+
+    // Scores for a batch; a case whose reply stays invalid gets { id, error } instead
+    const score = async batch => {
+        try {
+            return await scoreCalibrated(batch);
+        } catch (err) {
+            if (!(err instanceof LlmOutputError)) throw err;
+            if (batch.length > 1) {
+                console.log(`  ⚠️  Could not score cases ${batch[0].number}–${batch[batch.length - 1].number} together, scoring them one at a time`);
             }
-        ],
-        temperature: 0.3,
-        max_tokens: 8000
-    });
+        }
+        const scores = [];
+        for (const c of batch) {
+            try {
+                scores.push(...await scoreCalibrated([c]));
+            } catch (err) {
+                if (!(err instanceof LlmOutputError)) throw err;
+                console.log(`  ⚠️  Case ${c.number} (${summaries[c.id].filename}) left unscored: ${err.message}`);
+                scores.push({ id: c.id, error: { message: err.message, code: err.code, details: err.details } });
+            }
+        }
+        return scores;
+    };
 
-    const content = response.choices[0].message.content;
+    const record = (batch, scores) => {
+        for (const { number, id } of batch) {
+            const s = scores.find(r => String(r.id) === id);
+            if (s.error) {
+                unscored.push({ case_number: number, id, filename: summaries[id].filename, error: s.error });
+                continue;
+            }
+            rankings.push({
+                case_number: number,
+                id,
+                filename: summaries[id].filename,
+                score: s.score,
+                modelScore: s.modelScore,
+                category: s.category,
+                reason: s.analysis.support_rationale,
+                analysis: s.analysis
+            });
+        }
+        rankings.sort(compareRankings);
+        unscored.sort((a, b) => a.case_number - b.case_number);
+        console.log(`  ✅ Scored ${rankings.length}/${cases.length}${unscored.length ? ` (${unscored.length} unscored)` : ''}`);
+        if (!failed) onProgress?.({ scored: rankings.length, unscored: [...unscored], total: cases.length, rankings: [...rankings] });
+    };
+
+    const worker = async () => {
+        while (!failed && next < batches.length) {
+            const batch = batches[next++];
+            record(batch, await score(batch));
+        }
+    };
+
+    if (batches.length) record(batches[0], await score(batches[0]));
+    if (batches.length > 1) {
+        anchors = pickAnchors(rankings, RANK_ANCHORS);
+        if (anchors.length) {
+            console.log(`  🎯 Calibrating later batches against case(s) ${anchors.map(a => a.number).join(', ')}`);
+        } else if (RANK_ANCHORS) {
+            console.log('  ⚠️  No case in the first batch could be scored; later batches are not calibrated');
+        }
+    }
 
     try {
-        // Parse JSON (handle possible markdown wrapping)
-        const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const parsed = JSON.parse(jsonStr);
-        return parsed;
-    } catch {
-        // If JSON parsing fails, return raw text
-        return { raw: content, rankings: [] };
+        await Promise.all(Array.from({ length: Math.min(RANK_CONCURRENCY, batches.length - 1) }, worker));
+    } catch (err) {
+        // Let the other workers finish their current call and stop
+        failed = true;
+        throw err;
     }
+
+    const recommendation = rankings.length ? await writeRecommendation(rankings, userContext, llm) : '';
+    return { rankings, unscored, recommendation };
 }
 
 /**
@@ -225,12 +813,14 @@ Sort rankings by score descending (most relevant first). Return ALL cases. Do no
  * @param {Object} summaries - Case summaries
  * @param {Array} history - Chat history
  * @param {string} userMessage - New user message
+ * @param {object} options
+ * @param {string} options.provider - LLM provider (default: from config)
  */
-async function chat(summaries, history, userMessage) {
+async function chat(summaries, history, userMessage, options = {}) {
     const ids = Object.keys(summaries);
     const summaryBlock = ids.map((id, i) => {
         const s = summaries[id];
-        return `[Case ${i + 1}] ID: ${id} | ${s.filename}\n${s.summary}`;
+        return `[Case ${i + 1}] ID: ${id} | ${s.filename}${describeAnnotations(s)}\n${s.summary}`;
     }).join('\n---\n');
 
     const systemMsg = {
@@ -243,14 +833,9 @@ ${summaryBlock}`
 
     const messages = [systemMsg, ...history, { role: 'user', content: userMessage }];
 
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages,
-        temperature: 0.4,
-        max_tokens: 2000
-    });
+    const { content } = await complete('chat', messages, options);
 
-    return response.choices[0].message.content;
+    return content;
 }
 
 /**
@@ -258,22 +843,20 @@ ${summaryBlock}`
  *
  * @param {string} keywords - Search keywords
  * @param {string} context - User's case context
- * @returns {Object} map of filter IDs to arrays of suggested values
+ * @param {object} options
+ * @param {string} options.provider - LLM provider (default: from config)
+ * @returns {Object} map of filter facets to arrays of suggested values (only values present in the filter catalog)
  */
-async function getFilterSuggestions(keywords, context) {
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-            {
-                role: 'system',
-                content: `You are a legal research assistant for Indian tax law. The user wants to search for relevant cases.
+async function getFilterSuggestions(keywords, context, options = {}) {
+    const catalog = await getFilterCatalog();
+    const value = await completeJson('filters', [
+        {
+            role: 'system',
+            content: `You are a legal research assistant for Indian tax law. The user wants to search for relevant cases.
 Based on their keywords and case context, suggest the best filters to apply to narrow down the search.
 
 AVAILABLE FILTERS & VALUES:
-- "module": ["GST", "Excise & Service Tax", "Customs", "Foreign Trade Policy"]
-- "docType": ["Case Laws", "Notifications", "Acts", "Rules"]
-- "court": ["Supreme Court", "High Court", "Tribunal", "Advance Ruling"]
-- "yearList": ["2026", "2025", "2024", "2023", "2022", "2021", "2020", "2019", "2018", "2017", "2016", "2015"]
+${describeCatalogForPrompt(catalog)}
 
 RULES:
 - Only select filter options that are strongly implied by the user's query. Stop the user from getting 0 results by being too restrictive. Less is more.
@@ -291,25 +874,14 @@ EXPECTED JSON FORMAT (Raw JSON only):
     "court": ["High Court", "Supreme Court"]
   }
 }`
-            },
-            {
-                role: 'user',
-                content: `Keywords: ${keywords}\nCase context: ${context}`
-            }
-        ],
-        temperature: 0.1,
-        max_tokens: 500
-    });
+        },
+        {
+            role: 'user',
+            content: `Keywords: ${keywords}\nCase context: ${context}`
+        }
+    ], { schema: FILTERS_SCHEMA }, options);
 
-    const content = response.choices[0].message.content;
-    try {
-        const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const parsed = JSON.parse(jsonStr);
-        return parsed.suggested_filters || {};
-    } catch {
-        console.error('Failed to parse filter suggestions:', content);
-        return {};
-    }
+    return sanitizeSuggestions(value.suggested_filters, catalog);
 }
 
 /**
@@ -321,69 +893,31 @@ EXPECTED JSON FORMAT (Raw JSON only):
  * @param {string} narrative - The user's research narrative / legal argument
  * @param {string} caseSummary - Structured case summary (output from summarizeCase / Prompt 1)
  * @param {string} [caseId] - Optional case ID for reference
- * @returns {Object} { score, category, analysis, raw }
+ * @param {object} [options]
+ * @param {string} [options.provider] - LLM provider (default: from config)
+ * @returns {Object} { caseId, score, category, analysis }
+ * @throws {LlmOutputError} If the model's reply stays invalid after repair attempts
  */
-async function scoreRelevancy(narrative, caseSummary, caseId = '') {
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-            {
-                role: 'system',
-                content: `You are acting as an impartial constitutional court evaluating whether a precedent meaningfully supports a legal argument. You must be neutral, analytical, and independent. Do not favour the narrative. Assess legal alignment objectively.
-
-Assign a Relevancy Score from 0 to 100 based on:
-- 90–100: Direct precedent, highly similar facts & issue
-- 70–89: Strong persuasive support
-- 50–69: Moderate relevance, distinguishable facts
-- 30–49: Weak support
-- 0–29: Not relevant or adverse
+async function scoreRelevancy(narrative, caseSummary, caseId = '', options = {}) {
+    const { score, category, analysis } = await completeJson('score', [
+        {
+            role: 'system',
+            content: `${SCORING_PROMPT}
 
 Respond ONLY in the following JSON format (raw JSON, no markdown):
 {
-  "score": <number 0-100>,
-  "category": "<Direct | Strong | Moderate | Weak | Not Relevant | Adverse>",
-  "analysis": {
-    "issue_alignment": "<assessment of legal issue overlap>",
-    "factual_alignment": "<assessment of factual similarity>",
-    "statutory_alignment": "<assessment of statutory similarity>",
-    "distinguishing_factors": "<key factors that distinguish or limit the case>",
-    "support_rationale": "<why this case supports, partially supports, or does not support the narrative>"
-  }
-}
-
-Be analytical. If adverse, clearly explain why. Do not inflate the score.`
-            },
-            {
-                role: 'user',
-                content: `Research Narrative: ${narrative}\n\nCase Summary:\n${caseSummary}`
-            }
-        ],
-        temperature: 0.2,
-        max_tokens: 1000
-    });
-
-    const content = response.choices[0].message.content;
+  "score": <whole number 0-100>,
+  "category": "<${CATEGORIES.join(' | ')}>",
+  "analysis": ${analysisFormat(2)}
+}`
+        },
+        {
+            role: 'user',
+            content: `Research Narrative: ${narrative}\n\nCase Summary:\n${caseSummary}`
+        }
+    ], { schema: SCORE_SCHEMA }, options);
 
-    try {
-        const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const parsed = JSON.parse(jsonStr);
-        return {
-            caseId,
-            score: parsed.score,
-            category: parsed.category,
-            analysis: parsed.analysis,
-            raw: null
-        };
-    } catch {
-        // Fallback: return raw text if JSON parsing fails
-        return {
-            caseId,
-            score: null,
-            category: null,
-            analysis: null,
-            raw: content
-        };
-    }
+    return { caseId, score, category, analysis };
 }
 
 /**
@@ -393,15 +927,15 @@ Be analytical. If adverse, clearly explain why. Do not inflate the score.`
  * suitable for the Centax legal database search API.
  *
  * @param {string} narrative - The user's legal research narrative / argument
+ * @param {object} [options]
+ * @param {string} [options.provider] - LLM provider (default: from config)
  * @returns {{ keywords: string, keywordList: string[] }}
  */
-async function generateKeywords(narrative) {
-    const response = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-            {
-                role: 'system',
-                content: `You are a legal research assistant specializing in Indian tax law (GST, Customs, Excise, Service Tax).
+async function generateKeywords(narrative, options = {}) {
+    const { keywordList } = await completeJson('keywords', [
+        {
+            role: 'system',
+            content: `You are a legal research assistant specializing in Indian tax law (GST, Customs, Excise, Service Tax).
 Your task is to extract 4 to 8 precise, high-recall search keywords from a legal research narrative.
 These keywords will be used to search the Centax legal database.
 
@@ -412,31 +946,16 @@ Rules:
 - Do NOT include stop words or redundant terms
 - Return ONLY a JSON object in this format:
 { "keywordList": ["keyword1", "keyword2", "keyword3", ...] }`
-            },
-            {
-                role: 'user',
-                content: `Research Narrative: ${narrative}`
-            }
-        ],
-        temperature: 0.1,
-        max_tokens: 200
-    });
+        },
+        {
+            role: 'user',
+            content: `Research Narrative: ${narrative}`
+        }
+    ], { schema: KEYWORDS_SCHEMA }, options);
 
-    const content = response.choices[0].message.content;
-    try {
-        const jsonStr = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const parsed = JSON.parse(jsonStr);
-        const keywordList = parsed.keywordList || [];
-        return {
-            keywords: keywordList.join(' '),
-            keywordList
-        };
-    } catch {
-        // Fallback: extract words from raw response
-        const words = content.replace(/[^a-zA-Z0-9\s]/g, ' ').split(/\s+/).filter(w => w.length > 2).slice(0, 8);
-        return { keywords: words.join(' '), keywordList: words };
-    }
+    const cleaned = keywordList.map(k => k.trim());
+    return { keywords: cleaned.join(' '), keywordList: cleaned };
 }
 
-module.exports = { summarizeCase, summarizeAll, rankByRelevance, scoreRelevancy, generateKeywords, chat, getFilterSuggestions };
+module.exports = { summarizeCase, summarizeAll, rankByRelevance, scoreRelevancy, generateKeywords, chat, getFilterSuggestions, splitJudgment };
 
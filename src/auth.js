@@ -1,11 +1,155 @@
 const axios = require('axios');
+const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
 const { machineIdSync } = require('node-machine-id');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { BASE_URL } = require('./config');
+const { isVaultConfigured, readVault, updateVault, destroyVault } = require('./vault');
+const { schedule } = require('./scheduler');
+const { AuthError, RateLimitError, toTypedError } = require('./errors');
 
-const SESSION_FILE = path.join(__dirname, '..', 'session.json');
-const BASE_URL = 'https://api.centaxonline.com';
+const SESSIONS_DIR = path.join(__dirname, '..', 'sessions');
+const LEGACY_SESSION_FILE = path.join(__dirname, '..', 'session.json');
+
+// How long an account sits out of rotation after being rate-limited or failing auth
+const RATE_LIMIT_COOLDOWN_MS = parseInt(process.env.CENTAX_RATE_LIMIT_COOLDOWN_MS) || 60 * 1000;
+const AUTH_FAILURE_COOLDOWN_MS = parseInt(process.env.CENTAX_AUTH_FAILURE_COOLDOWN_MS) || 10 * 60 * 1000;
+
+// How many times to go round the whole pool when every account is rate-limited
+const MAX_RATE_LIMIT_ROUNDS = 3;
+
+/**
+ * Load credential profiles from the environment and the vault.
+ * The primary pair is CENTAX_EMAIL / CENTAX_PASSWORD; extra seats are
+ * CENTAX_EMAIL_2 / CENTAX_PASSWORD_2, CENTAX_EMAIL_3 / CENTAX_PASSWORD_3, ...
+ * Accounts stored with `vault-add` are appended, named by their email.
+ */
+function loadAccounts() {
+    const accounts = [];
+    if (process.env.CENTAX_EMAIL && process.env.CENTAX_PASSWORD) {
+        accounts.push({ name: 'default', email: process.env.CENTAX_EMAIL, password: process.env.CENTAX_PASSWORD });
+    }
+    for (let n = 2; process.env[`CENTAX_EMAIL_${n}`]; n++) {
+        const email = process.env[`CENTAX_EMAIL_${n}`];
+        const password = process.env[`CENTAX_PASSWORD_${n}`];
+        if (!password) {
+            console.log(`⚠️  CENTAX_EMAIL_${n} has no CENTAX_PASSWORD_${n}, skipping`);
+            continue;
+        }
+        accounts.push({ name: `account${n}`, email, password });
+    }
+    if (isVaultConfigured()) {
+        try {
+            for (const { email, password } of readVault().accounts) {
+                if (!accounts.some(a => a.email === email)) {
+                    accounts.push({ name: email, email, password });
+                }
+            }
+        } catch (err) {
+            console.log(`⚠️  ${err.message}`);
+        }
+    }
+    return accounts;
+}
+
+// Emits 'login', 'refreshing' and 'auth_failed' with { account } for the session monitor
+const authEvents = new EventEmitter();
+
+let accounts = [];
+
+// Per-account health and usage, keyed by account name
+const accountStats = new Map();
+
+/**
+ * (Re)load the account pool, keeping usage stats for accounts that remain
+ */
+function reloadAccounts() {
+    accounts = loadAccounts();
+    for (const a of accounts) {
+        if (!accountStats.has(a.name)) {
+            accountStats.set(a.name, {
+                requests: 0,
+                failures: 0,
+                rateLimited: 0,
+                authFailures: 0,
+                lastUsed: 0,
+                cooldownUntil: 0,
+                lastError: null
+            });
+        }
+    }
+    for (const name of accountStats.keys()) {
+        if (!accounts.some(a => a.name === name)) accountStats.delete(name);
+    }
+    return accounts;
+}
+
+reloadAccounts();
+
+/**
+ * Look up an account by name, or return the primary account
+ */
+function getAccount(name) {
+    if (accounts.length === 0) {
+        throw new AuthError(
+            'CENTAX_EMAIL and CENTAX_PASSWORD must be set in .env file, or stored with `vault-add`.\n' +
+            'Copy .env.example to .env and fill in your credentials.'
+        );
+    }
+    if (!name) return accounts[0];
+    const account = accounts.find(a => a.name === name || a.email === name);
+    if (!account) throw new AuthError(`Unknown Centax account "${name}"`, { hint: 'Run `node index.js accounts` to list configured accounts.' });
+    return account;
+}
+
+/**
+ * All configured accounts in the pool
+ */
+function listAccounts() {
+    return accounts.slice();
+}
+
+function sessionFileFor(account) {
+    return path.join(SESSIONS_DIR, `${account.name.replace(/[^a-zA-Z0-9._-]/g, '_')}.json`);
+}
+
+let warnedPlaintext = false;
+
+/**
+ * Load the cached session for an account — from the vault when one is
+ * configured, otherwise from the owner-only plaintext file in sessions/
+ */
+async function loadCachedSession(account) {
+    if (isVaultConfigured()) {
+        return readVault().sessions[account.name] || null;
+    }
+    try {
+        return JSON.parse(await fs.readFile(sessionFileFor(account), 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+async function saveCachedSession(account, session) {
+    if (isVaultConfigured()) {
+        updateVault(v => { v.sessions[account.name] = session; });
+        return;
+    }
+    if (!warnedPlaintext) {
+        console.log('⚠️  No CENTAX_VAULT_PASSPHRASE / CENTAX_VAULT_KEY_FILE set — caching session unencrypted in sessions/');
+        warnedPlaintext = true;
+    }
+    await fs.mkdir(SESSIONS_DIR, { recursive: true, mode: 0o700 });
+    await fs.writeFile(sessionFileFor(account), JSON.stringify(session, null, 2), { mode: 0o600 });
+}
+
+async function clearCachedSession(account) {
+    if (isVaultConfigured()) {
+        updateVault(v => { delete v.sessions[account.name]; });
+    }
+    try { await fs.unlink(sessionFileFor(account)); } catch { /* ignore */ }
+}
 
 /**
  * Get client IP address from Centax API
@@ -40,19 +184,13 @@ function getMachineId() {
 
 /**
  * Login to Centax and get bearer token
+ *
+ * @param {object} [account] - Credential profile (defaults to the primary account)
  */
-async function login() {
-    const email = process.env.CENTAX_EMAIL;
-    const password = process.env.CENTAX_PASSWORD;
-
-    if (!email || !password) {
-        throw new Error(
-            'CENTAX_EMAIL and CENTAX_PASSWORD must be set in .env file.\n' +
-            'Copy .env.example to .env and fill in your credentials.'
-        );
-    }
+async function login(account = getAccount()) {
+    const { email, password } = account;
 
-    console.log('🔐 Logging in to Centax...');
+    console.log(`🔐 Logging in to Centax as ${email}...`);
 
     const ipAddress = await getClientIp();
     const machineId = getMachineId();
@@ -89,27 +227,37 @@ async function login() {
                 machineId,
                 ipAddress,
                 timestamp: Date.now(),
-                email
+                email,
+                account: account.name
             };
 
-            await fs.writeFile(SESSION_FILE, JSON.stringify(session, null, 2));
+            await saveCachedSession(account, session);
+            authEvents.emit('login', { account: account.name, session });
             return session;
         }
 
-        throw new Error('Login failed: No token in response. Check credentials.');
+        throw new AuthError(`Login failed for ${email}: no token in response. Check credentials.`);
     } catch (error) {
         if (error.response) {
             console.error('❌ Login error:', error.response.status, error.response.statusText);
             if (error.response.data) {
                 console.error('   Response:', JSON.stringify(error.response.data, null, 2));
             }
+            // Centax answers bad credentials with 4xx; anything else is an upstream problem
+            const status = error.response.status;
+            if (status >= 400 && status < 500 && status !== 409 && status !== 429) {
+                throw new AuthError(`Login failed for ${email} (HTTP ${status})`, { cause: error });
+            }
         }
-        throw error;
+        throw toTypedError(error);
     }
 }
 
 /**
  * Check if current session is still active
+ *
+ * @returns {Promise<boolean>} true only when the server confirms the session;
+ *          a 200 without is_active_login_session_verified means it was invalidated
  */
 async function checkSession(token, ipAddress) {
     try {
@@ -125,51 +273,65 @@ async function checkSession(token, ipAddress) {
             }
         );
 
-        if (response.data && response.data.Data && response.data.Data.is_active_login_session_verified) {
-            return true;
-        }
-        return response.status === 200;
+        return response.data?.Data?.is_active_login_session_verified === true;
     } catch {
         return false;
     }
 }
 
 /**
- * Check if a token is likely still valid by inspecting its JWT expiry
+ * Read the expiry time (ms since epoch) from a JWT bearer token
+ *
+ * @returns {number|null} null if the token can't be decoded or has no `exp`
  */
-function isTokenFresh(token) {
+function tokenExpiresAt(token) {
     try {
         // JWT format: header.payload.signature — decode the payload
         const rawToken = token.replace('Bearer', '').replace('Bearer ', '');
         const payload = JSON.parse(Buffer.from(rawToken.split('.')[1], 'base64').toString());
-        if (payload.exp) {
-            // Token is valid if expiry is more than 5 minutes in the future
-            return (payload.exp * 1000) > (Date.now() + 5 * 60 * 1000);
-        }
+        if (payload.exp) return payload.exp * 1000;
     } catch { /* ignore decode errors */ }
-    return false;
+    return null;
+}
+
+/**
+ * Check if a token is likely still valid by inspecting its JWT expiry
+ */
+function isTokenFresh(token) {
+    // Token is valid if expiry is more than 5 minutes in the future
+    const expiresAt = tokenExpiresAt(token);
+    return expiresAt !== null && expiresAt > (Date.now() + 5 * 60 * 1000);
 }
 
 /**
  * Get valid session (cached or fresh login)
+ *
+ * @param {object} [account] - Credential profile (defaults to the primary account)
  */
-async function getSession() {
+async function getSession(account = getAccount()) {
     // Try loading cached session
-    try {
-        const sessionData = await fs.readFile(SESSION_FILE, 'utf-8');
-        const session = JSON.parse(sessionData);
-
-        // Quick local check: is the JWT still within its expiry window?
-        if (isTokenFresh(session.token)) {
-            return session;
-        }
+    const session = await loadCachedSession(account);
 
-        console.log('⚠️  Session expired, re-authenticating...');
-    } catch {
-        // No cached session
+    // Quick local check: is the JWT still within its expiry window?
+    if (session && isTokenFresh(session.token)) {
+        return session;
+    }
+    if (session) {
+        console.log(`⚠️  Session for ${account.email} expired, re-authenticating...`);
     }
 
-    return await login();
+    return await loginOnce(account);
+}
+
+// In-flight logins keyed by account name, so concurrent callers share one login
+const pendingLogins = new Map();
+
+function loginOnce(account) {
+    if (!pendingLogins.has(account.name)) {
+        const pending = login(account).finally(() => pendingLogins.delete(account.name));
+        pendingLogins.set(account.name, pending);
+    }
+    return pendingLogins.get(account.name);
 }
 
 /**
@@ -201,33 +363,207 @@ function buildPdfHeaders(session) {
 
 /**
  * Force re-login by clearing cached session
+ *
+ * @param {object} [account] - Credential profile (defaults to the primary account)
  */
-async function forceRefresh() {
-    try { await fs.unlink(SESSION_FILE); } catch { /* ignore */ }
-    console.log('🔄 Forcing token refresh...');
-    return await login();
+async function forceRefresh(account = getAccount()) {
+    if (pendingLogins.has(account.name)) return await pendingLogins.get(account.name);
+    await clearCachedSession(account);
+    console.log(`🔄 Forcing token refresh for ${account.email}...`);
+    authEvents.emit('refreshing', { account: account.name });
+    return await loginOnce(account);
 }
 
 /**
- * Make an authenticated API request with auto-retry on auth failures.
- * If a 401, 403, or 409 is received, it re-authenticates and retries once.
+ * Pick the healthiest account: not cooling down, least recently used.
+ * If every account is cooling down, wait for the one that recovers first.
+ */
+async function pickAccount(exclude = new Set()) {
+    const candidates = accounts.filter(a => !exclude.has(a.name));
+    if (candidates.length === 0) return null;
+
+    const now = Date.now();
+    const ready = candidates.filter(a => accountStats.get(a.name).cooldownUntil <= now);
+    if (ready.length > 0) {
+        return ready.reduce((best, a) =>
+            accountStats.get(a.name).lastUsed < accountStats.get(best.name).lastUsed ? a : best
+        );
+    }
+
+    const soonest = candidates.reduce((best, a) =>
+        accountStats.get(a.name).cooldownUntil < accountStats.get(best.name).cooldownUntil ? a : best
+    );
+    const waitMs = accountStats.get(soonest.name).cooldownUntil - now;
+    console.log(`⏳ All Centax accounts cooling down, waiting ${(waitMs / 1000).toFixed(0)}s for ${soonest.email}...`);
+    await new Promise(r => setTimeout(r, waitMs));
+    return soonest;
+}
+
+/**
+ * Take an account out of rotation for a while
+ */
+function cooldown(account, ms, reason) {
+    const stats = accountStats.get(account.name);
+    stats.cooldownUntil = Date.now() + ms;
+    stats.lastError = reason;
+    console.log(`🧊 ${account.email} cooling down for ${(ms / 1000).toFixed(0)}s (${reason})`);
+}
+
+/**
+ * Make an authenticated API request using the account pool.
+ *
+ * A healthy account is picked for each call. On 409/429 the account is put
+ * into cooldown and the call is retried on the next account. On 401/403 the
+ * token is refreshed and retried once; if that also fails the account is
+ * cooled down and the next one is tried. With a single account, a 409 falls
+ * back to a token refresh as before. If every account is rate-limited, the
+ * pool is retried after the cooldowns expire, up to MAX_RATE_LIMIT_ROUNDS.
+ *
+ * Each HTTP attempt is released through the shared request scheduler.
  *
  * @param {Function} requestFn - Async function(session) that makes the API call
+ * @param {object} options
+ * @param {string} options.priority - Scheduler priority: 'interactive' or 'bulk'
  * @returns {*} The result of requestFn
  */
-async function authenticatedRequest(requestFn) {
-    let session = await getSession();
-    try {
-        return await requestFn(session);
-    } catch (err) {
-        const status = err.response?.status;
-        if (status === 401 || status === 403 || status === 409) {
-            console.log(`⚠️  Auth error (${status}), refreshing token and retrying...`);
-            session = await forceRefresh();
-            return await requestFn(session);
+async function authenticatedRequest(requestFn, options = {}) {
+    getAccount(); // fail fast if no credentials are configured
+    const attempt = (session) => schedule(() => requestFn(session), { priority: options.priority });
+    let lastError = null;
+
+    for (let round = 1; round <= MAX_RATE_LIMIT_ROUNDS; round++) {
+        const tried = new Set();
+        let rateLimitedOnly = true;
+
+        let account = await pickAccount(tried);
+        while (account) {
+            tried.add(account.name);
+            const stats = accountStats.get(account.name);
+            stats.requests++;
+            stats.lastUsed = Date.now();
+
+            let session;
+            try {
+                session = await getSession(account);
+            } catch (err) {
+                // Login failed (bad credentials, locked seat) — try another account
+                lastError = err;
+                rateLimitedOnly = false;
+                stats.failures++;
+                stats.authFailures++;
+                cooldown(account, AUTH_FAILURE_COOLDOWN_MS, `login failed: ${err.message}`);
+                authEvents.emit('auth_failed', { account: account.name, reason: err.message });
+                account = await pickAccount(tried);
+                continue;
+            }
+
+            try {
+                try {
+                    return await attempt(session);
+                } catch (err) {
+                    const status = err.response?.status;
+                    if (status === 401 || status === 403 || (status === 409 && accounts.length === 1)) {
+                        console.log(`⚠️  Auth error (${status}) for ${account.email}, refreshing token and retrying...`);
+                        stats.requests++;
+                        return await attempt(await forceRefresh(account));
+                    }
+                    throw err;
+                }
+            } catch (err) {
+                const status = err.response?.status;
+                lastError = err;
+                stats.failures++;
+
+                if (status === 409 || status === 429) {
+                    stats.rateLimited++;
+                    cooldown(account, RATE_LIMIT_COOLDOWN_MS, `rate limited (${status})`);
+                } else if (status === 401 || status === 403) {
+                    rateLimitedOnly = false;
+                    stats.authFailures++;
+                    cooldown(account, AUTH_FAILURE_COOLDOWN_MS, `auth failed (${status})`);
+                    authEvents.emit('auth_failed', { account: account.name, reason: `HTTP ${status}` });
+                } else {
+                    // Error unrelated to this account — don't rotate
+                    throw toTypedError(err);
+                }
+            }
+
+            account = await pickAccount(tried);
         }
-        throw err;
+
+        if (!rateLimitedOnly) break;
+    }
+
+    if (lastError?.response?.status === 409 || lastError?.response?.status === 429) {
+        const soonest = Math.min(...getPoolStats().map(a => a.cooldownRemainingMs));
+        throw new RateLimitError(`All Centax accounts are rate limited (HTTP ${lastError.response.status})`, {
+            retryAfterMs: soonest || RATE_LIMIT_COOLDOWN_MS,
+            cause: lastError
+        });
     }
+    throw toTypedError(lastError);
+}
+
+/**
+ * Wipe every cached Centax session: vault entries, plaintext session files
+ * and the legacy session.json. With `all`, the vault file itself (including
+ * stored credentials) is destroyed.
+ *
+ * @param {object} options
+ * @param {boolean} options.all - Also destroy the vault and its credentials
+ * @returns {Promise<{sessionsCleared: number, vaultDestroyed: boolean}>}
+ */
+async function logout({ all = false } = {}) {
+    let sessionsCleared = 0;
+
+    if (isVaultConfigured()) {
+        if (all) {
+            // The vault is destroyed below regardless of whether it can be unlocked
+            try { sessionsCleared += Object.keys(readVault().sessions).length; } catch { /* ignore */ }
+        } else {
+            updateVault(v => {
+                sessionsCleared += Object.keys(v.sessions).length;
+                v.sessions = {};
+            });
+        }
+    }
+
+    try {
+        for (const file of await fs.readdir(SESSIONS_DIR)) {
+            await fs.unlink(path.join(SESSIONS_DIR, file));
+            sessionsCleared++;
+        }
+        await fs.rmdir(SESSIONS_DIR);
+    } catch { /* no plaintext sessions */ }
+
+    try {
+        await fs.unlink(LEGACY_SESSION_FILE);
+        sessionsCleared++;
+    } catch { /* ignore */ }
+
+    const vaultDestroyed = all ? destroyVault() : false;
+    reloadAccounts();
+
+    return { sessionsCleared, vaultDestroyed };
+}
+
+/**
+ * Per-account usage and health for reporting
+ *
+ * @returns {Array<{name, email, requests, failures, rateLimited, authFailures, lastUsed, coolingDown, cooldownRemainingMs, lastError}>}
+ */
+function getPoolStats() {
+    const now = Date.now();
+    return accounts.map(a => {
+        const stats = accountStats.get(a.name);
+        return {
+            name: a.name,
+            email: a.email,
+            ...stats,
+            coolingDown: stats.cooldownUntil > now,
+            cooldownRemainingMs: Math.max(0, stats.cooldownUntil - now)
+        };
+    });
 }
 
 module.exports = {
@@ -239,5 +575,12 @@ module.exports = {
     buildHeaders,
     buildPdfHeaders,
     forceRefresh,
-    authenticatedRequest
+    authenticatedRequest,
+    tokenExpiresAt,
+    getAccount,
+    listAccounts,
+    reloadAccounts,
+    getPoolStats,
+    logout,
+    authEvents
 };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const { PdfWriter, measure, PAGE_SIZE } = require('./pdf_writer');
+const { PdfDocument } = require('./pdf_text');
+const { Layout, resolveTemplate, renderJudgmentPdf, drawLetterhead } = require('./pdf_render');
+const { downloadCase } = require('./download');
+const library = require('./library');
+const { InvalidQueryError, PdfGenerationError } = require('./errors');
+
+/**
+ * Compilation of judgments.
+ *
+ * Merges the per-case PDFs from the downloads directory into one filing-ready
+ * PDF: a cover page, an index (citation, court, date, page range) whose rows
+ * link to the judgments, an optional divider page before each judgment, a
+ * bookmark per judgment, and bundle page numbers stamped at the top right of
+ * every page after the cover. Cases without a PDF are downloaded first.
+ *
+ * Page numbers count the cover as page 1, so the index matches the page
+ * numbers a PDF viewer shows.
+ */
+
+const DEFAULT_TOP = 10;
+
+/**
+ * Case IDs of the top `top` cases of an analysis, best first
+ *
+ * @param {object} analysis - A matter's lastAnalysis ({ ranked }), an /api/analyze
+ *   analysis ({ result: { rankings } }) or a bare result ({ rankings })
+ * @param {number} top
+ * @returns {string[]}
+ */
+function topCaseIds(analysis, top = DEFAULT_TOP) {
+    const ranked = analysis?.ranked || analysis?.result?.rankings || analysis?.rankings || [];
+    if (ranked.length === 0) {
+        throw new InvalidQueryError('The analysis has no ranked cases to bundle', { hint: 'Run an analysis first, or pass case IDs.' });
+    }
+    return [...ranked]
+        .sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0))
+        .slice(0, Math.max(1, parseInt(top) || DEFAULT_TOP))
+        .map(r => String(r.id));
+}
+
+/**
+ * Parsed PDF for a case: its downloaded PDF, or a fresh local rendering
+ * when the file on disk can't be read
+ */
+async function loadCasePdf(id) {
+    const downloaded = await downloadCase(id, library.getCase(id)?.metadata?.citation || '', { priority: 'bulk' });
+    if (!downloaded.success) {
+        throw new PdfGenerationError(`Could not download case ${id}: ${downloaded.error}`, { hint: downloaded.hint });
+    }
+    try {
+        const doc = new PdfDocument(fs.readFileSync(downloaded.path));
+        return { doc, pageCount: doc.pages().length };
+    } catch (err) {
+        const html = library.readHtml(id);
+        if (!html) throw err;
+        console.log(`   ⚠️  ${err.message}, rendering case ${id} again`);
+        const meta = library.getCase(id)?.metadata || {};
+        const doc = new PdfDocument(renderJudgmentPdf(html, { citation: meta.citation, title: meta.title }));
+        return { doc, pageCount: doc.pages().length };
+    }
+}
+
+function indexRows(entries) {
+    return [
+        ['No.', 'Case', 'Court', 'Date', 'Pages'],
+        ...entries.map((e, i) => [
+            `${i + 1}.`,
+            e.citation ? `${e.title} — ${e.citation}` : e.title,
+            e.court,
+            e.date,
+            e.startPage === e.endPage ? `${e.startPage}` : `${e.startPage}–${e.endPage}`
+        ])
+    ];
+}
+
+/**
+ * Number the tabs' pages given the number of index pages
+ */
+function assignPages(entries, indexPages, dividers) {
+    let next = 1 + indexPages + 1;
+    for (const entry of entries) {
+        entry.startPage = next;
+        next += (dividers ? 1 : 0) + entry.pageCount;
+        entry.endPage = next - 1;
+    }
+}
+
+function drawIndex(layout, entries) {
+    layout.paragraph('INDEX', { font: 'serifBold', size: 14, align: 'center', after: 10 });
+    return layout.table(indexRows(entries), { header: true, widths: [0.07, 0.47, 0.2, 0.13, 0.13] });
+}
+
+function drawCover(layout, template, { title, subtitle, count }) {
+    drawLetterhead(layout, template);
+    layout.space(PAGE_SIZE.height * 0.18);
+    layout.paragraph(title, { font: 'serifBold', size: 22, align: 'center', color: template.accent, after: 10, leading: 1.25 });
+    if (subtitle) layout.paragraph(subtitle, { size: 13, align: 'center', after: 18 });
+    layout.paragraph(`${count} judgment${count === 1 ? '' : 's'}`, { font: 'sans', size: 10, align: 'center', color: template.muted, after: 2 });
+    const date = new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+    layout.paragraph(`Compiled on ${date}`, { font: 'sans', size: 10, align: 'center', color: template.muted });
+}
+
+function drawDivider(layout, template, entry, tab) {
+    layout.newPage();
+    layout.space(PAGE_SIZE.height * 0.28);
+    layout.paragraph(`Tab ${tab}`, { font: 'sansBold', size: 28, align: 'center', color: template.accent, after: 14 });
+    layout.paragraph(entry.title, { font: 'serifBold', size: 14, align: 'center', after: 6, leading: 1.25 });
+    for (const line of [entry.citation, entry.court, entry.date]) {
+        if (line) layout.paragraph(line, { size: 11, align: 'center', after: 2 });
+    }
+}
+
+/**
+ * Build a compilation of judgments
+ *
+ * @param {string[]} caseIds - Cases in filing order
+ * @param {object} options
+ * @param {string} options.title - Cover title (default: "Compilation of Judgments")
+ * @param {string} options.subtitle - Line under the title, e.g. the matter name
+ * @param {boolean} options.dividers - Insert a divider page before each judgment
+ * @param {string|object} options.template - pdf_render template (default: CENTAX_PDF_TEMPLATE)
+ * @returns {Promise<{buffer: Buffer, pages: number, entries: Array<{id, title, citation, court, date, startPage, endPage}>, failed: Array<{id, error}>}>}
+ */
+async function buildBundle(caseIds, options = {}) {
+    const ids = [...new Set((caseIds || []).map(id => String(id).trim()).filter(Boolean))];
+    if (ids.length === 0) {
+        throw new InvalidQueryError('No cases to bundle', { hint: 'Pass case IDs, or a matter or analysis to take the top cases from.' });
+    }
+    const template = resolveTemplate(options.template);
+    const title = options.title || 'Compilation of Judgments';
+    const dividers = Boolean(options.dividers);
+
+    console.log(`\n📚 Compiling ${ids.length} judgment(s)...\n`);
+    const entries = [];
+    const failed = [];
+    for (const [i, id] of ids.entries()) {
+        console.log(`[${i + 1}/${ids.length}] ${id}`);
+        try {
+            const { doc, pageCount } = await loadCasePdf(id);
+            const meta = library.getCase(id)?.metadata || {};
+            entries.push({
+                id,
+                title: meta.title || meta.citation || id,
+                citation: meta.citation || '',
+                court: [meta.court, meta.bench].filter(Boolean).join(', '),
+                date: meta.decisionDate || '',
+                doc,
+                pageCount
+            });
+        } catch (err) {
+            console.log(`   ❌ ${err.message}`);
+            failed.push({ id, error: err.message });
+        }
+    }
+    if (entries.length === 0) {
+        throw new PdfGenerationError('None of the cases could be added to the bundle', { hint: 'Check the case IDs, then try again.' });
+    }
+
+    // The page ranges in the index depend on how many pages the index takes:
+    // lay it out on scratch documents until the count settles
+    let indexPages = 1;
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assignPages(entries, indexPages, dividers);
+        const scratch = new PdfWriter();
+        drawIndex(new Layout(scratch, template), entries);
+        if (scratch.pages.length === indexPages) break;
+        indexPages = scratch.pages.length;
+    }
+    assignPages(entries, indexPages, dividers);
+
+    const writer = new PdfWriter({ title, subject: options.subtitle || title, author: template.firmName });
+    const layout = new Layout(writer, template);
+    drawCover(layout, template, { title, subtitle: options.subtitle, count: entries.length });
+    layout.newPage();
+    const indexStart = layout.page;
+    const rows = drawIndex(layout, entries).slice(1);
+
+    writer.addOutline('Index', indexStart);
+    entries.forEach((entry, i) => {
+        if (dividers) drawDivider(layout, template, entry, i + 1);
+        const first = dividers ? layout.page : null;
+        const pages = writer.importPages(entry.doc);
+        writer.addOutline(`${i + 1}. ${entry.citation ? `${entry.title} (${entry.citation})` : entry.title}`, first || pages[0]);
+        // Index rows open the tab
+        if (rows[i]) rows[i].page.link(layout.left, rows[i].y, layout.width, rows[i].height, first || pages[0]);
+    });
+
+    // Bundle page numbers on everything after the cover, drawn and imported pages alike
+    writer.pages.forEach((page, i) => {
+        if (i === 0) return;
+        const label = String(i + 1);
+        page.text(label, page.width - 30 - measure(label, 'sansBold', 10), page.height - 24, { font: 'sansBold', size: 10 });
+    });
+
+    const buffer = writer.toBuffer();
+    console.log(`\n📚 Bundle: ${entries.length} judgment(s), ${writer.pages.length} pages${failed.length ? `, ${failed.length} failed` : ''}\n`);
+    return {
+        buffer,
+        pages: writer.pages.length,
+        entries: entries.map(({ doc, pageCount, ...entry }) => entry),
+        failed
+    };
+}
+
+module.exports = { buildBundle, topCaseIds, DEFAULT_TOP };
@@ -0,0 +1,429 @@
+const { decodeEntities } = require('./judgment_text');
+
+/**
+ * Normalized case metadata.
+ *
+ * Centax describes a judgment in two places: the search result item
+ * (heading1, courtName, benchName, decisionDate, apealNo, actName, ...) and
+ * the header block of the document HTML returned by getFileText (citation,
+ * court line, parties, coram, case number, date, headnote). Both are parsed
+ * into the same CaseMetadata shape and merged, so ranking, filtering, exports
+ * and the UI work from structured fields instead of free-text headings.
+ */
+
+/**
+ * @typedef {object} Citation
+ * @property {string} text - Citation as printed, e.g. "[2024] 158 taxmann.com 412 (Delhi)"
+ * @property {number} year
+ * @property {number|null} volume
+ * @property {string} reporter - e.g. "taxmann.com", "GSTL", "SCC"
+ * @property {number} page
+ * @property {string} court - Court abbreviation in the trailing brackets, if any
+ * @property {string} key - Normalized form for matching the same citation written differently
+ */
+
+/**
+ * @typedef {object} CaseMetadata
+ * @property {string} id
+ * @property {string} title - "Appellant v. Respondent"
+ * @property {Citation[]} citations
+ * @property {string} citation - Primary citation text
+ * @property {string} court - Court level: "Supreme Court", "High Court", "Tribunal", "Advance Ruling", ...
+ * @property {string} bench - e.g. "Delhi", "Chennai", "Karnataka"
+ * @property {string[]} judges
+ * @property {string} decisionDate - YYYY-MM-DD, or '' if unknown
+ * @property {string[]} caseNumbers - Appeal / petition / case numbers
+ * @property {string} appellant
+ * @property {string} respondent
+ * @property {Array<{act: string, sections: string[]}>} statutes
+ * @property {string} inFavourOf - e.g. "assessee", "revenue", "partly in favour of assessee", or ''
+ * @property {string} headnote
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// "[2024] 158 taxmann.com 412 (Delhi)", "[2019] 413 ITR 1 (SC)"
+const BRACKET_YEAR_CITATION = /\[(\d{4})\]\s+(\d+)\s+(taxmann\.com|ITR|Taxman|GSTR|GSTL|GST|SOT|ITD|TTJ)\s+(\d+)(?:\s*\(([^)]{1,40})\))?/gi;
+// "2019 (22) GSTL 145 (Raj.)", "2015 (321) E.L.T. 4 (S.C.)"
+const YEAR_VOLUME_CITATION = /\b(\d{4})\s+\((\d+)\)\s+(G\.?S\.?T\.?L\.?|E\.?L\.?T\.?|S\.?T\.?R\.?|G\.?S\.?T\.?R\.?)\s+(\d+)(?:\s*\(([^)]{1,40})\))?/g;
+// "(2006) 2 SCC 508", "AIR 1997 SC 1125"
+const SCC_CITATION = /\((\d{4})\)\s+(\d+)\s+(SCC)\s+(\d+)/g;
+const AIR_CITATION = /\bAIR\s+(\d{4})\s+([A-Z][A-Za-z.]*)\s+(\d+)/g;
+
+const ACT_PATTERN = /\b((?:[A-Z][\w.&'()-]*)(?:\s+(?:[A-Z][\w.&'()-]*|and|of|on|for|&))*\s+(?:Act|Rules|Regulations)),?\s+(\d{4})/g;
+const SECTION_PATTERN = /\b(sections?|rules?|regulations?|sec\.|s\.)\s+(\d+[A-Z]*(?:\([\w]+\))*(?:\s*(?:,|and|&)\s*\d+[A-Z]*(?:\([\w]+\))*)*)/gi;
+
+// Coram lines end with a designation: "R.K. MEHRA AND S. NAIR, JJ.", "T. RAO AND L. GOWDA, MEMBERS"
+const JUDGE_DESIGNATIONS = /,?\s*\b(?:JJ?\.|C\.?J\.?|CHIEF JUSTICE|ACTING CHIEF JUSTICE|(?:JUDICIAL|TECHNICAL|ACCOUNTANT)\s+MEMBER|MEMBERS?|PRESIDENT|VICE[- ]PRESIDENT)(?=\s|,|$)/gi;
+
+function cleanText(html) {
+    return decodeEntities(String(html || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "R.K. MEHRA" → "R.K. Mehra". Mixed-case input is left alone.
+ */
+function titleCase(text) {
+    if (!text || text !== text.toUpperCase()) return text;
+    return text.toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase());
+}
+
+function uniqueBy(items, keyFn) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = keyFn(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Find every reporter citation in a piece of text
+ *
+ * @param {string} text
+ * @returns {Citation[]}
+ */
+function parseCitations(text) {
+    const str = String(text || '');
+    const found = [];
+    const add = (index, raw, year, volume, reporter, page, court = '') => {
+        const normalizedReporter = reporter.replace(/\./g, '').toUpperCase() === 'TAXMANNCOM' ? 'taxmann.com' : reporter.replace(/\./g, '').toUpperCase();
+        found.push({
+            index,
+            text: raw.trim(),
+            year: Number(year),
+            volume: volume === null ? null : Number(volume),
+            reporter: normalizedReporter,
+            page: Number(page),
+            court: court.trim(),
+            key: `${normalizedReporter.toLowerCase()}:${year}:${volume ?? ''}:${Number(page)}`
+        });
+    };
+
+    for (const m of str.matchAll(BRACKET_YEAR_CITATION)) add(m.index, m[0], m[1], m[2], m[3], m[4], m[5]);
+    for (const m of str.matchAll(YEAR_VOLUME_CITATION)) add(m.index, m[0], m[1], m[2], m[3], m[4], m[5]);
+    for (const m of str.matchAll(SCC_CITATION)) add(m.index, m[0], m[1], m[2], m[3], m[4]);
+    for (const m of str.matchAll(AIR_CITATION)) add(m.index, m[0], m[1], null, `AIR ${m[2]}`, m[3]);
+
+    return uniqueBy(found.sort((a, b) => a.index - b.index), c => c.key)
+        .map(({ index, ...citation }) => citation);
+}
+
+/**
+ * Parse a decision date in any of the forms Centax uses into YYYY-MM-DD
+ *
+ * Handles "2024-03-14T00:00:00", "MARCH 14, 2024", "14th March, 2024", "14.03.2024", "14-03-2024".
+ * @returns {string} ISO date, or '' if the text isn't a recognizable date
+ */
+function parseDecisionDate(value) {
+    if (!value) return '';
+    const str = String(value).trim();
+    let y, mo, d;
+
+    let m = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (m) [y, mo, d] = [m[1], m[2], m[3]].map(Number);
+
+    if (!m && (m = str.match(/^([A-Za-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/))) {
+        mo = MONTHS.findIndex(name => name.startsWith(m[1].toLowerCase().slice(0, 3))) + 1;
+        [d, y] = [Number(m[2]), Number(m[3])];
+    }
+    if (!y && (m = str.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]+)\.?,?\s+(\d{4})$/))) {
+        mo = MONTHS.findIndex(name => name.startsWith(m[2].toLowerCase().slice(0, 3))) + 1;
+        [d, y] = [Number(m[1]), Number(m[3])];
+    }
+    if (!y && (m = str.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/))) {
+        [d, mo, y] = [m[1], m[2], m[3]].map(Number);
+    }
+    if (!y || !mo) return '';
+
+    const date = new Date(Date.UTC(y, mo - 1, d));
+    if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return '';
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Split "A v. B" into appellant and respondent. "In re X" has no respondent.
+ */
+function splitParties(title) {
+    const str = cleanText(title);
+    const inRe = str.match(/^In\s+re:?\s+(.+)$/i);
+    if (inRe) return { appellant: inRe[1].trim(), respondent: '' };
+
+    const parts = str.split(/\s+(?:v\.|vs\.?|versus)\s+/i);
+    if (parts.length >= 2) return { appellant: parts[0].trim(), respondent: parts.slice(1).join(' v. ').trim() };
+    return { appellant: str, respondent: '' };
+}
+
+/**
+ * Split a coram line or judge list into names
+ */
+function parseJudges(value) {
+    const list = Array.isArray(value) ? value : [value];
+    const names = list.flatMap(entry => cleanText(entry)
+        .replace(JUDGE_DESIGNATIONS, '')
+        .split(/\s*(?:,|;|\band\b|&)\s*/i))
+        .map(name => titleCase(name.replace(/^(?:Hon'?ble\s+)?(?:Mr\.|Ms\.|Mrs\.|Dr\.)?\s*(?:Justice\s+)?/i, '').trim()))
+        .filter(name => name.length > 1);
+    return uniqueBy(names, n => n.toLowerCase());
+}
+
+/**
+ * "107(6)(b)" → "107", keeping the prefix: "Section 107", "Rule 89"
+ */
+function normalizeSection(kind, number) {
+    const label = /^rule/i.test(kind) ? 'Rule' : /^reg/i.test(kind) ? 'Regulation' : 'Section';
+    return `${label} ${number.replace(/\(.*$/, '').toUpperCase()}`;
+}
+
+function sectionsIn(text) {
+    const sections = [];
+    for (const m of text.matchAll(SECTION_PATTERN)) {
+        for (const n of m[2].split(/\s*(?:,|and|&)\s*/i).filter(Boolean)) {
+            sections.push(normalizeSection(m[1], n));
+        }
+    }
+    return sections;
+}
+
+/**
+ * Merge statute lists, combining sections of the same act
+ */
+function mergeStatutes(...lists) {
+    const byAct = new Map();
+    for (const { act, sections } of lists.flat()) {
+        const key = act.toLowerCase();
+        const entry = byAct.get(key) || { act, sections: [] };
+        entry.sections = [...new Set([...entry.sections, ...sections])];
+        byAct.set(key, entry);
+    }
+    return [...byAct.values()];
+}
+
+/**
+ * Find statutes and the sections referred to under each.
+ *
+ * Sections are attached to the next act named in the same clause, so
+ * "Section 107, read with section 54, of the Central Goods and Services Tax Act, 2017"
+ * gives { act: "Central Goods and Services Tax Act, 2017", sections: ["Section 107", "Section 54"] }.
+ *
+ * @param {string} text - Headnote or judgment text
+ * @returns {Array<{act: string, sections: string[]}>}
+ */
+function parseStatutes(text) {
+    const statutes = [];
+    // Headnote topics are separated by " - "; sentences end with ". " before a capital
+    for (const clause of cleanText(text).split(/\s+-\s+|\.\s+(?=[A-Z])/)) {
+        let last = 0;
+        for (const m of clause.matchAll(ACT_PATTERN)) {
+            const act = `${m[1].replace(/^(?:The|And|Of)\s+/, '')}, ${m[2]}`;
+            statutes.push({ act, sections: sectionsIn(clause.slice(last, m.index)) });
+            last = m.index + m[0].length;
+        }
+    }
+    return mergeStatutes(statutes);
+}
+
+/**
+ * "[In favour of assessee]" → "assessee"; "[Partly in favour of revenue]" → "partly in favour of revenue"
+ */
+function normalizeOutcome(value) {
+    const str = cleanText(value).replace(/^\[|\]$/g, '').trim().toLowerCase();
+    if (!str) return '';
+    const m = str.match(/^in favou?r of (?:the )?(.+)$/);
+    return m ? m[1] : str;
+}
+
+function outcomeFromHeadnote(headnote) {
+    const tags = [...String(headnote || '').matchAll(/\[((?:partly\s+)?in favou?r of[^\]]+|matter remanded[^\]]*)\]/gi)];
+    return tags.length ? normalizeOutcome(tags[tags.length - 1][1]) : '';
+}
+
+/**
+ * Court level and bench from a court heading such as "HIGH COURT OF DELHI"
+ * or a search facet label such as "High Court"
+ */
+function parseCourt(heading, bench = '') {
+    const str = cleanText(heading);
+    if (!str) return { court: '', bench: cleanText(bench) };
+    let m;
+
+    if (/supreme court/i.test(str)) return { court: 'Supreme Court', bench: '' };
+    if ((m = str.match(/high court(?:\s+of(?:\s+judicature\s+at)?)?\s*(.*)$/i))) {
+        const place = m[1] || str.replace(/\s*high court.*$/i, '');
+        return { court: 'High Court', bench: titleCase(place.trim()) || cleanText(bench) };
+    }
+    if (/advance rulings?/i.test(str)) {
+        m = str.match(/advance rulings?[,\s-]+(.+)$/i);
+        return { court: 'Advance Ruling', bench: m ? titleCase(m[1].trim()) : cleanText(bench) };
+    }
+    if (/tribunal|cestat|itat/i.test(str)) {
+        m = str.match(/[,-]\s*([A-Za-z ]+?)(?:\s+bench)?$/i);
+        return { court: 'Tribunal', bench: m ? titleCase(m[1].trim()) : cleanText(bench) };
+    }
+    return { court: titleCase(str), bench: cleanText(bench) };
+}
+
+function emptyMetadata(id = '') {
+    return {
+        id: id ? String(id) : '',
+        title: '',
+        citations: [],
+        citation: '',
+        court: '',
+        bench: '',
+        judges: [],
+        decisionDate: '',
+        caseNumbers: [],
+        appellant: '',
+        respondent: '',
+        statutes: [],
+        inFavourOf: '',
+        headnote: ''
+    };
+}
+
+/**
+ * Build metadata from a Centax search result item
+ *
+ * @param {object} item - Raw itemarray entry from getSearchResult
+ * @returns {CaseMetadata}
+ */
+function fromSearchItem(item) {
+    const meta = emptyMetadata(item.Id || item.id);
+    const title = cleanText(item.heading1 || item.heading || item.partyName || '');
+    const parties = splitParties(item.partyName || title);
+    const headnote = cleanText(item.headnote || item.summary || '');
+    const { court, bench } = parseCourt(item.courtName || item.court || '', item.benchName || item.bench || '');
+
+    meta.title = title;
+    meta.citations = parseCitations(item.citation || '');
+    meta.citation = meta.citations[0]?.text || cleanText(item.citation || '');
+    meta.court = court;
+    meta.bench = bench;
+    meta.judges = item.judgeName ? parseJudges(item.judgeName) : [];
+    meta.decisionDate = parseDecisionDate(item.decisionDate || item.date);
+    meta.caseNumbers = cleanText(item.apealNo || '').split(/\s*;\s*/).filter(Boolean);
+    meta.appellant = parties.appellant;
+    meta.respondent = parties.respondent;
+    meta.headnote = headnote;
+    meta.inFavourOf = normalizeOutcome(item.inFavourOf || '') || outcomeFromHeadnote(headnote);
+
+    const listed = [];
+    if (item.actName) {
+        const sections = String(item.sectionName || '').split(/\s*,\s*/)
+            .map(s => s.match(/^(section|rule|regulation)s?\s+(.+)$/i))
+            .filter(Boolean)
+            .map(m => normalizeSection(m[1], m[2]));
+        listed.push(...cleanText(item.actName).split(/\s*;\s*/).map((act, i) => ({ act, sections: i === 0 ? sections : [] })));
+    }
+    meta.statutes = mergeStatutes(listed, parseStatutes(headnote));
+
+    return meta;
+}
+
+/**
+ * Blocks of the document header (everything before the first <hr>), as [className, text]
+ */
+function headerBlocks(html) {
+    const hr = html.search(/<hr\b/i);
+    const header = hr >= 0 ? html.slice(0, hr) : html.slice(0, 6000);
+    const blocks = [...header.matchAll(/<(div|p)\b([^>]*)>([\s\S]*?)<\/\1>/gi)]
+        .map(m => [(m[2].match(/class="([^"]*)"/i) || [])[1] || '', cleanText(m[3])])
+        .filter(([, text]) => text);
+    return hr >= 0 ? blocks : blocks.slice(0, 15);
+}
+
+/**
+ * Build metadata from judgment HTML returned by getCaseHTML
+ *
+ * @param {string} html
+ * @param {string} id - Case ID
+ * @returns {CaseMetadata}
+ */
+function fromDocumentHtml(html, id = '') {
+    const meta = emptyMetadata(id);
+    const blocks = headerBlocks(String(html || ''));
+    const lines = blocks.map(([, text]) => text);
+
+    meta.citations = parseCitations(lines.slice(0, 3).join(' '));
+    meta.citation = meta.citations[0]?.text || '';
+
+    const courtLine = blocks.find(([cls, text]) => /\bh1\b/.test(cls) && !/^(judgment|order|facts)$/i.test(text));
+    if (courtLine) Object.assign(meta, parseCourt(courtLine[1]));
+
+    const vIndex = lines.findIndex(text => /^(?:v\.|vs\.?|versus)$/i.test(text));
+    if (vIndex > 0) {
+        meta.appellant = titleCase(lines[vIndex - 1]);
+        meta.respondent = titleCase(lines[vIndex + 1] || '');
+    } else {
+        const inRe = lines.find(text => /^In\s+re\b/i.test(text));
+        if (inRe) Object.assign(meta, splitParties(inRe));
+    }
+    meta.title = meta.respondent ? `${meta.appellant} v. ${meta.respondent}` : meta.appellant ? `In re ${meta.appellant}` : '';
+
+    const short = lines.filter(text => text.length < 160);
+    const isCoram = new RegExp(JUDGE_DESIGNATIONS.source, 'i');
+    const coram = short.find(text => isCoram.test(text));
+    if (coram) meta.judges = parseJudges(coram);
+
+    const dateLine = short.find(text => parseDecisionDate(text));
+    if (dateLine) meta.decisionDate = parseDecisionDate(dateLine);
+
+    meta.caseNumbers = short
+        .filter(text => text !== coram && /\b(?:Nos?\.|(?:Appeal|Petition|Application|Reference|Ruling)\b)/i.test(text) && /\d/.test(text))
+        .filter(text => !parseCitations(text).length);
+
+    meta.headnote = lines.filter(text => text.length >= 100).sort((a, b) => b.length - a.length)[0] || '';
+    meta.inFavourOf = outcomeFromHeadnote(meta.headnote);
+    meta.statutes = mergeStatutes(parseStatutes(meta.headnote), parseStatutes(cleanText(html)));
+
+    return meta;
+}
+
+/**
+ * Combine metadata from several sources. Earlier sources win for single
+ * values; lists (citations, judges, case numbers, statutes) are unioned.
+ *
+ * @param {...CaseMetadata} sources
+ * @returns {CaseMetadata}
+ */
+function mergeMetadata(...sources) {
+    const present = sources.filter(Boolean);
+    const merged = emptyMetadata();
+    for (const field of ['id', 'title', 'citation', 'court', 'bench', 'decisionDate', 'appellant', 'respondent', 'inFavourOf', 'headnote']) {
+        merged[field] = present.map(s => s[field]).find(Boolean) || '';
+    }
+    merged.citations = uniqueBy(present.flatMap(s => s.citations || []), c => c.key);
+    merged.judges = uniqueBy(present.flatMap(s => s.judges || []), j => j.toLowerCase().replace(/[^a-z]/g, ''));
+    merged.caseNumbers = uniqueBy(present.flatMap(s => s.caseNumbers || []), n => n.toLowerCase().replace(/\s+/g, ''));
+    merged.statutes = mergeStatutes(...present.map(s => s.statutes || []));
+    return merged;
+}
+
+/**
+ * One-line description for prompts and logs
+ */
+function describeMetadata(meta) {
+    if (!meta) return '';
+    const court = [meta.bench, meta.court].filter(Boolean).join(' ');
+    return [
+        meta.citation,
+        court,
+        meta.decisionDate,
+        meta.statutes.length ? meta.statutes.map(s => s.sections.length ? `${s.act} (${s.sections.join(', ')})` : s.act).join('; ') : '',
+        meta.inFavourOf ? `in favour of ${meta.inFavourOf}` : ''
+    ].filter(Boolean).join(' | ');
+}
+
+module.exports = {
+    fromSearchItem,
+    fromDocumentHtml,
+    mergeMetadata,
+    describeMetadata,
+    parseCitations,
+    parseDecisionDate,
+    parseStatutes,
+    parseJudges,
+    splitParties
+};
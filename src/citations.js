@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const library = require('./library');
+const { parseCitations } = require('./case_metadata');
+const { parseJudgment } = require('./judgment_text');
+const { DocumentNotFound } = require('./errors');
+
+/**
+ * Citation graph over the case library.
+ *
+ * Every stored judgment is scanned for the authorities it relies on:
+ * reporter citations ("[2023] 150 taxmann.com 201 (SC)", "2019 (22) GSTL 145",
+ * "2015 (321) E.L.T. 4", "(2006) 2 SCC 508", ...) and case numbers
+ * ("Civil Appeal No. 7142 of 2022", "W.P.(C) No. 4518 of 2023"). Each
+ * reference is recorded with the paragraphs it appears in and, where the
+ * text gives one, the case name before it.
+ *
+ * References are resolved to case IDs when read, against the citations and
+ * case numbers of the cases in the library, so a judgment downloaded later
+ * links up with everything that already cites it. References to cases we
+ * don't hold stay in the graph under their normalized key.
+ *
+ * The extracted references are kept in library/citation_index.json and
+ * brought up to date the same way as the search index (see local_search.js).
+ */
+
+const INDEX_FILE = path.join(library.LIBRARY_DIR, 'citation_index.json');
+const INDEX_VERSION = 1;
+// Delay before writing the index after live updates, so a batch of downloads is saved once
+const SAVE_DELAY_MS = 2000;
+
+// "Civil Appeal No. 7142 of 2022", "W.P.(C) No. 4518 of 2023", "Service Tax Appeal Nos. 40211 and 40212 of 2019"
+const CASE_NUMBER = /\b((?:(?:Civil|Criminal|Special|Leave|Tax|Service|Excise|Customs|Income|Central|Writ|Misc\.?|Miscellaneous|Review|Transfer|Original|Special\s+Civil)\s+)*(?:Appeal|Petition|Application|Reference|S\.?L\.?P\.?|W\.\s?P\.?|O\.\s?A\.?)\s*(?:\((?:C|Civil|Crl|L|T)\)\s*)?Nos?\.\s*(\d+)(?:\s*(?:,|and|&)\s*\d+)*\s+of\s+(\d{4}))/gi;
+
+// Words that open a sentence before a case name rather than belong to it
+const LEAD_INS = new Set(['following', 'see', 'also', 'relying', 'reliance', 'applying', 'distinguishing', 'cf.', 'per', 'in', 'held', 'approved', 'affirmed', 'overruled', 'the', 'and', 'of', 'for', '&']);
+
+let index = null;
+let synced = false;
+let saveTimer = null;
+
+/**
+ * Normalized key for a case number, so "W.P.(C) No. 4518 of 2023" and "WP (C) No.4518 of 2023" match
+ */
+function caseNumberKey(text) {
+    return `no:${String(text).toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+}
+
+/**
+ * The case name printed just before a citation: "... placed on Union of India v. Gujarat Ambuja Exports Ltd. [2023] ..."
+ */
+function nameBefore(text, offset) {
+    // Start after any earlier citation in the window ("...201 (SC) and Shree Cement Ltd. v. ...")
+    const before = text.slice(Math.max(0, offset - 160), offset)
+        .replace(/^[\s\S]*\d(?:\s*\([^)]{1,40}\))?/, '')
+        .replace(/[\s,]+$/, '');
+    const versus = before.match(/^(.*)\s+(?:v\.|vs\.?|versus)\s+(.+)$/i);
+    if (!versus) {
+        const inRe = before.match(/\b(In\s+re[:\s]+[A-Z][^.;:]*?)$/);
+        return inRe ? inRe[1].trim() : '';
+    }
+    // Walk back over the capitalized words of the first party
+    const words = versus[1].split(/\s+/);
+    const party = [];
+    for (let i = words.length - 1; i >= 0; i--) {
+        const word = words[i];
+        if (/^[A-Z(]/.test(word) || (party.length && /^(?:of|and|&|the|for)$/.test(word))) party.unshift(word);
+        else break;
+    }
+    while (party.length && LEAD_INS.has(party[0].toLowerCase())) party.shift();
+    // The second party runs to the citation; drop anything after a sentence break
+    const respondent = versus[2].split(/[;:]|\.\s+(?=[A-Z][a-z]+\s)/)[0].trim();
+    if (!party.length || !respondent || respondent.length > 100) return '';
+    return `${party.join(' ')} v. ${respondent}`;
+}
+
+/**
+ * Find the authorities cited in a passage
+ *
+ * @param {string} text
+ * @returns {Array<{key: string, text: string, type: 'reporter'|'case-number', name: string}>}
+ */
+function findReferences(text) {
+    const str = String(text || '');
+    const refs = parseCitations(str).map(c => ({
+        key: c.key,
+        text: c.text,
+        type: 'reporter',
+        name: nameBefore(str, str.indexOf(c.text))
+    }));
+    for (const m of str.matchAll(CASE_NUMBER)) {
+        refs.push({ key: caseNumberKey(m[1]), text: m[1].trim(), type: 'case-number', name: nameBefore(str, m.index) });
+    }
+    return refs;
+}
+
+/**
+ * Keys a case can be cited by: its reporter citations and case numbers
+ */
+function identityKeys(meta) {
+    return [
+        ...(meta?.citations || []).map(c => c.key),
+        ...(meta?.caseNumbers || []).map(caseNumberKey)
+    ];
+}
+
+/**
+ * Authorities cited in the body of a judgment (the case's own citation in
+ * the header is not a reference), with the paragraphs citing each
+ *
+ * @param {string} html - Judgment HTML; plain text is used when there is none
+ * @param {object} meta - The case's metadata, to skip self-references
+ * @returns {Array<{key, text, type, name, paragraphs: number[], count: number}>}
+ */
+function extractReferences({ html, text }, meta = null) {
+    const own = new Set(identityKeys(meta));
+    const passages = [];
+    if (html) {
+        for (const section of parseJudgment(html).sections) {
+            for (const block of section.blocks) {
+                const blockText = block.text || (block.rows || []).map(r => r.join(' ')).join('\n');
+                passages.push({ text: blockText, para: block.para ?? null });
+            }
+        }
+    } else if (text) {
+        passages.push({ text, para: null });
+    }
+
+    const byKey = new Map();
+    for (const { text: passage, para } of passages) {
+        for (const ref of findReferences(passage)) {
+            if (own.has(ref.key)) continue;
+            const entry = byKey.get(ref.key) || { ...ref, paragraphs: [], count: 0 };
+            entry.name = entry.name || ref.name;
+            entry.count++;
+            if (para !== null && !entry.paragraphs.includes(para)) entry.paragraphs.push(para);
+            byKey.set(ref.key, entry);
+        }
+    }
+    return [...byKey.values()];
+}
+
+// ──────────────────────── Index ────────────────────────
+
+function signatureOf(record) {
+    return `${record.contentHash}:${record.textLength}`;
+}
+
+function emptyIndex() {
+    return { version: INDEX_VERSION, docs: {} };
+}
+
+function indexCase(record) {
+    const html = library.readHtml(record.id);
+    const text = html ? null : library.readText(record.id);
+    if (!html && !text) return false;
+    index.docs[record.id] = { signature: signatureOf(record), refs: extractReferences({ html, text }, record.metadata) };
+    return true;
+}
+
+function saveIndex() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    fs.mkdirSync(path.dirname(INDEX_FILE), { recursive: true });
+    const tmp = `${INDEX_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index));
+    fs.renameSync(tmp, INDEX_FILE);
+}
+
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveIndex, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+/**
+ * Bring the index in line with the library: scan new or changed cases, drop removed ones
+ *
+ * @returns {{added: number, updated: number, removed: number}}
+ */
+function syncIndex() {
+    const stats = { added: 0, updated: 0, removed: 0 };
+    const records = library.listCases();
+    const live = new Set(records.map(r => r.id));
+
+    for (const id of Object.keys(index.docs)) {
+        if (!live.has(id)) {
+            delete index.docs[id];
+            stats.removed++;
+        }
+    }
+    for (const record of records) {
+        const existing = index.docs[record.id];
+        if (existing && existing.signature === signatureOf(record)) continue;
+        if (indexCase(record)) stats[existing ? 'updated' : 'added']++;
+    }
+
+    if (stats.added || stats.updated || stats.removed) {
+        console.log(`🔗 Citation index: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed`);
+        saveIndex();
+    }
+    return stats;
+}
+
+/**
+ * Load the stored index and catch it up with the library (once per process)
+ */
+function loadIndex() {
+    if (!index) {
+        try {
+            const stored = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+            index = stored.version === INDEX_VERSION ? stored : emptyIndex();
+        } catch {
+            index = emptyIndex();
+        }
+    }
+    if (!synced) {
+        syncIndex();
+        synced = true;
+    }
+    return index;
+}
+
+// Scan documents as they are saved to the library
+library.libraryEvents.on('case_saved', ({ record }) => {
+    if (!index) return; // Picked up by syncIndex when the index is first loaded
+    if (indexCase(record)) scheduleSave();
+});
+
+// ──────────────────────── Graph ────────────────────────
+
+/**
+ * Citation key / case number key -> case ID, for the cases in the library
+ */
+function resolver() {
+    const byKey = new Map();
+    for (const record of library.listCases()) {
+        for (const key of identityKeys(record.metadata)) {
+            if (!byKey.has(key)) byKey.set(key, record.id);
+        }
+    }
+    return byKey;
+}
+
+function describeCase(id) {
+    const meta = library.getCase(id)?.metadata || {};
+    return {
+        id,
+        title: meta.title || id,
+        citation: meta.citation || '',
+        court: [meta.court, meta.bench].filter(Boolean).join(', '),
+        date: meta.decisionDate || ''
+    };
+}
+
+/**
+ * Cases a judgment cites, and the cases in the library that cite it
+ *
+ * @param {string} id - Case ID (must be in the library)
+ * @returns {{case: object, cites: Array<{key, text, name, type, id: string|null, title, citation, paragraphs, count}>,
+ *            citedBy: Array<{id, title, citation, court, date, text, paragraphs}>}}
+ * @throws {DocumentNotFound} If the case has not been fetched
+ */
+function getCaseCitations(id) {
+    const key = String(id);
+    const record = library.getCase(key);
+    if (!record) throw new DocumentNotFound(key, { hint: 'Fetch the case first (e.g. node index.js text <caseId>).' });
+    loadIndex();
+    const resolve = resolver();
+
+    const cites = (index.docs[key]?.refs || []).map(ref => {
+        const target = resolve.get(ref.key) || null;
+        const known = target ? describeCase(target) : null;
+        return {
+            key: ref.key,
+            text: ref.text,
+            type: ref.type,
+            name: ref.name,
+            id: target,
+            title: known?.title || ref.name || ref.text,
+            citation: known?.citation || (ref.type === 'reporter' ? ref.text : ''),
+            paragraphs: ref.paragraphs,
+            count: ref.count
+        };
+    });
+
+    const own = new Set(identityKeys(record.metadata));
+    const citedBy = [];
+    for (const [citingId, doc] of Object.entries(index.docs)) {
+        if (citingId === key) continue;
+        const refs = doc.refs.filter(ref => own.has(ref.key));
+        if (refs.length === 0) continue;
+        citedBy.push({
+            ...describeCase(citingId),
+            text: refs[0].text,
+            paragraphs: [...new Set(refs.flatMap(ref => ref.paragraphs))].sort((a, b) => a - b)
+        });
+    }
+    citedBy.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+    return { case: describeCase(key), cites, citedBy };
+}
+
+/**
+ * The authorities cited most often by a set of cases (e.g. a result set or a
+ * matter) — where to expand the research next
+ *
+ * @param {string[]} caseIds - Citing cases (default: the whole library)
+ * @param {object} options
+ * @param {number} options.limit - Number of authorities (default: 20)
+ * @returns {{cases: number, authorities: Array<{key, text, name, id: string|null, title, citation, inLibrary: boolean, count: number, citedBy: string[]}>}}
+ */
+function mostCited(caseIds = null, { limit = 20 } = {}) {
+    loadIndex();
+    const resolve = resolver();
+    const citing = caseIds ? caseIds.map(String).filter(id => index.docs[id]) : Object.keys(index.docs);
+
+    // Group references to the same case written different ways (citation vs case number)
+    const groups = new Map();
+    for (const citingId of citing) {
+        for (const ref of index.docs[citingId].refs) {
+            const target = resolve.get(ref.key) || null;
+            if (target === citingId) continue;
+            const groupKey = target ? `id:${target}` : ref.key;
+            const group = groups.get(groupKey) || { key: ref.key, text: ref.text, name: '', id: target, citedBy: new Set() };
+            group.name = group.name || ref.name;
+            group.citedBy.add(citingId);
+            groups.set(groupKey, group);
+        }
+    }
+
+    const authorities = [...groups.values()]
+        .map(group => {
+            const known = group.id ? describeCase(group.id) : null;
+            return {
+                key: group.key,
+                text: group.text,
+                name: group.name,
+                id: group.id,
+                title: known?.title || group.name || group.text,
+                citation: known?.citation || group.text,
+                inLibrary: Boolean(group.id),
+                count: group.citedBy.size,
+                citedBy: [...group.citedBy]
+            };
+        })
+        .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title))
+        .slice(0, limit);
+
+    return { cases: citing.length, authorities };
+}
+
+/**
+ * Re-scan the whole library
+ */
+function rebuildCitationIndex() {
+    index = emptyIndex();
+    synced = true;
+    return syncIndex();
+}
+
+module.exports = { findReferences, extractReferences, getCaseCitations, mostCited, rebuildCitationIndex };
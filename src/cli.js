@@ -1,10 +1,27 @@
-const { searchCases, displayResults } = require('./search');
-const { downloadCase, downloadMultipleCases } = require('./download');
-const { getSession } = require('./auth');
-const { extractAllTexts } = require('./pdf_reader');
+const { searchCases, searchAll, displayResults, describeQuery, MAX_PAGE_SIZE } = require('./search');
+const { downloadCase, downloadMultipleCases, runDownloadJob, fetchCaseDocument } = require('./download');
+const { getJob, listJobs, jobCounts } = require('./jobs');
+const { createMatter, getMatter, listMatters, updateMatter, addCases, removeCase, updateCase, addNote, summaryStore, forgetSummaries, recordAnalysis, matterSummaries, TAGS } = require('./matters');
+const { listSummaries, summaryStats, clearSummaries, narrativeFingerprint, PROMPT_VERSIONS } = require('./summaries');
+const { getSession, getAccount, getPoolStats, logout } = require('./auth');
+const { startSessionMonitor, stopSessionMonitor, ensureSession, sessionEvents } = require('./session_monitor');
+const { isVaultConfigured, readVault, addVaultAccount, removeVaultAccount, VAULT_FILE } = require('./vault');
+const { extractAllTexts, extractText } = require('./pdf_reader');
+const { listCases, getCase, getLibraryStats } = require('./library');
+const { searchLibrary, rebuildIndex } = require('./local_search');
+const { getCaseCitations, mostCited, rebuildCitationIndex } = require('./citations');
+const { parseJudgment, findParagraph } = require('./judgment_text');
 const { summarizeAll, rankByRelevance, chat } = require('./analyzer');
+const { listProviders, resolveTask } = require('./llm');
+const { buildMemo, buildMatterMemo, renderMemo } = require('./memo');
+const { buildBundle, topCaseIds, DEFAULT_TOP } = require('./bundle');
+const { getFilterCatalog } = require('./filters');
+const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 
+const EXPORTS_DIR = path.join(__dirname, '..', 'exports');
+
 // Store last search results for download-all
 let lastSearchResults = null;
 
@@ -25,25 +42,133 @@ Commands:
     --page N                  Page number (default: 1)
     --size N                  Results per page (default: 20)
     --sort relevance|date     Sort order (default: relevance)
+    --exact "phrase"          Exact phrase
+    --any "w1 w2"             Any of these words
+    --not "w1 w2"             None of these words
+    --party "name"            Name of party
+    --judge "name"            Judge name
+    --appeal "no."            Appeal / case number
+    --from DATE --to DATE     Decision date range (YYYY-MM-DD or DD-MM-YYYY)
+    --exclusive               Centax-exclusive documents only
 
   search-download <query>     Search + download top 30 results as PDFs
                               Skips files that already exist
+                              (accepts the same advanced search options)
+    --backend local|remote    PDF rendering (default: CENTAX_PDF_BACKEND)
 
   chat                        Interactive chatbot to analyze downloaded PDFs
                               Ranks cases by relevance to your situation
+    --matter ID               Work on a matter's cases, ranked against its narrative
+    --provider NAME           LLM provider (default: the matter's, then LLM_PROVIDER)
+
+  llm-providers               Show LLM providers, their default models and
+                              whether they are configured
 
   download <caseId>           Download a single case as PDF
     --title "Case Title"      Optional title for filename
+    --highlight "terms"       Highlight these terms ("quoted phrases" allowed)
+    --backend local|remote    Render here (default) or via the Taxmann PDF service
 
   download-all                Download all cases from last search
 
+  download-jobs [jobId]       List batch download jobs, or show one case by case
+  download-resume [jobId]     Continue a stopped or interrupted batch download
+                              (default: the latest unfinished job)
+  download-retry-failed [jobId]
+                              Retry only the cases that failed
+                              (default: the latest job with failures)
+
+  library                     List cases stored in the local case library
+
+  text <caseId>               Print a judgment as text with numbered paragraphs
+    --para N                  Only paragraph N
+    --json                    Header, sections and paragraphs as JSON
+
+  local-search <query>        Full-text search over the local case library
+                              (no Centax access; "quoted phrases", -exclude)
+    --limit N                 Number of results (default: 10)
+    --rebuild                 Rebuild the search index first
+
+  citations <caseId>          Authorities a judgment cites, and the local cases citing it
+    --rebuild                 Re-scan the whole library first
+  citations --most-cited [caseId...]
+                              Authorities cited most by these cases (default: all
+                              local cases)
+    --matter ID               ...or by a matter's cases
+    --limit N                 Number of authorities (default: 20)
+
+  summaries [caseId]          What the summary store holds (case summaries and
+                              per-narrative relevance notes, with the model and
+                              prompt version that wrote them)
+  summaries-clear [caseId...] Remove stored summaries so they are written again
+    --matter ID               ...for a matter's cases
+    --relevance | --generic   Only relevance notes / only case summaries
+    --provider NAME --model M Only those written by this provider / model
+    --stale                   Only those from older prompt versions
+    --all                     Everything
+
+  matter-list                 List research matters
+  matter-create <name>        Create a matter
+    --narrative "..."         Research narrative (used for summaries and ranking)
+    --keywords "..."          Search keywords
+    --filters JSON            Filter selections, e.g. '{"court":["High Court"]}'
+    --provider NAME           LLM provider for this matter's analysis
+  matter-show <id>            Show a matter's cases, tags, notes and scores
+  matter-update <id>          Change --name, --narrative, --keywords, --filters
+                              or --provider ("default" to clear)
+  matter-add <id> <caseId...> Attach cases to a matter
+    --tag TAG[,TAG]           Tag them (${TAGS.join(', ')})
+    --note "..."              Add a note to each
+  matter-remove <id> <caseId> Detach a case
+  matter-tag <id> <caseId> <TAG...>
+                              Tag a case (--remove to untag)
+  matter-note <id> <text>     Add a note to the matter
+    --case ID                 ...or to one of its cases
+
+  export                      Write a research memo (cover, ranked authorities,
+                              summaries, recommendation)
+    --matter ID               From a matter's last analysis
+    --input FILE              ...or from a saved /api/analyze result (JSON)
+    --format docx|md|html     Output format (default: docx)
+    --out PATH                Output file (default: exports/<matter>-<date>.<ext>)
+    --title "..."             Memo title
+
+  bundle [caseId...]          Compile judgments into one PDF for filing: cover,
+                              linked index, bookmarks, continuous page numbers
+    --matter ID               Top cases of a matter's last analysis
+    --input FILE              ...or of a saved /api/analyze result (JSON)
+    --top N                   How many of the top cases (default: ${DEFAULT_TOP})
+    --dividers                Divider page before each judgment
+    --title "..."             Cover title (default: Compilation of Judgments)
+    --out PATH                Output file (default: exports/bundle-<name>-<date>.pdf)
+
   login                       Test login and display session info
+    --account NAME            Account to log in with (default: primary)
+
+  accounts                    Show configured Centax accounts and usage
+
+  logout                      Wipe all cached Centax sessions
+    --all                     Also destroy the vault and stored credentials
+
+  vault-add <email>           Store Centax credentials in the encrypted vault
+                              (prompts for the password)
+  vault-remove <email>        Remove stored credentials from the vault
+  vault-status                Show vault location and contents (no secrets)
 
   help                        Show this help message
 
 Examples:
   node index.js search-download "customs duty exemption"
+  node index.js search refund --exact "pre-deposit" --not penalty --from 2023-01-01
+  node index.js local-search "pre-deposit" interest -penalty
+  node index.js citations 101010000000353754
+  node index.js summaries-clear --matter arvind-textiles-refund --relevance
   node index.js chat
+  node index.js matter-create "Arvind Textiles refund" --narrative "Interest on refund of pre-deposit"
+  node index.js chat --matter arvind-textiles-refund
+  node index.js matter-update arvind-textiles-refund --provider compatible
+  node index.js export --matter arvind-textiles-refund --format md
+  node index.js bundle --matter arvind-textiles-refund --top 5 --dividers
   node index.js download 101010000000353754
 `);
 }
@@ -75,24 +200,66 @@ function parseArgs(args) {
     return parsed;
 }
 
+/**
+ * Validate the Centax session before a long command and keep it alive
+ * while the command runs. Returns a function that stops the monitor.
+ */
+async function withSessionKeepalive() {
+    const onState = (e) => {
+        if (e.state !== 'active') console.log(`   🔐 Session ${e.email}: ${e.state}${e.detail ? ` (${e.detail})` : ''}`);
+    };
+    sessionEvents.on('state', onState);
+    await ensureSession();
+    startSessionMonitor();
+    return () => {
+        stopSessionMonitor();
+        sessionEvents.off('state', onState);
+    };
+}
+
+/**
+ * Build a structured search query from positional keywords and advanced-search flags
+ */
+function buildQuery(text, options) {
+    const str = (v) => (v === true || v === undefined ? '' : String(v));
+    return {
+        text,
+        exact: str(options.exact),
+        anyOf: str(options.any),
+        exclude: str(options.not),
+        party: str(options.party),
+        judge: str(options.judge),
+        appealNo: str(options.appeal),
+        from: str(options.from),
+        to: str(options.to),
+        exclusiveOnly: options.exclusive === true
+    };
+}
+
 /**
  * Handle search command
  */
-async function handleSearch(query, options) {
-    if (!query) {
+async function handleSearch(text, options) {
+    const query = buildQuery(text, options);
+    if (!text && !query.exact && !query.anyOf && !query.party && !query.judge && !query.appealNo) {
         console.error('❌ Please provide a search query. Example: node index.js search "GST fraud"');
         return;
     }
 
-    console.log(`🔍 Searching for: "${query}"`);
+    console.log(`🔍 Searching for: ${describeQuery(query)}`);
 
-    const searchOptions = {
-        page: parseInt(options.page) || 1,
-        pageSize: parseInt(options.size) || 20,
-        sortby: options.sort || 'relevance'
-    };
+    const page = parseInt(options.page) || 1;
+    const pageSize = parseInt(options.size) || 20;
+    const sortby = options.sort || 'relevance';
 
-    const results = await searchCases(query, searchOptions);
+    let results;
+    if (pageSize > MAX_PAGE_SIZE) {
+        // Centax caps pages at 20, so gather enough upstream pages to fill this one
+        const all = await searchAll(query, { max: page * pageSize, sortby, priority: 'interactive' });
+        results = { results: all.results.slice((page - 1) * pageSize), totalCount: all.totalCount, page, pageSize };
+    } else {
+        results = await searchCases(query, { page, pageSize, sortby });
+    }
     displayResults(results);
 
     // Cache for download-all
@@ -111,12 +278,17 @@ async function handleDownload(caseId, options) {
     }
 
     console.log(`📥 Downloading case: ${caseId}`);
-    const result = await downloadCase(caseId, options.title || caseId);
+    const result = await downloadCase(caseId, options.title || caseId, {
+        backend: stringOption(options.backend),
+        highlight: stringOption(options.highlight)
+    });
 
     if (result.success) {
         console.log(`\n✅ Done! PDF saved to: ${result.path}`);
+        if (result.fallback) console.log(`⚠️  Rendered locally: the PDF service failed (${result.fallbackReason})`);
     } else {
         console.log(`\n❌ Download failed: ${result.error}`);
+        if (result.hint) console.log(`💡 ${result.hint}`);
     }
 
     return result;
@@ -134,18 +306,88 @@ async function handleDownloadAll() {
 
     const cases = lastSearchResults.results.map(r => ({
         id: r.id,
-        heading: r.heading || r.citation || r.id
+        heading: r.heading || r.citation || r.id,
+        metadata: r.metadata
     }));
 
-    return await downloadMultipleCases(cases);
+    const stopKeepalive = await withSessionKeepalive();
+    try {
+        return await downloadMultipleCases(cases, { label: 'download-all (last search)' });
+    } finally {
+        stopKeepalive();
+    }
+}
+
+/**
+ * Handle download-jobs command
+ */
+function handleDownloadJobs(jobId) {
+    if (jobId) {
+        const job = getJob(jobId);
+        const counts = jobCounts(job);
+        console.log(`\n📋 Job ${job.id}: ${job.status}${job.label ? ` — ${job.label}` : ''}`);
+        console.log(`   ${counts.downloaded} downloaded, ${counts.skipped} skipped, ${counts.failed} failed, ${counts.pending + counts.running} pending of ${counts.total}`);
+        console.log(`   Created ${job.createdAt}, ${job.runs.length} run(s)\n`);
+        const icons = { downloaded: '✅', skipped: '⏭️ ', failed: '❌', pending: '⏳', running: '⏳' };
+        for (const c of job.cases) {
+            console.log(`  ${icons[c.status]} ${c.id}  ${c.title}${c.attempts > 1 ? `  (${c.attempts} attempts)` : ''}`);
+            if (c.error) console.log(`     ${c.error}${c.code ? ` [${c.code}]` : ''}`);
+            if (c.path) console.log(`     📄 ${c.path}${c.fallback ? '  (rendered locally: the PDF service failed)' : ''}`);
+        }
+        console.log();
+        return;
+    }
+
+    const { jobs: all, unreadable } = listJobs();
+    for (const f of unreadable) console.log(`⚠️  Skipping unreadable job file ${f}`);
+    if (all.length === 0) {
+        console.log('\n📋 No batch download jobs yet.\n');
+        return;
+    }
+    console.log(`\n📋 ${all.length} download job(s)\n`);
+    for (const j of all) {
+        const { downloaded, skipped, failed, pending, running, total } = j.counts;
+        console.log(`  ${j.id}  ${j.status}${j.label ? `  ${j.label}` : ''}`);
+        console.log(`     ${downloaded + skipped}/${total} done, ${failed} failed, ${pending + running} pending`);
+    }
+    console.log();
+}
+
+/**
+ * Handle download-resume and download-retry-failed commands
+ *
+ * @param {string} jobId - Defaults to the latest job that has something to do
+ * @param {string} mode - 'resume' or 'retry-failed'
+ */
+async function handleDownloadResume(jobId, mode) {
+    let id = jobId;
+    if (!id) {
+        const { jobs } = listJobs();
+        const candidate = mode === 'retry-failed'
+            ? jobs.find(j => j.counts.failed > 0 && j.status !== 'running')
+            : jobs.find(j => ['stopped', 'interrupted', 'pending'].includes(j.status));
+        if (!candidate) {
+            console.log(mode === 'retry-failed' ? '\n✅ No job has failed cases.\n' : '\n✅ No unfinished download jobs.\n');
+            return;
+        }
+        id = candidate.id;
+    }
+
+    const stopKeepalive = await withSessionKeepalive();
+    try {
+        const { results } = await runDownloadJob(id, { mode });
+        return results;
+    } finally {
+        stopKeepalive();
+    }
 }
 
 /**
  * Handle login test command
  */
-async function handleLogin() {
+async function handleLogin(options) {
     console.log('🔐 Testing login...');
-    const session = await getSession();
+    const session = await getSession(getAccount(options.account));
     console.log(`\n✅ Authenticated successfully!`);
     console.log(`   Email: ${session.email}`);
     console.log(`   Machine ID: ${session.machineId}`);
@@ -153,68 +395,644 @@ async function handleLogin() {
 }
 
 /**
- * Handle search-download command (MVP: search + download 30 PDFs)
+ * Handle library command: list cases held in the local case library
  */
-async function handleSearchDownload(query, options) {
-    if (!query) {
-        console.error('❌ Please provide a search query. Example: node index.js search-download "GST fraud"');
+function handleLibrary() {
+    const stats = getLibraryStats();
+    console.log(`\n📚 Case library: ${stats.dir}`);
+    console.log(`   ${stats.cases} cases, ${stats.withText} with text, ${stats.withPdf} with PDF\n`);
+
+    for (const r of listCases()) {
+        const m = r.metadata || {};
+        console.log(`  ${r.pdfPath ? '📄' : '📝'} ${m.title || r.id}`);
+        if (m.citation) console.log(`     📚 ${m.citation}`);
+        console.log(`     🆔 ${r.id} | fetched ${(r.fetchedAt || '').split('T')[0]} | ${r.textLength} chars`);
+    }
+    console.log();
+}
+
+/**
+ * Handle text command: print a judgment's structured text (fetched into the library if needed)
+ */
+async function handleText(caseId, options) {
+    if (!caseId) {
+        console.error('❌ Please provide a case ID. Example: node index.js text 101010000000353754 --para 12');
         return;
     }
 
-    const count = parseInt(options.count) || 30;
-    console.log(`🔍 Searching for: "${query}" (will download top ${count} results)\n`);
+    const doc = await fetchCaseDocument(caseId);
+    if (options.para !== undefined) {
+        const para = findParagraph(parseJudgment(doc.htmlContent), options.para);
+        if (!para) {
+            console.error(`❌ Paragraph ${options.para} not found in ${caseId}`);
+            return;
+        }
+        console.log(options.json ? JSON.stringify(para, null, 2) : para.text);
+        return;
+    }
+    console.log(options.json ? JSON.stringify(parseJudgment(doc.htmlContent), null, 2) : doc.text);
+}
+
+/**
+ * Handle local-search command: full-text search over the local case library
+ */
+function handleLocalSearch(text, options) {
+    if (options.rebuild) rebuildIndex();
+    if (!text) {
+        if (!options.rebuild) console.error('❌ Please provide a search query. Example: node index.js local-search "pre-deposit" interest');
+        return;
+    }
+
+    const limit = parseInt(options.limit) || 10;
+    const { results, total, indexed } = searchLibrary(text, { limit });
+
+    console.log(`\n${'━'.repeat(70)}`);
+    console.log(`📚 ${total} of ${indexed} local cases match ${text} (showing ${results.length})`);
+    console.log(`${'━'.repeat(70)}\n`);
 
-    // Search with pageSize = count
-    const searchResult = await searchCases(query, {
-        page: 1,
-        pageSize: count,
-        sortby: options.sort || 'relevance'
+    results.forEach((r, i) => {
+        console.log(`  ${i + 1}. ${r.title}  (score ${r.score.toFixed(2)})`);
+        if (r.citation) console.log(`     📚 ${r.citation}`);
+        if (r.court || r.date) console.log(`     🏛  ${[r.court, r.date].filter(Boolean).join(' | ')}`);
+        console.log(`     🆔 ${r.id}`);
+        console.log(`     ${r.snippet}`);
+        console.log();
     });
+}
 
-    displayResults(searchResult);
+/**
+ * Handle citations command: one case's citation graph, or the most-cited authorities
+ */
+async function handleCitations(caseIds, options) {
+    if (options.rebuild) rebuildCitationIndex();
+
+    if (options['most-cited']) {
+        // "--most-cited ID" parses as the option's value
+        const ids = [...(typeof options['most-cited'] === 'string' ? [options['most-cited']] : []), ...caseIds];
+        const matterId = stringOption(options.matter);
+        const citing = matterId ? Object.keys(getMatter(matterId).cases) : ids.length ? ids : null;
+        const { cases, authorities } = mostCited(citing, { limit: parseInt(options.limit) || 20 });
+        console.log(`\n🔗 Most-cited authorities across ${cases} case(s)\n`);
+        authorities.forEach((a, i) => {
+            console.log(`  ${i + 1}. ${a.title}  (cited by ${a.count})`);
+            if (a.citation && a.citation !== a.title) console.log(`     📚 ${a.citation}`);
+            console.log(a.inLibrary ? `     🆔 ${a.id}` : '     ⚪ Not in the library');
+        });
+        if (authorities.length === 0) console.log('  No citations found in these cases.');
+        console.log();
+        return;
+    }
 
-    if (searchResult.results.length === 0) {
-        console.log('❌ No results found');
+    const caseId = caseIds[0];
+    if (!caseId) {
+        if (!options.rebuild) console.error('❌ Please provide a case ID. Example: node index.js citations 101010000000353754');
         return;
     }
+    await fetchCaseDocument(caseId);
+    const graph = getCaseCitations(caseId);
+    const paras = p => (p.length ? ` (para ${p.join(', ')})` : '');
+
+    console.log(`\n🔗 ${graph.case.title}${graph.case.citation ? ` — ${graph.case.citation}` : ''}\n`);
+    console.log(`  Cites ${graph.cites.length}:`);
+    for (const c of graph.cites) {
+        console.log(`   → ${c.title}${c.citation && c.citation !== c.title ? ` — ${c.citation}` : ''}${paras(c.paragraphs)}`);
+        if (c.id) console.log(`     🆔 ${c.id}`);
+    }
+    console.log(`\n  Cited by ${graph.citedBy.length} local case(s):`);
+    for (const c of graph.citedBy) {
+        console.log(`   ← ${c.title}${c.citation ? ` — ${c.citation}` : ''}${paras(c.paragraphs)}`);
+        console.log(`     🆔 ${c.id}`);
+    }
+    console.log();
+}
 
-    // Download all results
-    const cases = searchResult.results.map(r => ({
-        id: r.id,
-        heading: r.heading || r.citation || r.id
-    }));
+/**
+ * Handle summaries command: what the summary store holds, overall or for one case
+ */
+function handleSummaries(caseId) {
+    if (!caseId) {
+        const stats = summaryStats();
+        console.log(`\n🧠 Summary store: ${stats.entries} entr${stats.entries === 1 ? 'y' : 'ies'} for ${stats.cases} case(s)${stats.stale ? `, ${stats.stale} from older prompts` : ''}\n`);
+        for (const [kind, n] of Object.entries(stats.byKind)) console.log(`  ${kind.padEnd(10)} ${n}`);
+        for (const [model, n] of Object.entries(stats.byModel)) console.log(`  🤖 ${model}: ${n}`);
+        console.log(`\n   Current prompts: ${Object.entries(PROMPT_VERSIONS).map(([k, v]) => `${k} ${v}`).join(', ')}\n`);
+        return;
+    }
+
+    const entries = listSummaries(caseId);
+    const title = getCase(caseId)?.metadata?.title || caseId;
+    console.log(`\n🧠 ${title}: ${entries.length} stored entr${entries.length === 1 ? 'y' : 'ies'}\n`);
+    for (const e of entries) {
+        const narrative = e.fingerprint ? ` | narrative ${e.fingerprint}` : '';
+        const coverage = e.coverage?.parts > 1 ? ` | ${e.coverage.parts} parts, ${Math.round(e.coverage.ratio * 100)}% read` : '';
+        console.log(`  ${e.kind === 'generic' ? '📄' : '🎯'} ${e.kind}  ${e.promptVersion}${e.stale ? ' (stale)' : ''}`);
+        console.log(`     🤖 ${e.provider}/${e.model}${narrative}${coverage} | ${e.createdAt.split('T')[0]}`);
+        console.log(`     ${e.text.replace(/\s+/g, ' ').substring(0, 160)}${e.text.length > 160 ? '…' : ''}`);
+    }
+    console.log();
+}
+
+/**
+ * Handle summaries-clear command
+ */
+function handleSummariesClear(caseIds, options) {
+    // "--relevance ID" parses as the option's value
+    const flags = ['relevance', 'generic', 'stale', 'all'];
+    caseIds = [...caseIds, ...flags.map(f => options[f]).filter(v => typeof v === 'string')];
+    const matter = stringOption(options.matter) ? getMatter(options.matter) : null;
+    const kind = options.relevance ? 'relevance' : options.generic ? 'generic' : undefined;
+    if (matter && Object.keys(matter.cases).length === 0) {
+        console.log(`\n🗑  "${matter.name}" has no cases; nothing removed\n`);
+        return;
+    }
+    const filter = {
+        // No case IDs: every stored case, narrowed by the other filters
+        caseIds: matter ? Object.keys(matter.cases) : caseIds.length ? caseIds : undefined,
+        kind,
+        provider: stringOption(options.provider),
+        model: stringOption(options.model),
+        // A matter's relevance notes: only those for its current narrative
+        fingerprint: matter && kind === 'relevance' ? narrativeFingerprint(matter.keywords, matter.narrative) : undefined,
+        stale: Boolean(options.stale),
+        all: Boolean(options.all)
+    };
+    const { cases, removed } = clearSummaries(filter);
+    if (matter) forgetSummaries(matter.id, null, kind);
+    console.log(`\n🗑  Removed ${removed} stored entr${removed === 1 ? 'y' : 'ies'} from ${cases} case(s)${matter ? `, and the summaries kept with "${matter.name}"` : ''}\n`);
+}
+
+/**
+ * Handle accounts command: list the session pool with per-account usage
+ */
+function handleAccounts() {
+    const stats = getPoolStats();
+    if (stats.length === 0) {
+        console.log('❌ No Centax accounts configured. Set CENTAX_EMAIL and CENTAX_PASSWORD in .env');
+        return;
+    }
+
+    console.log(`\n👥 ${stats.length} Centax account(s):\n`);
+    for (const a of stats) {
+        const state = a.coolingDown ? `🧊 cooling down (${Math.ceil(a.cooldownRemainingMs / 1000)}s)` : '✅ ready';
+        console.log(`  ${a.name} <${a.email}>  ${state}`);
+        console.log(`     Requests: ${a.requests} | Failures: ${a.failures} | Rate limited: ${a.rateLimited} | Auth failures: ${a.authFailures}`);
+        if (a.lastError) console.log(`     Last error: ${a.lastError}`);
+    }
+    console.log();
+}
+
+/**
+ * Prompt for a secret on the terminal without echoing it
+ */
+function promptSecret(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl._writeToOutput = (str) => {
+            if (str.includes(question)) rl.output.write(str);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Handle logout command
+ */
+async function handleLogout(options) {
+    const { sessionsCleared, vaultDestroyed } = await logout({ all: Boolean(options.all) });
+    console.log(`\n🔒 Logged out: cleared ${sessionsCleared} cached session(s)`);
+    if (vaultDestroyed) console.log(`   🗑️  Vault destroyed: ${VAULT_FILE}`);
+}
+
+/**
+ * Handle vault-add command
+ */
+async function handleVaultAdd(email) {
+    if (!email) {
+        console.error('❌ Please provide an email. Example: node index.js vault-add you@firm.com');
+        return;
+    }
+    if (!isVaultConfigured()) {
+        console.error('❌ Set CENTAX_VAULT_PASSPHRASE or CENTAX_VAULT_KEY_FILE in .env to use the vault.');
+        return;
+    }
+
+    const password = await promptSecret(`🔑 Centax password for ${email}: `);
+    if (!password) {
+        console.error('❌ No password entered');
+        return;
+    }
+
+    addVaultAccount(email, password);
+    console.log(`\n✅ Stored credentials for ${email} in ${VAULT_FILE}`);
+}
+
+/**
+ * Handle vault-remove command
+ */
+function handleVaultRemove(email) {
+    if (!email) {
+        console.error('❌ Please provide an email. Example: node index.js vault-remove you@firm.com');
+        return;
+    }
+    if (removeVaultAccount(email)) {
+        console.log(`\n✅ Removed ${email} from the vault`);
+    } else {
+        console.log(`\n⚠️  ${email} is not in the vault`);
+    }
+}
+
+/**
+ * Handle vault-status command
+ */
+function handleVaultStatus() {
+    console.log(`\n🔐 Vault: ${VAULT_FILE}`);
+    if (!isVaultConfigured()) {
+        console.log('   Not configured (set CENTAX_VAULT_PASSPHRASE or CENTAX_VAULT_KEY_FILE)\n');
+        return;
+    }
+
+    const vault = readVault();
+    console.log(`   Accounts: ${vault.accounts.length}`);
+    vault.accounts.forEach(a => console.log(`     • ${a.email}`));
+    console.log(`   Cached sessions: ${Object.keys(vault.sessions).length}\n`);
+}
+
+/**
+ * Split "--tag supports,to-read" style values into a list
+ */
+function listOption(value) {
+    return value === undefined || value === true ? [] : String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function jsonOption(value, name) {
+    if (value === undefined || value === true) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new Error(`--${name} must be JSON, e.g. '{"court":["High Court"]}'`);
+    }
+}
+
+function stringOption(value) {
+    return value === undefined || value === true ? undefined : String(value);
+}
+
+/**
+ * Handle matter-list command
+ */
+function handleMatterList() {
+    const matters = listMatters();
+    if (matters.length === 0) {
+        console.log('\n📁 No matters yet. Create one with: node index.js matter-create "Client — issue"\n');
+        return;
+    }
+    console.log(`\n📁 ${matters.length} matter(s)\n`);
+    for (const m of matters) {
+        const tags = Object.entries(m.tagCounts).filter(([, n]) => n > 0).map(([tag, n]) => `${n} ${tag}`).join(', ');
+        console.log(`  📁 ${m.name}`);
+        console.log(`     🆔 ${m.id} | ${m.caseCount} case(s)${tags ? ` | ${tags}` : ''} | updated ${(m.updatedAt || '').split('T')[0]}`);
+        if (m.keywords) console.log(`     🔑 ${m.keywords}`);
+    }
+    console.log();
+}
+
+/**
+ * Handle matter-create command
+ */
+function handleMatterCreate(name, options) {
+    if (!name) {
+        console.error('❌ Please provide a name. Example: node index.js matter-create "Arvind Textiles refund" --narrative "..."');
+        return;
+    }
+    const matter = createMatter({
+        name,
+        narrative: stringOption(options.narrative) || '',
+        keywords: stringOption(options.keywords) || '',
+        filters: jsonOption(options.filters, 'filters') || {},
+        provider: stringOption(options.provider) || null
+    });
+    console.log(`\n✅ Created matter "${matter.name}" (${matter.id})`);
+}
+
+/**
+ * Handle matter-show command
+ */
+function handleMatterShow(id) {
+    const matter = getMatter(id);
+    console.log(`\n${'━'.repeat(70)}`);
+    console.log(`📁 ${matter.name}  (${matter.id})`);
+    console.log(`${'━'.repeat(70)}`);
+    if (matter.narrative) console.log(`\n📝 ${matter.narrative}`);
+    if (matter.keywords) console.log(`🔑 ${matter.keywords}`);
+    if (Object.keys(matter.filters || {}).length) console.log(`🎛  ${JSON.stringify(matter.filters)}`);
+    if (matter.provider) console.log(`🤖 LLM provider: ${matter.provider}`);
+    matter.notes.forEach(n => console.log(`🗒  ${n.text}  (${n.createdAt.split('T')[0]})`));
+
+    const cases = Object.values(matter.cases).sort((a, b) => (b.relevance?.score ?? -1) - (a.relevance?.score ?? -1));
+    console.log(`\n📚 ${cases.length} case(s)\n`);
+    for (const c of cases) {
+        const score = c.relevance ? `  [${c.relevance.score}/100 ${c.relevance.category}]` : '';
+        console.log(`  📄 ${c.title || c.id}${score}`);
+        if (c.citation) console.log(`     📚 ${c.citation}`);
+        console.log(`     🆔 ${c.id}${c.tags.length ? ` | 🏷  ${c.tags.join(', ')}` : ''}${c.summary ? ` | summarized${c.coverage?.ratio < 1 ? ` (${Math.round(c.coverage.ratio * 100)}% of the judgment read)` : ''}` : ''}`);
+        c.notes.forEach(n => console.log(`     🗒  ${n.text}`));
+    }
+    if (matter.lastAnalysis?.recommendation) {
+        console.log(`\n🎯 Last analysis (${matter.lastAnalysis.at.split('T')[0]}): ${matter.lastAnalysis.recommendation}`);
+    }
+    console.log();
+}
+
+/**
+ * Handle matter-update command
+ */
+function handleMatterUpdate(id, options) {
+    const matter = updateMatter(id, {
+        name: stringOption(options.name),
+        narrative: stringOption(options.narrative),
+        keywords: stringOption(options.keywords),
+        filters: jsonOption(options.filters, 'filters'),
+        provider: stringOption(options.provider) === 'default' ? '' : stringOption(options.provider)
+    });
+    console.log(`\n✅ Updated matter "${matter.name}"`);
+}
+
+/**
+ * Handle matter-add command
+ */
+function handleMatterAdd(id, caseIds, options) {
+    if (!id || caseIds.length === 0) {
+        console.error('❌ Example: node index.js matter-add arvind-textiles-refund 101010000000353754 --tag to-read');
+        return;
+    }
+    const { matter, added } = addCases(id, caseIds, { tags: listOption(options.tag), note: stringOption(options.note) || '' });
+    console.log(`\n✅ Added ${added.length} case(s) to "${matter.name}" (${Object.keys(matter.cases).length} total)`);
+}
+
+/**
+ * Handle matter-remove command
+ */
+function handleMatterRemove(id, caseId) {
+    const matter = removeCase(id, caseId);
+    console.log(`\n✅ Removed ${caseId} from "${matter.name}"`);
+}
+
+/**
+ * Handle matter-tag command
+ */
+function handleMatterTag(id, caseId, tags, options) {
+    if (!id || !caseId || tags.length === 0) {
+        console.error(`❌ Example: node index.js matter-tag arvind-textiles-refund 101010000000353754 supports  (tags: ${TAGS.join(', ')})`);
+        return;
+    }
+    const matter = updateCase(id, caseId, options.remove ? { removeTags: tags } : { addTags: tags });
+    const entry = matter.cases[caseId];
+    console.log(`\n🏷  ${entry.title || caseId}: ${entry.tags.join(', ') || '(no tags)'}`);
+}
+
+/**
+ * Handle matter-note command
+ */
+function handleMatterNote(id, text, options) {
+    if (!id || !text) {
+        console.error('❌ Example: node index.js matter-note arvind-textiles-refund "Client paid pre-deposit on 10.11.2021"');
+        return;
+    }
+    const caseId = stringOption(options.case);
+    if (caseId) {
+        updateCase(id, caseId, { note: text });
+        console.log(`\n🗒  Note added to case ${caseId}`);
+    } else {
+        addNote(id, text);
+        console.log('\n🗒  Note added to matter');
+    }
+}
+
+/**
+ * Handle export command
+ */
+async function handleExport(options) {
+    const matterId = stringOption(options.matter);
+    const input = stringOption(options.input);
+    if (!matterId && !input) {
+        console.error('❌ Say what to export. Example: node index.js export --matter arvind-textiles-refund --format md');
+        return;
+    }
+
+    const catalog = await getFilterCatalog();
+    const title = stringOption(options.title);
+    let memo;
+    if (matterId) {
+        memo = buildMatterMemo(getMatter(matterId), { title, catalog });
+    } else {
+        const saved = JSON.parse(fs.readFileSync(input, 'utf-8'));
+        // Either {keywords, context, filters, result} or a bare {rankings, recommendation}
+        memo = buildMemo(saved.rankings ? { result: saved } : saved, { title, catalog });
+    }
+
+    const file = renderMemo(memo, stringOption(options.format) || 'docx');
+    const outPath = stringOption(options.out) || path.join(EXPORTS_DIR, file.filename);
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(outPath, file.content);
+    console.log(`\n📝 Memo with ${memo.authorities.length} case(s) written to ${outPath}\n`);
+}
+
+/**
+ * Handle bundle command
+ */
+async function handleBundle(caseIds, options) {
+    const matterId = stringOption(options.matter);
+    const input = stringOption(options.input);
+    const top = stringOption(options.top) || DEFAULT_TOP;
+    let ids = caseIds;
+    let matter = null;
+    if (ids.length === 0 && matterId) {
+        matter = getMatter(matterId);
+        ids = topCaseIds(matter.lastAnalysis, top);
+    } else if (ids.length === 0 && input) {
+        ids = topCaseIds(JSON.parse(fs.readFileSync(input, 'utf-8')), top);
+    }
+    if (ids.length === 0) {
+        console.error('❌ Say what to bundle. Example: node index.js bundle --matter arvind-textiles-refund --top 5');
+        return;
+    }
+
+    const bundle = await buildBundle(ids, {
+        title: stringOption(options.title),
+        subtitle: matter?.name,
+        dividers: Boolean(options.dividers)
+    });
+    const name = matter?.id || (ids.length === 1 ? ids[0] : `${ids.length}-cases`);
+    const outPath = stringOption(options.out) || path.join(EXPORTS_DIR, `bundle-${name}-${new Date().toISOString().slice(0, 10)}.pdf`);
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(outPath, bundle.buffer);
+
+    for (const e of bundle.entries) console.log(`  ${String(e.startPage).padStart(4)}–${String(e.endPage).padEnd(4)} ${e.title}${e.citation ? ` (${e.citation})` : ''}`);
+    for (const f of bundle.failed) console.log(`  ❌ ${f.id}: ${f.error}`);
+    console.log(`\n📚 Bundle of ${bundle.entries.length} judgment(s), ${bundle.pages} pages, written to ${outPath}\n`);
+}
+
+/**
+ * Texts of a matter's cases: from the library (or their PDFs), fetched from Centax if missing
+ */
+async function loadMatterTexts(matter) {
+    const cases = [];
+    for (const entry of Object.values(matter.cases)) {
+        const filename = entry.title || entry.id;
+        try {
+            const text = extractText(entry.id) || (await fetchCaseDocument(entry.id, { priority: 'bulk' })).text;
+            cases.push({ filename, id: entry.id, text });
+            console.log(`  ✅ ${filename} (${text.length} chars)`);
+        } catch (err) {
+            console.log(`  ⚠️  ${filename}: ${err.message}`);
+        }
+    }
+    // Fill in titles and citations for cases attached before they were fetched
+    addCases(matter.id, cases.map(c => c.id));
+    return cases;
+}
+
+/**
+ * Print a rankByRelevance result
+ */
+function printRankings(result) {
+    if (result.rankings.length > 0) {
+        console.log('\n📊 Relevancy Rankings:\n');
+        for (const r of result.rankings) {
+            const bar = '█'.repeat(Math.round(r.score / 5)) + '░'.repeat(20 - Math.round(r.score / 5));
+            console.log(`  ${bar} ${r.score}/100`);
+            console.log(`  📄 ${r.filename}`);
+            console.log(`  💡 ${r.reason}\n`);
+        }
+        if (result.recommendation) {
+            console.log(`\n🎯 Recommendation: ${result.recommendation}\n`);
+        }
+    }
+    if (result.unscored?.length) {
+        console.log(`⚠️  ${result.unscored.length} case(s) could not be scored:`);
+        for (const u of result.unscored) console.log(`  📄 ${u.filename}: ${u.error.message}`);
+        console.log();
+    }
+}
+
+/**
+ * Handle search-download command (MVP: search + download 30 PDFs)
+ */
+async function handleSearchDownload(text, options) {
+    const query = buildQuery(text, options);
+    if (!text && !query.exact && !query.anyOf && !query.party && !query.judge && !query.appealNo) {
+        console.error('❌ Please provide a search query. Example: node index.js search-download "GST fraud"');
+        return;
+    }
+
+    const count = parseInt(options.count) || 30;
+    console.log(`🔍 Searching for: ${describeQuery(query)} (will download top ${count} results)\n`);
+
+    const stopKeepalive = await withSessionKeepalive();
+    try {
+        const searchResult = await searchAll(query, {
+            max: count,
+            sortby: options.sort || 'relevance',
+            priority: 'interactive',
+            onPage: ({ page, totalPages, fetched }) => console.log(`   Page ${page}/${totalPages} — ${fetched} results`)
+        });
+
+        displayResults(searchResult);
+
+        if (searchResult.results.length === 0) {
+            console.log('❌ No results found');
+            return;
+        }
 
-    return await downloadMultipleCases(cases);
+        // Download all results
+        const cases = searchResult.results.map(r => ({
+            id: r.id,
+            heading: r.heading || r.citation || r.id,
+            metadata: r.metadata
+        }));
+
+        // Highlight what was searched for in the rendered PDFs
+        const highlight = [text, query.exact && `"${query.exact}"`, query.anyOf].filter(Boolean).join(' ');
+        return await downloadMultipleCases(cases, { backend: stringOption(options.backend), highlight, label: `search-download ${describeQuery(query)}` });
+    } finally {
+        stopKeepalive();
+    }
+}
+
+/**
+ * Handle llm-providers command
+ */
+function handleLlmProviders() {
+    console.log('\n🤖 LLM providers\n');
+    for (const p of listProviders()) {
+        const status = p.configured ? '✅' : `⚪ needs ${p.missing}`;
+        console.log(`  ${p.isDefault ? '★' : ' '} ${p.name.padEnd(11)} ${p.label}`);
+        console.log(`     model: ${p.model || '(none)'} | ${status}`);
+    }
+    console.log('\n   ★ default (LLM_PROVIDER). Per-task models: LLM_<TASK>_MODEL, e.g. LLM_RANK_MODEL.\n');
 }
 
 /**
  * Handle interactive chat command
  */
-async function handleChat() {
+async function handleChat(options = {}) {
     console.log('\n╔══════════════════════════════════════════════════════════╗');
     console.log('║        Centax Case Relevancy Analyzer (AI Chat)         ║');
     console.log('╚══════════════════════════════════════════════════════════╝\n');
 
-    // 1. Extract text from all downloaded PDFs
-    const cases = await extractAllTexts();
+    const matter = stringOption(options.matter) ? getMatter(options.matter) : null;
+    const llm = { provider: stringOption(options.provider) || matter?.provider || undefined };
+    const { provider, model } = resolveTask('chat', llm);
+    console.log(`🤖 LLM: ${provider} (${model})\n`);
+
+    // 1. Extract text from all downloaded PDFs (or the matter's cases)
+    if (matter) console.log(`📁 Matter: ${matter.name}\n`);
+    const cases = matter ? await loadMatterTexts(matter) : await extractAllTexts();
     if (cases.length === 0) {
-        console.log('💡 Run "node index.js search-download <query>" first to download some PDFs.');
+        console.log(matter
+            ? `💡 Attach cases first: node index.js matter-add ${matter.id} <caseId...>`
+            : '💡 Run "node index.js search-download <query>" first to download some PDFs.');
         return;
     }
 
-    // 2. Summarize all cases (uses cache)
-    const summaries = await summarizeAll(cases);
+    // 2. Summarize all cases (uses cache; a matter keeps its own summaries)
+    let summaries;
+    if (matter) {
+        await summarizeAll(cases, matter.keywords, matter.narrative, { store: summaryStore(matter.id), ...llm });
+        summaries = matterSummaries(matter.id);
+    } else {
+        summaries = await summarizeAll(cases, '', '', llm);
+    }
     const caseCount = Object.keys(summaries).length;
 
     if (caseCount === 0) {
-        console.log('❌ No summaries generated. Check your OpenAI API key.');
+        console.log(`❌ No summaries generated. Check the ${provider} settings in your .env file (node index.js llm-providers).`);
         return;
     }
 
+    const chatHistory = [];
+    let isFirstMessage = true;
+
     // 3. Enter interactive chat loop
     console.log(`\n✅ ${caseCount} cases loaded and summarized.`);
-    console.log('\n📝 Describe your legal case or situation below.');
-    console.log('   I\'ll rank the downloaded cases by relevance.\n');
+    if (matter?.narrative) {
+        // A matter's narrative is the case description: rank straight away
+        console.log('\n🔄 Ranking against the matter narrative...\n');
+        const result = await rankByRelevance(summaries, matter.narrative, null, llm);
+        printRankings(result);
+        recordAnalysis(matter.id, { keywords: matter.keywords, context: matter.narrative, result });
+        chatHistory.push({ role: 'user', content: matter.narrative });
+        chatHistory.push({ role: 'assistant', content: JSON.stringify(result) });
+        isFirstMessage = false;
+        console.log('\n📝 Ask follow-up questions about these cases.');
+    } else {
+        console.log('\n📝 Describe your legal case or situation below.');
+        console.log('   I\'ll rank the downloaded cases by relevance.\n');
+    }
     console.log('   Type "quit" or "exit" to leave.\n');
 
     const rl = readline.createInterface({
@@ -222,8 +1040,6 @@ async function handleChat() {
         output: process.stdout
     });
 
-    const chatHistory = [];
-    let isFirstMessage = true;
     let closed = false;
 
     rl.on('close', () => { closed = true; });
@@ -248,22 +1064,9 @@ async function handleChat() {
                 if (isFirstMessage) {
                     // First message: do a full relevancy ranking
                     console.log('\n🔄 Analyzing relevance...\n');
-                    const result = await rankByRelevance(summaries, userInput);
-
-                    if (result.rankings && result.rankings.length > 0) {
-                        console.log('\n📊 Relevancy Rankings:\n');
-                        for (const r of result.rankings) {
-                            const bar = '█'.repeat(Math.round(r.score / 5)) + '░'.repeat(20 - Math.round(r.score / 5));
-                            console.log(`  ${bar} ${r.score}/100`);
-                            console.log(`  📄 ${r.filename}`);
-                            console.log(`  💡 ${r.reason}\n`);
-                        }
-                        if (result.recommendation) {
-                            console.log(`\n🎯 Recommendation: ${result.recommendation}\n`);
-                        }
-                    } else if (result.raw) {
-                        console.log(result.raw);
-                    }
+                    const result = await rankByRelevance(summaries, userInput, null, llm);
+                    printRankings(result);
+                    if (matter) recordAnalysis(matter.id, { keywords: matter.keywords, context: userInput, result });
 
                     chatHistory.push({ role: 'user', content: userInput });
                     chatHistory.push({ role: 'assistant', content: JSON.stringify(result) });
@@ -271,7 +1074,7 @@ async function handleChat() {
                 } else {
                     // Follow-up: conversational chat
                     console.log('\n🔄 Thinking...\n');
-                    const response = await chat(summaries, chatHistory, userInput);
+                    const response = await chat(summaries, chatHistory, userInput, llm);
                     console.log(`🤖 ${response}\n`);
 
                     chatHistory.push({ role: 'user', content: userInput });
@@ -315,12 +1118,112 @@ async function main() {
                 await handleDownloadAll();
                 break;
 
+            case 'download-jobs':
+                handleDownloadJobs(args[0]);
+                break;
+
+            case 'download-resume':
+                await handleDownloadResume(args[0], 'resume');
+                break;
+
+            case 'download-retry-failed':
+                await handleDownloadResume(args[0], 'retry-failed');
+                break;
+
             case 'login':
-                await handleLogin();
+                await handleLogin(options);
+                break;
+
+            case 'library':
+                handleLibrary();
+                break;
+
+            case 'text':
+                await handleText(args[0], options);
+                break;
+
+            case 'local-search':
+                handleLocalSearch(args.join(' '), options);
+                break;
+
+            case 'citations':
+                await handleCitations(args, options);
+                break;
+
+            case 'summaries':
+                handleSummaries(args[0]);
+                break;
+
+            case 'summaries-clear':
+                handleSummariesClear(args, options);
+                break;
+
+            case 'accounts':
+                handleAccounts();
+                break;
+
+            case 'logout':
+                await handleLogout(options);
+                break;
+
+            case 'vault-add':
+                await handleVaultAdd(args[0]);
+                break;
+
+            case 'vault-remove':
+                handleVaultRemove(args[0]);
+                break;
+
+            case 'vault-status':
+                handleVaultStatus();
                 break;
 
             case 'chat':
-                await handleChat();
+                await handleChat(options);
+                break;
+
+            case 'llm-providers':
+                handleLlmProviders();
+                break;
+
+            case 'matter-list':
+                handleMatterList();
+                break;
+
+            case 'matter-create':
+                handleMatterCreate(args.join(' '), options);
+                break;
+
+            case 'matter-show':
+                handleMatterShow(args[0]);
+                break;
+
+            case 'matter-update':
+                handleMatterUpdate(args[0], options);
+                break;
+
+            case 'matter-add':
+                handleMatterAdd(args[0], args.slice(1), options);
+                break;
+
+            case 'matter-remove':
+                handleMatterRemove(args[0], args[1]);
+                break;
+
+            case 'matter-tag':
+                handleMatterTag(args[0], args[1], args.slice(2), options);
+                break;
+
+            case 'matter-note':
+                handleMatterNote(args[0], args.slice(1).join(' '), options);
+                break;
+
+            case 'export':
+                await handleExport(options);
+                break;
+
+            case 'bundle':
+                await handleBundle(args, options);
                 break;
 
             case 'help':
@@ -329,7 +1232,8 @@ async function main() {
                 break;
         }
     } catch (error) {
-        console.error(`\n❌ Error: ${error.message}`);
+        console.error(`\n❌ Error: ${error.message}${error.code && !error.response ? ` [${error.code}]` : ''}`);
+        if (error.hint) console.error(`💡 ${error.hint}`);
         if (error.response) {
             console.error(`   Status: ${error.response.status}`);
             console.error(`   Data:`, JSON.stringify(error.response.data, null, 2));
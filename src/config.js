@@ -0,0 +1,116 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+/**
+ * Upstream service endpoints.
+ * Override these to point at the local stub server (`npm run stub`)
+ * or any other Centax-compatible deployment.
+ */
+const BASE_URL = (process.env.CENTAX_BASE_URL || 'https://api.centaxonline.com').replace(/\/+$/, '');
+const PDF_API_URL = process.env.CENTAX_PDF_API_URL || 'https://pdf.taxmann.com/research/getFilehtmlTopdf';
+// PDF rendering: 'local' lays the judgment out here (src/pdf_render.js),
+// 'remote' sends the Centax-branded HTML to the Taxmann PDF service
+const PDF_BACKEND = (process.env.CENTAX_PDF_BACKEND || 'local').toLowerCase();
+// Template for local rendering: a name from pdf_render TEMPLATES or a .json file
+const PDF_TEMPLATE = process.env.CENTAX_PDF_TEMPLATE || 'letterhead';
+// Letterhead: firm name, and address / contact lines separated by "|"
+const PDF_FIRM_NAME = process.env.CENTAX_PDF_FIRM_NAME || '';
+const PDF_FIRM_DETAILS = (process.env.CENTAX_PDF_FIRM_DETAILS || '').split('|').map(s => s.trim()).filter(Boolean);
+// Filter master (module / court / bench / act / section ... taxonomy), relative to BASE_URL
+const FILTERS_PATH = process.env.CENTAX_FILTERS_PATH || '/centax/getFilterMaster';
+
+/**
+ * LLM providers for the analyzer (src/llm.js).
+ * Each provider has its own endpoint, key and default model; LLM_PROVIDER picks
+ * the one used unless a task or a request names another.
+ */
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+const LLM_PROVIDERS = {
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY || '',
+        baseURL: process.env.OPENAI_BASE_URL || '',
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    azure: {
+        apiKey: process.env.AZURE_OPENAI_API_KEY || '',
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT || '',
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+        // Azure addresses models by deployment name
+        model: process.env.AZURE_OPENAI_DEPLOYMENT || ''
+    },
+    anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY || '',
+        baseURL: (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, ''),
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+    },
+    // Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM ...)
+    compatible: {
+        apiKey: process.env.LLM_COMPATIBLE_API_KEY || '',
+        baseURL: process.env.LLM_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+        model: process.env.LLM_COMPATIBLE_MODEL || 'llama3.1'
+    }
+};
+
+/**
+ * Per-task model settings, overridable with LLM_<TASK>_PROVIDER / _MODEL /
+ * _TEMPERATURE / _MAX_TOKENS. A task without a model uses its provider's default.
+ */
+function llmTask(name, { temperature, maxTokens }) {
+    const env = key => process.env[`LLM_${name.toUpperCase()}_${key}`];
+    const number = (value, fallback) => (value !== undefined && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : fallback);
+    return {
+        provider: (env('PROVIDER') || '').toLowerCase() || null,
+        model: env('MODEL') || null,
+        temperature: number(env('TEMPERATURE'), temperature),
+        maxTokens: number(env('MAX_TOKENS'), maxTokens)
+    };
+}
+
+const LLM_TASKS = {
+    summarize: llmTask('summarize', { temperature: 0.2, maxTokens: 500 }),
+    // Notes from one part of a long judgment, combined by summarize
+    extract: llmTask('extract', { temperature: 0.1, maxTokens: 600 }),
+    // How a summarized case bears on one research narrative
+    relevance: llmTask('relevance', { temperature: 0.2, maxTokens: 250 }),
+    // Scores a batch of RANK_BATCH_SIZE cases per call
+    rank: llmTask('rank', { temperature: 0.2, maxTokens: 3000 }),
+    // The overall recommendation written from the merged ranking
+    recommend: llmTask('recommend', { temperature: 0.3, maxTokens: 800 }),
+    score: llmTask('score', { temperature: 0.2, maxTokens: 1000 }),
+    keywords: llmTask('keywords', { temperature: 0.1, maxTokens: 200 }),
+    filters: llmTask('filters', { temperature: 0.1, maxTokens: 500 }),
+    chat: llmTask('chat', { temperature: 0.4, maxTokens: 2000 })
+};
+
+// How many times a reply that breaks its JSON schema is sent back to be fixed
+const LLM_REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? '2') || 0);
+
+// Ranking scores this many cases per call, with up to RANK_CONCURRENCY calls at once;
+// a batch size of 1 scores each case on its own
+const RANK_BATCH_SIZE = Math.max(1, parseInt(process.env.LLM_RANK_BATCH_SIZE) || 5);
+const RANK_CONCURRENCY = Math.max(1, parseInt(process.env.LLM_RANK_CONCURRENCY) || 3);
+// Cases from the first batch scored again in every later batch, so each batch's
+// scores can be mapped onto the first batch's scale; 0 turns calibration off
+const RANK_ANCHORS = Math.max(0, parseInt(process.env.LLM_RANK_ANCHORS ?? '2') || 0);
+
+// Judgments longer than this (characters) are summarized part by part; lower it
+// for local models with a small context window
+const SUMMARY_CHUNK_CHARS = Math.max(2000, parseInt(process.env.LLM_SUMMARY_CHUNK_CHARS) || 12000);
+
+module.exports = {
+    BASE_URL,
+    PDF_API_URL,
+    PDF_BACKEND,
+    PDF_TEMPLATE,
+    PDF_FIRM_NAME,
+    PDF_FIRM_DETAILS,
+    FILTERS_PATH,
+    LLM_PROVIDER,
+    LLM_PROVIDERS,
+    LLM_TASKS,
+    LLM_REPAIR_ATTEMPTS,
+    RANK_BATCH_SIZE,
+    RANK_CONCURRENCY,
+    RANK_ANCHORS,
+    SUMMARY_CHUNK_CHARS
+};
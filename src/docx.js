@@ -0,0 +1,211 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal DOCX writer.
+ *
+ * Enough WordprocessingML for generated reports: a title, headings,
+ * paragraphs with bold/italic runs, bordered tables with a repeating header
+ * row, and page breaks. The package is zipped here (deflate via zlib) so no
+ * Office library is needed.
+ *
+ * Blocks:
+ *   { type: 'title' | 'heading1' | 'heading2' | 'paragraph', text | runs, style? }
+ *   { type: 'table', header: string[], rows: string[][], widths?: number[] }
+ *   { type: 'pageBreak' }
+ * A run is { text, bold?, italic?, color? }.
+ */
+
+const STYLE_IDS = { title: 'Title', heading1: 'Heading1', heading2: 'Heading2', paragraph: null };
+
+function escapeXml(text) {
+    return String(text ?? '')
+        // Characters XML 1.0 doesn't allow
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function runXml({ text, bold = false, italic = false, color = null }) {
+    const props = [bold && '<w:b/>', italic && '<w:i/>', color && `<w:color w:val="${color}"/>`].filter(Boolean).join('');
+    // Line breaks inside a run become <w:br/>
+    const parts = String(text ?? '').split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`);
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${parts.join('<w:br/>')}</w:r>`;
+}
+
+function paragraphXml(block) {
+    const style = block.style || STYLE_IDS[block.type];
+    const runs = block.runs || [{ text: block.text }];
+    const props = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${props}${runs.map(runXml).join('')}</w:p>`;
+}
+
+function cellXml(text, width, header) {
+    const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="D9E2F3"/>' : '';
+    const paragraphs = String(text ?? '').split('\n').map(line => paragraphXml({ type: 'paragraph', style: 'TableText', runs: [{ text: line, bold: header }] }));
+    return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>${paragraphs.join('')}</w:tc>`;
+}
+
+function tableXml({ header = [], rows = [], widths }) {
+    const columns = Math.max(header.length, ...rows.map(r => r.length));
+    // Text width of an A4 page with 1" margins is ~9026 twentieths of a point
+    const total = 9026;
+    const colWidths = widths && widths.length === columns
+        ? widths.map(w => Math.round(w / widths.reduce((a, b) => a + b, 0) * total))
+        : new Array(columns).fill(Math.floor(total / columns));
+    const border = '<w:top w:val="single" w:sz="4" w:color="808080"/><w:left w:val="single" w:sz="4" w:color="808080"/>' +
+        '<w:bottom w:val="single" w:sz="4" w:color="808080"/><w:right w:val="single" w:sz="4" w:color="808080"/>' +
+        '<w:insideH w:val="single" w:sz="4" w:color="808080"/><w:insideV w:val="single" w:sz="4" w:color="808080"/>';
+
+    const headerRow = header.length
+        ? `<w:tr><w:trPr><w:tblHeader/></w:trPr>${header.map((h, i) => cellXml(h, colWidths[i], true)).join('')}</w:tr>`
+        : '';
+    const bodyRows = rows.map(row => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${colWidths.map((w, i) => cellXml(row[i] ?? '', w, false)).join('')}</w:tr>`);
+
+    return `<w:tbl><w:tblPr><w:tblW w:w="${total}" w:type="dxa"/><w:tblBorders>${border}</w:tblBorders>` +
+        `<w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr>` +
+        `<w:tblGrid>${colWidths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>${headerRow}${bodyRows.join('')}</w:tbl>` +
+        '<w:p/>';
+}
+
+function documentXml(blocks) {
+    const body = blocks.map(block => {
+        if (block.type === 'table') return tableXml(block);
+        if (block.type === 'pageBreak') return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+        return paragraphXml(block);
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        `<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>` +
+        '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>';
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:spacing w:before="240" w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/><w:color w:val="1F3864"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/><w:color w:val="1F3864"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/><w:color w:val="2F5496"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:sz w:val="18"/></w:rPr></w:style>' +
+    '</w:styles>';
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+    '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+    '</Relationships>';
+
+const DOCUMENT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+function coreXml({ title = '', creator = 'WorkflowIQ Casebot' }) {
+    const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(title)}</dc:title><dc:creator>${escapeXml(creator)}</dc:creator>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+        `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+        '</cp:coreProperties>';
+}
+
+/**
+ * Build a ZIP archive (deflated entries)
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} entries
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+    const local = [];
+    const central = [];
+    let offset = 0;
+    // DOS date/time of "now" for every entry
+    const d = new Date();
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf-8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(0x0800, 6); // UTF-8 names
+        header.writeUInt16LE(8, 8); // deflate
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        local.push(header, name, compressed);
+
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(date, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(compressed.length, 20);
+        record.writeUInt32LE(data.length, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt32LE(offset, 42);
+        central.push(record, name);
+
+        offset += header.length + name.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...local, ...central, end]);
+}
+
+/**
+ * Render blocks as a .docx file
+ *
+ * @param {Array<object>} blocks - See the module comment
+ * @param {object} properties
+ * @param {string} properties.title - Document title (file properties)
+ * @returns {Buffer}
+ */
+function buildDocx(blocks, properties = {}) {
+    return createZip([
+        { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+        { name: '_rels/.rels', data: ROOT_RELS_XML },
+        { name: 'docProps/core.xml', data: coreXml(properties) },
+        { name: 'word/document.xml', data: documentXml(blocks) },
+        { name: 'word/styles.xml', data: STYLES_XML },
+        { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS_XML }
+    ]);
+}
+
+module.exports = { buildDocx, createZip };
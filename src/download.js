@@ -4,36 +4,30 @@ const fsPromises = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const http = require('http');
-const { getSession, authenticatedRequest, buildHeaders, buildPdfHeaders } = require('./auth');
+const { authenticatedRequest, buildHeaders, buildPdfHeaders } = require('./auth');
+const { BASE_URL, PDF_API_URL, PDF_BACKEND } = require('./config');
+const { DocumentNotFound, ContentTooShort, PdfGenerationError } = require('./errors');
+const { fromDocumentHtml, mergeMetadata } = require('./case_metadata');
+const { judgmentToText, TEXT_VERSION } = require('./judgment_text');
+const { renderJudgmentPdf } = require('./pdf_render');
+const library = require('./library');
+const jobs = require('./jobs');
 
 const DOWNLOADS_DIR = path.join(__dirname, '..', 'downloads');
-const BASE_URL = 'https://api.centaxonline.com';
-const PDF_API_URL = 'https://pdf.taxmann.com/research/getFilehtmlTopdf';
 
 // Ensure downloads directory exists
 fs.mkdirSync(DOWNLOADS_DIR, { recursive: true });
 
-/**
- * Check if a PDF for this case ID already exists in the output directory
- */
-function findExistingPdf(caseId, outputDir) {
-    try {
-        const files = fs.readdirSync(outputDir);
-        const match = files.find(f => f.includes(caseId) && f.endsWith('.pdf'));
-        return match ? path.join(outputDir, match) : null;
-    } catch {
-        return null;
-    }
-}
-
 /**
  * Get case document HTML content via API
  *
  * @param {string} caseId - Case ID (e.g., '101010000000353754')
  * @param {string} searchText - Optional search text for highlighting
- * @returns {Promise<{id: string, htmlContent: string, metadata: object}>}
+ * @param {object} options
+ * @param {string} options.priority - Scheduler priority: 'interactive' or 'bulk' (default: 'interactive')
+ * @returns {Promise<{id: string, htmlContent: string, metadata: import('./case_metadata').CaseMetadata, raw: object}>}
  */
-async function getCaseHTML(caseId, searchText = '') {
+async function getCaseHTML(caseId, searchText = '', options = {}) {
     console.log(`   📄 Fetching document ${caseId}...`);
 
     return await authenticatedRequest(async (session) => {
@@ -53,19 +47,73 @@ async function getCaseHTML(caseId, searchText = '') {
             const htmlContent = result.Text || (typeof result === 'string' ? result : '');
 
             if (!htmlContent || htmlContent.length < 50) {
-                throw new Error(`Document ${caseId}: HTML content too short (${htmlContent?.length || 0} chars)`);
+                throw new ContentTooShort(caseId, htmlContent?.length || 0);
             }
 
             console.log(`   ✅ Retrieved HTML: ${htmlContent.length} characters`);
             return {
                 id: caseId,
                 htmlContent,
-                metadata: response.data.Data
+                metadata: fromDocumentHtml(htmlContent, caseId),
+                raw: response.data.Data
             };
         }
 
-        throw new Error(`Failed to get document ${caseId}`);
+        throw new DocumentNotFound(caseId, { details: { upstreamMessage: response.data?.StatusMsg || null } });
+    }, { priority: options.priority || 'interactive' });
+}
+
+/**
+ * Plain text for a judgment's HTML, keeping headings and paragraph numbers
+ */
+function htmlToText(html) {
+    return judgmentToText(html);
+}
+
+/**
+ * Get a case document through the local library: stored copy if we have one,
+ * otherwise fetched from Centax and saved.
+ *
+ * @param {string} caseId
+ * @param {object} options
+ * @param {boolean} options.refresh - Fetch from Centax even if the library has it
+ * @param {object} options.metadata - Extra metadata to merge (e.g. from the search result)
+ * @param {string} options.searchText - Search text for highlighting (forces a fetch)
+ * @param {string} options.priority - Scheduler priority for the fetch
+ * @returns {Promise<{id, htmlContent, text, metadata, record, fromLibrary: boolean}>}
+ */
+async function fetchCaseDocument(caseId, options = {}) {
+    const { refresh = false, metadata = null, searchText = '', priority } = options;
+
+    const stored = !refresh && !searchText ? library.getCase(caseId) : null;
+    const storedHtml = stored ? library.readHtml(caseId) : null;
+    if (storedHtml) {
+        let record = metadata ? library.updateMetadata(caseId, metadata) : stored;
+        let text = library.readText(caseId);
+        // Texts stored by an older converter are regenerated from the HTML
+        if (!text || record.textVersion !== TEXT_VERSION) {
+            text = htmlToText(storedHtml);
+            record = library.saveDocument(caseId, { html: storedHtml, text, textVersion: TEXT_VERSION });
+        }
+        return {
+            id: String(caseId),
+            htmlContent: storedHtml,
+            text,
+            metadata: record.metadata,
+            record,
+            fromLibrary: true
+        };
+    }
+
+    const doc = await getCaseHTML(caseId, searchText, { priority });
+    const text = htmlToText(doc.htmlContent);
+    const record = library.saveDocument(caseId, {
+        html: doc.htmlContent,
+        text,
+        textVersion: TEXT_VERSION,
+        metadata: mergeMetadata(metadata, doc.metadata)
     });
+    return { id: String(caseId), htmlContent: doc.htmlContent, text, metadata: record.metadata, record, fromLibrary: false };
 }
 
 /**
@@ -130,7 +178,7 @@ function downloadFile(url, dest) {
                 return;
             }
             if (response.statusCode !== 200) {
-                reject(new Error(`Download failed with status ${response.statusCode}`));
+                reject(new PdfGenerationError(`PDF download failed with status ${response.statusCode}`));
                 return;
             }
             response.pipe(file);
@@ -140,7 +188,7 @@ function downloadFile(url, dest) {
             });
         }).on('error', (err) => {
             fs.unlink(dest, () => { });
-            reject(err);
+            reject(new PdfGenerationError(`PDF download failed: ${err.message}`, { cause: err }));
         });
     });
 }
@@ -150,11 +198,11 @@ function downloadFile(url, dest) {
  *
  * @param {string} htmlContent - Full HTML content
  * @param {string} fileName - Desired PDF filename
+ * @param {object} options
+ * @param {string} options.priority - Scheduler priority: 'interactive' or 'bulk' (default: 'interactive')
  * @returns {Promise<string>} S3 signed URL to download PDF
  */
-async function generatePDF(htmlContent, fileName) {
-    const session = await getSession();
-
+async function generatePDF(htmlContent, fileName, options = {}) {
     console.log(`   🔄 Generating PDF (${(htmlContent.length / 1024).toFixed(1)} KB HTML)...`);
 
     const payload = {
@@ -163,18 +211,65 @@ async function generatePDF(htmlContent, fileName) {
         lastQCDate: new Date().toISOString().split('T')[0] + 'T00:00:00'
     };
 
-    const response = await axios.post(PDF_API_URL, payload, {
-        headers: buildPdfHeaders(session),
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-    });
+    return await authenticatedRequest(async (session) => {
+        const response = await axios.post(PDF_API_URL, payload, {
+            headers: buildPdfHeaders(session),
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+        });
+
+        if (response.data && response.data.success && response.data.Data) {
+            return response.data.Data; // S3 signed URL
+        }
 
-    if (response.data && response.data.success && response.data.Data) {
-        return response.data.Data; // S3 signed URL
+        const errorMsg = response.data?.StatusMsg || response.data?.ResponseType || 'Unknown error';
+        throw new PdfGenerationError(`PDF generation failed: ${errorMsg}`);
+    }, { priority: options.priority || 'interactive' });
+}
+
+/**
+ * Write a case's PDF with the configured backend. The remote service falls
+ * back to local rendering when it fails, so a download never depends on it;
+ * the result says when that happened.
+ *
+ * @param {object} doc - From fetchCaseDocument
+ * @param {string} title - Citation / title for the page header
+ * @param {string} outputPath
+ * @param {object} options
+ * @param {string} options.backend - 'local' or 'remote' (default: CENTAX_PDF_BACKEND)
+ * @param {string} options.highlight - Search terms to highlight (local only; default: options.searchText)
+ * @param {string} options.priority - Scheduler priority for the remote service
+ * @returns {Promise<{backend: string, fallback: boolean, fallbackReason?: string}>}
+ *          The backend that produced the file; `fallback` when remote was asked for and failed
+ */
+async function writeCasePdf(doc, title, outputPath, options = {}) {
+    const backend = (options.backend || PDF_BACKEND).toLowerCase();
+    if (backend !== 'local' && backend !== 'remote') {
+        throw new PdfGenerationError(`Unknown PDF backend "${backend}"`, { hint: 'Use "local" or "remote" (CENTAX_PDF_BACKEND).' });
     }
 
-    const errorMsg = response.data?.StatusMsg || response.data?.ResponseType || 'Unknown error';
-    throw new Error(`PDF generation failed: ${errorMsg}`);
+    let fallbackReason = null;
+    if (backend === 'remote') {
+        try {
+            const s3Url = await generatePDF(wrapHtmlForPdf(doc.htmlContent, title), path.basename(outputPath), { priority: options.priority });
+            console.log(`   ✅ PDF generated, downloading...`);
+            // The S3 URL expires in 30 seconds
+            await downloadFile(s3Url, outputPath);
+            return { backend: 'remote', fallback: false };
+        } catch (err) {
+            console.log(`   ⚠️  PDF service failed (${err.message}), rendering locally instead`);
+            fallbackReason = err.message;
+        }
+    }
+
+    const pdf = renderJudgmentPdf(doc.htmlContent, {
+        citation: doc.metadata?.citation || title,
+        title: doc.metadata?.title || title,
+        highlight: options.highlight ?? options.searchText ?? ''
+    });
+    await fsPromises.writeFile(outputPath, pdf);
+    console.log(`   🖨️  PDF rendered locally`);
+    return fallbackReason ? { backend: 'local', fallback: true, fallbackReason } : { backend: 'local', fallback: false };
 }
 
 /**
@@ -185,14 +280,19 @@ async function generatePDF(htmlContent, fileName) {
  * @param {object} options
  * @param {string} options.outputDir - Custom output directory
  * @param {string} options.searchText - Search text for highlighting
- * @returns {Promise<{success: boolean, id: string, path?: string, size?: number, error?: string}>}
+ * @param {object} options.metadata - Search-result metadata to store with the case
+ * @param {string} options.priority - Scheduler priority: 'interactive' or 'bulk' (default: 'interactive')
+ * @param {string} options.backend - PDF backend: 'local' or 'remote' (default: CENTAX_PDF_BACKEND)
+ * @param {string} options.highlight - Terms to highlight in a locally rendered PDF (default: searchText)
+ * @returns {Promise<{success: boolean, id: string, path?: string, size?: number, backend?: string, fallback?: boolean, fallbackReason?: string, error?: string, code?: string}>}
+ *          `backend` is the one that produced the PDF; `fallback` is true when the remote service failed and it was rendered locally
  */
 async function downloadCase(caseId, title = '', options = {}) {
     const outputDir = options.outputDir || DOWNLOADS_DIR;
     fs.mkdirSync(outputDir, { recursive: true });
 
-    // Skip if already downloaded
-    const existing = findExistingPdf(caseId, outputDir);
+    // Skip if the library already has this case's PDF in the output directory
+    const existing = library.findPdf(caseId, outputDir);
     if (existing) {
         console.log(`   ⏭️  Already exists: ${path.basename(existing)}`);
         return {
@@ -204,30 +304,26 @@ async function downloadCase(caseId, title = '', options = {}) {
     }
 
     try {
-        // 1. Get case HTML
-        const doc = await getCaseHTML(caseId, options.searchText || '');
-
-        // 2. Wrap HTML with page template
-        const fullHtml = wrapHtmlForPdf(doc.htmlContent, title);
+        // 1. Get case HTML (library copy, or fetched and stored)
+        const doc = await fetchCaseDocument(caseId, {
+            searchText: options.searchText || '',
+            metadata: options.metadata || null,
+            priority: options.priority
+        });
 
-        // 3. Create safe filename
+        // 2. Create safe filename
         const safeTitle = (title || caseId)
             .replace(/[^a-zA-Z0-9\s().-]/g, '')
             .replace(/\s+/g, '_')
             .substring(0, 120);
         const pdfFileName = `Case_${caseId}_${safeTitle}.pdf`;
-
-        // 4. Generate PDF via API → get S3 URL
-        const s3Url = await generatePDF(fullHtml, pdfFileName);
-        console.log(`   ✅ PDF generated, downloading...`);
-
-        // 5. Download PDF from S3 (URL expires in 30 seconds!)
         const outputPath = path.join(outputDir, pdfFileName);
-        await downloadFile(s3Url, outputPath);
 
-        // 6. Save raw text alongside PDF for analysis/chat
-        const txtPath = outputPath.replace('.pdf', '.txt');
-        await fsPromises.writeFile(txtPath, doc.htmlContent.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim());
+        // 3. Render the PDF (locally, or via the Taxmann service)
+        const rendered = await writeCasePdf(doc, title, outputPath, options);
+
+        // 4. Record the PDF in the library (text and HTML were stored in step 1)
+        library.attachPdf(caseId, outputPath);
 
         const stats = await fsPromises.stat(outputPath);
         console.log(`   ✅ Saved: ${path.basename(outputPath)} (${(stats.size / 1024).toFixed(1)} KB)`);
@@ -237,7 +333,8 @@ async function downloadCase(caseId, title = '', options = {}) {
             skipped: false,
             id: caseId,
             path: outputPath,
-            size: stats.size
+            size: stats.size,
+            ...rendered
         };
     } catch (error) {
         console.error(`   ❌ Error: ${error.message}`);
@@ -245,64 +342,98 @@ async function downloadCase(caseId, title = '', options = {}) {
             success: false,
             skipped: false,
             id: caseId,
-            error: error.message
+            error: error.message,
+            code: error.code || 'INTERNAL_ERROR',
+            httpStatus: error.httpStatus || 500,
+            hint: error.hint || '',
+            retryAfterMs: error.retryAfterMs || null
         };
     }
 }
 
 /**
- * Download multiple cases as PDFs with rate limiting
+ * Download multiple cases as PDFs.
+ * Pacing is left to the shared request scheduler (bulk priority).
+ * The batch is recorded as a job (see jobs.js) so it can be resumed or its
+ * failures retried with runDownloadJob.
  *
- * @param {Array<{id: string, heading?: string, citation?: string}>} cases
+ * @param {Array<{id: string, heading?: string, citation?: string, metadata?: object}>} cases
  * @param {object} options
- * @param {number} options.delay - Delay between downloads in ms (default: 2000)
  * @param {string} options.outputDir - Custom output directory
+ * @param {string} options.backend - PDF backend: 'local' or 'remote'
+ * @param {string} options.highlight - Terms to highlight in locally rendered PDFs
+ * @param {string} options.label - What the batch is, recorded in the job manifest
  */
 async function downloadMultipleCases(cases, options = {}) {
-    const { delay = 2000, outputDir } = options;
-    const results = [];
-    let downloadedCount = 0;
-    let skippedCount = 0;
-    let failCount = 0;
-
-    console.log(`\n📥 Downloading ${cases.length} cases as PDFs...\n`);
-
-    for (let i = 0; i < cases.length; i++) {
-        const c = cases[i];
-        const title = c.heading || c.citation || c.id;
-
-        console.log(`\n[${i + 1}/${cases.length}] ${title}`);
+    const job = jobs.createJob(cases, options);
+    const { results } = await runDownloadJob(job.id);
+    return results;
+}
 
-        const result = await downloadCase(c.id, title, { outputDir });
-        results.push(result);
+/**
+ * Work through a download job, recording each case in its manifest as it finishes
+ *
+ * @param {string} jobId
+ * @param {object} options
+ * @param {string} options.mode - 'resume' (every case not yet downloaded) or 'retry-failed'
+ * @returns {Promise<{job: object, results: object[]}>}
+ */
+async function runDownloadJob(jobId, { mode = 'resume' } = {}) {
+    const job = jobs.claimJob(jobId, mode);
+    const { outputDir, backend, highlight } = job.options;
+    const todo = jobs.casesToRun(job, mode);
+    const results = [];
 
-        if (result.success && result.skipped) skippedCount++;
-        else if (result.success) downloadedCount++;
-        else failCount++;
+    const verb = mode === 'retry-failed' ? 'Retrying' : job.runs.length > 1 ? 'Resuming' : 'Downloading';
+    console.log(`\n📥 ${verb} ${todo.length} of ${job.cases.length} cases as PDFs (job ${job.id})...\n`);
 
-        // Rate limiting (skip delay for already-existing files)
-        if (i < cases.length - 1 && !result.skipped) {
-            await new Promise(resolve => setTimeout(resolve, delay));
+    try {
+        for (let i = 0; i < todo.length; i++) {
+            if (jobs.stopRequested(job.id)) {
+                console.log(`\n⏸️  Stopped after ${i} case(s)`);
+                break;
+            }
+            const c = todo[i];
+            console.log(`\n[${i + 1}/${todo.length}] ${c.title}`);
+            jobs.updateJobCase(job, c.id, { status: 'running', attempts: c.attempts + 1 });
+
+            const result = await downloadCase(c.id, c.title, { outputDir: outputDir || undefined, metadata: c.metadata, priority: 'bulk', backend: backend || undefined, highlight });
+            results.push(result);
+            jobs.updateJobCase(job, c.id, result.success
+                ? { status: result.skipped ? 'skipped' : 'downloaded', error: null, code: null, path: result.path, size: result.size ?? null, backend: result.backend ?? null, fallback: Boolean(result.fallback) }
+                : { status: 'failed', error: result.error, code: result.code });
         }
+    } finally {
+        jobs.releaseJob(job);
     }
 
     // Summary
+    const run = job.runs[job.runs.length - 1];
+    const counts = jobs.jobCounts(job);
     console.log(`\n${'═'.repeat(60)}`);
-    console.log(`📊 Download Summary:`);
-    console.log(`   ✅ Downloaded: ${downloadedCount}`);
-    console.log(`   ⏭️  Skipped (already exist): ${skippedCount}`);
-    console.log(`   ❌ Failed: ${failCount}`);
+    console.log(`📊 Download Summary (job ${job.id}):`);
+    console.log(`   ✅ Downloaded: ${run.downloaded}`);
+    console.log(`   ⏭️  Skipped (already exist): ${run.skipped}`);
+    console.log(`   ❌ Failed: ${run.failed}`);
+    const fallbacks = results.filter(r => r.fallback).length;
+    if (fallbacks) console.log(`   ⚠️  ${fallbacks} rendered locally because the PDF service failed`);
     console.log(`   📁 Saved to: ${outputDir || DOWNLOADS_DIR}`);
+    if (counts.pending) console.log(`   ⏸️  ${counts.pending} not attempted — resume with: node index.js download-resume ${job.id}`);
+    if (counts.failed) console.log(`   🔁 Retry failures with: node index.js download-retry-failed ${job.id}`);
     console.log(`${'═'.repeat(60)}\n`);
 
-    return results;
+    return { job, results };
 }
 
 module.exports = {
     getCaseHTML,
+    fetchCaseDocument,
+    htmlToText,
     generatePDF,
+    writeCasePdf,
     downloadCase,
     downloadMultipleCases,
+    runDownloadJob,
     downloadFile,
     wrapHtmlForPdf,
     DOWNLOADS_DIR
@@ -0,0 +1,251 @@
+/**
+ * Typed errors shared by auth, search, download and analyzer.
+ *
+ * Each error carries a machine-readable `code`, the HTTP status the server
+ * should answer with, and a `hint` the CLI can print as an actionable next step.
+ */
+
+class WorkflowError extends Error {
+    constructor(message, { code = 'INTERNAL_ERROR', httpStatus = 500, hint = '', cause, details } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.httpStatus = httpStatus;
+        this.hint = hint;
+        if (details) this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...(this.hint && { hint: this.hint }),
+            ...(this.details && { details: this.details })
+        };
+    }
+}
+
+/**
+ * Credentials rejected, session invalidated or no account configured
+ */
+class AuthError extends WorkflowError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'AUTH_ERROR',
+            httpStatus: 401,
+            hint: 'Check CENTAX_EMAIL / CENTAX_PASSWORD (or the vault) and run `node index.js login`.',
+            ...options
+        });
+    }
+}
+
+/**
+ * Upstream is throttling us — the request is fine, try again later
+ */
+class RateLimitError extends WorkflowError {
+    constructor(message, { retryAfterMs = null, service = 'Centax', ...options } = {}) {
+        const when = retryAfterMs ? `in ${Math.ceil(retryAfterMs / 1000)}s` : 'later';
+        super(message, {
+            code: 'RATE_LIMITED',
+            httpStatus: 429,
+            hint: service === 'Centax'
+                ? `Centax is rate limiting requests. Try again ${when}, or add another account to the pool.`
+                : `${service} is rate limiting requests. Try again ${when}.`,
+            ...options
+        });
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), retryAfter: this.retryAfterMs ? Math.ceil(this.retryAfterMs / 1000) : null };
+    }
+}
+
+/**
+ * The case / document ID does not exist upstream
+ */
+class DocumentNotFound extends WorkflowError {
+    constructor(caseId, options = {}) {
+        super(`Document ${caseId} not found`, {
+            code: 'DOCUMENT_NOT_FOUND',
+            httpStatus: 404,
+            hint: 'Check the case ID — search results list valid IDs.',
+            ...options
+        });
+        this.caseId = caseId;
+    }
+}
+
+/**
+ * No research matter with this ID
+ */
+class MatterNotFound extends WorkflowError {
+    constructor(matterId, options = {}) {
+        super(`Matter "${matterId}" not found`, {
+            code: 'MATTER_NOT_FOUND',
+            httpStatus: 404,
+            hint: 'List matters with "node index.js matter-list" or GET /api/matters.',
+            ...options
+        });
+        this.matterId = matterId;
+    }
+}
+
+/**
+ * No batch download job with this ID
+ */
+class JobNotFound extends WorkflowError {
+    constructor(jobId, options = {}) {
+        super(`Download job "${jobId}" not found`, {
+            code: 'JOB_NOT_FOUND',
+            httpStatus: 404,
+            hint: 'List jobs with "node index.js download-jobs" or GET /api/jobs.',
+            ...options
+        });
+        this.jobId = jobId;
+    }
+}
+
+/**
+ * The document exists but came back (nearly) empty
+ */
+class ContentTooShort extends WorkflowError {
+    constructor(caseId, length, options = {}) {
+        super(`Document ${caseId}: HTML content too short (${length} chars)`, {
+            code: 'CONTENT_TOO_SHORT',
+            httpStatus: 422,
+            hint: 'The document may not be available on your subscription, or is a stub entry. Try again later or open it on the Centax website.',
+            ...options
+        });
+        this.caseId = caseId;
+        this.length = length;
+    }
+}
+
+/**
+ * PDF rendering or PDF download failed
+ */
+class PdfGenerationError extends WorkflowError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'PDF_GENERATION_FAILED',
+            httpStatus: 502,
+            hint: 'The PDF service failed. Retry the download; the case text is still available via preview.',
+            ...options
+        });
+    }
+}
+
+/**
+ * A PDF on disk could not be read (damaged, encrypted or not a PDF)
+ */
+class PdfReadError extends WorkflowError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'PDF_READ_FAILED',
+            httpStatus: 422,
+            hint: 'The PDF may be encrypted or damaged. Download the case from Centax again to get its text.',
+            ...options
+        });
+    }
+}
+
+/**
+ * The caller's request is malformed (bad search query, bad date, ...)
+ */
+class InvalidQueryError extends WorkflowError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'INVALID_QUERY',
+            httpStatus: 400,
+            hint: 'Fix the request parameters and try again.',
+            ...options
+        });
+    }
+}
+
+/**
+ * Any other failure talking to Centax, Taxmann or the LLM provider
+ */
+class UpstreamError extends WorkflowError {
+    constructor(message, { service = 'Centax', status = null, ...options } = {}) {
+        super(message, {
+            code: 'UPSTREAM_ERROR',
+            httpStatus: 502,
+            hint: `${service} returned an error or could not be reached. Check your network and try again.`,
+            ...options
+        });
+        this.service = service;
+        this.upstreamStatus = status;
+    }
+}
+
+/**
+ * The model answered, but not in the required format, even after being asked to fix it
+ */
+class LlmOutputError extends WorkflowError {
+    constructor(message, { task = '', ...options } = {}) {
+        super(message, {
+            code: 'LLM_OUTPUT_INVALID',
+            httpStatus: 502,
+            hint: `Try again, or use a more capable model for this task${task ? ` (LLM_${task.toUpperCase()}_MODEL)` : ''}.`,
+            ...options
+        });
+        this.task = task;
+    }
+}
+
+/**
+ * Convert an axios (or OpenAI SDK) error into a typed error.
+ * Typed errors and errors that didn't come from an HTTP call pass through unchanged.
+ *
+ * @param {Error} err
+ * @param {object} context
+ * @param {string} context.service - Upstream service name for messages
+ * @param {string} context.authHint - Hint for a 401/403 from a service other than Centax
+ * @returns {Error}
+ */
+function toTypedError(err, { service = 'Centax', authHint = '' } = {}) {
+    if (err instanceof WorkflowError) return err;
+    const fromHttp = err.isAxiosError || err.response || err.status !== undefined || /^API/.test(err.constructor?.name || '');
+    if (!fromHttp) return err;
+
+    const status = err.response?.status ?? err.status ?? null;
+    const headers = err.response?.headers ?? err.headers ?? {};
+
+    if (status === 409 || status === 429) {
+        const retryAfter = Number(typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+        return new RateLimitError(`${service} rate limit reached (HTTP ${status})`, {
+            retryAfterMs: Number.isNaN(retryAfter) || !retryAfter ? null : retryAfter * 1000,
+            service,
+            cause: err
+        });
+    }
+    if (status === 401 || status === 403) {
+        return new AuthError(`${service} rejected the credentials (HTTP ${status})`, {
+            cause: err,
+            // The default hint is about the Centax login
+            ...(service !== 'Centax' && { hint: authHint || `Check the credentials configured for ${service}.` })
+        });
+    }
+    if (status) {
+        return new UpstreamError(`${service} request failed (HTTP ${status}): ${err.message}`, { service, status, cause: err });
+    }
+    return new UpstreamError(`${service} request failed: ${err.message}`, { service, cause: err });
+}
+
+module.exports = {
+    WorkflowError,
+    AuthError,
+    RateLimitError,
+    DocumentNotFound,
+    MatterNotFound,
+    JobNotFound,
+    ContentTooShort,
+    PdfGenerationError,
+    PdfReadError,
+    InvalidQueryError,
+    UpstreamError,
+    LlmOutputError,
+    toTypedError
+};
@@ -0,0 +1,253 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { authenticatedRequest, buildHeaders } = require('./auth');
+const { BASE_URL, FILTERS_PATH } = require('./config');
+const { UpstreamError } = require('./errors');
+
+const SNAPSHOT_FILE = path.join(__dirname, '..', 'data', 'filter_catalog.json');
+const CACHE_FILE = path.join(__dirname, '..', 'cache', 'filter_catalog.json');
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// How long a fallback catalog is used before Centax is tried again
+const FALLBACK_TTL_MS = 5 * 60 * 1000;
+
+// Oldest decision year offered in the year facet
+const FIRST_YEAR = 2000;
+
+/**
+ * Catalog facets, the Centax filter key each one maps to, and the
+ * key Centax uses for it in the filter master response
+ */
+const FACETS = {
+    module: { label: 'Tax module', filterKey: 'categoryList', sourceKey: 'categoryList' },
+    docType: { label: 'Document type', filterKey: 'groupList', sourceKey: 'groupList' },
+    court: { label: 'Court level', filterKey: 'courtList', sourceKey: 'courtList' },
+    bench: { label: 'Bench', filterKey: 'benchList', sourceKey: 'benchList' },
+    state: { label: 'State', filterKey: 'state', sourceKey: 'state' },
+    act: { label: 'Act', filterKey: 'actList', sourceKey: 'actList' },
+    section: { label: 'Section', filterKey: 'sectionList', sourceKey: 'sectionList' },
+    journal: { label: 'Journal', filterKey: 'journalList', sourceKey: 'journalList' },
+    yearList: { label: 'Year', filterKey: 'yearList', sourceKey: 'yearList' }
+};
+
+// Values that mean "no restriction" in filter selections
+const NO_FILTER_VALUES = new Set(['all', 'not_sure']);
+
+// In-process copy so every request doesn't re-read the cache file (or, while
+// Centax is failing, retry it), and when it stops being used
+let memoryCatalog = null;
+let memoryExpiresAt = 0;
+
+/**
+ * Year facet values are the years themselves (Centax filters on the year string)
+ */
+function yearFacet() {
+    const years = [];
+    for (let y = new Date().getFullYear(); y >= FIRST_YEAR; y--) {
+        years.push({ id: String(y), label: String(y) });
+    }
+    return years;
+}
+
+/**
+ * Normalize one upstream entry ({Id, Name, ParentId} or similar) into {id, label, parentId?}
+ */
+function normalizeEntry(entry) {
+    if (typeof entry === 'string' || typeof entry === 'number') {
+        return { id: String(entry), label: String(entry) };
+    }
+    const id = entry.Id ?? entry.id ?? entry.value ?? entry.Value;
+    const label = entry.Name ?? entry.name ?? entry.label ?? entry.Label ?? entry.text;
+    if (id === undefined || label === undefined) return null;
+    const parentId = entry.ParentId ?? entry.parentId ?? null;
+    return parentId ? { id: String(id), label: String(label).trim(), parentId: String(parentId) } : { id: String(id), label: String(label).trim() };
+}
+
+/**
+ * Build a catalog from the Centax filter master payload
+ */
+function parseUpstreamCatalog(data) {
+    const facets = {};
+    for (const [facet, { sourceKey }] of Object.entries(FACETS)) {
+        if (facet === 'yearList') continue;
+        const entries = Array.isArray(data[sourceKey]) ? data[sourceKey] : [];
+        facets[facet] = entries.map(normalizeEntry).filter(Boolean);
+    }
+    return { version: 1, source: 'centax', fetchedAt: new Date().toISOString(), facets };
+}
+
+/**
+ * Fetch the full filter taxonomy from Centax
+ */
+async function fetchCatalogFromCentax() {
+    return await authenticatedRequest(async (session) => {
+        const response = await axios.post(
+            `${BASE_URL}${FILTERS_PATH}`,
+            { category: 'centax-gst' },
+            { headers: buildHeaders(session) }
+        );
+
+        if (response.data && response.data.Data && typeof response.data.Data === 'object') {
+            const catalog = parseUpstreamCatalog(response.data.Data);
+            const total = Object.values(catalog.facets).reduce((n, list) => n + list.length, 0);
+            if (total > 0) return catalog;
+        }
+
+        throw new UpstreamError('Invalid filter catalog response from Centax API');
+    }, { priority: 'interactive' });
+}
+
+function readCatalogFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fill in the generated year facet and any facets missing from an older file
+ */
+function complete(catalog) {
+    const facets = {};
+    for (const facet of Object.keys(FACETS)) {
+        facets[facet] = facet === 'yearList' ? yearFacet() : (catalog.facets[facet] || []);
+    }
+    return { ...catalog, facets };
+}
+
+/**
+ * Get the filter catalog: fresh cache → Centax → stale cache → bundled snapshot
+ *
+ * A stale cache or snapshot used because Centax failed is marked `fallback` and
+ * kept for FALLBACK_TTL_MS, so a failing endpoint isn't called on every request.
+ *
+ * @param {object} options
+ * @param {boolean} options.refresh - Ignore the cache and fetch from Centax
+ * @returns {Promise<{version, source, fetchedAt, fallback?: boolean, facets: Object<string, Array<{id, label, parentId?}>>}>}
+ */
+async function getFilterCatalog({ refresh = false } = {}) {
+    if (!refresh && memoryCatalog && Date.now() < memoryExpiresAt) {
+        return memoryCatalog;
+    }
+
+    const cached = readCatalogFile(CACHE_FILE);
+    if (!refresh && cached && Date.now() - Date.parse(cached.fetchedAt) < CACHE_TTL_MS) {
+        memoryCatalog = complete(cached);
+        memoryExpiresAt = Date.parse(cached.fetchedAt) + CACHE_TTL_MS;
+        return memoryCatalog;
+    }
+
+    try {
+        const fetched = await fetchCatalogFromCentax();
+        fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+        fs.writeFileSync(CACHE_FILE, JSON.stringify(fetched, null, 2));
+        console.log(`🗂️  Filter catalog refreshed from Centax (${Object.values(fetched.facets).reduce((n, l) => n + l.length, 0)} values)`);
+        memoryCatalog = complete(fetched);
+        memoryExpiresAt = Date.now() + CACHE_TTL_MS;
+        return memoryCatalog;
+    } catch (err) {
+        const fallback = cached || readCatalogFile(SNAPSHOT_FILE);
+        console.log(`⚠️  Could not fetch filter catalog (${err.message}), using ${cached ? 'cached copy' : 'bundled snapshot'} for ${FALLBACK_TTL_MS / 60000} min`);
+        memoryCatalog = { ...complete(fallback), fallback: true };
+        memoryExpiresAt = Date.now() + FALLBACK_TTL_MS;
+        return memoryCatalog;
+    }
+}
+
+/**
+ * Find a facet entry by label (case-insensitive) or ID
+ */
+function findEntry(catalog, facet, value) {
+    const wanted = String(value).trim().toLowerCase();
+    return (catalog.facets[facet] || []).find(e => e.id === String(value) || e.label.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Map UI / API filter selections (labels or IDs per facet) to the Centax filter payload
+ *
+ * @param {object} filters - e.g. { module: ['GST'], court: 'High Court', yearList: ['2024'] }
+ * @param {object} catalog - From getFilterCatalog()
+ * @returns {{apiFilter: object, unknown: Array<{facet, value}>}}
+ */
+function mapFiltersToApi(filters, catalog) {
+    const apiFilter = {};
+    const unknown = [];
+
+    for (const [facet, { filterKey }] of Object.entries(FACETS)) {
+        const raw = filters[facet];
+        const values = (Array.isArray(raw) ? raw : raw ? [raw] : []).filter(v => !NO_FILTER_VALUES.has(v));
+        if (values.length === 0) continue;
+
+        const ids = [];
+        for (const value of values) {
+            const entry = findEntry(catalog, facet, value);
+            if (entry) ids.push(entry.id);
+            // Any four-digit year is valid even if it predates the generated list
+            else if (facet === 'yearList' && /^\d{4}$/.test(String(value))) ids.push(String(value));
+            else unknown.push({ facet, value });
+        }
+        if (ids.length > 0) apiFilter[filterKey] = [...new Set(ids)];
+    }
+
+    return { apiFilter, unknown };
+}
+
+/**
+ * Filter selections as readable [{label, values}] for reports, using the
+ * catalog's labels for values given as IDs
+ *
+ * @param {object} filters - Filter selections, as for mapFiltersToApi
+ * @param {object} catalog - From getFilterCatalog(), or null to show values as given
+ */
+function describeFilters(filters = {}, catalog = null) {
+    const described = [];
+    for (const [facet, { label }] of Object.entries(FACETS)) {
+        const raw = filters[facet];
+        const values = (Array.isArray(raw) ? raw : raw ? [raw] : []).filter(v => !NO_FILTER_VALUES.has(v));
+        if (values.length === 0) continue;
+        described.push({ label, values: values.map(v => (catalog && findEntry(catalog, facet, v)?.label) || String(v)) });
+    }
+    return described;
+}
+
+/**
+ * Render the catalog as an "available filters" block for the LLM prompt.
+ * Large facets are cut to `maxPerFacet` values so the prompt stays bounded.
+ */
+function describeCatalogForPrompt(catalog, { maxPerFacet = 60 } = {}) {
+    return Object.keys(FACETS)
+        .filter(facet => (catalog.facets[facet] || []).length > 0)
+        .map(facet => {
+            const labels = catalog.facets[facet].map(e => e.label);
+            const shown = labels.slice(0, maxPerFacet);
+            const more = labels.length > shown.length ? ` (+${labels.length - shown.length} more; only use values listed here)` : '';
+            return `- "${facet}": ${JSON.stringify(shown)}${more}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Drop suggested values that aren't in the catalog
+ *
+ * @param {object} suggested - facet -> array of labels
+ * @returns {object} Only known facets and values, using the catalog's canonical labels
+ */
+function sanitizeSuggestions(suggested, catalog) {
+    const clean = {};
+    for (const [facet, values] of Object.entries(suggested || {})) {
+        if (!FACETS[facet] || !Array.isArray(values)) continue;
+        const known = values.map(v => findEntry(catalog, facet, v)?.label).filter(Boolean);
+        if (known.length > 0) clean[facet] = [...new Set(known)];
+    }
+    return clean;
+}
+
+module.exports = {
+    getFilterCatalog,
+    mapFiltersToApi,
+    describeFilters,
+    describeCatalogForPrompt,
+    sanitizeSuggestions,
+    FACETS
+};
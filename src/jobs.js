@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const library = require('./library');
+const { JobNotFound, InvalidQueryError } = require('./errors');
+
+/**
+ * Batch download jobs.
+ *
+ * Every batch download writes a manifest to library/jobs/<id>.json that is
+ * updated after each case, so a pull that crashes or is stopped at case 47
+ * of 100 can be resumed where it left off, failures can be retried on their
+ * own, and the whole run can be audited afterwards. The downloading itself
+ * lives in download.js (runDownloadJob); this module only keeps the books.
+ *
+ * Job shape:
+ *   { id, label, status, options: { outputDir, backend, highlight },
+ *     cases: [JobCase], runner: { pid, startedAt, mode } | null,
+ *     runs: [{ mode, startedAt, finishedAt, downloaded, skipped, failed, stopped }],
+ *     createdAt, updatedAt }
+ *
+ * JobCase:
+ *   { id, title, metadata, status, attempts, error, code, path, size, backend, fallback, updatedAt }
+ *
+ * `backend` is the one that produced the PDF; `fallback` is true when the remote
+ * service failed and the PDF was rendered locally instead.
+ *
+ * Case status: pending | running | downloaded | skipped | failed.
+ * Job status: pending | running | stopped | completed | completed_with_errors,
+ * and "interrupted" when read back while marked running but its process is gone.
+ */
+
+const JOBS_DIR = path.join(library.LIBRARY_DIR, 'jobs');
+
+const FINISHED = new Set(['downloaded', 'skipped']);
+
+// Jobs running in this process: job ID -> { stopRequested }
+const active = new Map();
+
+function jobFile(id) {
+    return path.join(JOBS_DIR, `${path.basename(String(id))}.json`);
+}
+
+function newJobId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function writeJob(job) {
+    job.updatedAt = new Date().toISOString();
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    const file = jobFile(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    return job;
+}
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+function isRunning(job) {
+    if (!job.runner) return false;
+    if (active.has(job.id)) return true;
+    return job.runner.pid !== process.pid && processAlive(job.runner.pid);
+}
+
+/**
+ * Per-status case counts
+ */
+function jobCounts(job) {
+    const counts = { total: job.cases.length, pending: 0, running: 0, downloaded: 0, skipped: 0, failed: 0 };
+    for (const c of job.cases) counts[c.status] = (counts[c.status] || 0) + 1;
+    return counts;
+}
+
+/**
+ * A job without its case list
+ */
+function summarizeJob(job) {
+    return { id: job.id, label: job.label, status: job.status, counts: jobCounts(job), createdAt: job.createdAt, updatedAt: job.updatedAt };
+}
+
+/**
+ * Create a job for a list of cases
+ *
+ * @param {Array<{id: string, heading?: string, citation?: string, metadata?: object}>} cases
+ * @param {object} options
+ * @param {string} options.label - What the batch is, e.g. the search query
+ * @param {string} options.outputDir
+ * @param {string} options.backend
+ * @param {string} options.highlight
+ */
+function createJob(cases, { label = '', outputDir, backend, highlight } = {}) {
+    const seen = new Set();
+    const list = (cases || [])
+        .map(c => (typeof c === 'object' ? c : { id: c }))
+        .filter(c => c.id && !seen.has(String(c.id)) && seen.add(String(c.id)));
+    if (list.length === 0) throw new InvalidQueryError('No cases to download');
+
+    const now = new Date().toISOString();
+    return writeJob({
+        id: newJobId(),
+        label,
+        status: 'pending',
+        options: { outputDir: outputDir || null, backend: backend || null, highlight: highlight || '' },
+        cases: list.map(c => ({
+            id: String(c.id),
+            title: c.heading || c.citation || String(c.id),
+            metadata: c.metadata || null,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            code: null,
+            path: null,
+            size: null,
+            backend: null,
+            fallback: false,
+            updatedAt: now
+        })),
+        runner: null,
+        runs: [],
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Get a job's manifest
+ *
+ * @throws {JobNotFound}
+ */
+function getJob(id) {
+    const file = id ? jobFile(id) : null;
+    if (!file || !fs.existsSync(file)) throw new JobNotFound(id);
+    const job = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (job.status === 'running' && !isRunning(job)) job.status = 'interrupted';
+    return job;
+}
+
+/**
+ * All jobs, newest first, without their case lists
+ *
+ * @returns {{jobs: Array<{id, label, status, counts, createdAt, updatedAt}>, unreadable: string[]}}
+ *          Job files that could not be read are left out of `jobs` and named in `unreadable`
+ */
+function listJobs() {
+    const jobs = [];
+    const unreadable = [];
+    if (!fs.existsSync(JOBS_DIR)) return { jobs, unreadable };
+    for (const f of fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json'))) {
+        try {
+            jobs.push(summarizeJob(getJob(f.slice(0, -5))));
+        } catch {
+            unreadable.push(f);
+        }
+    }
+    jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { jobs, unreadable };
+}
+
+/**
+ * Cases a run should work through: everything not yet downloaded, or only the failures
+ *
+ * @param {object} job
+ * @param {string} mode - 'resume' or 'retry-failed'
+ */
+function casesToRun(job, mode = 'resume') {
+    return job.cases.filter(c => (mode === 'retry-failed' ? c.status === 'failed' : !FINISHED.has(c.status)));
+}
+
+/**
+ * Check that a job can be run in this mode
+ *
+ * @throws {InvalidQueryError} If it is already running or has nothing to do
+ */
+function assertRunnable(id, mode = 'resume') {
+    const job = getJob(id);
+    if (isRunning(job)) {
+        const where = job.runner.pid === process.pid ? 'in this process' : `in process ${job.runner.pid}`;
+        throw new InvalidQueryError(`Job ${job.id} is already running ${where}`, { hint: 'Stop it first, or wait for it to finish.' });
+    }
+    if (casesToRun(job, mode).length === 0) {
+        throw mode === 'retry-failed'
+            ? new InvalidQueryError(`Job ${job.id} has no failed cases`)
+            : new InvalidQueryError(`Job ${job.id} has nothing left to download`, { hint: 'Use download-retry-failed to retry its failures.' });
+    }
+    return job;
+}
+
+/**
+ * Mark a job as running in this process
+ *
+ * @throws {InvalidQueryError} If it is already running or has nothing to do
+ */
+function claimJob(id, mode = 'resume') {
+    const job = assertRunnable(id, mode);
+    const startedAt = new Date().toISOString();
+    active.set(job.id, { stopRequested: false });
+    job.status = 'running';
+    job.runner = { pid: process.pid, startedAt, mode };
+    job.runs.push({ mode, startedAt, finishedAt: null, downloaded: 0, skipped: 0, failed: 0, stopped: false });
+    return writeJob(job);
+}
+
+/**
+ * Record the outcome of one case
+ *
+ * @throws {InvalidQueryError} If the case is not part of the job
+ */
+function updateJobCase(job, caseId, fields) {
+    const entry = job.cases.find(c => c.id === String(caseId));
+    if (!entry) throw new InvalidQueryError(`Case ${caseId} is not part of job ${job.id}`);
+    Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+    const run = job.runs[job.runs.length - 1];
+    if (run && ['downloaded', 'skipped', 'failed'].includes(fields.status)) run[fields.status]++;
+    return writeJob(job);
+}
+
+/**
+ * Mark a run as finished and set the job's status from its cases
+ */
+function releaseJob(job) {
+    const stopped = Boolean(active.get(job.id)?.stopRequested);
+    active.delete(job.id);
+    // A case interrupted mid-download goes back to the queue
+    for (const c of job.cases) if (c.status === 'running') c.status = 'pending';
+    const counts = jobCounts(job);
+    job.status = counts.pending ? 'stopped' : counts.failed ? 'completed_with_errors' : 'completed';
+    job.runner = null;
+    const run = job.runs[job.runs.length - 1];
+    if (run) Object.assign(run, { finishedAt: new Date().toISOString(), stopped });
+    return writeJob(job);
+}
+
+/**
+ * Ask a job running in this process to stop after the current case
+ *
+ * @throws {InvalidQueryError} If it isn't running here
+ */
+function requestStop(id) {
+    const job = getJob(id);
+    const state = active.get(job.id);
+    if (!state) {
+        const hint = isRunning(job) ? `It is running in process ${job.runner.pid}; stop it there (Ctrl+C).` : 'Only running jobs can be stopped.';
+        throw new InvalidQueryError(`Job ${job.id} is not running in this process`, { hint });
+    }
+    state.stopRequested = true;
+    return job;
+}
+
+function stopRequested(id) {
+    return Boolean(active.get(id)?.stopRequested);
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    jobCounts,
+    summarizeJob,
+    casesToRun,
+    assertRunnable,
+    claimJob,
+    updateJobCase,
+    releaseJob,
+    requestStop,
+    stopRequested,
+    JOBS_DIR
+};
@@ -0,0 +1,105 @@
+/**
+ * A small JSON Schema subset for checking LLM replies.
+ *
+ * Supports type (including ["string", "null"]), enum, properties, required,
+ * items, minItems / maxItems, minLength, and minimum / maximum. Properties not
+ * declared in a schema are allowed, so a model adding a field is not an error.
+ */
+
+// Keywords OpenAI's strict structured outputs may reject; they are still checked here
+const LOCAL_ONLY = new Set(['minimum', 'maximum', 'minItems', 'maxItems', 'minLength', 'maxLength']);
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function typeMatches(type, value) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} at - Path of `value`, for messages
+ * @returns {string[]} Violations such as "rankings[2].score: must be at most 100"; empty when valid
+ */
+function validateSchema(schema, value, at = '') {
+    const where = at || 'reply';
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(t => typeMatches(t, value))) {
+        return [`${where}: must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: must be at least ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: must be at most ${schema.maximum}, got ${value}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${where}: must not be empty`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where}: needs at least ${schema.minItems} item(s), got ${value.length}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where}: allows at most ${schema.maxItems} item(s), got ${value.length}`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${at ? `${at}.` : ''}${key}: is missing`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (key in value) errors.push(...validateSchema(sub, value[key], at ? `${at}.${key}` : key));
+        }
+    }
+    return errors;
+}
+
+/**
+ * The schema as sent to providers with strict structured outputs: every object
+ * closed (additionalProperties: false) with all its properties required, and
+ * the keywords they may reject removed
+ */
+function strictSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(strictSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (LOCAL_ONLY.has(key)) continue;
+        out[key] = key === 'properties'
+            ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, strictSchema(v)]))
+            : key === 'enum' ? value : strictSchema(value);
+    }
+    if ([].concat(schema.type).includes('object')) {
+        out.additionalProperties = false;
+        out.required = Object.keys(schema.properties || {});
+    }
+    return out;
+}
+
+/**
+ * Parse a model reply as JSON: markdown fences and text around the outermost
+ * object are tolerated
+ *
+ * @returns {{value?: *, error?: string}}
+ */
+function parseJsonReply(content) {
+    const text = String(content || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) return { error: 'reply is not a JSON object' };
+    try {
+        return { value: JSON.parse(text.slice(start, end + 1)) };
+    } catch (err) {
+        return { error: `reply is not valid JSON (${err.message})` };
+    }
+}
+
+module.exports = { validateSchema, strictSchema, parseJsonReply };
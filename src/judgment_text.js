@@ -0,0 +1,256 @@
+/**
+ * Structure-preserving text extraction for Centax judgment HTML.
+ *
+ * Centax documents are a flat sequence of blocks distinguished by class:
+ *   .tx        plain line (citation, parties, coram, date, headnote)
+ *   .h1        heading (court name, "JUDGMENT", section titles)
+ *   .indent1   numbered paragraph ("12. The petitioner ...")
+ *   .indent2   sub-paragraph ("(a) ...")
+ *   .quote     quoted statute / precedent
+ *   .allborder bordered table
+ * with an <hr> between the header and the body.
+ *
+ * parseJudgment() turns that into header lines, sections and numbered
+ * paragraphs; judgmentToText() renders it as readable plain text that
+ * keeps the paragraph numbers, so summaries can cite "para 12".
+ */
+
+// Bump when the text rendering changes so stored texts are regenerated
+const TEXT_VERSION = 2;
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'wbr']);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', laquo: '«', raquo: '»',
+    mdash: '—', ndash: '–', hellip: '…', bull: '•', middot: '·',
+    sect: '§', para: '¶', deg: '°', rupee: '₹', copy: '©', reg: '®', trade: '™'
+};
+
+/**
+ * Decode named and numeric HTML entities
+ */
+function decodeEntities(text) {
+    return String(text)
+        .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+        .replace(/&([a-z]+);/gi, (m, name) => NAMED_ENTITIES[name.toLowerCase()] ?? m);
+}
+
+/**
+ * Text of an inline HTML fragment: <br> becomes a newline, other tags are dropped
+ */
+function inlineText(html) {
+    return decodeEntities(String(html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, ''))
+        .replace(/[ \t\r\f\v ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+function classOf(attrs) {
+    const m = String(attrs || '').match(/class\s*=\s*["']([^"']*)["']/i);
+    return m ? m[1].trim().split(/\s+/) : [];
+}
+
+/**
+ * Split HTML into its top-level elements: [{tag, classes, inner}]
+ * Loose text between elements becomes a '#text' block.
+ */
+function topLevelBlocks(html) {
+    const blocks = [];
+    let depth = 0;
+    let open = null;
+    let lastEnd = 0;
+
+    for (const m of html.matchAll(/<(\/?)([a-zA-Z][\w-]*)\b([^>]*?)(\/?)>|<!--[\s\S]*?-->/g)) {
+        if (!m[2]) continue; // comment
+        const [full, closing, rawName, attrs, selfClosing] = m;
+        const name = rawName.toLowerCase();
+
+        if (depth === 0) {
+            const loose = html.slice(lastEnd, m.index);
+            if (loose.trim()) blocks.push({ tag: '#text', classes: [], inner: loose });
+            lastEnd = m.index + full.length;
+            if (closing) continue;
+            if (VOID_TAGS.has(name) || selfClosing) {
+                blocks.push({ tag: name, classes: classOf(attrs), inner: '' });
+                continue;
+            }
+            open = { tag: name, classes: classOf(attrs), start: lastEnd };
+            depth = 1;
+            continue;
+        }
+
+        // Only the outer element's own tag name affects nesting depth
+        if (name !== open.tag || VOID_TAGS.has(name) || selfClosing) continue;
+        depth += closing ? -1 : 1;
+        if (depth === 0) {
+            blocks.push({ tag: open.tag, classes: open.classes, inner: html.slice(open.start, m.index) });
+            lastEnd = m.index + full.length;
+        }
+    }
+
+    const rest = depth === 0 ? html.slice(lastEnd) : html.slice(open.start);
+    if (rest.trim()) blocks.push(depth === 0 ? { tag: '#text', classes: [], inner: rest } : { tag: open.tag, classes: open.classes, inner: rest });
+    return blocks;
+}
+
+/**
+ * Rows of cell texts for every <tr> in a table fragment
+ */
+function tableRows(html) {
+    return [...html.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)]
+        .map(row => [...row[1].matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/gi)].map(cell => inlineText(cell[1]).replace(/\n/g, ' ')))
+        .filter(cells => cells.some(Boolean));
+}
+
+/**
+ * @typedef {object} JudgmentBlock
+ * @property {string} type - 'heading' | 'paragraph' | 'subparagraph' | 'quote' | 'table' | 'text'
+ * @property {string} text
+ * @property {number|null} number - Paragraph number (paragraphs only)
+ * @property {number|null} para - Number of the paragraph this block belongs to
+ * @property {string} marker - Sub-paragraph marker such as "(a)" (subparagraphs only)
+ * @property {string[][]} rows - Table cells (tables only)
+ */
+
+/**
+ * Classify one top-level element into a block
+ */
+function toBlock({ tag, classes, inner }) {
+    if (tag === 'table' || /<table\b/i.test(inner)) {
+        const rows = tableRows(inner);
+        return rows.length ? { type: 'table', rows, text: rows.map(r => r.join(' | ')).join('\n') } : null;
+    }
+    const text = inlineText(inner);
+    if (!text) return null;
+
+    const has = c => classes.includes(c);
+    if (has('h1') || /^h[1-6]$/.test(tag)) return { type: 'heading', text };
+    if (has('quote') || tag === 'blockquote') return { type: 'quote', text };
+    if (has('indent2')) {
+        const m = text.match(/^(\((?:[a-z]{1,4}|\d+)\)|[a-z]\)|[ivx]+\))\s*/i);
+        return { type: 'subparagraph', marker: m ? m[1] : '', text };
+    }
+    const numbered = text.match(/^(\d{1,4})\.\s/);
+    if (numbered && (has('indent1') || has('tx') || tag === '#text' || tag === 'p' || tag === 'div')) {
+        return { type: 'paragraph', number: Number(numbered[1]), text };
+    }
+    if (has('indent1')) return { type: 'paragraph', number: null, text };
+    return { type: 'text', text };
+}
+
+/**
+ * Parse judgment HTML into header, sections and numbered paragraphs
+ *
+ * @param {string} html
+ * @returns {{header: string[], sections: Array<{heading: string, blocks: JudgmentBlock[]}>,
+ *            paragraphs: Array<{number: number, section: string, text: string}>}}
+ */
+function parseJudgment(html) {
+    const source = String(html || '');
+    const hasRule = /<hr\b/i.test(source);
+    const header = [];
+    const sections = [];
+    const paragraphs = [];
+    let inBody = !hasRule;
+    let section = null;
+    let currentPara = null;
+
+    for (const element of topLevelBlocks(source)) {
+        if (element.tag === 'hr') {
+            inBody = true;
+            continue;
+        }
+        if (VOID_TAGS.has(element.tag)) continue;
+        const block = toBlock(element);
+        if (!block) continue;
+
+        if (!inBody) {
+            header.push(block.text);
+            continue;
+        }
+
+        if (block.type === 'heading') {
+            section = { heading: block.text, blocks: [] };
+            sections.push(section);
+            continue;
+        }
+        if (!section) {
+            section = { heading: '', blocks: [] };
+            sections.push(section);
+        }
+
+        if (block.type === 'paragraph' && block.number !== null) {
+            currentPara = { number: block.number, section: section.heading, text: block.text };
+            paragraphs.push(currentPara);
+            block.para = block.number;
+        } else {
+            block.para = currentPara ? currentPara.number : null;
+            // Quotes, sub-paragraphs and tables are part of the paragraph that introduces them
+            if (currentPara && block.type !== 'text') currentPara.text += `\n${block.text}`;
+        }
+        section.blocks.push({ number: null, marker: '', ...block });
+    }
+
+    return { header, sections, paragraphs };
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+/**
+ * Render parsed judgment as plain text. Paragraph numbers and headings are kept,
+ * quotes and sub-paragraphs are indented, tables are drawn with | separators.
+ */
+function renderText({ header, sections }) {
+    const parts = [];
+    if (header.length) parts.push(header.join('\n'));
+
+    for (const section of sections) {
+        if (section.heading) parts.push(section.heading.toUpperCase());
+        for (const block of section.blocks) {
+            switch (block.type) {
+                case 'quote':
+                    parts.push(indent(block.text, '    '));
+                    break;
+                case 'subparagraph':
+                    parts.push(indent(block.text, '    '));
+                    break;
+                case 'table':
+                    parts.push(block.rows.map(row => `| ${row.join(' | ')} |`).join('\n'));
+                    break;
+                default:
+                    parts.push(block.text);
+            }
+        }
+    }
+    return parts.join('\n\n');
+}
+
+/**
+ * Judgment HTML → structured plain text
+ */
+function judgmentToText(html) {
+    return renderText(parseJudgment(html));
+}
+
+/**
+ * Look up a numbered paragraph, e.g. for "para 12" references
+ */
+function findParagraph(parsed, number) {
+    return parsed.paragraphs.find(p => p.number === Number(number)) || null;
+}
+
+module.exports = {
+    parseJudgment,
+    judgmentToText,
+    renderText,
+    findParagraph,
+    decodeEntities,
+    inlineText,
+    TEXT_VERSION
+};
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { mergeMetadata } = require('./case_metadata');
+
+/**
+ * Local case library.
+ *
+ * Every case we have fetched is recorded in a JSON-lines index
+ * (library/index.jsonl, one record per line, later lines win) with its
+ * HTML and plain text stored next to it under library/cases/. PDFs stay
+ * wherever downloadCase wrote them; the record keeps their path.
+ *
+ * Record shape:
+ *   { id, metadata, htmlFile, textFile, pdfPath, contentHash, textLength,
+ *     textVersion, fetchedAt, updatedAt, checkedAt, pdfSavedAt }
+ *
+ * fetchedAt is the first fetch, updatedAt the last time the content hash
+ * changed, checkedAt the last time Centax was asked for the document.
+ *
+ * Emits 'case_saved' with { id, record, contentChanged } whenever a
+ * document is written, so derived indexes can update incrementally.
+ */
+
+const ROOT_DIR = path.join(__dirname, '..');
+const LIBRARY_DIR = path.resolve(ROOT_DIR, process.env.CENTAX_LIBRARY_DIR || 'library');
+const CASES_DIR = path.join(LIBRARY_DIR, 'cases');
+const INDEX_FILE = path.join(LIBRARY_DIR, 'index.jsonl');
+const LEGACY_DOWNLOADS_DIR = path.join(ROOT_DIR, 'downloads');
+
+const events = new EventEmitter();
+let records = null; // id -> record, loaded lazily
+let indexLines = 0;
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Paths are stored relative to the project root so the library can be moved
+ */
+function toStoredPath(file) {
+    return file ? path.relative(ROOT_DIR, path.resolve(file)) : null;
+}
+
+function fromStoredPath(file) {
+    return file ? path.resolve(ROOT_DIR, file) : null;
+}
+
+/**
+ * Case IDs become file names — keep them to safe characters
+ */
+function caseFileBase(id) {
+    return String(id).replace(/[^\w.-]/g, '_');
+}
+
+function load() {
+    if (records) return records;
+    records = new Map();
+    indexLines = 0;
+
+    if (fs.existsSync(INDEX_FILE)) {
+        for (const line of fs.readFileSync(INDEX_FILE, 'utf-8').split('\n')) {
+            if (!line.trim()) continue;
+            indexLines++;
+            try {
+                const record = JSON.parse(line);
+                records.set(record.id, record);
+            } catch {
+                console.log('⚠️  Skipping unreadable line in library index');
+            }
+        }
+        // Rewrite the file once superseded lines dominate it
+        if (indexLines > 50 && indexLines > records.size * 2) compact();
+    } else {
+        fs.mkdirSync(CASES_DIR, { recursive: true });
+        importLegacyDownloads();
+    }
+    return records;
+}
+
+function append(record) {
+    fs.mkdirSync(LIBRARY_DIR, { recursive: true });
+    fs.appendFileSync(INDEX_FILE, JSON.stringify(record) + '\n');
+    indexLines++;
+}
+
+function compact() {
+    const tmp = `${INDEX_FILE}.tmp`;
+    fs.writeFileSync(tmp, [...records.values()].map(r => JSON.stringify(r)).join('\n') + (records.size ? '\n' : ''));
+    fs.renameSync(tmp, INDEX_FILE);
+    indexLines = records.size;
+}
+
+function put(record) {
+    load().set(record.id, record);
+    append(record);
+    return record;
+}
+
+/**
+ * One-time import of PDFs and .txt files from the old downloads/ layout
+ * (Case_<id>_<title>.pdf with a matching .txt)
+ */
+function importLegacyDownloads() {
+    if (!fs.existsSync(LEGACY_DOWNLOADS_DIR)) return;
+    const pdfs = fs.readdirSync(LEGACY_DOWNLOADS_DIR).filter(f => /^Case_[^_]+_.*\.pdf$/.test(f));
+    if (pdfs.length === 0) return;
+
+    console.log(`📚 Importing ${pdfs.length} existing download(s) into the case library...`);
+    for (const file of pdfs) {
+        const id = file.match(/^Case_([^_]+)_/)[1];
+        const pdfPath = path.join(LEGACY_DOWNLOADS_DIR, file);
+        const txtPath = pdfPath.replace(/\.pdf$/, '.txt');
+        const text = fs.existsSync(txtPath) ? fs.readFileSync(txtPath, 'utf-8') : null;
+        const stats = fs.statSync(pdfPath);
+        const now = stats.mtime.toISOString();
+
+        let textFile = null;
+        if (text) {
+            textFile = path.join(CASES_DIR, `${caseFileBase(id)}.txt`);
+            fs.writeFileSync(textFile, text);
+        }
+        put({
+            id,
+            metadata: mergeMetadata({ id, title: file.replace(/^Case_[^_]+_/, '').replace(/\.pdf$/, '').replace(/_/g, ' ') }),
+            htmlFile: null,
+            textFile: toStoredPath(textFile),
+            pdfPath: toStoredPath(pdfPath),
+            contentHash: text ? hashContent(text) : null,
+            textLength: text ? text.length : 0,
+            fetchedAt: now,
+            updatedAt: now,
+            checkedAt: now,
+            pdfSavedAt: now
+        });
+    }
+}
+
+/**
+ * Get a case record by ID
+ *
+ * @returns {object|null}
+ */
+function getCase(id) {
+    return load().get(String(id)) || null;
+}
+
+/**
+ * All case records, most recently updated first
+ *
+ * @param {object} options
+ * @param {boolean} options.withPdf - Only cases whose PDF is on disk
+ * @param {boolean} options.withText - Only cases with stored text
+ */
+function listCases({ withPdf = false, withText = false } = {}) {
+    return [...load().values()]
+        .filter(r => !withPdf || (r.pdfPath && fs.existsSync(fromStoredPath(r.pdfPath))))
+        .filter(r => !withText || r.textFile)
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Store a fetched document (HTML + text + metadata).
+ * Metadata is merged with what the library already knows about the case.
+ *
+ * @param {string} id
+ * @param {object} doc
+ * @param {string} doc.html - Document HTML from getCaseHTML
+ * @param {string} doc.text - Plain text derived from the HTML
+ * @param {number} doc.textVersion - Version of the HTML-to-text converter that produced the text
+ * @param {object} doc.metadata - CaseMetadata (search and/or document derived)
+ * @returns {object} The saved record
+ */
+function saveDocument(id, { html, text, textVersion = null, metadata = null }) {
+    const key = String(id);
+    const existing = getCase(key);
+    const now = new Date().toISOString();
+    const contentHash = hashContent(html || text || '');
+    const contentChanged = !existing || existing.contentHash !== contentHash;
+
+    fs.mkdirSync(CASES_DIR, { recursive: true });
+    const htmlFile = html ? path.join(CASES_DIR, `${caseFileBase(key)}.html`) : fromStoredPath(existing?.htmlFile);
+    const textFile = text ? path.join(CASES_DIR, `${caseFileBase(key)}.txt`) : fromStoredPath(existing?.textFile);
+    if (html && contentChanged) fs.writeFileSync(htmlFile, html);
+    if (text) fs.writeFileSync(textFile, text);
+
+    const record = put({
+        ...existing,
+        id: key,
+        metadata: mergeMetadata(metadata, existing?.metadata, { id: key }),
+        htmlFile: toStoredPath(htmlFile),
+        textFile: toStoredPath(textFile),
+        pdfPath: existing?.pdfPath || null,
+        contentHash,
+        textLength: text ? text.length : existing?.textLength || 0,
+        textVersion: text ? textVersion : existing?.textVersion ?? null,
+        fetchedAt: existing?.fetchedAt || now,
+        updatedAt: contentChanged ? now : existing.updatedAt,
+        checkedAt: now,
+        pdfSavedAt: existing?.pdfSavedAt || null
+    });
+
+    events.emit('case_saved', { id: key, record, contentChanged });
+    return record;
+}
+
+/**
+ * Merge extra metadata (e.g. from a search result) into a stored case
+ */
+function updateMetadata(id, metadata) {
+    const existing = getCase(id);
+    if (!existing) return null;
+    return put({ ...existing, metadata: mergeMetadata(metadata, existing.metadata) });
+}
+
+/**
+ * Record where the case's PDF was written
+ */
+function attachPdf(id, pdfPath) {
+    const key = String(id);
+    const now = new Date().toISOString();
+    const existing = getCase(key) || {
+        id: key, metadata: mergeMetadata({ id: key }), htmlFile: null, textFile: null,
+        contentHash: null, textLength: 0, fetchedAt: now, updatedAt: now, checkedAt: now
+    };
+    return put({ ...existing, pdfPath: toStoredPath(pdfPath), pdfSavedAt: now });
+}
+
+/**
+ * Absolute path of the case's PDF if it is still on disk
+ *
+ * @param {string} id
+ * @param {string} [dir] - Only return it if it lives in this directory
+ */
+function findPdf(id, dir = null) {
+    const pdfPath = fromStoredPath(getCase(id)?.pdfPath);
+    if (!pdfPath || !fs.existsSync(pdfPath)) return null;
+    if (dir && path.dirname(pdfPath) !== path.resolve(dir)) return null;
+    return pdfPath;
+}
+
+function readStored(file) {
+    const full = fromStoredPath(file);
+    return full && fs.existsSync(full) ? fs.readFileSync(full, 'utf-8') : null;
+}
+
+/**
+ * Stored HTML for a case, or null
+ */
+function readHtml(id) {
+    return readStored(getCase(id)?.htmlFile);
+}
+
+/**
+ * Stored plain text for a case, or null
+ */
+function readText(id) {
+    return readStored(getCase(id)?.textFile);
+}
+
+/**
+ * Library totals for status output
+ */
+function getLibraryStats() {
+    const all = listCases();
+    return {
+        dir: LIBRARY_DIR,
+        cases: all.length,
+        withText: all.filter(r => r.textFile).length,
+        withPdf: all.filter(r => r.pdfPath).length
+    };
+}
+
+module.exports = {
+    getCase,
+    listCases,
+    saveDocument,
+    updateMetadata,
+    attachPdf,
+    findPdf,
+    readHtml,
+    readText,
+    getLibraryStats,
+    libraryEvents: events,
+    LIBRARY_DIR
+};
@@ -0,0 +1,251 @@
+const axios = require('axios');
+const { OpenAI, AzureOpenAI } = require('openai');
+const { LLM_PROVIDER, LLM_PROVIDERS, LLM_TASKS } = require('./config');
+const { AuthError, InvalidQueryError, UpstreamError, toTypedError } = require('./errors');
+const { strictSchema } = require('./json_schema');
+
+/**
+ * LLM provider layer.
+ *
+ * The analyzer asks for a completion by task (summarize, extract, relevance,
+ * rank, recommend, score, keywords, filters, chat); this module picks the provider and the task's model settings
+ * from config and speaks that provider's API. Messages are OpenAI-style
+ * ({ role, content }) whichever provider answers.
+ *
+ * Providers: openai, azure (Azure OpenAI), anthropic, and compatible (any
+ * OpenAI-compatible endpoint, e.g. a local Ollama or llama.cpp server).
+ * A request can name a provider to keep a matter's facts away from the default one.
+ *
+ * A task that wants JSON passes a schema, and the provider is asked for it in
+ * its own way: strict structured outputs (OpenAI, Azure), JSON mode
+ * (OpenAI-compatible servers), or a forced tool call (Anthropic). The reply is
+ * still only text here; checking it against the schema is the caller's job.
+ */
+
+const ALIASES = {
+    'azure-openai': 'azure',
+    claude: 'anthropic',
+    'openai-compatible': 'compatible',
+    local: 'compatible',
+    ollama: 'compatible'
+};
+
+const LABELS = {
+    openai: 'OpenAI',
+    azure: 'Azure OpenAI',
+    anthropic: 'Anthropic',
+    compatible: 'OpenAI-compatible endpoint'
+};
+
+// Where each provider's API key is set, for the hint when it is rejected
+const KEY_SETTINGS = {
+    openai: 'OPENAI_API_KEY',
+    azure: 'AZURE_OPENAI_API_KEY',
+    anthropic: 'ANTHROPIC_API_KEY',
+    compatible: 'LLM_COMPATIBLE_API_KEY'
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Provider name -> SDK client
+const clients = new Map();
+
+// "provider:model" pairs that rejected a response_format; asked without one from then on
+const noResponseFormat = new Set();
+
+/**
+ * Canonical provider name
+ *
+ * @throws {InvalidQueryError} If the provider is unknown
+ */
+function providerName(name) {
+    const key = String(name || LLM_PROVIDER).trim().toLowerCase();
+    const canonical = ALIASES[key] || key;
+    if (!LLM_PROVIDERS[canonical]) {
+        throw new InvalidQueryError(`Unknown LLM provider "${name}"`, { hint: `Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}.` });
+    }
+    return canonical;
+}
+
+/**
+ * What a provider still needs before it can be used, or null when it is configured
+ */
+function missingSetting(name) {
+    const settings = LLM_PROVIDERS[name];
+    switch (name) {
+        case 'openai': return settings.apiKey ? null : 'OPENAI_API_KEY';
+        case 'azure': {
+            const missing = [['apiKey', 'AZURE_OPENAI_API_KEY'], ['endpoint', 'AZURE_OPENAI_ENDPOINT'], ['model', 'AZURE_OPENAI_DEPLOYMENT']]
+                .filter(([key]) => !settings[key])
+                .map(([, env]) => env);
+            return missing.length ? missing.join(', ') : null;
+        }
+        case 'anthropic': return settings.apiKey ? null : 'ANTHROPIC_API_KEY';
+        default: return settings.baseURL ? null : 'LLM_COMPATIBLE_BASE_URL';
+    }
+}
+
+/**
+ * Provider and model settings for a task
+ *
+ * The task's configured model applies only on the task's own provider; when a
+ * request switches provider, that provider's default model is used instead.
+ *
+ * @param {string} task - summarize | extract | relevance | rank | recommend | score | keywords | filters | chat
+ * @param {object} options
+ * @param {string} options.provider - Provider for this request (default: the task's, then LLM_PROVIDER)
+ * @returns {{provider: string, model: string, temperature: number, maxTokens: number}}
+ */
+function resolveTask(task, { provider } = {}) {
+    const settings = LLM_TASKS[task];
+    if (!settings) throw new Error(`Unknown LLM task "${task}"`);
+    const taskProvider = providerName(settings.provider || LLM_PROVIDER);
+    const chosen = provider ? providerName(provider) : taskProvider;
+    const model = (chosen === taskProvider && settings.model) || LLM_PROVIDERS[chosen].model;
+    return { provider: chosen, model, temperature: settings.temperature, maxTokens: settings.maxTokens };
+}
+
+function providerError(name, err) {
+    return toTypedError(err, { service: LABELS[name], authHint: `Check ${KEY_SETTINGS[name]} in your .env file.` });
+}
+
+/**
+ * Whether a 400 is about the requested response format (the model or server
+ * doesn't support it), not about the request otherwise (e.g. context too long)
+ */
+function rejectsResponseFormat(err) {
+    const text = `${err.message} ${JSON.stringify(err.error ?? err.response?.data ?? '')}`;
+    return /response_format|json_schema/i.test(text);
+}
+
+function openaiClient(name) {
+    if (clients.has(name)) return clients.get(name);
+    const settings = LLM_PROVIDERS[name];
+    let client;
+    if (name === 'azure') {
+        client = new AzureOpenAI({ apiKey: settings.apiKey, endpoint: settings.endpoint, apiVersion: settings.apiVersion });
+    } else {
+        client = new OpenAI({
+            // Local servers usually ignore the key, but the SDK insists on one
+            apiKey: settings.apiKey || 'not-needed',
+            ...(settings.baseURL && { baseURL: settings.baseURL })
+        });
+    }
+    clients.set(name, client);
+    return client;
+}
+
+function responseFormat(name, schema) {
+    if (name === 'compatible') return { type: 'json_object' };
+    return { type: 'json_schema', json_schema: { name: schema.name, schema: strictSchema(schema.schema), strict: true } };
+}
+
+async function completeOpenAI(name, { messages, model, temperature, maxTokens, schema }) {
+    const client = openaiClient(name);
+    const key = `${name}:${model}`;
+    const format = schema && !noResponseFormat.has(key) ? responseFormat(name, schema) : null;
+    try {
+        const response = await client.chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(format && { response_format: format })
+        });
+        return response.choices[0]?.message?.content || '';
+    } catch (err) {
+        const typed = providerError(name, err);
+        // Older models and some local servers don't take response_format: ask again without it
+        if (format && typed instanceof UpstreamError && typed.upstreamStatus === 400 && rejectsResponseFormat(err)) {
+            console.log(`⚠️  ${LABELS[name]} (${model}) rejected structured output, continuing with plain JSON replies`);
+            noResponseFormat.add(key);
+            return completeOpenAI(name, { messages, model, temperature, maxTokens, schema });
+        }
+        throw typed;
+    }
+}
+
+/**
+ * Anthropic Messages API: system prompts go in `system`, and turns must
+ * alternate, so consecutive messages from the same role are merged. A schema
+ * becomes a tool the model must call; its input is the reply.
+ */
+async function completeAnthropic({ messages, model, temperature, maxTokens, schema }) {
+    const settings = LLM_PROVIDERS.anthropic;
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const turns = [];
+    for (const m of messages.filter(m => m.role !== 'system')) {
+        const role = m.role === 'assistant' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+        if (last?.role === role) last.content += `\n\n${m.content}`;
+        else turns.push({ role, content: String(m.content) });
+    }
+    if (turns[0]?.role !== 'user') turns.unshift({ role: 'user', content: '(continue)' });
+
+    try {
+        const { data } = await axios.post(`${settings.baseURL}/v1/messages`, {
+            model,
+            max_tokens: maxTokens,
+            temperature,
+            ...(system && { system }),
+            messages: turns,
+            ...(schema && {
+                tools: [{ name: schema.name, description: 'Record the reply in the required format.', input_schema: schema.schema }],
+                tool_choice: { type: 'tool', name: schema.name }
+            })
+        }, {
+            headers: { 'x-api-key': settings.apiKey, 'anthropic-version': ANTHROPIC_VERSION, 'content-type': 'application/json' },
+            timeout: 120000
+        });
+        const toolUse = (data.content || []).find(b => b.type === 'tool_use');
+        if (toolUse) return JSON.stringify(toolUse.input);
+        return (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+    } catch (err) {
+        throw providerError('anthropic', err);
+    }
+}
+
+/**
+ * Run a completion for an analyzer task
+ *
+ * @param {string} task - summarize | extract | relevance | rank | recommend | score | keywords | filters | chat
+ * @param {Array<{role: string, content: string}>} messages - OpenAI-style messages
+ * @param {object} options
+ * @param {string} options.provider - Provider for this request
+ * @param {{name: string, schema: object}} options.schema - Ask for JSON matching this schema
+ * @returns {Promise<{content: string, provider: string, model: string}>}
+ */
+async function complete(task, messages, options = {}) {
+    const settings = resolveTask(task, options);
+    const missing = missingSetting(settings.provider);
+    if (missing) {
+        throw new AuthError(`${missing} ${missing.includes(',') ? 'are' : 'is'} not set`, { hint: `Add ${missing} to your .env file to use ${LABELS[settings.provider]}.` });
+    }
+    if (!settings.model) {
+        throw new AuthError(`No model configured for ${LABELS[settings.provider]}`, { hint: `Set LLM_${task.toUpperCase()}_MODEL, or the provider's default model, in your .env file.` });
+    }
+    const request = { messages, model: settings.model, temperature: settings.temperature, maxTokens: settings.maxTokens, schema: options.schema };
+    const content = settings.provider === 'anthropic'
+        ? await completeAnthropic(request)
+        : await completeOpenAI(settings.provider, request);
+    return { content, provider: settings.provider, model: settings.model };
+}
+
+/**
+ * Providers with their default model and whether they are configured
+ *
+ * @returns {Array<{name, label, model, configured, missing, isDefault}>}
+ */
+function listProviders() {
+    const fallback = providerName(LLM_PROVIDER);
+    return Object.keys(LLM_PROVIDERS).map(name => ({
+        name,
+        label: LABELS[name],
+        model: LLM_PROVIDERS[name].model || null,
+        configured: !missingSetting(name),
+        missing: missingSetting(name),
+        isDefault: name === fallback
+    }));
+}
+
+module.exports = { complete, resolveTask, providerName, listProviders };
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const library = require('./library');
+const { InvalidQueryError } = require('./errors');
+
+/**
+ * Offline full-text search over the case library.
+ *
+ * A positional inverted index (term -> case ID -> token positions) is kept
+ * in library/search_index.json. Results are ranked with BM25; quoted
+ * phrases must match consecutive tokens, and "-term" excludes cases.
+ *
+ * The index is brought up to date incrementally: on load, cases whose
+ * stored text changed since they were indexed are re-indexed, and while
+ * the process runs every document saved to the library is indexed as it
+ * arrives.
+ */
+
+const INDEX_FILE = path.join(library.LIBRARY_DIR, 'search_index.json');
+const INDEX_VERSION = 1;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words either side of the best match in a snippet
+const SNIPPET_RADIUS = 18;
+// Delay before writing the index after live updates, so a batch of downloads is saved once
+const SAVE_DELAY_MS = 2000;
+
+let index = null;
+let synced = false;
+let saveTimer = null;
+
+/**
+ * Split text into lowercase word tokens with their character offsets
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const m of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+        tokens.push({ term: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Identifies the text version a case was indexed from
+ */
+function signatureOf(record) {
+    return `${record.contentHash}:${record.textLength}`;
+}
+
+function emptyIndex() {
+    return { version: INDEX_VERSION, totalLength: 0, docs: {}, postings: {} };
+}
+
+function removeDoc(id) {
+    const doc = index.docs[id];
+    if (!doc) return;
+    for (const term of doc.terms) {
+        const posting = index.postings[term];
+        if (!posting) continue;
+        delete posting[id];
+        if (Object.keys(posting).length === 0) delete index.postings[term];
+    }
+    index.totalLength -= doc.length;
+    delete index.docs[id];
+}
+
+function addDoc(record, text) {
+    removeDoc(record.id);
+    const tokens = tokenize(text);
+    const terms = new Set();
+    tokens.forEach(({ term }, position) => {
+        const posting = index.postings[term] || (index.postings[term] = {});
+        (posting[record.id] || (posting[record.id] = [])).push(position);
+        terms.add(term);
+    });
+    index.docs[record.id] = { length: tokens.length, signature: signatureOf(record), terms: [...terms] };
+    index.totalLength += tokens.length;
+}
+
+function saveIndex() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    fs.mkdirSync(path.dirname(INDEX_FILE), { recursive: true });
+    const tmp = `${INDEX_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index));
+    fs.renameSync(tmp, INDEX_FILE);
+}
+
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveIndex, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+/**
+ * Bring the index in line with the library: index new or changed cases, drop removed ones
+ *
+ * @returns {{added: number, updated: number, removed: number}}
+ */
+function syncIndex() {
+    const stats = { added: 0, updated: 0, removed: 0 };
+    const records = library.listCases({ withText: true });
+    const live = new Set(records.map(r => r.id));
+
+    for (const id of Object.keys(index.docs)) {
+        if (!live.has(id)) {
+            removeDoc(id);
+            stats.removed++;
+        }
+    }
+    for (const record of records) {
+        const existing = index.docs[record.id];
+        if (existing && existing.signature === signatureOf(record)) continue;
+        const text = library.readText(record.id);
+        if (!text) continue;
+        addDoc(record, text);
+        stats[existing ? 'updated' : 'added']++;
+    }
+
+    if (stats.added || stats.updated || stats.removed) {
+        console.log(`🔎 Search index: ${stats.added} added, ${stats.updated} updated, ${stats.removed} removed`);
+        saveIndex();
+    }
+    return stats;
+}
+
+/**
+ * Load the stored index and catch it up with the library (once per process)
+ */
+function loadIndex() {
+    if (!index) {
+        try {
+            const stored = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf-8'));
+            index = stored.version === INDEX_VERSION ? stored : emptyIndex();
+        } catch {
+            index = emptyIndex();
+        }
+    }
+    if (!synced) {
+        syncIndex();
+        synced = true;
+    }
+    return index;
+}
+
+// Index documents as they are saved to the library
+library.libraryEvents.on('case_saved', ({ id, record }) => {
+    if (!index) return; // Picked up by syncIndex when the index is first loaded
+    const text = library.readText(id);
+    if (!text) return;
+    addDoc(record, text);
+    scheduleSave();
+});
+
+/**
+ * Parse a query into terms, quoted phrases and excluded terms
+ *
+ * @param {string} query - e.g. `refund "pre-deposit" interest -penalty`
+ * @returns {{terms: string[], phrases: string[][], excluded: string[]}}
+ */
+function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+        const tokens = tokenize(phrase).map(t => t.term);
+        if (tokens.length === 1) return ` ${tokens[0]} `;
+        if (tokens.length > 1) phrases.push(tokens);
+        return ' ';
+    });
+
+    const terms = [];
+    const excluded = [];
+    for (const word of rest.split(/\s+/).filter(Boolean)) {
+        const negative = word.startsWith('-');
+        const tokens = tokenize(negative ? word.slice(1) : word).map(t => t.term);
+        (negative ? excluded : terms).push(...tokens);
+    }
+
+    if (terms.length === 0 && phrases.length === 0) {
+        throw new InvalidQueryError('Local search query is empty', { hint: 'Provide words or a "quoted phrase" to search for.' });
+    }
+    return { terms: [...new Set(terms)], phrases, excluded };
+}
+
+/**
+ * Start positions of a phrase in one case, from the positional postings
+ */
+function phrasePositions(phrase, id) {
+    const lists = phrase.map(term => index.postings[term]?.[id]);
+    if (lists.some(list => !list)) return [];
+    const later = lists.slice(1).map(list => new Set(list));
+    return lists[0].filter(start => later.every((set, i) => set.has(start + i + 1)));
+}
+
+function bm25(tf, df, docLength, docCount, avgLength) {
+    const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    return idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * docLength / avgLength));
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+/**
+ * Build a snippet around the densest cluster of matched tokens
+ */
+function buildSnippet(text, matchPositions, { pre, post, escape }) {
+    const tokens = tokenize(text);
+    const hits = [...matchPositions].sort((a, b) => a - b);
+    if (tokens.length === 0) return '';
+
+    // Pick the hit with the most other hits within the snippet window
+    let center = hits[0] ?? 0;
+    let best = 0;
+    for (let lo = 0, hi = 0; hi < hits.length; hi++) {
+        while (hits[hi] - hits[lo] > 2 * SNIPPET_RADIUS) lo++;
+        if (hi - lo + 1 > best) {
+            best = hi - lo + 1;
+            center = Math.round((hits[lo] + hits[hi]) / 2);
+        }
+    }
+
+    const first = Math.max(0, center - SNIPPET_RADIUS);
+    const last = Math.min(tokens.length - 1, center + SNIPPET_RADIUS);
+    const hitSet = new Set(hits);
+    const format = escape ? escapeHtml : (s => s);
+
+    let out = '';
+    let cursor = tokens[first].start;
+    for (let i = first; i <= last; i++) {
+        out += format(text.slice(cursor, tokens[i].start));
+        const word = format(text.slice(tokens[i].start, tokens[i].end));
+        out += hitSet.has(i) ? `${pre}${word}${post}` : word;
+        cursor = tokens[i].end;
+    }
+    out = out.replace(/\s+/g, ' ').trim();
+    return `${first > 0 ? '… ' : ''}${out}${last < tokens.length - 1 ? ' …' : ''}`;
+}
+
+/**
+ * Search the local case library
+ *
+ * @param {string} query - Words, "quoted phrases" and -excluded words
+ * @param {object} options
+ * @param {number} options.limit - Maximum results (default: 20)
+ * @param {string} options.highlight - 'html' wraps matches in <mark> (and escapes the text), 'text' in «»
+ * @returns {{results: Array<{id, score, title, citation, court, date, snippet}>, total: number, indexed: number}}
+ */
+function searchLibrary(query, options = {}) {
+    const { limit = 20, highlight = 'text' } = options;
+    const { terms, phrases, excluded } = parseQuery(query);
+    loadIndex();
+
+    const docCount = Object.keys(index.docs).length;
+    if (docCount === 0) return { results: [], total: 0, indexed: 0 };
+    const avgLength = index.totalLength / docCount;
+
+    // Candidates must contain every phrase; with no phrases, any term
+    let candidates;
+    if (phrases.length) {
+        candidates = Object.keys(index.postings[phrases[0][0]] || {});
+    } else {
+        candidates = [...new Set(terms.flatMap(term => Object.keys(index.postings[term] || {})))];
+    }
+    const excludedIds = new Set(excluded.flatMap(term => Object.keys(index.postings[term] || {})));
+
+    // Phrase document frequencies, computed lazily over the phrase's first term
+    const phraseHits = phrases.map(phrase => {
+        const byDoc = {};
+        for (const id of Object.keys(index.postings[phrase[0]] || {})) {
+            const starts = phrasePositions(phrase, id);
+            if (starts.length) byDoc[id] = starts;
+        }
+        return byDoc;
+    });
+
+    const scored = [];
+    for (const id of candidates) {
+        if (excludedIds.has(id) || !index.docs[id]) continue;
+        if (phraseHits.some(byDoc => !byDoc[id])) continue;
+
+        const doc = index.docs[id];
+        let score = 0;
+        const matched = new Set();
+
+        for (const term of terms) {
+            const positions = index.postings[term]?.[id];
+            if (!positions) continue;
+            score += bm25(positions.length, Object.keys(index.postings[term]).length, doc.length, docCount, avgLength);
+            positions.forEach(p => matched.add(p));
+        }
+        phrases.forEach((phrase, i) => {
+            const starts = phraseHits[i][id];
+            score += bm25(starts.length, Object.keys(phraseHits[i]).length, doc.length, docCount, avgLength) * phrase.length;
+            starts.forEach(s => phrase.forEach((_, j) => matched.add(s + j)));
+        });
+
+        if (score > 0) scored.push({ id, score, matched });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    const marks = highlight === 'html' ? { pre: '<mark>', post: '</mark>', escape: true } : { pre: '«', post: '»', escape: false };
+
+    const results = scored.slice(0, limit).map(({ id, score, matched }) => {
+        const meta = library.getCase(id)?.metadata || {};
+        return {
+            id,
+            score: Math.round(score * 1000) / 1000,
+            title: meta.title || id,
+            citation: meta.citation || '',
+            court: [meta.court, meta.bench].filter(Boolean).join(', '),
+            date: meta.decisionDate || '',
+            snippet: buildSnippet(library.readText(id) || '', matched, marks)
+        };
+    });
+
+    return { results, total: scored.length, indexed: docCount };
+}
+
+/**
+ * Re-check the library for new or changed cases
+ */
+function updateIndex() {
+    loadIndex();
+    return syncIndex();
+}
+
+/**
+ * Rebuild the whole index from scratch
+ */
+function rebuildIndex() {
+    index = emptyIndex();
+    synced = true;
+    return syncIndex();
+}
+
+module.exports = { searchLibrary, updateIndex, rebuildIndex, parseQuery };
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const library = require('./library');
+const { providerName } = require('./llm');
+const { MatterNotFound, InvalidQueryError } = require('./errors');
+
+/**
+ * Research matters.
+ *
+ * A matter is a named piece of client work: its research narrative,
+ * search keywords and filters, the cases attached to it, per-case tags
+ * and notes, and the summaries and relevance scores produced when the
+ * matter was analyzed. Each matter is one JSON file under
+ * library/matters/<id>.json.
+ *
+ * Matter shape:
+ *   { id, name, narrative, keywords, filters, provider, notes: [Note],
+ *     cases: { [caseId]: MatterCase }, lastAnalysis, createdAt, updatedAt }
+ *
+ * MatterCase:
+ *   { id, title, citation, tags: string[], notes: [Note], summary, coverage, relevanceNote,
+ *     relevance: { score, category, reason, at }, addedAt }
+ *
+ * Note: { text, createdAt }
+ *
+ * `provider` pins the matter's analysis to one LLM provider (null: the configured default),
+ * for clients whose facts must not go to a particular service.
+ */
+
+const MATTERS_DIR = path.join(library.LIBRARY_DIR, 'matters');
+
+const TAGS = ['supports', 'adverse', 'to-read'];
+
+function matterFile(id) {
+    return path.join(MATTERS_DIR, `${id}.json`);
+}
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'matter';
+}
+
+function writeMatter(matter) {
+    matter.updatedAt = new Date().toISOString();
+    fs.mkdirSync(MATTERS_DIR, { recursive: true });
+    const file = matterFile(matter.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(matter, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    return matter;
+}
+
+function validateTags(tags) {
+    const list = [].concat(tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean);
+    const invalid = list.filter(t => !TAGS.includes(t));
+    if (invalid.length) {
+        throw new InvalidQueryError(`Unknown tag(s): ${invalid.join(', ')}`, { hint: `Tags are: ${TAGS.join(', ')}.` });
+    }
+    return [...new Set(list)];
+}
+
+function note(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) throw new InvalidQueryError('Note text is empty');
+    return { text: trimmed, createdAt: new Date().toISOString() };
+}
+
+/**
+ * Get a matter by ID
+ *
+ * @throws {MatterNotFound}
+ */
+function getMatter(id) {
+    if (!id) throw new MatterNotFound(id);
+    const file = matterFile(slugify(id));
+    if (!fs.existsSync(file)) throw new MatterNotFound(id);
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * All matters, most recently updated first, without their case details
+ *
+ * @returns {Array<{id, name, keywords, caseCount, tagCounts, createdAt, updatedAt}>}
+ */
+function listMatters() {
+    if (!fs.existsSync(MATTERS_DIR)) return [];
+    return fs.readdirSync(MATTERS_DIR)
+        .filter(f => f.endsWith('.json'))
+        .map(f => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(MATTERS_DIR, f), 'utf-8'));
+            } catch {
+                console.log(`⚠️  Skipping unreadable matter file ${f}`);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .map(m => {
+            const cases = Object.values(m.cases || {});
+            const tagCounts = Object.fromEntries(TAGS.map(tag => [tag, cases.filter(c => c.tags.includes(tag)).length]));
+            return { id: m.id, name: m.name, keywords: m.keywords, caseCount: cases.length, tagCounts, createdAt: m.createdAt, updatedAt: m.updatedAt };
+        })
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Create a matter
+ *
+ * @param {object} fields
+ * @param {string} fields.name - Required, e.g. "Arvind Textiles — refund of pre-deposit"
+ * @param {string} fields.narrative - Research narrative used for summaries and ranking
+ * @param {string} fields.keywords - Search keywords
+ * @param {object} fields.filters - Filter selections, as accepted by /api/analyze
+ * @param {string} fields.provider - LLM provider for this matter's analysis (default: the configured one)
+ */
+function createMatter({ name, narrative = '', keywords = '', filters = {}, provider = null } = {}) {
+    if (!name || !String(name).trim()) throw new InvalidQueryError('Matter name is required');
+
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; fs.existsSync(matterFile(id)); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    return writeMatter({
+        id,
+        name: String(name).trim(),
+        narrative,
+        keywords,
+        filters,
+        provider: provider ? providerName(provider) : null,
+        notes: [],
+        cases: {},
+        lastAnalysis: null,
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Update a matter's name, narrative, keywords, filters or provider
+ */
+function updateMatter(id, changes = {}) {
+    const matter = getMatter(id);
+    // Relevance notes are written against the narrative and keywords; drop them when those change
+    const stale = ['narrative', 'keywords'].some(f => changes[f] !== undefined && changes[f] !== matter[f]);
+    for (const field of ['name', 'narrative', 'keywords', 'filters']) {
+        if (changes[field] !== undefined) matter[field] = changes[field];
+    }
+    if (changes.provider !== undefined) matter.provider = changes.provider ? providerName(changes.provider) : null;
+    if (stale) Object.values(matter.cases).forEach(entry => { entry.relevanceNote = null; });
+    if (!String(matter.name || '').trim()) throw new InvalidQueryError('Matter name cannot be empty');
+    return writeMatter(matter);
+}
+
+/**
+ * Delete a matter (the cases stay in the library)
+ */
+function deleteMatter(id) {
+    const matter = getMatter(id);
+    fs.unlinkSync(matterFile(matter.id));
+    return { id: matter.id, deleted: true };
+}
+
+/**
+ * Attach cases to a matter. Cases already attached keep their tags and notes.
+ *
+ * @param {string} id - Matter ID
+ * @param {Array<string|{id, metadata?, heading?}>} cases - Case IDs or search results
+ * @param {object} options
+ * @param {string[]} options.tags - Tags to add to every attached case
+ * @param {string} options.note - Note to add to every attached case
+ * @returns {{matter: object, added: string[]}}
+ */
+function addCases(id, cases, { tags = [], note: text = '' } = {}) {
+    const matter = getMatter(id);
+    const tagList = validateTags(tags);
+    const added = [];
+    const now = new Date().toISOString();
+
+    for (const item of [].concat(cases || [])) {
+        const caseId = String(typeof item === 'object' ? item.id : item).trim();
+        if (!caseId) continue;
+        const metadata = { ...library.getCase(caseId)?.metadata, ...(typeof item === 'object' ? item.metadata : null) };
+
+        let entry = matter.cases[caseId];
+        if (!entry) {
+            entry = { id: caseId, title: '', citation: '', tags: [], notes: [], summary: null, relevance: null, addedAt: now };
+            matter.cases[caseId] = entry;
+            added.push(caseId);
+        }
+        entry.title = entry.title || metadata.title || (typeof item === 'object' ? item.heading : '') || '';
+        entry.citation = entry.citation || metadata.citation || '';
+        entry.tags = [...new Set([...entry.tags, ...tagList])];
+        if (text) entry.notes.push(note(text));
+    }
+
+    return { matter: writeMatter(matter), added };
+}
+
+/**
+ * Detach a case from a matter
+ */
+function removeCase(id, caseId) {
+    const matter = getMatter(id);
+    if (!matter.cases[caseId]) throw new InvalidQueryError(`Case ${caseId} is not attached to matter "${matter.id}"`);
+    delete matter.cases[caseId];
+    return writeMatter(matter);
+}
+
+/**
+ * Change a case's tags or add a note to it
+ *
+ * @param {object} changes
+ * @param {string[]} changes.tags - Replace the tags
+ * @param {string[]} changes.addTags
+ * @param {string[]} changes.removeTags
+ * @param {string} changes.note - Note to append
+ */
+function updateCase(id, caseId, { tags, addTags, removeTags, note: text } = {}) {
+    const matter = getMatter(id);
+    const entry = matter.cases[caseId];
+    if (!entry) throw new InvalidQueryError(`Case ${caseId} is not attached to matter "${matter.id}"`, { hint: 'Attach it first.' });
+
+    if (tags !== undefined) entry.tags = validateTags(tags);
+    if (addTags) entry.tags = [...new Set([...entry.tags, ...validateTags(addTags)])];
+    if (removeTags) {
+        const drop = new Set(validateTags(removeTags));
+        entry.tags = entry.tags.filter(t => !drop.has(t));
+    }
+    if (text) entry.notes.push(note(text));
+    return writeMatter(matter);
+}
+
+/**
+ * Add a free-form note to the matter itself
+ */
+function addNote(id, text) {
+    const matter = getMatter(id);
+    matter.notes.push(note(text));
+    return writeMatter(matter);
+}
+
+/**
+ * Where summarizeAll hands a matter's summaries and relevance notes, so the
+ * matter keeps them for chat, export and display
+ */
+function summaryStore(id) {
+    return {
+        save(summaries) {
+            const matter = getMatter(id);
+            for (const [caseId, value] of Object.entries(summaries)) {
+                const entry = matter.cases[caseId];
+                if (entry && value?.summary) {
+                    Object.assign(entry, { summary: value.summary, coverage: value.coverage || null, relevanceNote: value.relevanceNote || null });
+                }
+            }
+            writeMatter(matter);
+        }
+    };
+}
+
+/**
+ * Drop the summaries and relevance notes a matter keeps for some or all of its cases
+ *
+ * @param {string} id
+ * @param {string[]} caseIds - Default: all of the matter's cases
+ * @param {string} kind - 'generic' (summary and coverage) or 'relevance' (relevance note); default both
+ */
+function forgetSummaries(id, caseIds = null, kind = null) {
+    const matter = getMatter(id);
+    const cleared = {
+        ...(kind !== 'relevance' && { summary: null, coverage: null }),
+        ...(kind !== 'generic' && { relevanceNote: null })
+    };
+    for (const entry of Object.values(matter.cases)) {
+        if (caseIds && !caseIds.includes(entry.id)) continue;
+        Object.assign(entry, cleared);
+    }
+    return writeMatter(matter);
+}
+
+/**
+ * Store the result of analyzing a matter: relevance per case and the overall recommendation
+ *
+ * @param {string} id
+ * @param {object} analysis
+ * @param {string} analysis.keywords
+ * @param {string} analysis.context - Narrative the cases were ranked against
+ * @param {object} analysis.result - rankByRelevance result
+ */
+function recordAnalysis(id, { keywords = '', context = '', result = {} }) {
+    const matter = getMatter(id);
+    const at = new Date().toISOString();
+    for (const r of result.rankings || []) {
+        const entry = matter.cases[r.id];
+        if (entry) entry.relevance = { score: r.score, category: r.category || '', reason: r.reason || '', at };
+    }
+    matter.lastAnalysis = {
+        at,
+        keywords,
+        context,
+        recommendation: result.recommendation || '',
+        ranked: (result.rankings || []).map(r => ({ id: r.id, score: r.score }))
+    };
+    return writeMatter(matter);
+}
+
+/**
+ * Summaries of a matter's cases in the shape rankByRelevance and chat take,
+ * with tags and notes attached so the model can see the user's own assessment
+ */
+function matterSummaries(id) {
+    const matter = getMatter(id);
+    const summaries = {};
+    for (const entry of Object.values(matter.cases)) {
+        if (!entry.summary) continue;
+        summaries[entry.id] = {
+            filename: entry.title || entry.id,
+            summary: entry.summary,
+            coverage: entry.coverage || null,
+            relevanceNote: entry.relevanceNote || null,
+            metadata: library.getCase(entry.id)?.metadata || null,
+            tags: entry.tags,
+            notes: entry.notes.map(n => n.text)
+        };
+    }
+    return summaries;
+}
+
+module.exports = {
+    createMatter,
+    getMatter,
+    listMatters,
+    updateMatter,
+    deleteMatter,
+    addCases,
+    removeCase,
+    updateCase,
+    addNote,
+    summaryStore,
+    forgetSummaries,
+    recordAnalysis,
+    matterSummaries,
+    TAGS,
+    MATTERS_DIR
+};
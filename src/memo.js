@@ -0,0 +1,339 @@
+const library = require('./library');
+const { describeFilters } = require('./filters');
+const { buildDocx } = require('./docx');
+const { InvalidQueryError } = require('./errors');
+
+/**
+ * Research memo export.
+ *
+ * Turns the result of an analysis (or a research matter's last analysis)
+ * into a memo: a cover page with the narrative, keywords, filters and date,
+ * a ranked table of authorities, a section per case with its summary, and
+ * the overall recommendation. The memo is built once as a plain object and
+ * rendered as Markdown, standalone HTML or DOCX.
+ *
+ * Memo shape:
+ *   { title, preparedAt, matter: {id, name} | null, narrative, keywords,
+ *     filters: [{label, values}], recommendation, authorities: [Authority] }
+ *
+ * Authority:
+ *   { rank, id, title, citation, court, bench, date, score, category,
+ *     reason, summary, inFavourOf, tags, notes }
+ */
+
+const FORMATS = {
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+    docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+const FORMAT_ALIASES = { markdown: 'md', htm: 'html', word: 'docx' };
+
+function courtLine(a) {
+    return [a.bench, a.court].filter(Boolean).join(' ');
+}
+
+/**
+ * Build a memo from an analysis result
+ *
+ * @param {object} analysis
+ * @param {string} analysis.keywords
+ * @param {string} analysis.context - Research narrative
+ * @param {object} analysis.filters - Filter selections, as accepted by /api/analyze
+ * @param {object} analysis.result - /api/analyze result: { rankings, recommendation }
+ * @param {object} options
+ * @param {string} options.title
+ * @param {object} options.matter - Matter the analysis belongs to (adds its tags and notes)
+ * @param {object} options.catalog - Filter catalog, for readable filter labels
+ */
+function buildMemo({ keywords = '', context = '', filters = {}, result = {} } = {}, options = {}) {
+    const rankings = Array.isArray(result.rankings) ? [...result.rankings] : [];
+    if (rankings.length === 0) {
+        throw new InvalidQueryError('Nothing to export: the analysis has no ranked cases', { hint: 'Run an analysis first.' });
+    }
+    rankings.sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0));
+
+    const matter = options.matter || null;
+    const authorities = rankings.map((r, i) => {
+        const meta = r.metadata || library.getCase(r.id)?.metadata || {};
+        const entry = matter?.cases?.[r.id];
+        return {
+            rank: i + 1,
+            id: r.id,
+            title: meta.title || r.heading || entry?.title || r.filename || r.id,
+            citation: r.citation || meta.citation || entry?.citation || '',
+            court: meta.court || r.court || '',
+            bench: meta.bench || r.bench || '',
+            date: meta.decisionDate || r.date || '',
+            score: Number(r.score) || 0,
+            category: r.category || '',
+            reason: r.reason || '',
+            summary: r.summary || entry?.summary || '',
+            inFavourOf: meta.inFavourOf || r.inFavourOf || '',
+            tags: entry?.tags || [],
+            notes: (entry?.notes || []).map(n => n.text)
+        };
+    });
+
+    return {
+        title: options.title || (matter ? `Research memo: ${matter.name}` : 'Research memo'),
+        preparedAt: new Date().toISOString(),
+        matter: matter ? { id: matter.id, name: matter.name } : null,
+        narrative: context,
+        keywords,
+        filters: describeFilters(filters, options.catalog),
+        recommendation: result.recommendation || '',
+        authorities
+    };
+}
+
+/**
+ * Build a memo from a matter's last analysis, with its stored summaries, tags and notes
+ */
+function buildMatterMemo(matter, options = {}) {
+    if (!matter.lastAnalysis) {
+        throw new InvalidQueryError(`Matter "${matter.id}" has not been analyzed yet`, {
+            hint: `Analyze it first: node index.js chat --matter ${matter.id}, or POST /api/analyze with matterId.`
+        });
+    }
+    const rankings = matter.lastAnalysis.ranked
+        .filter(r => matter.cases[r.id])
+        .map(r => {
+            const entry = matter.cases[r.id];
+            return {
+                id: r.id,
+                score: entry.relevance?.score ?? r.score,
+                category: entry.relevance?.category || '',
+                reason: entry.relevance?.reason || '',
+                heading: entry.title,
+                citation: entry.citation,
+                summary: entry.summary || ''
+            };
+        });
+
+    return buildMemo({
+        keywords: matter.lastAnalysis.keywords || matter.keywords,
+        context: matter.lastAnalysis.context || matter.narrative,
+        filters: matter.filters,
+        result: { rankings, recommendation: matter.lastAnalysis.recommendation }
+    }, { ...options, matter });
+}
+
+function formatDate(iso) {
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? String(iso || '') : date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Cover page fields as [label, value] pairs, shared by all renderers
+ */
+function coverFields(memo) {
+    return [
+        memo.matter && ['Matter', memo.matter.name],
+        ['Prepared', formatDate(memo.preparedAt)],
+        ['Keywords', memo.keywords || '—'],
+        ['Filters applied', memo.filters.length ? memo.filters.map(f => `${f.label}: ${f.values.join(', ')}`).join('; ') : 'None'],
+        ['Authorities', String(memo.authorities.length)]
+    ].filter(Boolean);
+}
+
+function authorityDetails(a) {
+    return [
+        a.citation && ['Citation', a.citation],
+        courtLine(a) && ['Court', courtLine(a)],
+        a.date && ['Decided', formatDate(a.date)],
+        ['Relevance', `${a.score}/100${a.category ? ` (${a.category})` : ''}`],
+        a.inFavourOf && ['In favour of', a.inFavourOf],
+        a.tags.length && ['Tags', a.tags.join(', ')]
+    ].filter(Boolean);
+}
+
+// ──────────────────────── Markdown ────────────────────────
+
+function mdCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function toMarkdown(memo) {
+    const lines = [`# ${memo.title}`, ''];
+    for (const [label, value] of coverFields(memo)) lines.push(`**${label}:** ${value}  `);
+    lines.push('', '## Research narrative', '', memo.narrative || '_No narrative given._', '');
+
+    lines.push('## Ranked authorities', '', '| # | Case | Citation | Court | Date | Score | Category |', '|---|---|---|---|---|---|---|');
+    for (const a of memo.authorities) {
+        lines.push(`| ${a.rank} | ${mdCell(a.title)} | ${mdCell(a.citation)} | ${mdCell(courtLine(a))} | ${mdCell(a.date)} | ${a.score} | ${mdCell(a.category)} |`);
+    }
+
+    lines.push('', '## Case summaries', '');
+    for (const a of memo.authorities) {
+        lines.push(`### ${a.rank}. ${a.title}`, '');
+        for (const [label, value] of authorityDetails(a)) lines.push(`- **${label}:** ${value}`);
+        lines.push('');
+        if (a.reason) lines.push(`**Assessment.** ${a.reason}`, '');
+        if (a.summary) lines.push(a.summary.trim(), '');
+        if (a.notes.length) lines.push('**Notes**', '', ...a.notes.map(n => `- ${n}`), '');
+    }
+
+    lines.push('## Recommendation', '', memo.recommendation || '_No recommendation was produced._', '');
+    return lines.join('\n');
+}
+
+// ──────────────────────── HTML ────────────────────────
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Blank-line separated blocks become paragraphs, single newlines become <br>
+function htmlParagraphs(text) {
+    return String(text || '').trim().split(/\n\s*\n/).filter(Boolean)
+        .map(p => `<p>${escapeHtml(p.trim()).replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+
+const HTML_STYLE = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1a1a1a; max-width: 860px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { color: #1f3864; font-size: 28px; margin-bottom: 24px; }
+  h2 { color: #1f3864; border-bottom: 1px solid #c8d0e0; padding-bottom: 4px; margin-top: 36px; }
+  h3 { color: #2f5496; margin-bottom: 6px; }
+  .cover { page-break-after: always; }
+  .cover dl { display: grid; grid-template-columns: 160px 1fr; gap: 6px 16px; }
+  .cover dt { font-weight: bold; }
+  .cover dd { margin: 0; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #d9e2f3; }
+  td.score { text-align: right; white-space: nowrap; }
+  .case { page-break-inside: avoid; margin-bottom: 24px; }
+  .details { list-style: none; padding: 0; margin: 0 0 10px; font-size: 14px; }
+  .assessment { background: #f4f6fa; border-left: 3px solid #2f5496; padding: 8px 12px; }
+  .notes { font-size: 14px; color: #444; }
+  @media print { body { margin: 0; max-width: none; } }`;
+
+function toHtml(memo) {
+    const cover = coverFields(memo).map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n');
+    const rows = memo.authorities.map(a => `<tr><td>${a.rank}</td><td><a href="#case-${a.rank}">${escapeHtml(a.title)}</a></td>` +
+        `<td>${escapeHtml(a.citation)}</td><td>${escapeHtml(courtLine(a))}</td><td>${escapeHtml(a.date)}</td>` +
+        `<td class="score">${a.score}</td><td>${escapeHtml(a.category)}</td></tr>`).join('\n');
+    const cases = memo.authorities.map(a => `<section class="case" id="case-${a.rank}">
+<h3>${a.rank}. ${escapeHtml(a.title)}</h3>
+<ul class="details">${authorityDetails(a).map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>
+${a.reason ? `<div class="assessment"><strong>Assessment.</strong> ${escapeHtml(a.reason)}</div>` : ''}
+${htmlParagraphs(a.summary)}
+${a.notes.length ? `<div class="notes"><strong>Notes</strong><ul>${a.notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul></div>` : ''}
+</section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(memo.title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<div class="cover">
+<h1>${escapeHtml(memo.title)}</h1>
+<dl>
+${cover}
+</dl>
+<h2>Research narrative</h2>
+${htmlParagraphs(memo.narrative) || '<p><em>No narrative given.</em></p>'}
+</div>
+<h2>Ranked authorities</h2>
+<table>
+<thead><tr><th>#</th><th>Case</th><th>Citation</th><th>Court</th><th>Date</th><th>Score</th><th>Category</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<h2>Case summaries</h2>
+${cases}
+<h2>Recommendation</h2>
+${htmlParagraphs(memo.recommendation) || '<p><em>No recommendation was produced.</em></p>'}
+</body>
+</html>
+`;
+}
+
+// ──────────────────────── DOCX ────────────────────────
+
+function docxParagraphs(text) {
+    return String(text || '').trim().split(/\n\s*\n/).filter(Boolean).map(p => ({ type: 'paragraph', text: p.trim() }));
+}
+
+function toDocx(memo) {
+    const blocks = [{ type: 'title', text: memo.title }];
+    for (const [label, value] of coverFields(memo)) {
+        blocks.push({ type: 'paragraph', runs: [{ text: `${label}: `, bold: true }, { text: value }] });
+    }
+    blocks.push({ type: 'heading1', text: 'Research narrative' });
+    blocks.push(...(memo.narrative ? docxParagraphs(memo.narrative) : [{ type: 'paragraph', runs: [{ text: 'No narrative given.', italic: true }] }]));
+    blocks.push({ type: 'pageBreak' });
+
+    blocks.push({ type: 'heading1', text: 'Ranked authorities' });
+    blocks.push({
+        type: 'table',
+        header: ['#', 'Case', 'Citation', 'Court', 'Date', 'Score', 'Category'],
+        rows: memo.authorities.map(a => [String(a.rank), a.title, a.citation, courtLine(a), a.date, String(a.score), a.category]),
+        widths: [4, 30, 20, 16, 11, 7, 12]
+    });
+
+    blocks.push({ type: 'heading1', text: 'Case summaries' });
+    for (const a of memo.authorities) {
+        blocks.push({ type: 'heading2', text: `${a.rank}. ${a.title}` });
+        for (const [label, value] of authorityDetails(a)) {
+            blocks.push({ type: 'paragraph', runs: [{ text: `${label}: `, bold: true }, { text: value }] });
+        }
+        if (a.reason) blocks.push({ type: 'paragraph', runs: [{ text: 'Assessment. ', bold: true }, { text: a.reason }] });
+        blocks.push(...docxParagraphs(a.summary));
+        if (a.notes.length) {
+            blocks.push({ type: 'paragraph', runs: [{ text: 'Notes', bold: true }] });
+            blocks.push(...a.notes.map(n => ({ type: 'paragraph', text: `• ${n}` })));
+        }
+    }
+
+    blocks.push({ type: 'heading1', text: 'Recommendation' });
+    blocks.push(...(memo.recommendation ? docxParagraphs(memo.recommendation) : [{ type: 'paragraph', runs: [{ text: 'No recommendation was produced.', italic: true }] }]));
+    return buildDocx(blocks, { title: memo.title });
+}
+
+/**
+ * Normalize a format name ("markdown", "DOCX", ...) to md | html | docx
+ *
+ * @throws {InvalidQueryError} For unsupported formats
+ */
+function resolveFormat(format = 'docx') {
+    const key = String(format).trim().toLowerCase().replace(/^\./, '');
+    const resolved = FORMAT_ALIASES[key] || key;
+    if (!FORMATS[resolved]) {
+        throw new InvalidQueryError(`Unsupported export format "${format}"`, { hint: `Use one of: ${Object.keys(FORMATS).join(', ')}.` });
+    }
+    return resolved;
+}
+
+/**
+ * Render a memo in the given format
+ *
+ * @param {object} memo - From buildMemo / buildMatterMemo
+ * @param {string} format - md | html | docx
+ * @returns {{content: Buffer, contentType: string, filename: string, format: string}}
+ */
+function renderMemo(memo, format) {
+    const resolved = resolveFormat(format);
+    const content = resolved === 'docx' ? toDocx(memo)
+        : Buffer.from(resolved === 'md' ? toMarkdown(memo) : toHtml(memo), 'utf-8');
+    const slug = (memo.matter?.id || 'research-memo').replace(/[^a-z0-9-]+/gi, '-');
+    const filename = `${slug}-${memo.preparedAt.slice(0, 10)}.${FORMATS[resolved].extension}`;
+    return { content, contentType: FORMATS[resolved].contentType, filename, format: resolved };
+}
+
+module.exports = {
+    buildMemo,
+    buildMatterMemo,
+    renderMemo,
+    resolveFormat,
+    toMarkdown,
+    toHtml,
+    toDocx,
+    FORMATS
+};
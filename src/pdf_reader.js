@@ -1,56 +1,107 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const library = require('./library');
+const { extractPdfText } = require('./pdf_text');
 
 const DOWNLOADS_DIR = path.join(__dirname, '..', 'downloads');
 
 /**
- * Extract text from a .txt file (saved alongside PDFs during download)
- * Falls back to stripping HTML from pdf if no .txt file exists
+ * Text of a PDF file, or null if it has no text layer (e.g. a scan)
+ *
+ * @throws {import('./errors').PdfReadError} If the PDF can't be parsed
  */
-function extractText(txtOrPdfPath) {
-    // Try .txt version first
-    const txtPath = txtOrPdfPath.replace('.pdf', '.txt');
-    if (fs.existsSync(txtPath)) {
-        return fs.readFileSync(txtPath, 'utf-8');
+function readPdfText(pdfPath) {
+    const { text } = extractPdfText(fs.readFileSync(pdfPath));
+    return text.replace(/\f/g, '').trim() ? text : null;
+}
+
+/**
+ * Get the plain text of a case: the text stored in the library when the
+ * case was fetched, otherwise extracted from its PDF (and stored for next time)
+ */
+function extractText(caseId) {
+    const stored = library.readText(caseId);
+    if (stored) return stored;
+
+    const pdfPath = library.findPdf(caseId);
+    if (!pdfPath) return null;
+    const text = readPdfText(pdfPath);
+    if (text) library.saveDocument(caseId, { text });
+    return text;
+}
+
+/**
+ * Add PDFs dropped into downloads/ by hand (judgments from clients, other
+ * databases) to the library. Files named like our downloads keep their
+ * case ID; anything else gets a local ID derived from its content.
+ *
+ * @returns {number} Number of files added
+ */
+function importDroppedPdfs() {
+    if (!fs.existsSync(DOWNLOADS_DIR)) return 0;
+    const known = new Set(library.listCases({ withPdf: true }).map(r => library.findPdf(r.id)));
+    let added = 0;
+
+    for (const file of fs.readdirSync(DOWNLOADS_DIR).filter(f => /\.pdf$/i.test(f))) {
+        const pdfPath = path.join(DOWNLOADS_DIR, file);
+        if (known.has(pdfPath)) continue;
+
+        const ours = file.match(/^Case_([^_]+)_(.*)\.pdf$/i);
+        const id = ours ? ours[1] : `local-${crypto.createHash('sha256').update(fs.readFileSync(pdfPath)).digest('hex').slice(0, 16)}`;
+        const title = (ours ? ours[2] : file.replace(/\.pdf$/i, '')).replace(/_/g, ' ');
+        library.attachPdf(id, pdfPath);
+        library.updateMetadata(id, { id, title });
+        added++;
     }
-    return null;
+
+    if (added) console.log(`📥 Added ${added} PDF(s) from ${DOWNLOADS_DIR} to the case library`);
+    return added;
 }
 
 /**
- * Read all case texts from the downloads directory
- * Returns an array of {filename, id, text}
+ * Read the texts of all downloaded cases from the case library.
+ * Cases without stored text (e.g. PDFs dropped into downloads/) are
+ * extracted from their PDF.
+ * Returns an array of {filename, id, text, metadata}
+ *
+ * @param {object} options
+ * @param {boolean} options.includeUndownloaded - Also include cases fetched (e.g. by analyze) without a PDF
  */
-async function extractAllTexts(dir) {
-    const downloadsDir = dir || DOWNLOADS_DIR;
-    const pdfFiles = fs.readdirSync(downloadsDir).filter(f => f.endsWith('.pdf'));
+async function extractAllTexts(options = {}) {
+    importDroppedPdfs();
+    const records = library.listCases({ withPdf: !options.includeUndownloaded });
 
-    if (pdfFiles.length === 0) {
-        console.log('❌ No PDFs found in downloads/ directory');
+    if (records.length === 0) {
+        console.log('❌ No downloaded cases in the library');
         return [];
     }
 
-    console.log(`📚 Reading ${pdfFiles.length} cases...\n`);
+    console.log(`📚 Reading ${records.length} cases...\n`);
     const results = [];
 
-    for (const file of pdfFiles) {
-        const filePath = path.join(downloadsDir, file);
-        const text = extractText(filePath);
+    for (const record of records) {
+        const filename = record.pdfPath ? path.basename(record.pdfPath) : (record.metadata?.title || record.id);
+        const fromPdf = !library.readText(record.id);
+        let text;
+        try {
+            text = extractText(record.id);
+        } catch (err) {
+            console.log(`  ⚠️  ${filename}: ${err.message}`);
+            continue;
+        }
 
         if (!text) {
-            console.log(`  ⚠️  ${file}: No .txt file found (re-download to generate)`);
+            console.log(`  ⚠️  ${filename}: No text found (scanned PDF? re-download from Centax to get the text)`);
             continue;
         }
 
-        // Extract case ID from filename (Case_<id>_...)
-        const idMatch = file.match(/Case_(\d+)_/);
-        const id = idMatch ? idMatch[1] : file;
-
-        console.log(`  ✅ ${file} (${text.length} chars)`);
-        results.push({ filename: file, id, text });
+        console.log(`  ✅ ${filename} (${text.length} chars${fromPdf ? ', extracted from PDF' : ''})`);
+        results.push({ filename, id: record.id, text, metadata: library.getCase(record.id)?.metadata || record.metadata });
     }
 
-    console.log(`\n📖 Loaded ${results.length}/${pdfFiles.length} cases\n`);
+    console.log(`\n📖 Loaded ${results.length}/${records.length} cases\n`);
     return results;
 }
 
-module.exports = { extractText, extractAllTexts, DOWNLOADS_DIR };
+module.exports = { extractText, extractAllTexts, readPdfText, importDroppedPdfs, DOWNLOADS_DIR };
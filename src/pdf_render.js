@@ -0,0 +1,428 @@
+const fs = require('fs');
+const path = require('path');
+const { PdfWriter, measure, toWinAnsi, PAGE_SIZE } = require('./pdf_writer');
+const { parseJudgment } = require('./judgment_text');
+const { PDF_TEMPLATE, PDF_FIRM_NAME, PDF_FIRM_DETAILS } = require('./config');
+const { PdfGenerationError } = require('./errors');
+
+/**
+ * Local judgment → PDF rendering.
+ *
+ * Lays out parsed judgment HTML (see judgment_text.js) on A4 pages with our
+ * own template instead of Centax's: firm letterhead on the first page, the
+ * citation in a running header, "Page N of M" footers, and search terms
+ * highlighted in the body. Paragraph numbers hang in the margin like the
+ * printed reports; quotes and sub-paragraphs are indented, tables are ruled.
+ *
+ * Templates are plain objects (TEMPLATES below). CENTAX_PDF_TEMPLATE picks
+ * one by name or points at a JSON file whose fields override the
+ * "letterhead" template.
+ */
+
+const MM = 72 / 25.4;
+
+const TEMPLATES = {
+    letterhead: {
+        margins: { top: 22 * MM, bottom: 20 * MM, left: 22 * MM, right: 20 * MM },
+        accent: '#1f3864',
+        muted: '#6c6c6c',
+        highlight: '#fff176',
+        bodySize: 10.5,
+        leading: 1.38,
+        letterhead: true,
+        runningHeader: true,
+        pageNumbers: true,
+        firmName: '',
+        firmDetails: []
+    },
+    plain: {
+        margins: { top: 20 * MM, bottom: 18 * MM, left: 20 * MM, right: 20 * MM },
+        accent: '#000000',
+        muted: '#555555',
+        highlight: '#fff176',
+        bodySize: 10.5,
+        leading: 1.38,
+        letterhead: false,
+        runningHeader: true,
+        pageNumbers: true,
+        firmName: '',
+        firmDetails: []
+    }
+};
+
+/**
+ * Resolve a template name or JSON file path to a template, with the firm
+ * details from the environment filled in
+ *
+ * @throws {PdfGenerationError} For an unknown template or unreadable file
+ */
+function resolveTemplate(nameOrFile = PDF_TEMPLATE) {
+    let template;
+    if (typeof nameOrFile === 'object' && nameOrFile) {
+        template = { ...TEMPLATES.letterhead, ...nameOrFile };
+    } else if (/\.json$/i.test(String(nameOrFile))) {
+        const file = path.resolve(String(nameOrFile));
+        try {
+            template = { ...TEMPLATES.letterhead, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+        } catch (err) {
+            throw new PdfGenerationError(`Could not read PDF template ${file}: ${err.message}`, { hint: 'Check CENTAX_PDF_TEMPLATE.', cause: err });
+        }
+    } else if (TEMPLATES[nameOrFile || 'letterhead']) {
+        template = { ...TEMPLATES[nameOrFile || 'letterhead'] };
+    } else {
+        throw new PdfGenerationError(`Unknown PDF template "${nameOrFile}"`, {
+            hint: `Set CENTAX_PDF_TEMPLATE to one of ${Object.keys(TEMPLATES).join(', ')} or a .json template file.`
+        });
+    }
+    template.margins = { ...TEMPLATES.letterhead.margins, ...template.margins };
+    template.firmName = template.firmName || PDF_FIRM_NAME;
+    template.firmDetails = [].concat(template.firmDetails || []).length ? [].concat(template.firmDetails) : PDF_FIRM_DETAILS;
+    return template;
+}
+
+// ──────────────────────── Highlighting ────────────────────────
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+}
+
+/**
+ * Search text → token sequences to highlight. "Quoted phrases" stay together,
+ * -excluded words, boolean operators and very short words are dropped.
+ *
+ * @returns {string[][]}
+ */
+function highlightTerms(searchText) {
+    const terms = [];
+    const source = String(searchText || '');
+    for (const m of source.matchAll(/"([^"]+)"|(\S+)/g)) {
+        if (m[2] && (m[2].startsWith('-') || /^(and|or|not)$/i.test(m[2]))) continue;
+        const tokens = (m[1] || m[2]).split(/\s+/).map(normalizeWord).filter(Boolean);
+        if (tokens.length === 0 || (tokens.length === 1 && tokens[0].length < 3)) continue;
+        terms.push(tokens);
+    }
+    return terms;
+}
+
+function matchesToken(word, token) {
+    return word === token || word === `${token}s` || word === `${token}es`;
+}
+
+/**
+ * Flag the words that belong to a highlighted term
+ */
+function markHighlights(words, terms) {
+    if (terms.length === 0) return;
+    const normalized = words.map(w => normalizeWord(w.text));
+    for (let i = 0; i < words.length; i++) {
+        for (const term of terms) {
+            if (term.every((token, k) => normalized[i + k] !== undefined && matchesToken(normalized[i + k], token))) {
+                for (let k = 0; k < term.length; k++) words[i + k].highlight = true;
+            }
+        }
+    }
+}
+
+// ──────────────────────── Layout ────────────────────────
+
+/**
+ * Flows blocks of text down pages, starting a new page when one is full
+ */
+class Layout {
+    constructor(writer, template, { terms = [] } = {}) {
+        this.writer = writer;
+        this.template = template;
+        this.terms = terms;
+        this.left = template.margins.left;
+        this.width = PAGE_SIZE.width - template.margins.left - template.margins.right;
+        this.newPage();
+    }
+
+    newPage() {
+        this.page = this.writer.addPage();
+        const { margins, runningHeader } = this.template;
+        // Leave room for the running header on continuation pages
+        this.y = PAGE_SIZE.height - margins.top - (runningHeader && this.writer.pages.length > 1 ? 6 : 0);
+    }
+
+    get bottom() {
+        return this.template.margins.bottom + (this.template.pageNumbers ? 10 : 0);
+    }
+
+    /**
+     * Start a new page unless `height` points still fit on this one
+     */
+    ensure(height) {
+        if (this.y - height < this.bottom) this.newPage();
+    }
+
+    space(points) {
+        this.y -= points;
+    }
+
+    rule(color = '#999999') {
+        this.ensure(6);
+        this.y -= 3;
+        this.page.line(this.left, this.y, this.left + this.width, this.y, { color, lineWidth: 0.6 });
+        this.y -= 6;
+    }
+
+    /**
+     * Break text into lines of words that fit the width
+     *
+     * @returns {Array<{words: Array<{text, width, highlight}>, x: number, available: number, last: boolean}>}
+     */
+    wrap(text, { font, size, indent = 0, width = this.width }) {
+        const lines = [];
+        const spaceWidth = measure(' ', font, size);
+        const available = width - indent;
+        const push = (words, last) => lines.push({ words, x: indent, available, last });
+
+        for (const hardLine of toWinAnsi(text).split('\n')) {
+            const words = hardLine.split(/ +/).filter(Boolean).map(w => ({ text: w, width: measure(w, font, size), highlight: false }));
+            markHighlights(words, this.terms);
+            let current = [];
+            let used = 0;
+            for (const word of words) {
+                if (current.length && used + spaceWidth + word.width > available) {
+                    push(current, false);
+                    current = [];
+                    used = 0;
+                }
+                // Words longer than a whole line are cut into pieces that fit
+                while (word.width > available && word.text.length > 1) {
+                    let cut = word.text.length - 1;
+                    while (cut > 1 && measure(word.text.slice(0, cut), font, size) > available) cut--;
+                    push([{ ...word, text: word.text.slice(0, cut), width: measure(word.text.slice(0, cut), font, size) }], false);
+                    word.text = word.text.slice(cut);
+                    word.width = measure(word.text, font, size);
+                }
+                used += (current.length ? spaceWidth : 0) + word.width;
+                current.push(word);
+            }
+            if (current.length) push(current, true);
+        }
+        return lines;
+    }
+
+    /**
+     * Draw one wrapped line with its baseline at y
+     */
+    drawLine(line, y, { font, size, color = '#000000', align = 'left', offsetX = this.left }) {
+        const spaceWidth = measure(' ', font, size);
+        const textWidth = line.words.reduce((n, w) => n + w.width, 0);
+        const gaps = line.words.length - 1;
+        const slack = line.available - textWidth - gaps * spaceWidth;
+        const gap = align === 'justify' && !line.last && gaps > 0 ? (line.available - textWidth) / gaps : spaceWidth;
+        const startX = offsetX + line.x + (align === 'center' ? slack / 2 : align === 'right' ? slack : 0);
+
+        // Highlights first so the text is drawn over them
+        let x = startX;
+        line.words.forEach((word, i) => {
+            if (word.highlight) {
+                const width = word.width + (line.words[i + 1]?.highlight ? gap : 0);
+                this.page.rect(x - 0.5, y - size * 0.24, width + 1, size * 1.08, { fill: this.template.highlight });
+            }
+            x += word.width + gap;
+        });
+        x = startX;
+        for (const word of line.words) {
+            this.page.text(word.text, x, y, { font, size, color });
+            x += word.width + gap;
+        }
+    }
+
+    /**
+     * Lay out a paragraph
+     *
+     * @param {string} text
+     * @param {object} style
+     * @param {string} style.font - Font key from pdf_writer FONTS
+     * @param {number} style.size
+     * @param {number} style.indent - Left indent of the paragraph
+     * @param {string} style.marker - Paragraph number or "(a)" set in the indent, left of the first line
+     * @param {number} style.hanging - How far left of the indent the marker starts
+     * @param {string} style.align - left | justify | center | right
+     * @param {number} style.before - Space before
+     * @param {number} style.after - Space after
+     * @param {number} style.keepWithNext - Lines of the next block to keep on the same page
+     */
+    paragraph(text, style = {}) {
+        const { font = 'serif', size = this.template.bodySize, align = 'justify', before = 0, after = size * 0.45, keepWithNext = 0, color } = style;
+        const leading = size * (style.leading || this.template.leading);
+        const lines = this.wrap(text, { font, size, indent: style.indent || 0 });
+        if (lines.length === 0) return;
+
+        if (before && this.y < PAGE_SIZE.height - this.template.margins.top - 10) this.space(before);
+        // Don't leave a single line at the bottom of a page (or a heading without what follows it)
+        this.ensure(leading * Math.min(lines.length, 2 + keepWithNext));
+        lines.forEach((line, i) => {
+            // Nor a single line at the top of the next
+            const remaining = lines.length - i;
+            if (remaining === 2 && lines.length > 3) this.ensure(leading * 2);
+            else this.ensure(leading);
+            this.y -= leading;
+            const baseline = this.y + leading * 0.22;
+            if (i === 0 && style.marker) this.page.text(style.marker, this.left + (style.indent || 0) - (style.hanging || 0), baseline, { font, size, color });
+            this.drawLine(line, baseline, { font, size, color, align });
+        });
+        this.y -= after;
+    }
+
+    /**
+     * Lay out a ruled table, starting a new page between rows when needed
+     *
+     * @param {string[][]} rows
+     * @param {object} options
+     * @param {number} options.size - Font size
+     * @param {boolean} options.header - Set the first row in bold
+     * @param {number[]} options.widths - Column widths as fractions of the text width
+     * @returns {Array<{page: PdfPage, y: number, height: number}|null>} Where each row was drawn
+     */
+    table(rows, { size = this.template.bodySize - 1, header = false, widths: fractions = null } = {}) {
+        const columns = Math.max(...rows.map(r => r.length));
+        const padding = 3;
+        const leading = size * 1.25;
+        // Columns get width in proportion to their longest cell, within limits
+        const longest = Array.from({ length: columns }, (_, c) => Math.max(4, ...rows.map(r => Math.min(60, (r[c] || '').length))));
+        const total = longest.reduce((a, b) => a + b, 0);
+        const widths = fractions ? fractions.map(f => f * this.width) : longest.map(l => (l / total) * this.width);
+
+        const placed = [];
+        this.space(2);
+        rows.forEach((row, r) => {
+            const font = header && r === 0 ? 'serifBold' : 'serif';
+            const cells = widths.map((w, c) => this.wrap(row[c] || '', { font, size, width: w - padding * 2 }));
+            const height = Math.max(...cells.map(lines => lines.length)) * leading + padding * 2;
+            if (height > PAGE_SIZE.height - this.template.margins.top - this.bottom - 20) {
+                // A row taller than a page is set as a plain paragraph
+                this.paragraph(row.filter(Boolean).join(' | '), { size, align: 'left' });
+                placed.push(null);
+                return;
+            }
+            this.ensure(height);
+            let x = this.left;
+            cells.forEach((lines, c) => {
+                this.page.rect(x, this.y - height, widths[c], height, { stroke: '#000000', lineWidth: 0.5 });
+                lines.forEach((line, i) => {
+                    this.drawLine(line, this.y - padding - leading * (i + 1) + leading * 0.22, { font, size, align: 'left', offsetX: x + padding });
+                });
+                x += widths[c];
+            });
+            this.y -= height;
+            placed.push({ page: this.page, y: this.y, height });
+        });
+        this.space(size * 0.6);
+        return placed;
+    }
+}
+
+/**
+ * Letterhead, running headers and page numbers, drawn once the page count is known
+ */
+function decoratePages(writer, template, { citation }) {
+    const { margins, muted } = template;
+    const right = PAGE_SIZE.width - margins.right;
+    const total = writer.pages.length;
+
+    writer.pages.forEach((page, i) => {
+        if (template.runningHeader && i > 0) {
+            const y = PAGE_SIZE.height - margins.top + 14;
+            const label = toWinAnsi(citation || '');
+            page.text(label, margins.left, y, { font: 'sans', size: 7.5, color: muted });
+            if (template.firmName) {
+                const firm = toWinAnsi(template.firmName);
+                page.text(firm, right - measure(firm, 'sans', 7.5), y, { font: 'sans', size: 7.5, color: muted });
+            }
+            page.line(margins.left, y - 5, right, y - 5, { color: '#cccccc', lineWidth: 0.5 });
+        }
+        if (template.pageNumbers) {
+            const label = `Page ${i + 1} of ${total}`;
+            page.text(label, (PAGE_SIZE.width - measure(label, 'sans', 8)) / 2, margins.bottom - 4, { font: 'sans', size: 8, color: muted });
+        }
+    });
+}
+
+/**
+ * Draw the letterhead at the top of the first page
+ */
+function drawLetterhead(layout, template) {
+    if (!template.letterhead || !template.firmName) return;
+    layout.paragraph(template.firmName, { font: 'sansBold', size: 16, align: 'left', color: template.accent, after: 2, leading: 1.2 });
+    for (const line of template.firmDetails) {
+        layout.paragraph(line, { font: 'sans', size: 8.5, align: 'left', color: template.muted, after: 0, leading: 1.3 });
+    }
+    layout.space(4);
+    layout.page.line(layout.left, layout.y, layout.left + layout.width, layout.y, { color: template.accent, lineWidth: 1.2 });
+    layout.space(16);
+}
+
+/**
+ * Render judgment HTML as a PDF
+ *
+ * @param {string} html - Judgment HTML from Centax (getFileText)
+ * @param {object} options
+ * @param {string} options.citation - Shown under the letterhead and in the running header
+ * @param {string} options.title - Document title (PDF properties)
+ * @param {string} options.highlight - Search text whose terms are highlighted
+ * @param {string|object} options.template - Template name, JSON file or object (default: CENTAX_PDF_TEMPLATE)
+ * @returns {Buffer}
+ */
+function renderJudgmentPdf(html, options = {}) {
+    const template = resolveTemplate(options.template);
+    const parsed = parseJudgment(html);
+    if (parsed.header.length === 0 && parsed.sections.length === 0) {
+        throw new PdfGenerationError('The judgment has no text to render', { hint: 'Refresh the case from Centax and try again.' });
+    }
+
+    const citation = options.citation || parsed.header[0] || '';
+    const writer = new PdfWriter({ title: options.title || citation, subject: citation, author: template.firmName });
+    const layout = new Layout(writer, template, { terms: highlightTerms(options.highlight) });
+    const size = template.bodySize;
+
+    drawLetterhead(layout, template);
+    if (citation) layout.paragraph(citation, { font: 'serifBold', size: size + 2.5, align: 'center', after: 8 });
+
+    // Header block: short lines (court, parties, coram, date) centred, the headnote justified
+    for (const line of parsed.header) {
+        if (line === citation) continue;
+        const long = line.length > 160;
+        layout.paragraph(line, { size: long ? size - 0.5 : size, align: long ? 'justify' : 'center', after: long ? 5 : 2 });
+    }
+    layout.rule();
+
+    for (const section of parsed.sections) {
+        if (section.heading) layout.paragraph(section.heading, { font: 'serifBold', size: size + 0.5, align: 'left', before: 6, after: 4, keepWithNext: 2 });
+        for (const block of section.blocks) {
+            switch (block.type) {
+                case 'paragraph':
+                    if (block.number !== null) {
+                        layout.paragraph(block.text.replace(/^\d+\.\s*/, ''), { indent: 10 * MM, marker: `${block.number}.`, hanging: 10 * MM });
+                    } else {
+                        layout.paragraph(block.text, { indent: 10 * MM });
+                    }
+                    break;
+                case 'subparagraph':
+                    if (block.marker) {
+                        layout.paragraph(block.text.slice(block.marker.length).trim(), { indent: 20 * MM, marker: block.marker, hanging: 8 * MM });
+                    } else {
+                        layout.paragraph(block.text, { indent: 20 * MM });
+                    }
+                    break;
+                case 'quote':
+                    layout.paragraph(block.text, { indent: 14 * MM, size: size - 0.5 });
+                    break;
+                case 'table':
+                    layout.table(block.rows);
+                    break;
+                default:
+                    layout.paragraph(block.text);
+            }
+        }
+    }
+
+    decoratePages(writer, template, { citation });
+    return writer.toBuffer();
+}
+
+module.exports = { renderJudgmentPdf, resolveTemplate, highlightTerms, Layout, decoratePages, drawLetterhead, TEMPLATES };
@@ -0,0 +1,987 @@
+const zlib = require('zlib');
+const { PdfReadError } = require('./errors');
+
+/**
+ * Pure-JavaScript PDF text extraction.
+ *
+ * Good enough for judgments: text-layer PDFs from Centax, courts and
+ * word processors. Objects are located by scanning for "N G obj" (so broken
+ * xref tables don't matter) and by unpacking object streams. Content
+ * streams are interpreted for the text operators only, tracking the text
+ * and graphics matrices to decide where lines and words break.
+ *
+ * Supported: Flate/LZW/ASCIIHex/ASCII85/RunLength filters, Standard,
+ * WinAnsi and MacRoman encodings with /Differences, ToUnicode CMaps,
+ * Type0 (CID) fonts and form XObjects. Not supported: encrypted PDFs
+ * (PdfReadError) and scanned pages without a text layer (empty text).
+ */
+
+// Form XObjects can nest; stop runaway recursion
+const MAX_FORM_DEPTH = 6;
+
+// ──────────────────────── Encodings ────────────────────────
+
+function asciiTable() {
+    const table = new Array(256).fill('');
+    for (let c = 32; c < 127; c++) table[c] = String.fromCharCode(c);
+    return table;
+}
+
+const WIN_ANSI = (() => {
+    const table = asciiTable();
+    const high = '€\0‚ƒ„…†‡ˆ‰Š‹Œ\0Ž\0\0‘’“”•–—˜™š›œ\0žŸ';
+    [...high].forEach((ch, i) => { if (ch !== '\0') table[0x80 + i] = ch; });
+    for (let c = 0xa0; c < 0x100; c++) table[c] = String.fromCharCode(c);
+    table[0xa0] = ' ';
+    table[0xad] = '-';
+    return table;
+})();
+
+const MAC_ROMAN = (() => {
+    const table = asciiTable();
+    const high = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü' +
+        '†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+        '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ' +
+        '‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+    [...high].forEach((ch, i) => { table[0x80 + i] = ch; });
+    return table;
+})();
+
+const STANDARD = (() => {
+    const table = asciiTable();
+    table[0x27] = '’';
+    table[0x60] = '‘';
+    const high = {
+        0xa1: '¡', 0xa2: '¢', 0xa3: '£', 0xa4: '⁄', 0xa5: '¥', 0xa6: 'ƒ', 0xa7: '§', 0xa8: '¤',
+        0xa9: "'", 0xaa: '“', 0xab: '«', 0xac: '‹', 0xad: '›', 0xae: 'ﬁ', 0xaf: 'ﬂ', 0xb1: '–',
+        0xb2: '†', 0xb3: '‡', 0xb4: '·', 0xb6: '¶', 0xb7: '•', 0xb8: '‚', 0xb9: '„', 0xba: '”',
+        0xbb: '»', 0xbc: '…', 0xbd: '‰', 0xbf: '¿', 0xc1: '`', 0xc2: '´', 0xc3: 'ˆ', 0xc4: '˜',
+        0xc5: '¯', 0xc6: '˘', 0xc7: '˙', 0xc8: '¨', 0xca: '˚', 0xcb: '¸', 0xcd: '˝', 0xce: '˛',
+        0xcf: 'ˇ', 0xd0: '—', 0xe1: 'Æ', 0xe3: 'ª', 0xe8: 'Ł', 0xe9: 'Ø', 0xea: 'Œ', 0xeb: 'º',
+        0xf1: 'æ', 0xf5: 'ı', 0xf8: 'ł', 0xf9: 'ø', 0xfa: 'œ', 0xfb: 'ß'
+    };
+    for (const [code, ch] of Object.entries(high)) table[code] = ch;
+    return table;
+})();
+
+const ENCODINGS = { WinAnsiEncoding: WIN_ANSI, MacRomanEncoding: MAC_ROMAN, StandardEncoding: STANDARD };
+
+// Glyph names used in /Differences that aren't single letters
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+    plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';', less: '<',
+    equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+    asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+    bullet: '•', endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚',
+    quotedblbase: '„', guillemotleft: '«', guillemotright: '»', guilsinglleft: '‹', guilsinglright: '›',
+    ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', dagger: '†', daggerdbl: '‡',
+    section: '§', paragraph: '¶', copyright: '©', registered: '®', trademark: '™', degree: '°',
+    periodcentered: '·', minus: '−', multiply: '×', divide: '÷', plusminus: '±', nbspace: ' ',
+    sfthyphen: '-', currency: '¤', sterling: '£', yen: '¥', Euro: '€', cent: '¢', florin: 'ƒ',
+    germandbls: 'ß', dotlessi: 'ı', AE: 'Æ', ae: 'æ', OE: 'Œ', oe: 'œ', Oslash: 'Ø', oslash: 'ø',
+    Lslash: 'Ł', lslash: 'ł', ordfeminine: 'ª', ordmasculine: 'º', exclamdown: '¡', questiondown: '¿',
+    perthousand: '‰', fraction: '⁄', onehalf: '½', onequarter: '¼', threequarters: '¾', mu: 'µ'
+};
+
+// Accented letters are named base + accent, e.g. "eacute"
+const ACCENTS = {
+    acute: '́', grave: '̀', circumflex: '̂', tilde: '̃', dieresis: '̈',
+    ring: '̊', cedilla: '̧', caron: '̌', macron: '̄', breve: '̆',
+    dotaccent: '̇', ogonek: '̨', hungarumlaut: '̋'
+};
+
+/**
+ * Unicode text for a PostScript glyph name ('' if unknown)
+ */
+function glyphToUnicode(name) {
+    const base = name.split('.')[0];
+    if (base.includes('_')) return base.split('_').map(glyphToUnicode).join('');
+    if (/^[A-Za-z]$/.test(base)) return base;
+    if (GLYPH_NAMES[base] !== undefined) return GLYPH_NAMES[base];
+    let m = base.match(/^uni((?:[0-9A-F]{4})+)$/);
+    if (m) return m[1].match(/.{4}/g).map(h => String.fromCharCode(parseInt(h, 16))).join('');
+    m = base.match(/^u([0-9A-F]{4,6})$/);
+    if (m) return String.fromCodePoint(parseInt(m[1], 16));
+    m = base.match(/^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla|caron|macron|breve|dotaccent|ogonek|hungarumlaut)$/);
+    if (m) return (m[1] + ACCENTS[m[2]]).normalize('NFC');
+    return '';
+}
+
+// ──────────────────────── Lexer / parser ────────────────────────
+
+class Ref {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class Name {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/** Content-stream operator */
+class Op {
+    constructor(op) {
+        this.op = op;
+    }
+}
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(c => c.charCodeAt(0)));
+
+/**
+ * Parser over a latin1 string (one char per byte), used both for object
+ * bodies and for content streams.
+ */
+class Lexer {
+    constructor(src, pos = 0) {
+        this.src = src;
+        this.pos = pos;
+    }
+
+    skipSpace() {
+        const { src } = this;
+        while (this.pos < src.length) {
+            const c = src.charCodeAt(this.pos);
+            if (WHITESPACE.has(c)) {
+                this.pos++;
+            } else if (c === 37) { // % comment
+                while (this.pos < src.length && src[this.pos] !== '\n' && src[this.pos] !== '\r') this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    word() {
+        const start = this.pos;
+        while (this.pos < this.src.length) {
+            const c = this.src.charCodeAt(this.pos);
+            if (WHITESPACE.has(c) || DELIMITERS.has(c)) break;
+            this.pos++;
+        }
+        return this.src.slice(start, this.pos);
+    }
+
+    /**
+     * Next value; undefined at end of input. Operators come back as Op.
+     */
+    next() {
+        this.skipSpace();
+        const { src } = this;
+        if (this.pos >= src.length) return undefined;
+        const ch = src[this.pos];
+
+        if (ch === '/') {
+            this.pos++;
+            return new Name(this.word().replace(/#([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))));
+        }
+        if (ch === '(') return this.literalString();
+        if (ch === '<') {
+            if (src[this.pos + 1] === '<') {
+                this.pos += 2;
+                return this.dict();
+            }
+            return this.hexString();
+        }
+        if (ch === '[') {
+            this.pos++;
+            const items = [];
+            for (;;) {
+                this.skipSpace();
+                if (this.pos >= src.length) return items;
+                if (src[this.pos] === ']') {
+                    this.pos++;
+                    return items;
+                }
+                items.push(this.next());
+            }
+        }
+        if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+            this.pos++;
+            return new Op(ch);
+        }
+
+        const token = this.word();
+        if (!token) {
+            this.pos++;
+            return new Op(ch);
+        }
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+            // "12 0 R" is a reference
+            if (/^\d+$/.test(token)) {
+                const save = this.pos;
+                const m = /^\s+(\d+)\s+R(?![^\s\/\[\]<>()%])/.exec(src.slice(this.pos, this.pos + 24));
+                if (m) {
+                    this.pos = save + m[0].length;
+                    return new Ref(Number(token), Number(m[1]));
+                }
+            }
+            return Number(token);
+        }
+        if (token === 'true') return true;
+        if (token === 'false') return false;
+        if (token === 'null') return null;
+        return new Op(token);
+    }
+
+    dict() {
+        const dict = {};
+        for (;;) {
+            this.skipSpace();
+            if (this.pos >= this.src.length) return dict;
+            if (this.src.startsWith('>>', this.pos)) {
+                this.pos += 2;
+                return dict;
+            }
+            const key = this.next();
+            if (!(key instanceof Name)) continue;
+            dict[key.name] = this.next();
+        }
+    }
+
+    literalString() {
+        const { src } = this;
+        let depth = 1;
+        let out = '';
+        this.pos++;
+        while (this.pos < src.length) {
+            const ch = src[this.pos++];
+            if (ch === '\\') {
+                const next = src[this.pos++];
+                const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+                if (escapes[next] !== undefined) {
+                    out += escapes[next];
+                } else if (next >= '0' && next <= '7') {
+                    let octal = next;
+                    while (octal.length < 3 && src[this.pos] >= '0' && src[this.pos] <= '7') octal += src[this.pos++];
+                    out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    if (src[this.pos] === '\n') this.pos++;
+                } else if (next !== '\n') {
+                    out += next;
+                }
+            } else if (ch === '(') {
+                depth++;
+                out += ch;
+            } else if (ch === ')') {
+                if (--depth === 0) break;
+                out += ch;
+            } else {
+                out += ch;
+            }
+        }
+        return out;
+    }
+
+    hexString() {
+        const end = this.src.indexOf('>', this.pos);
+        const hex = this.src.slice(this.pos + 1, end < 0 ? undefined : end).replace(/[^0-9a-f]/gi, '');
+        this.pos = end < 0 ? this.src.length : end + 1;
+        let out = '';
+        for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+        return out;
+    }
+}
+
+// ──────────────────────── Stream filters ────────────────────────
+
+function inflate(data) {
+    try {
+        return zlib.inflateSync(data);
+    } catch {
+        // Truncated or slightly damaged streams: take what decompresses
+        try {
+            return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch {
+            return zlib.inflateRawSync(data.subarray(2), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        }
+    }
+}
+
+function pngUnpredict(data, { Predictor = 1, Columns = 1, Colors = 1, BitsPerComponent = 8 } = {}) {
+    if (Predictor < 10) return data;
+    const bpp = Math.max(1, Math.ceil(Colors * BitsPerComponent / 8));
+    const rowLength = Math.ceil(Columns * Colors * BitsPerComponent / 8);
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const out = Buffer.alloc(rows * rowLength);
+    let prev = Buffer.alloc(rowLength);
+    for (let r = 0; r < rows; r++) {
+        const type = data[r * (rowLength + 1)];
+        const row = Buffer.from(data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1)));
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bpp ? row[i - bpp] : 0;
+            const up = prev[i];
+            const upLeft = i >= bpp ? prev[i - bpp] : 0;
+            if (type === 1) row[i] += left;
+            else if (type === 2) row[i] += up;
+            else if (type === 3) row[i] += (left + up) >> 1;
+            else if (type === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                row[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+        }
+        row.copy(out, r * rowLength);
+        prev = row;
+    }
+    return out;
+}
+
+function lzwDecode(data, earlyChange = 1) {
+    const out = [];
+    let table = [];
+    let codeLength = 9;
+    let prev = null;
+    let bits = 0;
+    let buffer = 0;
+    const reset = () => {
+        table = [];
+        for (let i = 0; i < 256; i++) table.push([i]);
+        table.push(null, null); // 256 clear, 257 end
+        codeLength = 9;
+        prev = null;
+    };
+    reset();
+    for (const byte of data) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= codeLength) {
+            const code = (buffer >> (bits - codeLength)) & ((1 << codeLength) - 1);
+            bits -= codeLength;
+            if (code === 256) {
+                reset();
+                continue;
+            }
+            if (code === 257) return Buffer.from(out);
+            let entry = table[code];
+            if (!entry && prev) entry = [...prev, prev[0]];
+            if (!entry) continue;
+            out.push(...entry);
+            if (prev) table.push([...prev, entry[0]]);
+            prev = entry;
+            if (table.length + earlyChange >= 1 << codeLength && codeLength < 12) codeLength++;
+        }
+    }
+    return Buffer.from(out);
+}
+
+function ascii85Decode(data) {
+    const text = data.toString('latin1').replace(/^<~/, '').replace(/~>[\s\S]*$/, '').replace(/\s/g, '');
+    const out = [];
+    let group = [];
+    const flush = (count) => {
+        while (group.length < 5) group.push(84);
+        let value = 0;
+        for (const c of group) value = value * 85 + c;
+        const bytes = [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+        out.push(...bytes.slice(0, count));
+        group = [];
+    };
+    for (const ch of text) {
+        if (ch === 'z' && group.length === 0) {
+            out.push(0, 0, 0, 0);
+            continue;
+        }
+        group.push(ch.charCodeAt(0) - 33);
+        if (group.length === 5) flush(4);
+    }
+    if (group.length) flush(group.length - 1);
+    return Buffer.from(out);
+}
+
+function runLengthDecode(data) {
+    const out = [];
+    for (let i = 0; i < data.length;) {
+        const len = data[i++];
+        if (len === 128) break;
+        if (len < 128) {
+            out.push(...data.subarray(i, i + len + 1));
+            i += len + 1;
+        } else {
+            out.push(...new Array(257 - len).fill(data[i++]));
+        }
+    }
+    return Buffer.from(out);
+}
+
+// ──────────────────────── Document ────────────────────────
+
+class PdfDocument {
+    /**
+     * @param {Buffer} buffer - Whole PDF file
+     */
+    constructor(buffer) {
+        this.src = buffer.toString('latin1');
+        if (!this.src.slice(0, 1024).includes('%PDF-')) throw new PdfReadError('Not a PDF file');
+
+        this.offsets = new Map(); // object number -> offset of "N G obj"
+        this.compressed = new Map(); // object number -> {stream, index}
+        this.cache = new Map();
+        this.fonts = new Map();
+
+        // Later definitions (incremental updates) win
+        for (const m of this.src.matchAll(/(?:^|[^\d])(\d+)\s+(\d+)\s+obj\b/g)) {
+            this.offsets.set(Number(m[1]), m.index + m[0].length);
+        }
+        for (const num of this.offsets.keys()) {
+            const obj = this.get(num);
+            if (obj && obj.stream && this.deref(obj.dict.Type)?.name === 'ObjStm') this.registerObjectStream(num, obj);
+        }
+
+        const trailers = [...this.src.matchAll(/trailer\s*<</g)].map(m => new Lexer(this.src, m.index + 7).next());
+        const xrefStreams = [...this.offsets.keys()].map(n => this.get(n)).filter(o => o?.stream && o.dict.Type?.name === 'XRef').map(o => o.dict);
+        const trailerDicts = [...trailers, ...xrefStreams].filter(t => t && typeof t === 'object');
+        if (trailerDicts.some(t => t.Encrypt)) throw new PdfReadError('PDF is encrypted');
+
+        const rootRef = trailerDicts.map(t => t.Root).filter(Boolean).pop();
+        this.root = this.deref(rootRef) || this.findByType('Catalog');
+    }
+
+    registerObjectStream(num, obj) {
+        const data = this.decodeStream(obj);
+        if (!data) return;
+        const text = data.toString('latin1');
+        const count = this.deref(obj.dict.N) || 0;
+        const first = this.deref(obj.dict.First) || 0;
+        const header = new Lexer(text.slice(0, first));
+        for (let i = 0; i < count; i++) {
+            const objNum = header.next();
+            const offset = header.next();
+            if (typeof objNum !== 'number' || typeof offset !== 'number') break;
+            if (!this.offsets.has(objNum)) this.compressed.set(objNum, { text, offset: first + offset });
+        }
+    }
+
+    /**
+     * Object by number: plain value, or {dict, stream: true, raw: Buffer} for streams
+     */
+    get(num) {
+        if (this.cache.has(num)) return this.cache.get(num);
+        let value = null;
+        if (this.offsets.has(num)) {
+            value = this.parseIndirect(this.offsets.get(num));
+        } else if (this.compressed.has(num)) {
+            const { text, offset } = this.compressed.get(num);
+            value = new Lexer(text, offset).next();
+        }
+        this.cache.set(num, value);
+        return value;
+    }
+
+    parseIndirect(offset) {
+        const lexer = new Lexer(this.src, offset);
+        const value = lexer.next();
+        lexer.skipSpace();
+        if (!value || typeof value !== 'object' || !this.src.startsWith('stream', lexer.pos)) return value;
+
+        let start = lexer.pos + 6;
+        if (this.src[start] === '\r') start++;
+        if (this.src[start] === '\n') start++;
+
+        // Trust /Length only if "endstream" follows it
+        let end = -1;
+        const length = value.Length instanceof Ref ? this.getLength(value.Length) : value.Length;
+        if (typeof length === 'number' && /^\s*endstream/.test(this.src.slice(start + length, start + length + 20))) {
+            end = start + length;
+        } else {
+            end = this.src.indexOf('endstream', start);
+            if (end < 0) end = this.src.length;
+            while (end > start && (this.src[end - 1] === '\n' || this.src[end - 1] === '\r')) end--;
+        }
+        return { dict: value, stream: true, raw: Buffer.from(this.src.slice(start, end), 'latin1') };
+    }
+
+    getLength(ref) {
+        const offset = this.offsets.get(ref.num);
+        if (offset === undefined) return null;
+        const value = new Lexer(this.src, offset).next();
+        return typeof value === 'number' ? value : null;
+    }
+
+    deref(value) {
+        let depth = 0;
+        while (value instanceof Ref && depth++ < 16) value = this.get(value.num);
+        return value;
+    }
+
+    findByType(type) {
+        let found = null;
+        for (const num of [...this.offsets.keys(), ...this.compressed.keys()]) {
+            const obj = this.get(num);
+            if (obj && !obj.stream && typeof obj === 'object' && this.deref(obj.Type)?.name === type) found = obj;
+        }
+        return found;
+    }
+
+    /**
+     * Decoded stream bytes, or null if a filter isn't supported (e.g. images)
+     */
+    decodeStream(stream) {
+        let data = stream.raw;
+        const filters = [].concat(this.deref(stream.dict.Filter) || []).map(f => this.deref(f)?.name);
+        const params = [].concat(this.deref(stream.dict.DecodeParms) || []).map(p => this.deref(p) || {});
+
+        for (let i = 0; i < filters.length; i++) {
+            const p = params[i] || {};
+            switch (filters[i]) {
+                case 'FlateDecode':
+                case 'Fl':
+                    data = pngUnpredict(inflate(data), p);
+                    break;
+                case 'LZWDecode':
+                case 'LZW':
+                    data = pngUnpredict(lzwDecode(data, p.EarlyChange ?? 1), p);
+                    break;
+                case 'ASCIIHexDecode':
+                case 'AHx':
+                    data = Buffer.from(data.toString('latin1').replace(/>[\s\S]*$/, '').replace(/[^0-9a-f]/gi, '').replace(/^((?:..)*).$/, '$10'), 'hex');
+                    break;
+                case 'ASCII85Decode':
+                case 'A85':
+                    data = ascii85Decode(data);
+                    break;
+                case 'RunLengthDecode':
+                case 'RL':
+                    data = runLengthDecode(data);
+                    break;
+                default:
+                    return null;
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Page dictionaries in order, with inherited /Resources resolved.
+     * `num` is the page's object number (null if it was a direct object);
+     * `inherited` holds the MediaBox, CropBox and Rotate from the page tree.
+     */
+    pages() {
+        const pages = [];
+        const seen = new Set();
+        const INHERITABLE = ['MediaBox', 'CropBox', 'Rotate'];
+        const walk = (ref, resources, inherited) => {
+            const node = this.deref(ref);
+            if (!node || typeof node !== 'object' || seen.has(node)) return;
+            seen.add(node);
+            const own = { ...inherited };
+            for (const key of INHERITABLE) if (node[key] !== undefined) own[key] = this.deref(node[key]);
+            const nodeResources = this.deref(node.Resources) || resources;
+            if (node.Kids) {
+                for (const kid of this.deref(node.Kids) || []) walk(kid, nodeResources, own);
+            } else if (this.deref(node.Type)?.name === 'Page' || node.Contents) {
+                pages.push({ dict: node, resources: nodeResources, num: ref instanceof Ref ? ref.num : null, inherited: own });
+            }
+        };
+        if (this.root) walk(this.root.Pages, null, {});
+        if (pages.length === 0) {
+            // No usable page tree: take every /Page object in file order
+            for (const num of this.offsets.keys()) {
+                const obj = this.get(num);
+                if (obj && !obj.stream && typeof obj === 'object' && this.deref(obj.Type)?.name === 'Page') {
+                    const inherited = Object.fromEntries(INHERITABLE.filter(k => obj[k] !== undefined).map(k => [k, this.deref(obj[k])]));
+                    pages.push({ dict: obj, resources: this.deref(obj.Resources), num, inherited });
+                }
+            }
+        }
+        return pages;
+    }
+
+    contentOf(page) {
+        const parts = [].concat(this.deref(page.Contents) || []).map(c => this.deref(c)).filter(c => c?.stream);
+        return parts.map(part => this.decodeStream(part)?.toString('latin1') || '').join('\n');
+    }
+
+    font(ref) {
+        const key = ref instanceof Ref ? ref.num : ref;
+        if (this.fonts.has(key)) return this.fonts.get(key);
+        const font = loadFont(this, this.deref(ref) || {});
+        this.fonts.set(key, font);
+        return font;
+    }
+}
+
+// ──────────────────────── Fonts ────────────────────────
+
+function utf16be(bytes) {
+    let out = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    return out;
+}
+
+function bytesToCode(bytes) {
+    let code = 0;
+    for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+    return code;
+}
+
+/**
+ * Parse a CMap stream: code space (byte lengths) and code -> Unicode mappings
+ */
+function parseCMap(text) {
+    const map = new Map();
+    const codeLengths = new Set();
+
+    for (const block of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+        for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<[0-9a-f]+>/gi)) codeLengths.add(Math.ceil(m[1].length / 2));
+    }
+    for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            map.set(parseInt(m[1], 16), utf16be(Buffer.from(m[2], 'hex').toString('latin1')));
+            codeLengths.add(Math.ceil(m[1].length / 2));
+        }
+    }
+    for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const m of block[1].matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+            const lo = parseInt(m[1], 16);
+            const hi = parseInt(m[2], 16);
+            codeLengths.add(Math.ceil(m[1].length / 2));
+            if (m[3].startsWith('[')) {
+                const targets = [...m[3].matchAll(/<([0-9a-f]*)>/gi)].map(t => utf16be(Buffer.from(t[1], 'hex').toString('latin1')));
+                targets.forEach((target, i) => { if (lo + i <= hi) map.set(lo + i, target); });
+            } else {
+                const start = Buffer.from(m[3].slice(1, -1), 'hex');
+                for (let code = lo; code <= hi && code - lo < 65536; code++) {
+                    // Increment the last byte of the destination for each code in the range
+                    const dest = Buffer.from(start);
+                    let carry = code - lo;
+                    for (let i = dest.length - 1; i >= 0 && carry; i--) {
+                        const sum = dest[i] + carry;
+                        dest[i] = sum & 0xff;
+                        carry = sum >> 8;
+                    }
+                    map.set(code, utf16be(dest.toString('latin1')));
+                }
+            }
+        }
+    }
+    return { map, codeLengths: [...codeLengths].sort((a, b) => a - b) };
+}
+
+/**
+ * Encoding built into an embedded Type1 font program ("dup 12 /fi put"),
+ * used by TeX fonts that don't declare an /Encoding
+ */
+function builtinEncoding(doc, dict) {
+    const descriptor = doc.deref(dict.FontDescriptor);
+    const file = descriptor && doc.deref(descriptor.FontFile);
+    if (!file?.stream) return null;
+    const data = doc.decodeStream(file);
+    if (!data) return null;
+    const cleartext = data.toString('latin1', 0, Math.min(data.length, doc.deref(file.dict.Length1) || data.length));
+    if (/\/Encoding\s+StandardEncoding\s+def/.test(cleartext)) return STANDARD;
+
+    const table = new Array(256).fill('');
+    let found = false;
+    for (const m of cleartext.matchAll(/dup\s+(\d+)\s*\/([^\s\/\[\]{}()<>]+)\s+put/g)) {
+        const code = Number(m[1]);
+        if (code < 256) {
+            table[code] = glyphToUnicode(m[2]);
+            found = true;
+        }
+    }
+    return found ? table : null;
+}
+
+/**
+ * Everything needed to turn a shown string into text and advance widths
+ */
+function loadFont(doc, dict) {
+    const subtype = doc.deref(dict.Subtype)?.name;
+    const font = {
+        composite: subtype === 'Type0',
+        codeLengths: [1],
+        toUnicode: null,
+        encoding: null,
+        widths: new Map(),
+        defaultWidth: 500,
+        spaceCode: 32
+    };
+
+    const toUnicode = doc.deref(dict.ToUnicode);
+    if (toUnicode?.stream) {
+        const data = doc.decodeStream(toUnicode);
+        if (data) {
+            const cmap = parseCMap(data.toString('latin1'));
+            font.toUnicode = cmap.map;
+            if (font.composite && cmap.codeLengths.length) font.codeLengths = cmap.codeLengths;
+        }
+    }
+
+    if (font.composite) {
+        const encoding = doc.deref(dict.Encoding);
+        if (encoding?.stream) {
+            const data = doc.decodeStream(encoding);
+            const lengths = data ? parseCMap(data.toString('latin1')).codeLengths : [];
+            font.codeLengths = lengths.length ? lengths : [2];
+        } else if (/^Identity/.test(encoding?.name || '') || !font.toUnicode) {
+            font.codeLengths = [2];
+        }
+        const descendant = doc.deref((doc.deref(dict.DescendantFonts) || [])[0]) || {};
+        font.defaultWidth = doc.deref(descendant.DW) ?? 1000;
+        const w = doc.deref(descendant.W) || [];
+        for (let i = 0; i < w.length;) {
+            const first = doc.deref(w[i]);
+            const next = doc.deref(w[i + 1]);
+            if (Array.isArray(next)) {
+                next.forEach((width, j) => font.widths.set(first + j, doc.deref(width)));
+                i += 2;
+            } else {
+                const width = doc.deref(w[i + 2]);
+                for (let c = first; c <= next && c - first < 65536; c++) font.widths.set(c, width);
+                i += 3;
+            }
+        }
+        font.spaceCode = -1;
+        return font;
+    }
+
+    // Simple font: base encoding plus /Differences
+    const encoding = doc.deref(dict.Encoding);
+    const baseName = encoding instanceof Name ? encoding.name : doc.deref(encoding?.BaseEncoding)?.name;
+    const table = [...(ENCODINGS[baseName] || builtinEncoding(doc, dict) || (subtype === 'TrueType' ? WIN_ANSI : STANDARD))];
+    const differences = encoding && !(encoding instanceof Name) ? doc.deref(encoding.Differences) || [] : [];
+    let code = 0;
+    for (const item of differences) {
+        const value = doc.deref(item);
+        if (typeof value === 'number') {
+            code = value;
+        } else if (value instanceof Name) {
+            table[code++] = glyphToUnicode(value.name);
+        }
+    }
+    font.encoding = table;
+
+    const firstChar = doc.deref(dict.FirstChar) || 0;
+    (doc.deref(dict.Widths) || []).forEach((width, i) => font.widths.set(firstChar + i, doc.deref(width)));
+    const descriptor = doc.deref(dict.FontDescriptor);
+    const missing = descriptor ? doc.deref(descriptor.MissingWidth) : null;
+    if (missing) font.defaultWidth = missing;
+    return font;
+}
+
+/**
+ * Split a shown string into {code, text, width} glyphs
+ */
+function decodeString(font, bytes) {
+    const glyphs = [];
+    if (!font) {
+        for (const ch of bytes) glyphs.push({ code: ch.charCodeAt(0), text: ch, width: 500 });
+        return glyphs;
+    }
+    for (let i = 0; i < bytes.length;) {
+        let length = font.codeLengths[0];
+        let code = bytesToCode(bytes.slice(i, i + length));
+        // Multi-length code spaces: prefer the length that has a mapping
+        for (const candidate of font.codeLengths.slice(1)) {
+            if (font.toUnicode?.has(code)) break;
+            length = candidate;
+            code = bytesToCode(bytes.slice(i, i + length));
+        }
+        i += length;
+        let text = font.toUnicode?.get(code);
+        if (text === undefined) text = font.encoding ? font.encoding[code] || '' : '';
+        glyphs.push({ code, text, width: font.widths.get(code) ?? font.defaultWidth });
+    }
+    return glyphs;
+}
+
+// ──────────────────────── Content streams ────────────────────────
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5]
+    ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Run the text operators of a content stream, collecting positioned runs
+ * {text, x, y, endX, size} in device space.
+ */
+function collectRuns(doc, content, resources, ctm, runs, depth = 0) {
+    const lexer = new Lexer(content);
+    const stack = [];
+    let operands = [];
+    let state = { ctm, font: null, fontSize: 1, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+
+    const fontDicts = doc.deref(resources?.Font) || {};
+    const xobjects = doc.deref(resources?.XObject) || {};
+
+    const moveLine = (tx, ty) => {
+        tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+    };
+
+    const show = (bytes) => {
+        const glyphs = decodeString(state.font, bytes);
+        const trm = multiply(tm, state.ctm);
+        const size = state.fontSize * Math.hypot(trm[2], trm[3]);
+        let advance = 0;
+        let text = '';
+        for (const g of glyphs) {
+            text += g.text;
+            advance += (g.width / 1000 * state.fontSize + state.charSpacing + (g.code === state.font?.spaceCode || (!state.font && g.code === 32) ? state.wordSpacing : 0)) * state.scale;
+        }
+        const start = multiply([1, 0, 0, 1, 0, state.rise], trm);
+        tm = multiply([1, 0, 0, 1, advance, 0], tm);
+        const end = multiply(tm, state.ctm);
+        if (text) runs.push({ text, x: start[4], y: start[5], endX: end[4], size: Math.abs(size) || 1 });
+    };
+
+    for (let token = lexer.next(); token !== undefined; token = lexer.next()) {
+        if (!(token instanceof Op)) {
+            operands.push(token);
+            continue;
+        }
+        const args = operands;
+        operands = [];
+        const num = (i) => (typeof args[i] === 'number' ? args[i] : 0);
+
+        switch (token.op) {
+            case 'q':
+                stack.push(state);
+                state = { ...state };
+                break;
+            case 'Q':
+                if (stack.length) state = stack.pop();
+                break;
+            case 'cm':
+                state.ctm = multiply(args.slice(0, 6).map((_, i) => num(i)), state.ctm);
+                break;
+            case 'BT':
+                tm = tlm = IDENTITY;
+                break;
+            case 'Tf': {
+                const ref = args[0] instanceof Name ? fontDicts[args[0].name] : null;
+                state.font = ref ? doc.font(ref) : null;
+                state.fontSize = num(1);
+                break;
+            }
+            case 'Tc': state.charSpacing = num(0); break;
+            case 'Tw': state.wordSpacing = num(0); break;
+            case 'Tz': state.scale = num(0) / 100; break;
+            case 'TL': state.leading = num(0); break;
+            case 'Ts': state.rise = num(0); break;
+            case 'Td': moveLine(num(0), num(1)); break;
+            case 'TD':
+                state.leading = -num(1);
+                moveLine(num(0), num(1));
+                break;
+            case 'Tm':
+                tm = tlm = args.slice(0, 6).map((_, i) => num(i));
+                break;
+            case 'T*': moveLine(0, -state.leading); break;
+            case 'Tj':
+                if (typeof args[0] === 'string') show(args[0]);
+                break;
+            case "'":
+                moveLine(0, -state.leading);
+                if (typeof args[0] === 'string') show(args[0]);
+                break;
+            case '"':
+                state.wordSpacing = num(0);
+                state.charSpacing = num(1);
+                moveLine(0, -state.leading);
+                if (typeof args[2] === 'string') show(args[2]);
+                break;
+            case 'TJ':
+                for (const item of Array.isArray(args[0]) ? args[0] : []) {
+                    if (typeof item === 'string') show(item);
+                    else if (typeof item === 'number') tm = multiply([1, 0, 0, 1, -item / 1000 * state.fontSize * state.scale, 0], tm);
+                }
+                break;
+            case 'Do': {
+                const xobject = args[0] instanceof Name ? doc.deref(xobjects[args[0].name]) : null;
+                if (!xobject?.stream || doc.deref(xobject.dict.Subtype)?.name !== 'Form' || depth >= MAX_FORM_DEPTH) break;
+                const data = doc.decodeStream(xobject);
+                if (!data) break;
+                const matrix = doc.deref(xobject.dict.Matrix);
+                const formCtm = Array.isArray(matrix) && matrix.length === 6 ? multiply(matrix.map(v => doc.deref(v)), state.ctm) : state.ctm;
+                collectRuns(doc, data.toString('latin1'), doc.deref(xobject.dict.Resources) || resources, formCtm, runs, depth + 1);
+                break;
+            }
+            case 'BI': {
+                // Inline image: skip the binary data up to "EI"
+                const id = content.indexOf('ID', lexer.pos);
+                const ei = id < 0 ? -1 : content.slice(id + 3).search(/\sEI(?=[\s]|$)/);
+                lexer.pos = ei < 0 ? content.length : id + 3 + ei + 3;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+}
+
+/**
+ * Join runs into lines: a vertical move starts a new line (a blank line for
+ * a paragraph-sized gap), a horizontal gap becomes a space.
+ */
+function runsToText(runs) {
+    let out = '';
+    let prev = null;
+    let lineStep = null; // vertical distance of the last ordinary line break
+    for (const run of runs) {
+        if (prev) {
+            const lineHeight = Math.max(prev.size, run.size);
+            const dy = Math.abs(run.y - prev.y);
+            if (dy > lineHeight * 0.5) {
+                const paragraphBreak = dy > lineHeight * 1.45 && (lineStep === null || dy > lineStep * 1.2);
+                out += paragraphBreak ? '\n\n' : '\n';
+                if (!paragraphBreak) lineStep = dy;
+            } else if (run.x - prev.endX > run.size * 0.15 && !/\s$/.test(out) && !/^\s/.test(run.text)) {
+                out += ' ';
+            }
+        }
+        out += run.text;
+        prev = run;
+    }
+    return out
+        .replace(/[ﬀ-ﬆ]/g, ch => ch.normalize('NFKC'))
+        .replace(/[ \t ]+\n/g, '\n')
+        .replace(/[ \t ]{2,}/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Extract text from a PDF
+ *
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {{text: string, pages: string[]}} Page texts; `text` joins them with form feeds
+ * @throws {PdfReadError} Not a PDF, or encrypted
+ */
+function extractPdfText(buffer) {
+    let doc;
+    try {
+        doc = new PdfDocument(buffer);
+    } catch (err) {
+        if (err instanceof PdfReadError) throw err;
+        throw new PdfReadError(`Could not parse PDF: ${err.message}`, { cause: err });
+    }
+
+    const pages = doc.pages().map(({ dict, resources }) => {
+        const runs = [];
+        try {
+            collectRuns(doc, doc.contentOf(dict), resources, IDENTITY, runs);
+        } catch {
+            // Keep whatever text was collected before the damaged part of the page
+        }
+        return runsToText(runs);
+    });
+    return { text: pages.join('\n\f\n'), pages };
+}
+
+module.exports = { extractPdfText, glyphToUnicode, parseCMap, PdfDocument, Ref, Name, WIN_ANSI };
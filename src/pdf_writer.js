@@ -0,0 +1,437 @@
+const zlib = require('zlib');
+const { WIN_ANSI, Ref, Name } = require('./pdf_text');
+
+/**
+ * Minimal PDF writer.
+ *
+ * Pages are drawn with text, filled rectangles and lines in the standard 14
+ * Times and Helvetica fonts (WinAnsiEncoding), so nothing has to be embedded
+ * and text stays extractable. Widths come from the Adobe font metrics and are
+ * used for line breaking and justification.
+ *
+ * Coordinates are PDF points with the origin at the bottom-left of the page.
+ */
+
+// A4 in points
+const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+    serif: { resource: 'F1', baseFont: 'Times-Roman', family: 'serif' },
+    serifBold: { resource: 'F2', baseFont: 'Times-Bold', family: 'serif' },
+    serifItalic: { resource: 'F3', baseFont: 'Times-Italic', family: 'serif' },
+    sans: { resource: 'F4', baseFont: 'Helvetica', family: 'sans' },
+    sansBold: { resource: 'F5', baseFont: 'Helvetica-Bold', family: 'sans' }
+};
+
+// Advance widths (1/1000 em) of the printable ASCII range, space (32) to tilde (126)
+const ASCII_WIDTHS = {
+    serif: [
+        250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+        500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+        921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+        556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+        333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+        500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+    ],
+    serifBold: [
+        250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278,
+        500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 333, 333, 570, 570, 570, 500,
+        930, 722, 667, 722, 722, 667, 611, 778, 778, 389, 500, 778, 667, 944, 722, 778,
+        611, 778, 722, 556, 667, 722, 722, 1000, 722, 722, 667, 333, 278, 333, 581, 500,
+        333, 500, 556, 444, 556, 444, 333, 500, 556, 278, 333, 556, 278, 833, 556, 500,
+        556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444, 394, 220, 394, 520
+    ],
+    serifItalic: [
+        250, 333, 420, 500, 500, 833, 778, 214, 333, 333, 500, 675, 250, 333, 250, 278,
+        500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 333, 333, 675, 675, 675, 500,
+        920, 611, 611, 667, 722, 611, 611, 722, 722, 333, 444, 667, 556, 833, 667, 722,
+        611, 722, 611, 500, 556, 722, 611, 833, 611, 556, 556, 389, 278, 389, 422, 500,
+        333, 500, 500, 444, 500, 444, 278, 500, 500, 278, 278, 444, 278, 722, 500, 500,
+        500, 500, 389, 389, 278, 500, 444, 667, 444, 444, 389, 400, 275, 400, 541
+    ],
+    sans: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    sansBold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Widths of the WinAnsi punctuation and symbols that turn up in judgments
+const SYMBOL_WIDTHS = {
+    serif: { '‘': 333, '’': 333, '“': 444, '”': 444, '•': 350, '–': 500, '—': 1000, '…': 1000, '€': 500, '§': 500, '°': 400, '©': 760, '®': 760, '™': 980, '«': 500, '»': 500, '·': 250, '¶': 453, '×': 564, '½': 750 },
+    sans: { '‘': 222, '’': 222, '“': 333, '”': 333, '•': 350, '–': 556, '—': 1000, '…': 1000, '€': 556, '§': 556, '°': 400, '©': 737, '®': 737, '™': 1000, '«': 556, '»': 556, '·': 278, '¶': 537, '×': 584, '½': 834 }
+};
+
+// Characters outside WinAnsi, replaced before encoding
+const SUBSTITUTES = { '₹': 'Rs.', '−': '-', '‐': '-', '‑': '-', '≤': '<=', '≥': '>=', '→': '->', '←': '<-', '✓': 'v', '\u200b': '', '\ufeff': '' };
+
+// Unicode character -> WinAnsi byte for the range above ASCII
+const WIN_ANSI_CODES = (() => {
+    const codes = new Map();
+    WIN_ANSI.forEach((ch, code) => {
+        if (code >= 0x80 && ch && ch.charCodeAt(0) >= 0x80 && !codes.has(ch)) codes.set(ch, code);
+    });
+    return codes;
+})();
+
+/**
+ * Map text onto the characters the standard fonts can show
+ */
+function toWinAnsi(text) {
+    let out = '';
+    for (const ch of String(text ?? '')) {
+        const code = ch.codePointAt(0);
+        if (code >= 32 && code < 127) out += ch;
+        else if (WIN_ANSI_CODES.has(ch)) out += ch;
+        else if (SUBSTITUTES[ch] !== undefined) out += SUBSTITUTES[ch];
+        else if (ch === '\t' || ch === '\u00a0') out += ' ';
+        else {
+            // Accented letters outside Latin-1 lose their accents; anything else becomes "?"
+            const base = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            out += base && [...base].every(c => c.charCodeAt(0) < 127 || WIN_ANSI_CODES.has(c)) ? base : '?';
+        }
+    }
+    return out;
+}
+
+function charWidth(ch, fontKey) {
+    const code = ch.charCodeAt(0);
+    if (code >= 32 && code < 127) return ASCII_WIDTHS[fontKey][code - 32];
+    const family = FONTS[fontKey].family;
+    if (SYMBOL_WIDTHS[family][ch]) return SYMBOL_WIDTHS[family][ch];
+    const base = ch.normalize('NFD')[0];
+    if (base && base.charCodeAt(0) >= 32 && base.charCodeAt(0) < 127) return ASCII_WIDTHS[fontKey][base.charCodeAt(0) - 32];
+    return family === 'serif' ? 500 : 556;
+}
+
+/**
+ * Width of text in points. Text should already have been through toWinAnsi.
+ */
+function measure(text, fontKey, size) {
+    let units = 0;
+    for (const ch of text) units += charWidth(ch, fontKey);
+    return units * size / 1000;
+}
+
+function pdfString(text) {
+    let out = '(';
+    for (const ch of text) {
+        const code = ch.charCodeAt(0) < 0x80 ? ch.charCodeAt(0) : WIN_ANSI_CODES.get(ch) ?? 63;
+        if (code === 0x28 || code === 0x29 || code === 0x5c) out += `\\${ch}`;
+        else if (code < 0x80) out += ch;
+        else out += `\\${code.toString(8).padStart(3, '0')}`;
+    }
+    return `${out})`;
+}
+
+// Text strings (document info, bookmarks): UTF-16BE with BOM so any Unicode survives
+function pdfTextString(text) {
+    const units = [0xfe, 0xff];
+    for (const ch of String(text ?? '')) {
+        const code = ch.codePointAt(0);
+        const pairs = code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code];
+        for (const unit of pairs) units.push(unit >> 8, unit & 0xff);
+    }
+    return Buffer.from(units).toString('latin1');
+}
+
+function num(n) {
+    return Number.isInteger(n) ? String(n) : n.toFixed(2).replace(/\.?0+$/, '');
+}
+
+/**
+ * "#1f3864" -> "0.122 0.22 0.392"
+ */
+function rgb(color) {
+    const hex = String(color || '#000000').replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex.padEnd(6, '0');
+    return [0, 2, 4].map(i => num(Math.round(parseInt(full.slice(i, i + 2), 16) / 255 * 1000) / 1000)).join(' ');
+}
+
+
+/**
+ * Serialize a value built from pdf_text's Ref / Name, numbers, strings
+ * (latin1 bytes, written as hex), arrays and plain-object dictionaries
+ */
+function serialize(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number') return num(value);
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'string') return `<${Buffer.from(value, 'latin1').toString('hex')}>`;
+    if (value instanceof Ref) return `${value.num} ${value.gen} R`;
+    if (value instanceof Name) return `/${value.name.replace(/[^!-~]|[#()<>[\]{}/%]/g, c => `#${c.charCodeAt(0).toString(16).padStart(2, '0')}`)}`;
+    if (Array.isArray(value)) return `[${value.map(serialize).join(' ')}]`;
+    return `<< ${Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => `${serialize(new Name(k))} ${serialize(v)}`).join(' ')} >>`;
+}
+
+/**
+ * One page's content stream
+ */
+class PdfPage {
+    constructor(id, width, height) {
+        this.id = id;
+        this.width = width;
+        this.height = height;
+        this.ops = [];
+        this.links = [];
+    }
+
+    /**
+     * Draw text with its baseline at y
+     */
+    text(text, x, y, { font = 'serif', size = 11, color = '#000000' } = {}) {
+        const encoded = toWinAnsi(text);
+        if (!encoded) return this;
+        this.ops.push(`BT /${FONTS[font].resource} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(y)} Td ${pdfString(encoded)} Tj ET`);
+        return this;
+    }
+
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+        const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+        const colors = [fill && `${rgb(fill)} rg`, stroke && `${rgb(stroke)} RG`].filter(Boolean).join(' ');
+        this.ops.push(`q ${colors} ${num(lineWidth)} w ${num(x)} ${num(y)} ${num(width)} ${num(height)} re ${paint} Q`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 0.5 } = {}) {
+        this.ops.push(`q ${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S Q`);
+        return this;
+    }
+
+    /**
+     * Make a rectangle a link to another page of the document
+     */
+    link(x, y, width, height, target) {
+        this.links.push({ rect: [x, y, x + width, y + height], target });
+        return this;
+    }
+}
+
+/**
+ * A page copied from another PDF. Drawing on it adds an overlay on top of
+ * the original content (e.g. bundle page numbers).
+ */
+class ImportedPage extends PdfPage {
+    constructor(id, dict, box) {
+        super(id, box[2] - box[0], box[3] - box[1]);
+        this.dict = dict;
+        this.origin = [box[0], box[1]];
+    }
+}
+
+/**
+ * A PDF document built page by page
+ */
+class PdfWriter {
+    /**
+     * @param {object} info
+     * @param {string} info.title
+     * @param {string} info.author
+     * @param {string} info.subject
+     */
+    constructor(info = {}) {
+        this.info = info;
+        this.pages = [];
+        this.outlines = [];
+        // Object numbers: 1 catalog, 2 page tree, then the fonts; the rest are allocated as needed
+        this.objects = [null, null, null];
+        this.fontIds = {};
+        for (const key of Object.keys(FONTS)) this.fontIds[key] = this.allocate();
+    }
+
+    allocate(value = null) {
+        this.objects.push(value);
+        return this.objects.length - 1;
+    }
+
+    addPage({ width = PAGE_SIZE.width, height = PAGE_SIZE.height } = {}) {
+        const page = new PdfPage(this.allocate(), width, height);
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * Copy pages from a parsed PDF, with everything they reference
+     *
+     * @param {import('./pdf_text').PdfDocument} doc
+     * @returns {ImportedPage[]}
+     */
+    importPages(doc) {
+        const sourcePages = doc.pages();
+        const mapped = new Map(); // source object number -> our object number
+        const pageIds = new Map();
+        for (const { num } of sourcePages) {
+            const id = this.allocate();
+            if (num !== null) mapped.set(num, id);
+            pageIds.set(num, id);
+        }
+
+        const copy = (value) => {
+            if (value instanceof Ref) {
+                if (mapped.has(value.num)) return new Ref(mapped.get(value.num), 0);
+                const target = doc.get(value.num);
+                // Links back into the source page tree (e.g. an annotation's /P) are dropped
+                if (target && typeof target === 'object' && !target.stream && doc.deref(target.Type)?.name === 'Pages') return null;
+                const id = this.allocate();
+                mapped.set(value.num, id);
+                this.objects[id] = copy(target);
+                return new Ref(id, 0);
+            }
+            if (value && value.stream) {
+                return { dict: { ...copy(value.dict), Length: value.raw.length }, stream: value.raw };
+            }
+            if (Array.isArray(value)) return value.map(copy);
+            if (value && typeof value === 'object' && !(value instanceof Name)) {
+                return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, copy(v)]));
+            }
+            return value;
+        };
+
+        return sourcePages.map(({ dict, resources, num, inherited }) => {
+            const { Parent, B, Resources, MediaBox, CropBox, Rotate, ...rest } = dict;
+            const box = (inherited.MediaBox || [0, 0, PAGE_SIZE.width, PAGE_SIZE.height]).map(v => doc.deref(v));
+            const page = new ImportedPage(pageIds.get(num), {
+                ...copy(rest),
+                Resources: copy(resources || {}),
+                MediaBox: box,
+                ...(inherited.CropBox && { CropBox: inherited.CropBox.map(v => doc.deref(v)) }),
+                ...(inherited.Rotate && { Rotate: inherited.Rotate })
+            }, box);
+            this.pages.push(page);
+            return page;
+        });
+    }
+
+    /**
+     * Add a bookmark
+     *
+     * @param {string} title
+     * @param {PdfPage} page - Page it opens
+     * @param {object} parent - Bookmark returned by an earlier call, to nest under it
+     * @returns {object} The bookmark
+     */
+    addOutline(title, page, parent = null) {
+        const item = { title, page, children: [] };
+        (parent ? parent.children : this.outlines).push(item);
+        return item;
+    }
+
+    writeOutlines() {
+        if (this.outlines.length === 0) return null;
+        const rootId = this.allocate();
+        const count = items => items.reduce((n, item) => n + 1 + count(item.children), 0);
+        const place = (items, parentId) => {
+            const ids = items.map(() => this.allocate());
+            items.forEach((item, i) => {
+                const childIds = place(item.children, ids[i]);
+                this.objects[ids[i]] = {
+                    Title: pdfTextString(item.title),
+                    Parent: new Ref(parentId, 0),
+                    Dest: [new Ref(item.page.id, 0), new Name('Fit')],
+                    ...(i > 0 && { Prev: new Ref(ids[i - 1], 0) }),
+                    ...(i < ids.length - 1 && { Next: new Ref(ids[i + 1], 0) }),
+                    ...(childIds.length && { First: new Ref(childIds[0], 0), Last: new Ref(childIds[childIds.length - 1], 0), Count: -count(item.children) })
+                };
+            });
+            return ids;
+        };
+        const top = place(this.outlines, rootId);
+        this.objects[rootId] = { Type: new Name('Outlines'), First: new Ref(top[0], 0), Last: new Ref(top[top.length - 1], 0), Count: count(this.outlines) };
+        return rootId;
+    }
+
+    /**
+     * Serialize the document
+     *
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        if (this.pages.length === 0) this.addPage();
+        const ref = id => new Ref(id, 0);
+
+        for (const [key, font] of Object.entries(FONTS)) {
+            // Widths are optional for the standard fonts, but text extractors rely on them
+            const widths = WIN_ANSI.slice(32, 256).map(ch => (ch ? charWidth(ch, key) : 0));
+            this.objects[this.fontIds[key]] = {
+                Type: new Name('Font'), Subtype: new Name('Type1'), BaseFont: new Name(font.baseFont),
+                Encoding: new Name('WinAnsiEncoding'), FirstChar: 32, LastChar: 255, Widths: widths
+            };
+        }
+        const fontResources = Object.fromEntries(Object.entries(FONTS).map(([key, font]) => [font.resource, ref(this.fontIds[key])]));
+        const stream = (ops) => ({ dict: { Filter: new Name('FlateDecode') }, stream: zlib.deflateSync(Buffer.from(ops, 'latin1')) });
+        const annotations = page => page.links.map(({ rect, target }) => ({
+            Type: new Name('Annot'), Subtype: new Name('Link'), Rect: rect, Border: [0, 0, 0], Dest: [ref(target.id), new Name('Fit')]
+        }));
+
+        for (const page of this.pages) {
+            if (page instanceof ImportedPage) {
+                const dict = { ...page.dict };
+                if (page.ops.length || page.links.length) {
+                    // Wrap the original content in q/Q so the overlay starts from a clean graphics state
+                    const original = [].concat(dict.Contents || []);
+                    const overlay = `Q\nq 1 0 0 1 ${num(page.origin[0])} ${num(page.origin[1])} cm\n${page.ops.join('\n')}\nQ`;
+                    dict.Contents = [ref(this.allocate(stream('q'))), ...original, ref(this.allocate(stream(overlay)))];
+                    // Our fonts under names that can't clash with the page's own
+                    const resources = dict.Resources instanceof Ref ? this.objects[dict.Resources.num] : dict.Resources;
+                    const fonts = resources.Font instanceof Ref ? this.objects[resources.Font.num] : resources.Font;
+                    dict.Resources = { ...resources, Font: { ...fonts, ...fontResources } };
+                    if (page.links.length) dict.Annots = [...[].concat(dict.Annots || []), ...annotations(page)];
+                }
+                this.objects[page.id] = { ...dict, Type: new Name('Page'), Parent: ref(2) };
+                continue;
+            }
+            this.objects[page.id] = {
+                Type: new Name('Page'), Parent: ref(2), MediaBox: [0, 0, page.width, page.height],
+                Resources: { Font: fontResources },
+                Contents: ref(this.allocate(stream(page.ops.join('\n')))),
+                ...(page.links.length && { Annots: annotations(page) })
+            };
+        }
+
+        const outlinesId = this.writeOutlines();
+        this.objects[1] = { Type: new Name('Catalog'), Pages: ref(2), ...(outlinesId && { Outlines: ref(outlinesId), PageMode: new Name('UseOutlines') }) };
+        this.objects[2] = { Type: new Name('Pages'), Kids: this.pages.map(p => ref(p.id)), Count: this.pages.length };
+
+        const info = { Title: this.info.title, Author: this.info.author, Subject: this.info.subject, Producer: 'WorkflowIQ Casebot' };
+        const infoId = this.allocate({
+            ...Object.fromEntries(Object.entries(info).filter(([, v]) => v).map(([k, v]) => [k, pdfTextString(v)])),
+            CreationDate: `D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`
+        });
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let offset = chunks[0].length;
+        const offsets = [];
+        for (let id = 1; id < this.objects.length; id++) {
+            const obj = this.objects[id];
+            let body;
+            if (obj && obj.stream) {
+                const dict = serialize({ ...obj.dict, Length: obj.stream.length });
+                body = Buffer.concat([Buffer.from(`${id} 0 obj\n${dict}\nstream\n`, 'latin1'), obj.stream, Buffer.from('\nendstream\nendobj\n', 'latin1')]);
+            } else {
+                body = Buffer.from(`${id} 0 obj\n${serialize(obj)}\nendobj\n`, 'latin1');
+            }
+            offsets[id] = offset;
+            chunks.push(body);
+            offset += body.length;
+        }
+
+        const xref = [`xref\n0 ${this.objects.length}\n0000000000 65535 f \n`];
+        for (let id = 1; id < this.objects.length; id++) xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        xref.push(`trailer\n<< /Size ${this.objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+        chunks.push(Buffer.from(xref.join(''), 'latin1'));
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PdfWriter, PdfPage, ImportedPage, measure, toWinAnsi, FONTS, PAGE_SIZE };
@@ -0,0 +1,200 @@
+const EventEmitter = require('events');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+/**
+ * Central request scheduler for all Centax traffic.
+ *
+ * Every upstream call is queued here and released by a token bucket, so
+ * concurrent analyses, previews and batch downloads share one rate budget.
+ * Interactive calls (previews, single downloads) are always released before
+ * bulk calls (analysis fetches, batch downloads). A 409/429 halves the rate
+ * and pauses the queue; the rate recovers gradually as calls succeed.
+ */
+
+const PRIORITIES = ['interactive', 'bulk'];
+
+const BASE_RATE = parseFloat(process.env.CENTAX_RATE_PER_SEC) || 1.25; // tokens per second
+const BURST = parseInt(process.env.CENTAX_RATE_BURST) || 3;
+const MAX_CONCURRENT = parseInt(process.env.CENTAX_MAX_CONCURRENT) || 2;
+const MIN_RATE = BASE_RATE / 16;
+
+// Backoff after a rate-limit response when the server gives no Retry-After
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 30000;
+
+// Successful calls needed before the rate steps back up towards BASE_RATE
+const RECOVERY_STREAK = 10;
+
+const events = new EventEmitter();
+
+const queues = { interactive: [], bulk: [] };
+const state = {
+    tokens: BURST,
+    rate: BASE_RATE,
+    lastRefill: Date.now(),
+    pausedUntil: 0,
+    inFlight: 0,
+    successStreak: 0,
+    consecutiveRateLimits: 0,
+    timer: null
+};
+const stats = {
+    completed: 0,
+    failed: 0,
+    rateLimited: 0,
+    backoffs: 0,
+    totalWaitMs: { interactive: 0, bulk: 0 },
+    released: { interactive: 0, bulk: 0 }
+};
+
+function refill() {
+    const now = Date.now();
+    state.tokens = Math.min(BURST, state.tokens + ((now - state.lastRefill) / 1000) * state.rate);
+    state.lastRefill = now;
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) from an axios error, in ms
+ */
+function retryAfterMs(err) {
+    const header = err.response?.headers?.['retry-after'];
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function onRateLimited(err) {
+    stats.rateLimited++;
+    stats.backoffs++;
+    state.successStreak = 0;
+    state.consecutiveRateLimits++;
+    state.rate = Math.max(MIN_RATE, state.rate / 2);
+
+    const delayMs = retryAfterMs(err) ??
+        Math.min(BACKOFF_BASE_MS * Math.pow(2, state.consecutiveRateLimits - 1), BACKOFF_MAX_MS);
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delayMs);
+    state.tokens = 0;
+
+    console.log(`  ⏳ Centax rate limit (${err.response.status}) — pausing ${(delayMs / 1000).toFixed(0)}s, rate now ${state.rate.toFixed(2)}/s`);
+    events.emit('backoff', { status: err.response.status, delayMs, rate: state.rate });
+}
+
+function onSuccess() {
+    state.consecutiveRateLimits = 0;
+    state.successStreak++;
+    if (state.rate < BASE_RATE && state.successStreak >= RECOVERY_STREAK) {
+        state.rate = Math.min(BASE_RATE, state.rate * 1.5);
+        state.successStreak = 0;
+    }
+}
+
+function nextTask() {
+    for (const p of PRIORITIES) {
+        if (queues[p].length > 0) return queues[p].shift();
+    }
+    return null;
+}
+
+function queuedCount() {
+    return PRIORITIES.reduce((n, p) => n + queues[p].length, 0);
+}
+
+/**
+ * Release as many queued tasks as tokens, concurrency and backoff allow,
+ * then arm a timer for the next release
+ */
+function pump() {
+    if (state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+
+    while (queuedCount() > 0 && state.inFlight < MAX_CONCURRENT) {
+        const now = Date.now();
+        if (now < state.pausedUntil) break;
+        refill();
+        if (state.tokens < 1) break;
+
+        state.tokens -= 1;
+        run(nextTask());
+    }
+
+    if (queuedCount() > 0 && state.inFlight < MAX_CONCURRENT) {
+        const now = Date.now();
+        const waitForPause = Math.max(0, state.pausedUntil - now);
+        const waitForToken = state.tokens >= 1 ? 0 : ((1 - state.tokens) / state.rate) * 1000;
+        state.timer = setTimeout(pump, Math.max(waitForPause, waitForToken, 10));
+    }
+}
+
+async function run(task) {
+    state.inFlight++;
+    stats.released[task.priority]++;
+    stats.totalWaitMs[task.priority] += Date.now() - task.enqueuedAt;
+
+    try {
+        const result = await task.fn();
+        stats.completed++;
+        onSuccess();
+        task.resolve(result);
+    } catch (err) {
+        stats.failed++;
+        const status = err.response?.status;
+        if (status === 409 || status === 429) onRateLimited(err);
+        task.reject(err);
+    } finally {
+        state.inFlight--;
+        pump();
+    }
+}
+
+/**
+ * Queue an upstream call
+ *
+ * @param {Function} fn - Async function that performs one HTTP request
+ * @param {object} options
+ * @param {string} options.priority - 'interactive' or 'bulk' (default: 'bulk')
+ * @param {string} options.label - Optional label for logging
+ * @returns {Promise<*>} Resolves/rejects with fn's result
+ */
+function schedule(fn, options = {}) {
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : 'bulk';
+    return new Promise((resolve, reject) => {
+        queues[priority].push({ fn, priority, label: options.label || '', enqueuedAt: Date.now(), resolve, reject });
+        pump();
+    });
+}
+
+/**
+ * Snapshot of queue depth, rate and counters
+ */
+function getSchedulerStats() {
+    refill();
+    const now = Date.now();
+    const avgWait = (p) => stats.released[p] ? Math.round(stats.totalWaitMs[p] / stats.released[p]) : 0;
+    return {
+        queued: { interactive: queues.interactive.length, bulk: queues.bulk.length },
+        inFlight: state.inFlight,
+        maxConcurrent: MAX_CONCURRENT,
+        rate: Number(state.rate.toFixed(3)),
+        baseRate: BASE_RATE,
+        burst: BURST,
+        tokens: Number(state.tokens.toFixed(2)),
+        pausedMs: Math.max(0, state.pausedUntil - now),
+        completed: stats.completed,
+        failed: stats.failed,
+        rateLimited: stats.rateLimited,
+        backoffs: stats.backoffs,
+        avgWaitMs: { interactive: avgWait('interactive'), bulk: avgWait('bulk') }
+    };
+}
+
+module.exports = {
+    schedule,
+    getSchedulerStats,
+    schedulerEvents: events,
+    PRIORITIES
+};
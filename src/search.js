@@ -1,32 +1,153 @@
 const axios = require('axios');
 const { authenticatedRequest, buildHeaders } = require('./auth');
+const { BASE_URL } = require('./config');
+const { UpstreamError, InvalidQueryError } = require('./errors');
+const { fromSearchItem } = require('./case_metadata');
 
-const BASE_URL = 'https://api.centaxonline.com';
+/**
+ * Structured search query, mirroring the Centax advanced search form.
+ *
+ * @typedef {object} SearchQuery
+ * @property {string} text - Plain keywords (all of these words)
+ * @property {string} exact - Exact phrase
+ * @property {string} anyOf - Any of these words
+ * @property {string} exclude - None of these words
+ * @property {string|string[]} party - Name(s) of party
+ * @property {string|string[]} judge - Judge name(s)
+ * @property {string|string[]} appealNo - Appeal / case number(s)
+ * @property {string} from - Decision date from (YYYY-MM-DD or DD-MM-YYYY)
+ * @property {string} to - Decision date to (YYYY-MM-DD or DD-MM-YYYY)
+ * @property {boolean} exclusiveOnly - Only Centax-exclusive documents (isExcusSearch)
+ */
+
+const ADVANCED_FIELDS = ['exact', 'anyOf', 'exclude', 'party', 'judge', 'appealNo', 'from', 'to', 'exclusiveOnly'];
+
+// Centax silently caps pageSize at 20 — larger requests still return 20 items
+const MAX_PAGE_SIZE = 20;
+// Hard stop for searchAll so a runaway query can't walk the whole database
+const MAX_PAGES = parseInt(process.env.CENTAX_SEARCH_MAX_PAGES) || 20;
+// Extra attempts per page for transient upstream failures
+const PAGE_RETRIES = 2;
+
+/**
+ * Parse a decision date into YYYY-MM-DD
+ */
+function normalizeDate(value, field) {
+    if (!value) return '';
+    const str = String(value).trim();
+    let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let ymd = m ? [m[1], m[2], m[3]] : null;
+    if (!ymd) {
+        m = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        if (m) ymd = [m[3], m[2], m[1]];
+    }
+    if (!ymd) {
+        throw new InvalidQueryError(`Invalid "${field}" date "${str}"`, { hint: 'Use YYYY-MM-DD or DD-MM-YYYY.' });
+    }
+
+    const [y, mo, d] = ymd.map(Number);
+    const date = new Date(Date.UTC(y, mo - 1, d));
+    if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) {
+        throw new InvalidQueryError(`Invalid "${field}" date "${str}"`, { hint: 'Use YYYY-MM-DD or DD-MM-YYYY.' });
+    }
+    return date.toISOString().split('T')[0];
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a plain keyword string or a SearchQuery object
+ *
+ * @param {string|SearchQuery} query
+ * @returns {SearchQuery} With every field present and validated
+ */
+function normalizeQuery(query) {
+    const q = typeof query === 'string' || query === undefined || query === null ? { text: query || '' } : query;
+
+    const normalized = {
+        text: String(q.text || '').trim(),
+        exact: String(q.exact || '').trim(),
+        anyOf: String(q.anyOf || '').trim(),
+        exclude: String(q.exclude || '').trim(),
+        party: toList(q.party),
+        judge: toList(q.judge),
+        appealNo: toList(q.appealNo),
+        from: normalizeDate(q.from, 'from'),
+        to: normalizeDate(q.to, 'to'),
+        exclusiveOnly: Boolean(q.exclusiveOnly)
+    };
+
+    if (normalized.from && normalized.to && normalized.from > normalized.to) {
+        throw new InvalidQueryError(`"from" date ${normalized.from} is after "to" date ${normalized.to}`);
+    }
+    const hasCriteria = normalized.text || normalized.exact || normalized.anyOf ||
+        normalized.party.length || normalized.judge.length || normalized.appealNo.length;
+    if (!hasCriteria) {
+        throw new InvalidQueryError('Search query is empty', {
+            hint: 'Provide keywords, an exact phrase, any-of words, a party, a judge or an appeal number.'
+        });
+    }
+
+    return normalized;
+}
+
+/**
+ * Whether a query object uses any advanced-search field
+ */
+function isAdvancedQuery(query) {
+    return Boolean(query.exact || query.anyOf || query.exclude);
+}
+
+/**
+ * Human-readable one-line description of a query for logs and progress messages
+ */
+function describeQuery(query) {
+    const q = normalizeQuery(query);
+    const parts = [];
+    if (q.text) parts.push(`"${q.text}"`);
+    if (q.exact) parts.push(`exact "${q.exact}"`);
+    if (q.anyOf) parts.push(`any of "${q.anyOf}"`);
+    if (q.exclude) parts.push(`not "${q.exclude}"`);
+    if (q.party.length) parts.push(`party ${q.party.join(' / ')}`);
+    if (q.judge.length) parts.push(`judge ${q.judge.join(' / ')}`);
+    if (q.appealNo.length) parts.push(`appeal ${q.appealNo.join(' / ')}`);
+    if (q.from || q.to) parts.push(`decided ${q.from || '…'} to ${q.to || '…'}`);
+    if (q.exclusiveOnly) parts.push('exclusive only');
+    return parts.join(', ');
+}
 
 /**
  * Search for cases using the Centax API
  *
- * @param {string} query - Search keywords
+ * @param {string|SearchQuery} query - Search keywords, or a structured advanced query
  * @param {object} options - Search options
  * @param {number} options.page - Page number (default: 1)
- * @param {number} options.pageSize - Results per page (default: 20)
+ * @param {number} options.pageSize - Results per page (default: 20, capped at 20 like the API)
  * @param {string} options.sortby - Sort by 'relevance' or 'date' (default: 'relevance')
  * @param {string} options.sortorder - '1' ascending, '0' descending (default: '1')
  * @param {object} options.filter - Advanced filter object
+ * @param {string} options.priority - Scheduler priority: 'interactive' or 'bulk' (default: 'interactive')
  * @returns {Promise<{results: Array, totalCount: number, page: number, pageSize: number}>}
  */
 async function searchCases(query, options = {}) {
     const {
         page = 1,
-        pageSize = 20,
+        pageSize: requestedPageSize = 20,
         sortby = 'relevance',
         sortorder = '1',
         filter = {},
-        isheadnoteToggle = false
+        isheadnoteToggle = false,
+        priority = 'interactive'
     } = options;
 
+    const q = normalizeQuery(query);
+    const pageSize = Math.min(Math.max(parseInt(requestedPageSize) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
     const payload = {
-        searchData: query,
+        searchData: q.text,
         page,
         pageSize,
         filter: {
@@ -54,18 +175,23 @@ async function searchCases(query, options = {}) {
             rule: [],
             regulation: [],
             author: [],
-            ...filter
+            ...filter,
+            decisionDateFrom: q.from || filter.decisionDateFrom || '',
+            decisionDateTo: q.to || filter.decisionDateTo || '',
+            apealNo: q.appealNo.length ? q.appealNo : (filter.apealNo || []),
+            nameOfParty: q.party.length ? q.party : (filter.nameOfParty || []),
+            judgeName: q.judge.length ? q.judge : (filter.judgeName || [])
         },
         sortby,
         sortorder,
         advanceSearch: {
-            anyOfSearch: '',
-            exactSearch: '',
-            notIncludeSearch: ''
+            anyOfSearch: q.anyOf,
+            exactSearch: q.exact,
+            notIncludeSearch: q.exclude
         },
-        isExcusSearch: false,
+        isExcusSearch: q.exclusiveOnly,
         subjectLabelArr: [],
-        isAdvSearch: false,
+        isAdvSearch: isAdvancedQuery(q),
         isheadnoteToggle
     };
 
@@ -81,52 +207,185 @@ async function searchCases(query, options = {}) {
             const totalCount = response.data.Data.totalCount || 0;
 
             return {
-                results: results.map(r => ({
-                    id: r.Id || r.id,
-                    heading: r.heading1 || r.heading || '',
-                    citation: r.citation || '',
-                    court: r.courtName || r.court || '',
-                    date: r.date || r.decisionDate || '',
-                    summary: r.summary || r.headnote || '',
-                    parties: r.partyName || r.parties || '',
-                    act: r.actName || '',
-                    raw: r
-                })),
+                results: results.map(r => {
+                    const metadata = fromSearchItem(r);
+                    return {
+                        id: metadata.id,
+                        heading: metadata.title,
+                        citation: metadata.citation,
+                        court: metadata.court,
+                        bench: metadata.bench,
+                        date: metadata.decisionDate,
+                        summary: metadata.headnote,
+                        parties: metadata.respondent ? `${metadata.appellant} v. ${metadata.respondent}` : metadata.appellant,
+                        act: metadata.statutes.map(st => st.act).join('; '),
+                        metadata,
+                        raw: r
+                    };
+                }),
                 totalCount,
                 page,
                 pageSize
             };
         }
 
-        throw new Error('Invalid search response from Centax API');
-    });
+        throw new UpstreamError('Invalid search response from Centax API');
+    }, { priority });
+}
+
+/**
+ * Whether a failed page fetch is worth another attempt: transient upstream
+ * failures only. A RateLimitError has already waited out authenticatedRequest's
+ * cooldown rounds, so retrying it here would only stall the page further.
+ */
+function isRetryable(err) {
+    return err instanceof UpstreamError && !(err.upstreamStatus >= 400 && err.upstreamStatus < 500);
+}
+
+/**
+ * Walk search results page by page, yielding each unique case once.
+ *
+ * Stops early when `max` unique results have been yielded, the upstream total
+ * is exhausted, a page comes back empty or brings nothing new, the page cap is
+ * reached, or `signal` is aborted. Transient page failures are retried.
+ *
+ * @param {string|SearchQuery} query
+ * @param {object} options
+ * @param {number} options.max - Stop after this many unique results (default: no limit)
+ * @param {object} options.filter - Centax filter object (see searchCases)
+ * @param {string} options.sortby - 'relevance' or 'date'
+ * @param {string} options.sortorder - '1' ascending, '0' descending
+ * @param {string} options.priority - Scheduler priority (default: 'bulk')
+ * @param {number} options.maxPages - Page cap (default: CENTAX_SEARCH_MAX_PAGES or 20)
+ * @param {number} options.retries - Extra attempts per page (default: 2)
+ * @param {AbortSignal} options.signal - Abort to stop after the current page
+ * @param {Function} options.onPage - Called with { page, totalPages, totalCount, fetched, duplicates } after each page
+ * @yields {object} Search result (same shape as searchCases results)
+ */
+async function* iterateSearch(query, options = {}) {
+    const {
+        max = Infinity,
+        filter = {},
+        sortby = 'relevance',
+        sortorder = '1',
+        priority = 'bulk',
+        maxPages = MAX_PAGES,
+        retries = PAGE_RETRIES,
+        signal = null,
+        onPage = null
+    } = options;
+
+    // Validate up front so a bad query fails before any request
+    const q = normalizeQuery(query);
+    const seen = new Set();
+    let duplicates = 0;
+
+    for (let page = 1; page <= maxPages && seen.size < max; page++) {
+        if (signal?.aborted) return;
+
+        let result;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                result = await searchCases(q, { page, pageSize: MAX_PAGE_SIZE, sortby, sortorder, filter, priority });
+                break;
+            } catch (err) {
+                if (attempt >= retries || !isRetryable(err)) throw err;
+                const delay = 2000 * 2 ** attempt;
+                console.log(`⚠️  Search page ${page} failed (${err.message}), retrying in ${(delay / 1000).toFixed(0)}s...`);
+                await new Promise(r => setTimeout(r, delay));
+            }
+        }
+
+        let fresh = 0;
+        for (const r of result.results) {
+            if (seen.has(r.id)) {
+                duplicates++;
+                continue;
+            }
+            seen.add(r.id);
+            fresh++;
+            yield r;
+            if (seen.size >= max) break;
+        }
+
+        const totalPages = Math.min(maxPages, Math.ceil(Math.min(result.totalCount, max + duplicates) / MAX_PAGE_SIZE) || 1);
+        if (onPage) onPage({ page, totalPages, totalCount: result.totalCount, fetched: seen.size, duplicates });
+
+        if (fresh === 0 || result.results.length < MAX_PAGE_SIZE || page * MAX_PAGE_SIZE >= result.totalCount) return;
+    }
+}
+
+/**
+ * Collect up to `max` unique results across pages
+ *
+ * @param {string|SearchQuery} query
+ * @param {object} options - Same as iterateSearch
+ * @returns {Promise<{results: Array, totalCount: number, pages: number, duplicates: number}>}
+ */
+async function searchAll(query, options = {}) {
+    let totalCount = 0;
+    let pages = 0;
+    let duplicates = 0;
+    const results = [];
+
+    for await (const r of iterateSearch(query, {
+        ...options,
+        onPage: (info) => {
+            ({ totalCount, duplicates } = info);
+            pages = info.page;
+            if (options.onPage) options.onPage(info);
+        }
+    })) {
+        results.push(r);
+    }
+
+    if (duplicates > 0) {
+        console.log(`⚠️  Skipped ${duplicates} duplicate result(s) across pages`);
+    }
+    return { results, totalCount, pages, duplicates };
 }
 
 /**
- * Display search results in a readable format
+ * Display search results in a readable format.
+ * Results from searchAll (no `page`) are listed as one block.
  */
 function displayResults(searchResult) {
-    const { results, totalCount, page, pageSize } = searchResult;
+    const { results, totalCount } = searchResult;
+    const paged = searchResult.page !== undefined;
+    const page = paged ? searchResult.page : 1;
+    const pageSize = paged ? searchResult.pageSize : results.length;
 
     console.log(`\n${'━'.repeat(70)}`);
-    console.log(`📊 Found ${totalCount} results (showing page ${page}, ${results.length} items)`);
+    console.log(paged
+        ? `📊 Found ${totalCount} results (showing page ${page}, ${results.length} items)`
+        : `📊 Found ${totalCount} results (showing top ${results.length})`);
     console.log(`${'━'.repeat(70)}\n`);
 
     results.forEach((r, i) => {
         const num = (page - 1) * pageSize + i + 1;
         console.log(`  ${num}. ${r.heading || r.citation || r.id}`);
-        if (r.court) console.log(`     🏛  ${r.court}`);
+        if (r.citation && r.heading) console.log(`     📚 ${r.citation}`);
+        if (r.court) console.log(`     🏛  ${[r.court, r.bench].filter(Boolean).join(', ')}`);
         if (r.date) console.log(`     📅 ${r.date}`);
         if (r.parties) console.log(`     👤 ${r.parties}`);
+        if (r.metadata?.inFavourOf) console.log(`     ⚖️  In favour of ${r.metadata.inFavourOf}`);
         console.log(`     🆔 ${r.id}`);
         console.log();
     });
 
-    const totalPages = Math.ceil(totalCount / pageSize);
-    console.log(`  Page ${page}/${totalPages} | Use --page N to navigate\n`);
+    if (paged) {
+        const totalPages = Math.ceil(totalCount / pageSize);
+        console.log(`  Page ${page}/${totalPages} | Use --page N to navigate\n`);
+    }
 }
 
 module.exports = {
     searchCases,
-    displayResults
+    iterateSearch,
+    searchAll,
+    displayResults,
+    normalizeQuery,
+    describeQuery,
+    ADVANCED_FIELDS,
+    MAX_PAGE_SIZE
 };
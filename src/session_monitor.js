@@ -0,0 +1,165 @@
+const EventEmitter = require('events');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { getSession, checkSession, forceRefresh, tokenExpiresAt, listAccounts, authEvents } = require('./auth');
+const { AuthError } = require('./errors');
+
+/**
+ * Proactive Centax session keepalive.
+ *
+ * On a schedule (and on demand before large jobs) each account's session is
+ * validated with check_active_session and refreshed early when its JWT is
+ * close to expiry, so invalidated tokens are found before a batch starts
+ * rather than halfway through it.
+ *
+ * Emits 'state' events with { account, email, state, detail, expiresAt, at }:
+ *   active           — session verified by the server
+ *   expiring         — JWT expires within the refresh window
+ *   reauthenticating — logging in again
+ *   locked_out       — login failed (bad credentials, seat locked, server refused)
+ */
+
+const CHECK_INTERVAL_MS = parseInt(process.env.CENTAX_SESSION_CHECK_MS) || 5 * 60 * 1000;
+const REFRESH_AHEAD_MS = parseInt(process.env.CENTAX_SESSION_REFRESH_AHEAD_MS) || 15 * 60 * 1000;
+
+const events = new EventEmitter();
+const states = new Map(); // account name -> latest state event
+let timer = null;
+let checking = null;
+
+function setState(account, state, detail = '', session = null) {
+    const previous = states.get(account.name);
+    const entry = {
+        account: account.name,
+        email: account.email,
+        state,
+        detail,
+        expiresAt: session ? tokenExpiresAt(session.token) : previous?.expiresAt ?? null,
+        at: Date.now()
+    };
+    states.set(account.name, entry);
+    if (!previous || previous.state !== state) {
+        events.emit('state', entry);
+    }
+    return entry;
+}
+
+// Keep state in sync with logins and failures that happen outside the monitor
+authEvents.on('login', ({ account, session }) => {
+    const a = listAccounts().find(x => x.name === account);
+    if (a) setState(a, 'active', 'logged in', session);
+});
+authEvents.on('refreshing', ({ account }) => {
+    const a = listAccounts().find(x => x.name === account);
+    if (a) setState(a, 'reauthenticating');
+});
+authEvents.on('auth_failed', ({ account, reason }) => {
+    const a = listAccounts().find(x => x.name === account);
+    if (a) setState(a, 'locked_out', reason);
+});
+
+async function reauthenticate(account, why) {
+    setState(account, 'reauthenticating', why);
+    try {
+        const session = await forceRefresh(account);
+        return setState(account, 'active', 'refreshed', session);
+    } catch (err) {
+        return setState(account, 'locked_out', err.message);
+    }
+}
+
+/**
+ * Validate one account's session, refreshing it early if needed
+ */
+async function checkAccount(account) {
+    let session;
+    try {
+        session = await getSession(account);
+    } catch (err) {
+        return setState(account, 'locked_out', err.message);
+    }
+
+    const expiresAt = tokenExpiresAt(session.token);
+    if (expiresAt !== null && expiresAt - Date.now() < REFRESH_AHEAD_MS) {
+        const minutes = Math.max(0, Math.round((expiresAt - Date.now()) / 60000));
+        setState(account, 'expiring', `token expires in ${minutes} min`, session);
+        return await reauthenticate(account, 'refreshing before expiry');
+    }
+
+    if (!(await checkSession(session.token, session.ipAddress))) {
+        console.log(`⚠️  Session for ${account.email} rejected by server, re-authenticating...`);
+        return await reauthenticate(account, 'server invalidated session');
+    }
+
+    return setState(account, 'active', 'verified', session);
+}
+
+/**
+ * Check every account now. Concurrent callers share the same check.
+ *
+ * @returns {Promise<Array>} Latest state for each account
+ */
+function checkNow() {
+    if (!checking) {
+        checking = (async () => {
+            const results = [];
+            for (const account of listAccounts()) {
+                results.push(await checkAccount(account));
+            }
+            return results;
+        })().finally(() => { checking = null; });
+    }
+    return checking;
+}
+
+/**
+ * Validate sessions before a large job. Throws if no account is usable.
+ */
+async function ensureSession() {
+    const results = await checkNow();
+    if (results.length > 0 && results.every(r => r.state === 'locked_out')) {
+        throw new AuthError(`No usable Centax session: ${results.map(r => `${r.email} (${r.detail})`).join(', ')}`);
+    }
+    return results;
+}
+
+/**
+ * Start periodic checks (runs one immediately)
+ */
+function startSessionMonitor(intervalMs = CHECK_INTERVAL_MS) {
+    if (timer) return;
+    checkNow().catch(err => console.error('Session check error:', err.message));
+    timer = setInterval(() => {
+        checkNow().catch(err => console.error('Session check error:', err.message));
+    }, intervalMs);
+    // Don't keep short CLI commands alive just for the monitor
+    timer.unref();
+}
+
+function stopSessionMonitor() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+/**
+ * Latest known state for each account
+ */
+function getSessionStates() {
+    return listAccounts().map(a => states.get(a.name) || {
+        account: a.name,
+        email: a.email,
+        state: 'unknown',
+        detail: 'not checked yet',
+        expiresAt: null,
+        at: null
+    });
+}
+
+module.exports = {
+    startSessionMonitor,
+    stopSessionMonitor,
+    ensureSession,
+    checkNow,
+    getSessionStates,
+    sessionEvents: events
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const library = require('./library');
+const { providerName } = require('./llm');
+const { InvalidQueryError } = require('./errors');
+
+/**
+ * Summary store.
+ *
+ * Keeps what the analyzer writes about each case, one JSON file per case under
+ * library/summaries/<caseId>.json, in two kinds:
+ *
+ *   generic    - the case summary (issues, facts, held, principle). It does not
+ *                depend on any narrative, so every matter reuses it.
+ *   relevance  - a short note on how the case bears on one research narrative
+ *                (keywords + context), keyed by a fingerprint of that narrative.
+ *
+ * Every entry records what produced it, and is only reused when all of that
+ * still matches: the prompt version, the provider and model, the case text it
+ * was written from, and (relevance notes) the narrative.
+ *
+ * Entry shape:
+ *   { kind, promptVersion, provider, model, fingerprint, textHash, text, coverage, createdAt }
+ *
+ * Older versions kept one narrative-dependent summary per case in summaries.json;
+ * those carry no provenance and are not read.
+ */
+
+const SUMMARIES_DIR = path.join(library.LIBRARY_DIR, 'summaries');
+
+// Bump when the matching prompt in analyzer.js changes, so older entries stop being reused
+const PROMPT_VERSIONS = {
+    generic: 'summary-v2',
+    relevance: 'relevance-v1'
+};
+
+const KINDS = Object.keys(PROMPT_VERSIONS);
+
+function summaryFile(caseId) {
+    return path.join(SUMMARIES_DIR, `${path.basename(String(caseId))}.json`);
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprint of the case text a summary was written from
+ */
+function textHash(text) {
+    return hash(String(text || ''));
+}
+
+/**
+ * Fingerprint of a research narrative: keywords and context, case and spacing ignored.
+ * Null when both are empty (no relevance note is written then).
+ */
+function narrativeFingerprint(keywords = '', context = '') {
+    const normalize = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const k = normalize(keywords);
+    const c = normalize(context);
+    return k || c ? hash(`${k}\n${c}`) : null;
+}
+
+function readEntries(caseId) {
+    const file = summaryFile(caseId);
+    if (!fs.existsSync(file)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8')).entries || [];
+    } catch {
+        console.log(`⚠️  Ignoring unreadable summary file for case ${caseId}`);
+        return [];
+    }
+}
+
+function writeEntries(caseId, entries) {
+    const file = summaryFile(caseId);
+    if (entries.length === 0) {
+        fs.rmSync(file, { force: true });
+        return;
+    }
+    fs.mkdirSync(SUMMARIES_DIR, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ caseId: String(caseId), entries }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function sameKey(a, b) {
+    return a.kind === b.kind
+        && a.promptVersion === b.promptVersion
+        && a.provider === b.provider
+        && a.model === b.model
+        && (a.fingerprint || null) === (b.fingerprint || null)
+        && a.textHash === b.textHash;
+}
+
+/**
+ * The stored entry for this key, at the current prompt version, or null
+ *
+ * @param {string} caseId
+ * @param {object} key
+ * @param {string} key.kind - 'generic' | 'relevance'
+ * @param {string} key.provider
+ * @param {string} key.model
+ * @param {string} key.textHash - textHash() of the case text
+ * @param {string} key.fingerprint - narrativeFingerprint() (relevance notes only)
+ */
+function getSummary(caseId, key) {
+    const wanted = { ...key, promptVersion: PROMPT_VERSIONS[key.kind] };
+    return readEntries(caseId).find(entry => sameKey(entry, wanted)) || null;
+}
+
+/**
+ * Store an entry at the current prompt version, replacing one with the same key
+ *
+ * @param {string} caseId
+ * @param {object} entry - Key fields (see getSummary) plus { text, coverage }
+ * @returns {object} The stored entry
+ */
+function putSummary(caseId, { kind, provider, model, fingerprint = null, textHash: hashOfText, text, coverage = null }) {
+    const entry = {
+        kind,
+        promptVersion: PROMPT_VERSIONS[kind],
+        provider,
+        model,
+        fingerprint: kind === 'relevance' ? fingerprint : null,
+        textHash: hashOfText,
+        text,
+        coverage,
+        createdAt: new Date().toISOString()
+    };
+    const entries = readEntries(caseId).filter(e => !sameKey(e, entry));
+    entries.push(entry);
+    writeEntries(caseId, entries);
+    return entry;
+}
+
+/**
+ * All stored entries for a case, newest first, each marked stale when written
+ * by an older prompt version
+ */
+function listSummaries(caseId) {
+    return readEntries(caseId)
+        .map(entry => ({ ...entry, stale: entry.promptVersion !== PROMPT_VERSIONS[entry.kind] }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function storedCaseIds() {
+    if (!fs.existsSync(SUMMARIES_DIR)) return [];
+    return fs.readdirSync(SUMMARIES_DIR).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+}
+
+/**
+ * Counts across the store
+ *
+ * @returns {{cases: number, entries: number, stale: number, byKind: object, byModel: object}}
+ */
+function summaryStats() {
+    const stats = { cases: 0, entries: 0, stale: 0, byKind: {}, byModel: {} };
+    for (const caseId of storedCaseIds()) {
+        const entries = listSummaries(caseId);
+        if (entries.length === 0) continue;
+        stats.cases++;
+        for (const entry of entries) {
+            stats.entries++;
+            if (entry.stale) stats.stale++;
+            stats.byKind[entry.kind] = (stats.byKind[entry.kind] || 0) + 1;
+            const model = `${entry.provider}/${entry.model}`;
+            stats.byModel[model] = (stats.byModel[model] || 0) + 1;
+        }
+    }
+    return stats;
+}
+
+/**
+ * Remove stored entries
+ *
+ * Filters combine: { caseIds: [...], kind: 'relevance', model: 'gpt-4o' } removes
+ * only those cases' relevance notes written by gpt-4o. Clearing everything
+ * takes `all`.
+ *
+ * @param {object} filter
+ * @param {string|string[]} filter.caseIds - Only these cases (an empty list selects none; omit it for every case)
+ * @param {string} filter.kind - 'generic' | 'relevance'
+ * @param {string} filter.provider
+ * @param {string} filter.model
+ * @param {string} filter.fingerprint - Relevance notes for one narrative
+ * @param {boolean} filter.stale - Only entries from older prompt versions
+ * @param {boolean} filter.all - Allow clearing the whole store
+ * @returns {{cases: number, removed: number}}
+ * @throws {InvalidQueryError} If nothing is selected, or caseIds is not a case ID or list of them
+ */
+function clearSummaries({ caseIds, kind, provider, model, fingerprint, stale = false, all = false } = {}) {
+    if (typeof caseIds === 'string') caseIds = [caseIds];
+    if (caseIds !== undefined && !(Array.isArray(caseIds) && caseIds.every(id => typeof id === 'string' && id.trim()))) {
+        throw new InvalidQueryError('caseIds must be a case ID or a list of case IDs', { hint: 'Pass case IDs as strings, e.g. ["101010000000353754"].' });
+    }
+    const filtered = Boolean(caseIds !== undefined || kind || provider || model || fingerprint || stale);
+    if (!filtered && !all) {
+        throw new InvalidQueryError('Nothing selected to clear', { hint: 'Pass case IDs, a matter, a kind, provider, model or stale — or all to clear everything.' });
+    }
+    if (kind && !KINDS.includes(kind)) throw new InvalidQueryError(`Unknown summary kind "${kind}"`, { hint: `Use one of: ${KINDS.join(', ')}.` });
+    if (provider) provider = providerName(provider);
+
+    const matches = entry => (!kind || entry.kind === kind)
+        && (!provider || entry.provider === provider)
+        && (!model || entry.model === model)
+        && (!fingerprint || entry.fingerprint === fingerprint)
+        && (!stale || entry.promptVersion !== PROMPT_VERSIONS[entry.kind]);
+
+    let cases = 0;
+    let removed = 0;
+    for (const caseId of caseIds === undefined ? storedCaseIds() : caseIds.map(id => id.trim())) {
+        const entries = readEntries(caseId);
+        const kept = entries.filter(entry => !matches(entry));
+        if (kept.length === entries.length) continue;
+        writeEntries(caseId, kept);
+        cases++;
+        removed += entries.length - kept.length;
+    }
+    return { cases, removed };
+}
+
+module.exports = {
+    getSummary,
+    putSummary,
+    listSummaries,
+    summaryStats,
+    clearSummaries,
+    narrativeFingerprint,
+    textHash,
+    PROMPT_VERSIONS,
+    KINDS,
+    SUMMARIES_DIR
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const VAULT_FILE = process.env.CENTAX_VAULT_FILE || path.join(__dirname, '..', 'vault.enc');
+const VAULT_VERSION = 1;
+
+// scrypt parameters for deriving the AES-256 key from the passphrase / key file
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * Read the secret that unlocks the vault: CENTAX_VAULT_PASSPHRASE, or the
+ * contents of the file named by CENTAX_VAULT_KEY_FILE.
+ *
+ * @returns {Buffer|null} null when no vault secret is configured
+ */
+function getVaultSecret() {
+    if (process.env.CENTAX_VAULT_PASSPHRASE) {
+        return Buffer.from(process.env.CENTAX_VAULT_PASSPHRASE, 'utf-8');
+    }
+    if (process.env.CENTAX_VAULT_KEY_FILE) {
+        try {
+            return fs.readFileSync(process.env.CENTAX_VAULT_KEY_FILE);
+        } catch (err) {
+            throw new Error(`Could not read vault key file ${process.env.CENTAX_VAULT_KEY_FILE}: ${err.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a passphrase or key file is configured for the vault
+ */
+function isVaultConfigured() {
+    return Boolean(process.env.CENTAX_VAULT_PASSPHRASE || process.env.CENTAX_VAULT_KEY_FILE);
+}
+
+// Last derived key, so scrypt (~170 ms, synchronous) runs once per process rather than
+// on every read and write: { secret, salt, key }
+let cachedKey = null;
+
+/**
+ * The AES key for a secret and salt, derived once and reused while both stay the same
+ */
+function deriveKey(secret, salt) {
+    if (cachedKey && cachedKey.secret.equals(secret) && cachedKey.salt.equals(salt)) return cachedKey.key;
+    const key = crypto.scryptSync(secret, salt, 32, SCRYPT_PARAMS);
+    cachedKey = { secret, salt, key };
+    return key;
+}
+
+function emptyVault() {
+    return { accounts: [], sessions: {} };
+}
+
+/**
+ * Decrypt and return the vault contents
+ *
+ * @returns {{accounts: Array<{email, password}>, sessions: Object}}
+ */
+function readVault() {
+    const secret = getVaultSecret();
+    if (!secret) {
+        throw new Error('Vault is locked: set CENTAX_VAULT_PASSPHRASE or CENTAX_VAULT_KEY_FILE in .env');
+    }
+    if (!fs.existsSync(VAULT_FILE)) return emptyVault();
+
+    const envelope = JSON.parse(fs.readFileSync(VAULT_FILE, 'utf-8'));
+    if (envelope.version !== VAULT_VERSION) {
+        throw new Error(`Unsupported vault version ${envelope.version} in ${VAULT_FILE}`);
+    }
+
+    try {
+        const key = deriveKey(secret, Buffer.from(envelope.salt, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(envelope.data, 'base64')),
+            decipher.final()
+        ]);
+        return { ...emptyVault(), ...JSON.parse(plaintext.toString('utf-8')) };
+    } catch {
+        throw new Error(`Could not unlock vault ${path.basename(VAULT_FILE)}: wrong passphrase or key file`);
+    }
+}
+
+/**
+ * Encrypt and write the vault contents (owner read/write only)
+ */
+function writeVault(contents) {
+    const secret = getVaultSecret();
+    if (!secret) {
+        throw new Error('Vault is locked: set CENTAX_VAULT_PASSPHRASE or CENTAX_VAULT_KEY_FILE in .env');
+    }
+
+    // Keep the salt of the cached key so the next read doesn't derive again; the
+    // IV is what must be fresh for every encryption
+    const salt = cachedKey?.secret.equals(secret) ? cachedKey.salt : crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(contents), 'utf-8'), cipher.final()]);
+
+    const envelope = {
+        version: VAULT_VERSION,
+        kdf: 'scrypt',
+        cipher: 'aes-256-gcm',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+
+    // Write to a temp file and rename so a crash never leaves a half-written vault
+    const tmpFile = `${VAULT_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(envelope), { mode: 0o600 });
+    fs.renameSync(tmpFile, VAULT_FILE);
+    fs.chmodSync(VAULT_FILE, 0o600);
+}
+
+/**
+ * Read-modify-write the vault
+ *
+ * @param {Function} fn - Receives the decrypted contents and mutates or returns them
+ */
+function updateVault(fn) {
+    const contents = readVault();
+    const updated = fn(contents) || contents;
+    writeVault(updated);
+    return updated;
+}
+
+/**
+ * Store (or replace) Centax credentials in the vault
+ */
+function addVaultAccount(email, password) {
+    updateVault(v => {
+        v.accounts = v.accounts.filter(a => a.email !== email);
+        v.accounts.push({ email, password });
+    });
+}
+
+/**
+ * Remove Centax credentials (and their cached session) from the vault
+ *
+ * @returns {boolean} true if the account was present
+ */
+function removeVaultAccount(email) {
+    let removed = false;
+    updateVault(v => {
+        removed = v.accounts.some(a => a.email === email);
+        v.accounts = v.accounts.filter(a => a.email !== email);
+        for (const [name, session] of Object.entries(v.sessions)) {
+            if (session.email === email) delete v.sessions[name];
+        }
+    });
+    return removed;
+}
+
+/**
+ * Delete the vault file entirely, overwriting it first
+ */
+function destroyVault() {
+    if (!fs.existsSync(VAULT_FILE)) return false;
+    const size = fs.statSync(VAULT_FILE).size;
+    fs.writeFileSync(VAULT_FILE, crypto.randomBytes(size));
+    fs.unlinkSync(VAULT_FILE);
+    return true;
+}
+
+module.exports = {
+    isVaultConfigured,
+    readVault,
+    writeVault,
+    updateVault,
+    addVaultAccount,
+    removeVaultAccount,
+    destroyVault,
+    VAULT_FILE
+};
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the Centax and Taxmann services.
+ *
+ * Serves recorded fixtures for login, search, filter master, document text,
+ * session checks and PDF generation, plus a canned OpenAI-compatible chat endpoint, so the
+ * CLI, server.js and the analyzer pipeline can run with no network.
+ *
+ * Usage:
+ *   node stub/server.js            (or: npm run stub)
+ *
+ * Set STUB_RATE_LIMIT_EVERY=N to have every Nth search/document call
+ * answered with a 409, for exercising backoff and account rotation.
+ *
+ * Then point the app at it in .env:
+ *   CENTAX_BASE_URL=http://localhost:4010
+ *   CENTAX_PDF_API_URL=http://localhost:4010/research/getFilehtmlTopdf
+ *   OPENAI_BASE_URL=http://localhost:4010/v1
+ *   OPENAI_API_KEY=stub
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const CASES_DIR = path.join(FIXTURES_DIR, 'cases');
+const PORT = process.env.STUB_PORT || 4010;
+
+// Centax silently caps page size at 20 — mirror that so paging bugs show up locally
+const MAX_PAGE_SIZE = 20;
+
+// Set STUB_RATE_LIMIT_EVERY=N to answer every Nth search/document call with a 409
+const RATE_LIMIT_EVERY = parseInt(process.env.STUB_RATE_LIMIT_EVERY) || 0;
+let callCount = 0;
+
+const app = express();
+app.use(express.json({ limit: '50mb' }));
+
+app.use((req, res, next) => {
+    console.log(`  ${req.method} ${req.path}`);
+    next();
+});
+
+/**
+ * Build an unsigned JWT-shaped token whose `exp` passes isTokenFresh()
+ */
+function fakeToken(email) {
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+    return `Bearer ${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: email, exp })}.stub`;
+}
+
+function loadSearchFixture() {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'search.json'), 'utf-8')).itemarray;
+}
+
+// ──────────────────────── Centax ────────────────────────
+
+app.get('/centax/getClientIp', (req, res) => {
+    res.json({ Data: { ipAddress: '127.0.0.1' } });
+});
+
+app.post('/centax/login', (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+        return res.status(401).json({ Data: null, StatusMsg: 'Invalid credentials' });
+    }
+    res.json({ Data: { login_token: fakeToken(email) } });
+});
+
+function rateLimited(req, res, next) {
+    callCount++;
+    if (RATE_LIMIT_EVERY && callCount % RATE_LIMIT_EVERY === 0) {
+        return res.status(409).set('Retry-After', '2').json({ Data: null, StatusMsg: 'Too many requests' });
+    }
+    next();
+}
+
+app.post('/centax/check_active_session', (req, res) => {
+    if (!req.headers.centaxauthorization) {
+        return res.status(401).json({ Data: { is_active_login_session_verified: false } });
+    }
+    res.json({ Data: { is_active_login_session_verified: true } });
+});
+
+/**
+ * Every query matches the whole fixture corpus; items that contain more of
+ * the query terms are returned first. Advanced-search fields (exact phrase,
+ * excluded words, party, judge, appeal number, decision dates) do filter.
+ */
+app.post('/centax/getSearchResult', rateLimited, (req, res) => {
+    const { searchData = '', page = 1, pageSize = 20, filter = {}, advanceSearch = {} } = req.body || {};
+    const terms = String(searchData).toLowerCase().split(/\s+/).filter(Boolean);
+    const excluded = String(advanceSearch.notIncludeSearch || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const exact = String(advanceSearch.exactSearch || '').toLowerCase();
+    const includesAny = (value, needles) => !needles?.length ||
+        needles.some(n => String(value || '').toLowerCase().includes(String(n).toLowerCase()));
+
+    const matching = loadSearchFixture().filter(item => {
+        const haystack = `${item.heading1} ${item.headnote}`.toLowerCase();
+        const date = (item.decisionDate || '').split('T')[0];
+        return (!exact || haystack.includes(exact)) &&
+            !excluded.some(t => haystack.includes(t)) &&
+            includesAny(item.partyName, filter.nameOfParty) &&
+            includesAny(item.judgeName, filter.judgeName) &&
+            includesAny(item.apealNo, filter.apealNo) &&
+            (!filter.decisionDateFrom || date >= filter.decisionDateFrom) &&
+            (!filter.decisionDateTo || date <= filter.decisionDateTo);
+    });
+
+    const scored = matching.map(item => {
+        const haystack = `${item.heading1} ${item.headnote}`.toLowerCase();
+        return { item, hits: terms.filter(t => haystack.includes(t)).length };
+    });
+    scored.sort((a, b) => b.hits - a.hits);
+
+    const size = Math.min(pageSize, MAX_PAGE_SIZE);
+    const start = (page - 1) * size;
+    res.json({
+        Data: {
+            itemarray: scored.slice(start, start + size).map(s => s.item),
+            totalCount: scored.length
+        }
+    });
+});
+
+app.post('/centax/getFileText', rateLimited, (req, res) => {
+    const fileID = String(req.body?.fileID || '');
+    const file = path.join(CASES_DIR, `${path.basename(fileID)}.html`);
+    if (!fs.existsSync(file)) {
+        return res.json({ Data: null, StatusMsg: `No document ${fileID}` });
+    }
+    res.json({ Data: { result: { Text: fs.readFileSync(file, 'utf-8') } } });
+});
+
+app.post('/centax/getFilterMaster', (req, res) => {
+    res.json({ Data: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'filters.json'), 'utf-8')) });
+});
+
+// ──────────────────────── Taxmann PDF API ────────────────────────
+
+app.post('/research/getFilehtmlTopdf', (req, res) => {
+    const fileName = path.basename(req.body?.fileName || 'case.pdf');
+    res.json({ success: true, Data: `http://localhost:${PORT}/stub-s3/${encodeURIComponent(fileName)}` });
+});
+
+app.get('/stub-s3/:fileName', (req, res) => {
+    res.type('application/pdf').sendFile(path.join(FIXTURES_DIR, 'sample.pdf'));
+});
+
+// ──────────────────────── OpenAI-compatible chat ────────────────────────
+
+/**
+ * Canned completion chosen from the JSON shape the prompt asks for
+ *
+ * JSON replies are built from the first user message, so a repair request gets
+ * the same answer again. A narrative containing "stub:malformed" gets batch
+ * scores with the last case left out until the reply is repaired.
+ */
+function cannedCompletion(messages) {
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const user = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const first = messages.find(m => m.role === 'user')?.content || '';
+    const repairing = messages.some(m => m.role === 'assistant');
+
+    if (system.includes('keywordList')) {
+        const words = [...new Set(first.replace(/^Research Narrative:/, '').toLowerCase().match(/[a-z][a-z-]{4,}/g) || [])];
+        return JSON.stringify({ keywordList: words.slice(0, 6) });
+    }
+    if (system.includes('suggested_filters')) {
+        return JSON.stringify({ suggested_filters: { docType: ['Case Laws'] } });
+    }
+    if (system.includes('"scores"')) {
+        const ids = [...new Set(first.match(/ID: (\d+)/g) || [])].map(s => s.replace('ID: ', ''));
+        if (first.includes('stub:malformed') && !repairing) ids.pop();
+        const categories = [[90, 'Direct'], [70, 'Strong'], [50, 'Moderate'], [30, 'Weak'], [0, 'Not Relevant']];
+        return JSON.stringify({
+            scores: ids.map(id => {
+                // Stable per case, so separate batches agree
+                const score = 20 + (parseInt(id.slice(-4), 10) % 75);
+                return {
+                    id,
+                    score,
+                    category: categories.find(([floor]) => score >= floor)[1],
+                    analysis: {
+                        issue_alignment: 'Stub analysis.',
+                        factual_alignment: 'Stub analysis.',
+                        statutory_alignment: 'Stub analysis.',
+                        distinguishing_factors: 'Stub analysis.',
+                        support_rationale: `Stub ranking: case ${id} scored ${score}.`
+                    }
+                };
+            })
+        });
+    }
+    if (system.includes('"score"')) {
+        return JSON.stringify({
+            score: 70,
+            category: 'Strong',
+            analysis: {
+                issue_alignment: 'Stub analysis.',
+                factual_alignment: 'Stub analysis.',
+                statutory_alignment: 'Stub analysis.',
+                distinguishing_factors: 'Stub analysis.',
+                support_rationale: 'Stub analysis.'
+            }
+        });
+    }
+    if (user.includes('## Ranked Cases')) {
+        return 'Stub recommendation: review the top-ranked authority first.';
+    }
+    if (user.includes('Write the relevance note')) {
+        return 'Stub relevance note: the case addresses the issue in the research narrative.';
+    }
+    if (user.includes('Part Text:')) {
+        const text = user.split('Part Text:')[1].trim();
+        return `- Facts: ${text.substring(0, 120)} (stub notes)\n- Findings, Decision / Held and Orders: None in this part`;
+    }
+    if (user.includes('Case Notes')) {
+        const parts = (user.match(/\[Part \d+ of \d+/g) || []).length;
+        return `- Case Name and Citation: (stub summary from ${parts} parts)\n- Key Legal Issue(s): (stub summary)\n- Decision / Held: (stub summary)`;
+    }
+    if (user.includes('Case Text:')) {
+        const text = user.split('Case Text:')[1].trim();
+        return `- Case Name and Citation: ${text.substring(0, 120)}\n- Key Legal Issue(s): (stub summary)\n- Decision / Held: (stub summary)`;
+    }
+    return `Stub reply to: ${user.substring(0, 200)}`;
+}
+
+app.post('/v1/chat/completions', (req, res) => {
+    const { model = 'stub', messages = [] } = req.body || {};
+    res.json({
+        id: `chatcmpl-stub-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: cannedCompletion(messages) },
+            finish_reason: 'stop'
+        }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+});
+
+// ──────────────────────── Anthropic-compatible messages ────────────────────────
+
+// A request with tools gets its reply as a call to the first one
+app.post('/v1/messages', (req, res) => {
+    const { model = 'stub', system = '', messages = [], tools = [] } = req.body || {};
+    const text = cannedCompletion([{ role: 'system', content: system }, ...messages]);
+    res.json({
+        id: `msg_stub_${Date.now()}`,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: tools.length
+            ? [{ type: 'tool_use', id: `toolu_stub_${Date.now()}`, name: tools[0].name, input: JSON.parse(text) }]
+            : [{ type: 'text', text }],
+        stop_reason: tools.length ? 'tool_use' : 'end_turn',
+        usage: { input_tokens: 0, output_tokens: 0 }
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`\n🧪 Centax stub server running at http://localhost:${PORT}\n`);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'centax-library-'));
+process.env.CENTAX_LIBRARY_DIR = dir;
+
+const jobs = require('../src/jobs');
+const { InvalidQueryError, JobNotFound } = require('../src/errors');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const statuses = job => Object.fromEntries(job.cases.map(c => [c.id, c.status]));
+
+test('a job keeps each case once and starts pending', () => {
+    const job = jobs.createJob([{ id: '1', heading: 'First' }, '2', { id: '1' }, { id: '' }], { label: 'refund' });
+    assert.deepStrictEqual(job.cases.map(c => [c.id, c.title, c.status]), [['1', 'First', 'pending'], ['2', '2', 'pending']]);
+    assert.strictEqual(job.status, 'pending');
+    assert.deepStrictEqual(jobs.getJob(job.id), job);
+    assert.throws(() => jobs.createJob([]), InvalidQueryError);
+    assert.throws(() => jobs.getJob('missing'), JobNotFound);
+});
+
+test('a run records each case and leaves the job stopped, completed or completed with errors', () => {
+    let job = jobs.claimJob(jobs.createJob(['1', '2', '3']).id);
+    assert.strictEqual(job.status, 'running');
+    assert.throws(() => jobs.claimJob(job.id), /already running/);
+
+    job = jobs.updateJobCase(job, '1', { status: 'downloaded' });
+    job = jobs.updateJobCase(job, '2', { status: 'failed', error: 'HTTP 500' });
+    job = jobs.updateJobCase(job, '3', { status: 'running' });
+    job = jobs.releaseJob(job);
+    // The case cut off mid-download goes back to the queue
+    assert.deepStrictEqual(statuses(job), { 1: 'downloaded', 2: 'failed', 3: 'pending' });
+    assert.strictEqual(job.status, 'stopped');
+    assert.deepStrictEqual(job.runs.map(r => [r.mode, r.downloaded, r.failed]), [['resume', 1, 1]]);
+
+    // Resume takes what is not finished; retry-failed only the failures
+    assert.deepStrictEqual(jobs.casesToRun(job, 'resume').map(c => c.id), ['2', '3']);
+    assert.deepStrictEqual(jobs.casesToRun(job, 'retry-failed').map(c => c.id), ['2']);
+
+    job = jobs.claimJob(job.id, 'resume');
+    job = jobs.updateJobCase(job, '3', { status: 'skipped' });
+    job = jobs.releaseJob(job);
+    assert.strictEqual(job.status, 'completed_with_errors');
+    // Failures are still unfinished, so resume would take them again
+    assert.deepStrictEqual(jobs.casesToRun(job, 'resume').map(c => c.id), ['2']);
+
+    job = jobs.claimJob(job.id, 'retry-failed');
+    job = jobs.updateJobCase(job, '2', { status: 'downloaded', error: null });
+    job = jobs.releaseJob(job);
+    assert.strictEqual(job.status, 'completed');
+    assert.throws(() => jobs.assertRunnable(job.id, 'resume'), /nothing left to download/);
+    assert.throws(() => jobs.assertRunnable(job.id, 'retry-failed'), /no failed cases/);
+});
+
+test('a stop request is only accepted for a job running in this process', () => {
+    const job = jobs.claimJob(jobs.createJob(['1']).id);
+    jobs.requestStop(job.id);
+    assert.strictEqual(jobs.stopRequested(job.id), true);
+    const released = jobs.releaseJob(job);
+    assert.strictEqual(released.runs[0].stopped, true);
+    assert.throws(() => jobs.requestStop(job.id), /not running in this process/);
+});
+
+test('a job left running by a process that is gone reads back as interrupted and can be resumed', () => {
+    const job = jobs.createJob(['1']);
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    const file = path.join(jobs.JOBS_DIR, `${job.id}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...job, status: 'running', runner: { pid: deadPid, startedAt: job.createdAt, mode: 'resume' } }));
+    assert.strictEqual(jobs.getJob(job.id).status, 'interrupted');
+    assert.doesNotThrow(() => jobs.assertRunnable(job.id));
+});
+
+test('unknown case IDs are rejected', () => {
+    const job = jobs.createJob(['1']);
+    assert.throws(() => jobs.updateJobCase(job, '999', { status: 'failed' }), InvalidQueryError);
+});
+
+test('listing jobs reports unreadable manifests instead of failing', () => {
+    fs.writeFileSync(path.join(jobs.JOBS_DIR, 'broken.json'), '{not json');
+    const { jobs: listed, unreadable } = jobs.listJobs();
+    assert.deepStrictEqual(unreadable, ['broken.json']);
+    assert.ok(listed.length >= 4);
+    assert.ok(listed.every(j => j.counts && !j.cases));
+});
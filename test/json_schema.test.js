@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateSchema, strictSchema, parseJsonReply } = require('../src/json_schema');
+
+const RANKINGS = {
+    type: 'object',
+    properties: {
+        rankings: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    score: { type: 'integer', minimum: 0, maximum: 100 },
+                    category: { type: 'string', enum: ['HIGH', 'LOW'] },
+                    note: { type: ['string', 'null'] }
+                },
+                required: ['id', 'score', 'category']
+            }
+        }
+    },
+    required: ['rankings']
+};
+
+test('a reply matching the schema has no violations, extra fields included', () => {
+    const reply = { rankings: [{ id: '7', score: 80, category: 'HIGH', note: null, extra: true }], model: 'x' };
+    assert.deepStrictEqual(validateSchema(RANKINGS, reply), []);
+});
+
+test('violations are reported with the path of the offending value', () => {
+    const reply = { rankings: [{ id: ' ', score: 120, category: 'MEDIUM' }, { score: 4.5, category: 'LOW', note: 3 }] };
+    assert.deepStrictEqual(validateSchema(RANKINGS, reply), [
+        'rankings[0].id: must not be empty',
+        'rankings[0].score: must be at most 100, got 120',
+        'rankings[0].category: must be one of "HIGH", "LOW", got "MEDIUM"',
+        'rankings[1].id: is missing',
+        'rankings[1].score: must be integer, got number',
+        'rankings[1].note: must be string or null, got integer'
+    ]);
+    assert.deepStrictEqual(validateSchema(RANKINGS, { rankings: [] }), ['rankings: needs at least 1 item(s), got 0']);
+    assert.deepStrictEqual(validateSchema(RANKINGS, []), ['reply: must be object, got array']);
+    assert.deepStrictEqual(validateSchema(RANKINGS, {}), ['rankings: is missing']);
+});
+
+test('the strict schema closes every object, requires all properties and drops local-only keywords', () => {
+    const strict = strictSchema(RANKINGS);
+    const item = strict.properties.rankings.items;
+    assert.strictEqual(strict.additionalProperties, false);
+    assert.strictEqual(item.additionalProperties, false);
+    assert.deepStrictEqual(item.required, ['id', 'score', 'category', 'note']);
+    assert.deepStrictEqual(item.properties.score, { type: 'integer' });
+    assert.deepStrictEqual(item.properties.category.enum, ['HIGH', 'LOW']);
+    assert.strictEqual('minItems' in strict.properties.rankings, false);
+    assert.strictEqual(RANKINGS.properties.rankings.minItems, 1, 'the original schema is left unchanged');
+});
+
+test('replies are parsed through fences and surrounding text', () => {
+    assert.deepStrictEqual(parseJsonReply('```json\n{"a": 1}\n```'), { value: { a: 1 } });
+    assert.deepStrictEqual(parseJsonReply('Here you go: {"a": {"b": 2}} Hope this helps.'), { value: { a: { b: 2 } } });
+    assert.deepStrictEqual(parseJsonReply('no JSON here'), { error: 'reply is not a JSON object' });
+    assert.deepStrictEqual(parseJsonReply(null), { error: 'reply is not a JSON object' });
+    assert.match(parseJsonReply('{"a": 1,}').error, /^reply is not valid JSON/);
+});
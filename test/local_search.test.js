@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'centax-library-'));
+process.env.CENTAX_LIBRARY_DIR = dir;
+
+const library = require('../src/library');
+const { searchLibrary, rebuildIndex, parseQuery } = require('../src/local_search');
+const { InvalidQueryError } = require('../src/errors');
+
+const filler = 'the appellant filed the return and the department issued a notice under the act';
+
+library.saveDocument('1', { text: `Refund of pre-deposit with interest. ${filler}. Interest on refund was allowed.`, metadata: { title: 'Refund with interest' } });
+library.saveDocument('2', { text: `Refund of pre-deposit. ${filler}. ${filler}. ${filler}.`, metadata: { title: 'Long refund case' } });
+library.saveDocument('3', { text: `Penalty on refund claim. ${filler}. Interest was denied.`, metadata: { title: 'Penalty case' } });
+library.saveDocument('4', { text: `Classification of goods. ${filler}.`, metadata: { title: 'Unrelated' } });
+rebuildIndex();
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('cases matching more query terms, more often, rank higher', () => {
+    const { results, total, indexed } = searchLibrary('refund interest');
+    assert.strictEqual(indexed, 4);
+    assert.strictEqual(total, 3);
+    assert.deepStrictEqual(results.map(r => r.id), ['1', '3', '2']);
+    assert.ok(results[0].score > results[1].score);
+});
+
+test('longer documents score lower for the same matches', () => {
+    const { results } = searchLibrary('"pre-deposit"');
+    assert.deepStrictEqual(results.map(r => r.id), ['1', '2']);
+});
+
+test('phrases must match consecutive words and excluded words drop cases', () => {
+    assert.deepStrictEqual(searchLibrary('"interest on refund"').results.map(r => r.id), ['1']);
+    assert.deepStrictEqual(searchLibrary('refund -penalty').results.map(r => r.id).sort(), ['1', '2']);
+});
+
+test('snippets mark the matched words', () => {
+    const [first] = searchLibrary('penalty').results;
+    assert.match(first.snippet, /«Penalty»/);
+    assert.strictEqual(first.title, 'Penalty case');
+});
+
+test('queries are parsed into terms, phrases and exclusions', () => {
+    assert.deepStrictEqual(parseQuery('Refund "pre deposit" refund -Penalty "interest"'), {
+        terms: ['refund', 'interest'],
+        phrases: [['pre', 'deposit']],
+        excluded: ['penalty']
+    });
+    assert.throws(() => parseQuery('-penalty'), InvalidQueryError);
+});
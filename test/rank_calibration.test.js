@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'centax-library-'));
+Object.assign(process.env, {
+    CENTAX_LIBRARY_DIR: dir,
+    LLM_PROVIDER: 'openai',
+    OPENAI_API_KEY: 'test',
+    LLM_RANK_PROVIDER: '',
+    LLM_RANK_MODEL: '',
+    LLM_RANK_BATCH_SIZE: '3',
+    LLM_RANK_CONCURRENCY: '1',
+    LLM_RANK_ANCHORS: '2'
+});
+
+// How relevant each case really is; the model scores it this, plus its call's offset
+const TRUE_SCORES = { 11: 80, 12: 40, 13: 60, 14: 70, 15: 50, 16: 20 };
+// Any call that sees case 14 scores everything 15 points higher
+const GENEROUS_OFFSET = 15;
+
+const category = score => (score >= 90 ? 'Direct' : score >= 70 ? 'Strong' : score >= 50 ? 'Moderate' : score >= 30 ? 'Weak' : 'Not Relevant');
+const analysis = { issue_alignment: 'a', factual_alignment: 'b', statutory_alignment: 'c', distinguishing_factors: 'd', support_rationale: 'e' };
+
+// Case IDs in each scoring call, in order
+const calls = [];
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const { messages } = JSON.parse(body);
+        const user = messages.find(m => m.role === 'user').content;
+        let content = 'Lead with the strongest cases.';
+        if (messages[0].content.includes('"scores"')) {
+            const ids = [...user.matchAll(/ID: (\d+)/g)].map(m => m[1]);
+            calls.push(ids);
+            const offset = ids.includes('14') ? GENEROUS_OFFSET : 0;
+            content = JSON.stringify({
+                scores: ids.map(id => {
+                    const score = Math.min(100, TRUE_SCORES[id] + offset);
+                    return { id, score, category: category(score), analysis };
+                })
+            });
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            id: 'chatcmpl-test',
+            object: 'chat.completion',
+            created: 0,
+            model: 'test',
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        }));
+    });
+});
+
+let analyzer;
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    analyzer = require('../src/analyzer');
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a batch scored on a higher scale is calibrated against the anchors before merging', async () => {
+    const summaries = Object.fromEntries(Object.keys(TRUE_SCORES).map(id => [id, { filename: `case-${id}.pdf`, summary: `Summary of ${id}` }]));
+    const { rankings, unscored } = await analyzer.rankByRelevance(summaries, 'Refund of unutilised ITC on exports');
+
+    // The first batch alone, then the second with the first batch's highest and lowest cases
+    assert.deepStrictEqual(calls, [['11', '12', '13'], ['14', '15', '16', '11', '12']]);
+
+    assert.deepStrictEqual(unscored, []);
+    assert.deepStrictEqual(rankings.map(r => [r.id, r.score]), [['11', 80], ['14', 70], ['13', 60], ['15', 50], ['12', 40], ['16', 20]]);
+    const generous = rankings.find(r => r.id === '14');
+    assert.strictEqual(generous.modelScore, 85);
+    assert.strictEqual(generous.category, 'Strong');
+});
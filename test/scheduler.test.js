@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// A fast bucket so the tests run in well under a second: 2 tokens, refilled at 20/s, one call at a time
+process.env.CENTAX_RATE_PER_SEC = '20';
+process.env.CENTAX_RATE_BURST = '2';
+process.env.CENTAX_MAX_CONCURRENT = '1';
+
+const { schedule, getSchedulerStats, schedulerEvents } = require('../src/scheduler');
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function rateLimited(status, retryAfter) {
+    const err = new Error(`HTTP ${status}`);
+    err.response = { status, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } };
+    return err;
+}
+
+test('interactive calls are released before queued bulk calls', async () => {
+    const order = [];
+    const blocker = schedule(() => sleep(50), { priority: 'bulk' });
+    const bulk = schedule(async () => order.push('bulk'), { priority: 'bulk' });
+    const interactive = schedule(async () => order.push('interactive'), { priority: 'interactive' });
+    await Promise.all([blocker, bulk, interactive]);
+    assert.deepStrictEqual(order, ['interactive', 'bulk']);
+});
+
+test('calls beyond the burst wait for the bucket to refill', async () => {
+    await sleep(200); // let the bucket fill back up to the burst
+    const started = [];
+    await Promise.all([1, 2, 3, 4].map(() => schedule(async () => started.push(Date.now()))));
+    // Two tokens are there at once; the next two come at about 50 ms each
+    assert.ok(started[3] - started[0] >= 60, `4 calls took ${started[3] - started[0]} ms`);
+});
+
+test('a rate-limited call halves the rate and pauses for Retry-After', async () => {
+    const before = getSchedulerStats();
+    const backoffs = [];
+    schedulerEvents.once('backoff', e => backoffs.push(e));
+
+    await assert.rejects(schedule(async () => { throw rateLimited(429, '0.3'); }), /HTTP 429/);
+    const after = getSchedulerStats();
+    assert.strictEqual(after.rateLimited, before.rateLimited + 1);
+    assert.strictEqual(after.rate, before.rate / 2);
+    assert.deepStrictEqual(backoffs.map(b => [b.status, b.delayMs]), [[429, 300]]);
+
+    const queuedAt = Date.now();
+    await schedule(async () => {});
+    assert.ok(Date.now() - queuedAt >= 250, 'the next call waited out the pause');
+});
+
+test('a failure that is not a rate limit does not back off', async () => {
+    const before = getSchedulerStats();
+    await assert.rejects(schedule(async () => { throw new Error('boom'); }), /boom/);
+    const after = getSchedulerStats();
+    assert.strictEqual(after.failed, before.failed + 1);
+    assert.strictEqual(after.rateLimited, before.rateLimited);
+    assert.strictEqual(after.rate, before.rate);
+});
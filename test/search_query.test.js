@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeQuery, describeQuery } = require('../src/search');
+const { InvalidQueryError } = require('../src/errors');
+
+test('a plain string becomes a keyword query with every field present', () => {
+    assert.deepStrictEqual(normalizeQuery('  refund interest  '), {
+        text: 'refund interest',
+        exact: '',
+        anyOf: '',
+        exclude: '',
+        party: [],
+        judge: [],
+        appealNo: [],
+        from: '',
+        to: '',
+        exclusiveOnly: false
+    });
+});
+
+test('list fields accept a single value or a list, trimmed and without blanks', () => {
+    const q = normalizeQuery({ party: ' Arvind Textiles ', judge: ['A. Kumar', ' ', 'B. Rao'] });
+    assert.deepStrictEqual(q.party, ['Arvind Textiles']);
+    assert.deepStrictEqual(q.judge, ['A. Kumar', 'B. Rao']);
+});
+
+test('dates are accepted as YYYY-MM-DD or DD-MM-YYYY and normalized', () => {
+    const q = normalizeQuery({ text: 'refund', from: '5-1-2023', to: '2024-03-31' });
+    assert.strictEqual(q.from, '2023-01-05');
+    assert.strictEqual(q.to, '2024-03-31');
+});
+
+test('impossible dates and reversed ranges are rejected', () => {
+    assert.throws(() => normalizeQuery({ text: 'refund', from: '2023-02-30' }), InvalidQueryError);
+    assert.throws(() => normalizeQuery({ text: 'refund', from: 'yesterday' }), InvalidQueryError);
+    assert.throws(() => normalizeQuery({ text: 'refund', from: '2024-01-01', to: '2023-01-01' }), /after "to" date/);
+});
+
+test('a query without search criteria is rejected', () => {
+    assert.throws(() => normalizeQuery(''), InvalidQueryError);
+    // Exclusions and dates alone don't select anything
+    assert.throws(() => normalizeQuery({ exclude: 'customs', from: '2023-01-01' }), /empty/);
+    assert.doesNotThrow(() => normalizeQuery({ appealNo: 'ST/123/2022' }));
+});
+
+test('describeQuery lists the criteria in use', () => {
+    assert.strictEqual(
+        describeQuery({ text: 'refund', exclude: 'customs', party: ['A', 'B'], to: '2024-01-01' }),
+        '"refund", not "customs", party A / B, decided … to 2024-01-01'
+    );
+});
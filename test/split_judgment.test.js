@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'centax-library-'));
+process.env.CENTAX_LIBRARY_DIR = dir;
+
+const { splitJudgment } = require('../src/analyzer');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const paragraph = (n, sentences = 4) => `${n}. ` + Array.from({ length: sentences }, (_, i) => `Sentence ${i + 1} of paragraph ${n} discusses the refund claim.`).join(' ');
+
+function assertCovers(text, parts, size) {
+    parts.forEach(part => {
+        assert.strictEqual(part.text, text.slice(part.start, part.end));
+        assert.ok(part.text.length <= size, `part of ${part.text.length} chars exceeds ${size}`);
+    });
+    // Parts are in order and only separators fall between them
+    parts.slice(1).forEach((part, i) => assert.match(text.slice(parts[i].end, part.start), /^\s*$/));
+    assert.strictEqual(parts[0].start, 0);
+    assert.strictEqual(parts[parts.length - 1].end, text.length);
+}
+
+test('a short judgment is one part', () => {
+    const text = [paragraph(1), paragraph(2)].join('\n\n');
+    assert.deepStrictEqual(splitJudgment(text, 2000), [{ start: 0, end: text.length, paras: [1, 2], text }]);
+});
+
+test('parts break between paragraphs and list the paragraphs they hold', () => {
+    const text = Array.from({ length: 12 }, (_, i) => paragraph(i + 1)).join('\n\n');
+    const parts = splitJudgment(text, 1000);
+    assertCovers(text, parts, 1000);
+    assert.ok(parts.length > 1);
+    parts.forEach(part => assert.match(part.text, /^\d+\. /));
+    assert.deepStrictEqual(parts.flatMap(p => p.paras), Array.from({ length: 12 }, (_, i) => i + 1));
+});
+
+test('a section heading starts a new part once the current one is half full', () => {
+    const text = [paragraph(1, 5), paragraph(2, 5), 'FINDINGS', paragraph(3)].join('\n\n');
+    const parts = splitJudgment(text, 1000);
+    assertCovers(text, parts, 1000);
+    assert.strictEqual(parts.length, 2);
+    assert.ok(parts[1].text.startsWith('FINDINGS'));
+    assert.deepStrictEqual(parts.map(p => p.paras), [[1, 2], [3]]);
+
+    // Not yet half full: the heading stays with what precedes it
+    const early = [paragraph(1, 1), 'FINDINGS', paragraph(2, 1)].join('\n\n');
+    assert.strictEqual(splitJudgment(early, 1000).length, 1);
+});
+
+test('an oversized paragraph is cut between sentences and the rest keeps its number', () => {
+    const text = [paragraph(1, 2), paragraph(2, 40), paragraph(3, 2)].join('\n\n');
+    const parts = splitJudgment(text, 1000);
+    assertCovers(text, parts, 1000);
+    assert.ok(parts.length >= 3);
+    parts.slice(0, -1).forEach(part => assert.match(part.text, /\.$/));
+    assert.deepStrictEqual(parts[1].paras, [2]);
+    assert.deepStrictEqual(parts[parts.length - 1].paras.slice(-1), [3]);
+    assert.ok(parts.slice(1, -1).every(p => p.paras[0] === 2));
+});
+
+test('text without blank lines is split on single line breaks', () => {
+    const text = Array.from({ length: 12 }, (_, i) => paragraph(i + 1)).join('\n');
+    const parts = splitJudgment(text, 1000);
+    assertCovers(text, parts, 1000);
+    assert.ok(parts.length > 1);
+});
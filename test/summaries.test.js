@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'centax-library-'));
+process.env.CENTAX_LIBRARY_DIR = dir;
+
+const summaries = require('../src/summaries');
+const { InvalidQueryError } = require('../src/errors');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const narrative = summaries.narrativeFingerprint('refund', 'unutilised ITC on exports');
+const otherNarrative = summaries.narrativeFingerprint('penalty', 'late filing');
+
+// Two cases, each with a generic summary from two models and a relevance note per narrative
+function seed() {
+    fs.rmSync(summaries.SUMMARIES_DIR, { recursive: true, force: true });
+    for (const caseId of ['101', '102']) {
+        const textHash = summaries.textHash(`judgment ${caseId}`);
+        summaries.putSummary(caseId, { kind: 'generic', provider: 'openai', model: 'gpt-a', textHash, text: 'summary a' });
+        summaries.putSummary(caseId, { kind: 'generic', provider: 'openai', model: 'gpt-b', textHash, text: 'summary b' });
+        summaries.putSummary(caseId, { kind: 'relevance', provider: 'openai', model: 'gpt-a', fingerprint: narrative, textHash, text: 'note' });
+        summaries.putSummary(caseId, { kind: 'relevance', provider: 'openai', model: 'gpt-a', fingerprint: otherNarrative, textHash, text: 'other note' });
+    }
+}
+
+const remaining = caseId => summaries.listSummaries(caseId).map(e => `${e.kind}/${e.model}${e.fingerprint === otherNarrative ? '/other' : ''}`).sort();
+
+test('an empty case list clears nothing', () => {
+    seed();
+    assert.deepStrictEqual(summaries.clearSummaries({ caseIds: [] }), { cases: 0, removed: 0 });
+    assert.deepStrictEqual(summaries.clearSummaries({ caseIds: [], all: true }), { cases: 0, removed: 0 });
+    assert.strictEqual(summaries.listSummaries('101').length, 4);
+    assert.strictEqual(summaries.listSummaries('102').length, 4);
+});
+
+test('case IDs must be a string or a list of strings', () => {
+    seed();
+    for (const caseIds of [null, 101, { id: '101' }, [101], ['101', null], ['']]) {
+        assert.throws(() => summaries.clearSummaries({ caseIds }), InvalidQueryError, `caseIds ${JSON.stringify(caseIds)}`);
+    }
+    assert.strictEqual(summaries.listSummaries('101').length, 4);
+
+    assert.deepStrictEqual(summaries.clearSummaries({ caseIds: '101', kind: 'relevance' }), { cases: 1, removed: 2 });
+    assert.deepStrictEqual(remaining('101'), ['generic/gpt-a', 'generic/gpt-b']);
+    assert.strictEqual(summaries.listSummaries('102').length, 4);
+});
+
+test('clearing without a selection is refused unless all is passed', () => {
+    seed();
+    assert.throws(() => summaries.clearSummaries(), InvalidQueryError);
+    assert.throws(() => summaries.clearSummaries({}), InvalidQueryError);
+    assert.throws(() => summaries.clearSummaries({ kind: 'digest' }), /Unknown summary kind/);
+    assert.strictEqual(summaries.listSummaries('101').length, 4);
+
+    assert.deepStrictEqual(summaries.clearSummaries({ all: true }), { cases: 2, removed: 8 });
+    assert.deepStrictEqual(summaries.listSummaries('101'), []);
+    assert.deepStrictEqual(fs.readdirSync(summaries.SUMMARIES_DIR), []);
+});
+
+test('filters combine and only touch the selected cases', () => {
+    seed();
+    assert.deepStrictEqual(summaries.clearSummaries({ caseIds: ['101'], kind: 'generic' }), { cases: 1, removed: 2 });
+    assert.deepStrictEqual(remaining('101'), ['relevance/gpt-a', 'relevance/gpt-a/other']);
+    assert.strictEqual(summaries.listSummaries('102').length, 4);
+
+    assert.deepStrictEqual(summaries.clearSummaries({ model: 'gpt-b' }), { cases: 1, removed: 1 });
+    assert.deepStrictEqual(remaining('102'), ['generic/gpt-a', 'relevance/gpt-a', 'relevance/gpt-a/other']);
+
+    assert.deepStrictEqual(summaries.clearSummaries({ fingerprint: narrative }), { cases: 2, removed: 2 });
+    assert.deepStrictEqual(remaining('101'), ['relevance/gpt-a/other']);
+    assert.deepStrictEqual(remaining('102'), ['generic/gpt-a', 'relevance/gpt-a/other']);
+
+    assert.deepStrictEqual(summaries.clearSummaries({ provider: 'anthropic' }), { cases: 0, removed: 0 });
+    assert.throws(() => summaries.clearSummaries({ provider: 'nobody' }), /Unknown LLM provider/);
+});
+
+test('stale clears only entries written by an older prompt version', () => {
+    seed();
+    const file = path.join(summaries.SUMMARIES_DIR, '101.json');
+    const stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    stored.entries.find(e => e.kind === 'generic' && e.model === 'gpt-a').promptVersion = 'summary-v1';
+    fs.writeFileSync(file, JSON.stringify(stored));
+
+    assert.deepStrictEqual(summaries.listSummaries('101').filter(e => e.stale).map(e => e.model), ['gpt-a']);
+    assert.deepStrictEqual(summaries.clearSummaries({ stale: true }), { cases: 1, removed: 1 });
+    assert.deepStrictEqual(remaining('101'), ['generic/gpt-b', 'relevance/gpt-a', 'relevance/gpt-a/other']);
+    assert.strictEqual(summaries.listSummaries('102').length, 4);
+});
+
+test('a matter forgets only the summaries of the cleared kind', () => {
+    const matters = require('../src/matters');
+    const { id } = matters.createMatter({ name: 'Export refunds' });
+    matters.addCases(id, ['101', '102']);
+    const fill = () => {
+        const matter = matters.getMatter(id);
+        for (const entry of Object.values(matter.cases)) Object.assign(entry, { summary: 's', coverage: { parts: 1 }, relevanceNote: 'r' });
+        fs.writeFileSync(path.join(matters.MATTERS_DIR, `${id}.json`), JSON.stringify(matter));
+    };
+    const kept = () => Object.values(matters.getMatter(id).cases).map(c => [c.id, c.summary, c.relevanceNote]);
+
+    fill();
+    matters.forgetSummaries(id, null, 'relevance');
+    assert.deepStrictEqual(kept(), [['101', 's', null], ['102', 's', null]]);
+
+    fill();
+    matters.forgetSummaries(id, ['102'], 'generic');
+    assert.deepStrictEqual(kept(), [['101', 's', 'r'], ['102', null, 'r']]);
+
+    fill();
+    matters.forgetSummaries(id);
+    assert.deepStrictEqual(kept(), [['101', null, null], ['102', null, null]]);
+});